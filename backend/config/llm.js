@@ -0,0 +1,60 @@
+/**
+ * LLM routing policy
+ * Which provider answers the IA routes, which model and generation settings each kind of request
+ * gets, and how hard the gateway tries before giving up (see services/llmGateway.js).
+ *
+ * Environment overrides:
+ *   LLM_PROVIDER                      - primary provider: gemini, openai or local
+ *                                       (defaults to whichever of gemini and openai has an API key)
+ *   LLM_FALLBACK_PROVIDER             - tried when the primary fails or is not configured
+ *                                       (defaults to the other keyed provider, if any)
+ *
+ * The local stub only answers when named explicitly (or under jest); with no keyed provider the
+ * gateway throws LLM_UNAVAILABLE and the IA routes answer 503 instead of placeholder replies
+ *   LLM_TIMEOUT_MS, LLM_MAX_RETRIES, LLM_RETRY_DELAY_MS
+ *   LLM_<PROVIDER>_<TIER>_MODEL       - e.g. LLM_OPENAI_ADVANCED_MODEL=gpt-4.1
+ */
+
+const hasGeminiKey = !!process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your-gemini-api-key-here';
+const hasOpenAIKey = !!process.env.OPENAI_API_KEY;
+
+// Real providers with credentials, in order of preference
+const keyed = [hasGeminiKey && 'gemini', hasOpenAIKey && 'openai'].filter(Boolean);
+const defaultChain = keyed.length > 0 || process.env.NODE_ENV !== 'test' ? keyed : ['local'];
+const primary = process.env.LLM_PROVIDER || defaultChain[0] || null;
+
+// Generation settings per tier, shared by every provider
+const tiers = {
+  fast: { temperature: 0.7, topP: 0.8, topK: 40, maxOutputTokens: 1024 },
+  balanced: { temperature: 0.8, topP: 0.9, topK: 40, maxOutputTokens: 2048 },
+  advanced: { temperature: 0.9, topP: 0.95, topK: 40, maxOutputTokens: 4096 }
+};
+
+const models = {
+  gemini: { fast: 'gemini-2.5-flash-lite', balanced: 'gemini-2.5-flash', advanced: 'gemini-2.5-pro' },
+  openai: { fast: 'gpt-4o-mini', balanced: 'gpt-4o-mini', advanced: 'gpt-4o' },
+  local: { fast: 'local-stub', balanced: 'local-stub', advanced: 'local-stub' }
+};
+
+// Tier for each kind of IA request
+const routes = {
+  status: 'fast',
+  'chat.simple': 'fast',
+  chat: 'balanced',
+  recommend: 'balanced',
+  recipe: 'balanced',
+  'chat.contextual': 'advanced',
+  'recommend.personalized': 'advanced'
+};
+
+module.exports = {
+  primary,
+  fallback: process.env.LLM_FALLBACK_PROVIDER || defaultChain.find(name => name !== primary) || null,
+  timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 30000),
+  maxRetries: Number(process.env.LLM_MAX_RETRIES ?? 2),
+  retryDelayMs: Number(process.env.LLM_RETRY_DELAY_MS || 500),
+  defaultTier: 'balanced',
+  tiers,
+  models,
+  routes
+};
@@ -91,12 +91,22 @@ const authorize = (...roles) => {
 // Bartender-only middleware
 const bartenderOnly = authorize('Bartender');
 
-// Admin or Bartender middleware
-const staffOnly = authorize('Bartender', 'Admin');
+// Roles that work the venue and see every patron's records
+const STAFF_ROLES = ['Bartender', 'Owner'];
+const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+// Staff middleware (Bartender or Owner)
+const staffOnly = authorize(...STAFF_ROLES);
+
+// Owner-only middleware (ultra shelf decisions, owner notifications)
+const ownerOnly = authorize('Owner');
 
 module.exports = {
   auth,
   authorize,
   bartenderOnly,
-  staffOnly
+  staffOnly,
+  ownerOnly,
+  STAFF_ROLES,
+  isStaff
 };
@@ -33,6 +33,10 @@ const cocktailSchema = new mongoose.Schema({
       type: String,
       enum: ['oz', 'ml', 'dash', 'splash', 'drop', 'piece', 'slice', 'wedge', 'sprig'],
       required: true
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory'
     }
   }],
   glassType: {
@@ -142,6 +146,24 @@ const cocktailSchema = new mongoose.Schema({
     calories: Number,
     sugar: Number,
     carbs: Number
+  },
+  // Last pour-cost calculation, refreshed when ingredient costs change
+  costing: {
+    pourCost: Number,
+    pourCostPct: Number,
+    grossMargin: Number,
+    grossMarginPct: Number,
+    targetMargin: Number,
+    belowTarget: {
+      type: Boolean,
+      default: false
+    },
+    complete: {
+      type: Boolean,
+      default: false
+    },
+    missing: [String], // ingredients that could not be costed
+    calculatedAt: Date
   }
 }, {
   timestamps: true
@@ -161,6 +183,7 @@ cocktailSchema.pre('save', function(next) {
 cocktailSchema.index({ name: 'text', description: 'text', category: 'text' });
 cocktailSchema.index({ category: 1, isAvailable: 1 });
 cocktailSchema.index({ averageRating: -1 });
+cocktailSchema.index({ 'costing.belowTarget': 1 });
 cocktailSchema.index({ price: 1 });
 
 module.exports = mongoose.model('Cocktail', cocktailSchema);
@@ -30,6 +30,31 @@ const conversationMessageSchema = new mongoose.Schema({
   }
 });
 
+// Actions the assistant took during the conversation (see services/iaToolService.js)
+const toolCallSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  arguments: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['completed', 'failed', 'invalid', 'forbidden'],
+    required: true
+  },
+  message: String,
+  code: String, // why a failed call failed, e.g. RESPONSIBLE_SERVICE
+  result: mongoose.Schema.Types.Mixed,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const emotionalProfileSchema = new mongoose.Schema({
   primaryEmotion: String,
   emotionHistory: [{
@@ -157,6 +182,7 @@ const conversationSessionSchema = new mongoose.Schema({
   },
   patronProfile: patronProfileSchema,
   messages: [conversationMessageSchema],
+  toolCalls: [toolCallSchema],
   sessionMetadata: {
     startTime: {
       type: Date,
@@ -211,6 +237,13 @@ conversationSessionSchema.methods.addMessage = function(content, type, metadata
   });
 };
 
+conversationSessionSchema.methods.logToolCall = function(call) {
+  this.toolCalls.push({
+    ...call,
+    timestamp: new Date()
+  });
+};
+
 conversationSessionSchema.methods.updateEmotionalState = function(emotionData) {
   if (!this.patronProfile.emotionalProfile) {
     this.patronProfile.emotionalProfile = {
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const COURSES = ['Starter', 'Main', 'Side', 'Dessert', 'Shared'];
+const PROTEINS = ['Beef', 'Pork', 'Lamb', 'Poultry', 'Game', 'Fish', 'Shellfish', 'Cheese', 'Vegetarian', 'None'];
+const FLAVORS = ['savory', 'sweet', 'salty', 'smoky', 'earthy', 'herbal', 'citrus', 'umami', 'creamy', 'fruity', 'bitter', 'tangy', 'nutty', 'rich', 'fresh'];
+const LEVELS = ['low', 'medium', 'high'];
+const SPICE_LEVELS = ['none', 'mild', 'medium', 'hot'];
+
+// Kitchen dishes described well enough to pair drinks with them
+const dishSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Dish name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Dish name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  course: {
+    type: String,
+    enum: COURSES,
+    required: [true, 'Course is required']
+  },
+  protein: {
+    type: String,
+    enum: PROTEINS,
+    default: 'None'
+  },
+  flavorProfile: [{
+    type: String,
+    enum: FLAVORS
+  }],
+  fat: {
+    type: String,
+    enum: LEVELS,
+    default: 'medium'
+  },
+  acidity: {
+    type: String,
+    enum: LEVELS,
+    default: 'low'
+  },
+  spice: {
+    type: String,
+    enum: SPICE_LEVELS,
+    default: 'none'
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  tags: [String]
+}, {
+  timestamps: true
+});
+
+dishSchema.index({ course: 1, isAvailable: 1 });
+dishSchema.index({ name: 'text', description: 'text' });
+
+dishSchema.statics.COURSES = COURSES;
+dishSchema.statics.PROTEINS = PROTEINS;
+dishSchema.statics.FLAVORS = FLAVORS;
+dishSchema.statics.LEVELS = LEVELS;
+dishSchema.statics.SPICE_LEVELS = SPICE_LEVELS;
+
+module.exports = mongoose.model('Dish', dishSchema);
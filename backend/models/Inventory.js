@@ -29,6 +29,10 @@ const inventorySchema = new mongoose.Schema({
     enum: ['bottles', 'cans', 'kegs', 'liters', 'gallons', 'oz', 'ml', 'pieces', 'servings', 'shots'],
     required: [true, 'Unit is required']
   },
+  unitVolumeMl: {
+    type: Number, // volume of one bottle/can/keg, used when converting recipe pours
+    min: [0, 'Unit volume cannot be negative']
+  },
   minimumStock: {
     type: Number,
     required: [true, 'Minimum stock level is required'],
@@ -157,6 +161,12 @@ const inventorySchema = new mongoose.Schema({
     },
     acknowledgedAt: {
       type: Date
+    },
+    resolvedAt: {
+      type: Date // set when the condition clears or the item is restocked
+    },
+    notifiedAt: {
+      type: Date // set once the alert has been pushed to owner notifications
     }
   }]
 }, {
@@ -206,8 +216,8 @@ inventorySchema.methods.addStockMovement = function(type, quantity, reason, user
   return this.save();
 };
 
-// Method to create alerts
-inventorySchema.methods.checkAndCreateAlerts = function() {
+// Method to list the alert conditions that currently apply
+inventorySchema.methods.evaluateAlertConditions = function(now = new Date()) {
   const alerts = [];
   
   if (this.quantity === 0) {
@@ -223,7 +233,7 @@ inventorySchema.methods.checkAndCreateAlerts = function() {
   }
   
   if (this.expirationDate) {
-    const daysUntilExpiration = Math.ceil((this.expirationDate - new Date()) / (1000 * 60 * 60 * 24));
+    const daysUntilExpiration = Math.ceil((this.expirationDate - now) / (1000 * 60 * 60 * 24));
     if (daysUntilExpiration <= 0) {
       alerts.push({
         type: 'EXPIRED',
@@ -237,14 +247,43 @@ inventorySchema.methods.checkAndCreateAlerts = function() {
     }
   }
   
-  // Add new alerts
-  alerts.forEach(alert => {
-    const existingAlert = this.alerts.find(a => a.type === alert.type && a.isActive);
-    if (!existingAlert) {
-      this.alerts.push(alert);
+  return alerts;
+};
+
+// Method to create new alerts and retire resolved ones (does not save)
+// An alert is retired when its condition clears or the item is restocked after it was raised;
+// acknowledged alerts stay unresolved so they are not raised again while the condition persists
+inventorySchema.methods.syncAlerts = function(now = new Date()) {
+  const conditions = this.evaluateAlertConditions(now);
+  const currentTypes = new Set(conditions.map(condition => condition.type));
+  const created = [];
+  const retired = [];
+  
+  this.alerts.forEach(alert => {
+    if (alert.resolvedAt) return;
+    
+    const restockedSince = this.lastRestocked && this.lastRestocked > alert.createdAt;
+    if (!currentTypes.has(alert.type) || restockedSince) {
+      alert.isActive = false;
+      alert.resolvedAt = now;
+      retired.push(alert);
     }
   });
   
+  conditions.forEach(condition => {
+    const unresolved = this.alerts.find(a => a.type === condition.type && !a.resolvedAt);
+    if (!unresolved) {
+      this.alerts.push({ ...condition, createdAt: now });
+      created.push(this.alerts[this.alerts.length - 1]);
+    }
+  });
+  
+  return { created, retired };
+};
+
+// Method to create alerts
+inventorySchema.methods.checkAndCreateAlerts = function() {
+  this.syncAlerts();
   return this.save();
 };
 
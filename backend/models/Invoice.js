@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_METHODS = ['Cash', 'Credit Card', 'Debit Card', 'Bank Transfer', 'Check'];
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: [true, 'Reservation is required']
+  },
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  billTo: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  status: {
+    type: String,
+    enum: ['Draft', 'Issued', 'Partially Paid', 'Paid', 'Void'],
+    default: 'Draft'
+  },
+  lineItems: [{
+    kind: {
+      type: String,
+      enum: ['Booking', 'Beverage', 'Food', 'Charge', 'Custom'],
+      default: 'Custom'
+    },
+    description: {
+      type: String,
+      required: [true, 'Line description is required'],
+      maxlength: [200, 'Line description cannot exceed 200 characters']
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [0, 'Quantity cannot be negative']
+    },
+    unitPrice: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    taxable: {
+      type: Boolean,
+      default: true
+    },
+    needsPricing: {
+      type: Boolean, // generated from an item without a price; staff should set unitPrice
+      default: false
+    },
+    source: {
+      itemType: String,
+      item: mongoose.Schema.Types.ObjectId
+    }
+  }],
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [1, 'Tax rate must be a fraction (0.07 for 7%)']
+  },
+  gratuityRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Gratuity rate cannot be negative'],
+    max: [1, 'Gratuity rate must be a fraction (0.18 for 18%)']
+  },
+  subtotal: { type: Number, default: 0 },
+  taxableSubtotal: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 },
+  gratuity: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  amountPaid: { type: Number, default: 0 },
+  amountRefunded: { type: Number, default: 0 },
+  balanceDue: { type: Number, default: 0 },
+  payments: [{
+    kind: {
+      type: String,
+      enum: ['Payment', 'Refund'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Amount must be at least 0.01']
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['Succeeded', 'Failed'],
+      default: 'Succeeded'
+    },
+    isDeposit: {
+      type: Boolean,
+      default: false
+    },
+    provider: String,
+    providerReference: String,
+    refundOf: mongoose.Schema.Types.ObjectId, // payment a refund applies to
+    failureMessage: String,
+    notes: {
+      type: String,
+      maxlength: [300, 'Notes cannot exceed 300 characters']
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  issuedAt: Date,
+  dueDate: Date,
+  voidedAt: Date,
+  voidReason: String,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Price lines, apply tax and gratuity, and settle the ledger into a balance
+invoiceSchema.methods.recalculate = function() {
+  let subtotal = 0;
+  let taxableSubtotal = 0;
+
+  this.lineItems.forEach(line => {
+    line.amount = roundMoney((line.quantity || 0) * (line.unitPrice || 0));
+    subtotal += line.amount;
+    if (line.taxable) taxableSubtotal += line.amount;
+  });
+
+  this.subtotal = roundMoney(subtotal);
+  this.taxableSubtotal = roundMoney(taxableSubtotal);
+  this.tax = roundMoney(this.taxableSubtotal * (this.taxRate || 0));
+  // Gratuity is charged on the pre-tax subtotal
+  this.gratuity = roundMoney(this.subtotal * (this.gratuityRate || 0));
+  this.total = roundMoney(this.subtotal + this.tax + this.gratuity);
+
+  const settled = this.payments.filter(entry => entry.status === 'Succeeded');
+  this.amountPaid = roundMoney(settled.filter(e => e.kind === 'Payment').reduce((sum, e) => sum + e.amount, 0));
+  this.amountRefunded = roundMoney(settled.filter(e => e.kind === 'Refund').reduce((sum, e) => sum + e.amount, 0));
+  this.balanceDue = roundMoney(this.total - this.amountPaid + this.amountRefunded);
+
+  if (!['Draft', 'Void'].includes(this.status)) {
+    if (this.balanceDue <= 0) {
+      this.status = 'Paid';
+    } else if (this.amountPaid - this.amountRefunded > 0) {
+      this.status = 'Partially Paid';
+    } else {
+      this.status = 'Issued';
+    }
+  }
+};
+
+invoiceSchema.pre('save', function(next) {
+  this.recalculate();
+  next();
+});
+
+// Index for lookups and the outstanding report
+invoiceSchema.index({ reservation: 1 });
+invoiceSchema.index({ patron: 1, createdAt: -1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+invoiceSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// Same category keys as routes/beverages.js
+const CATEGORIES = ['cocktails', 'spirits', 'wines', 'beers', 'mocktails', 'non-alcoholic'];
+const SHELF_TIERS = ['lower', 'top', 'ultra'];
+const SORT_ORDERS = ['name', 'price', 'price-desc', 'rating'];
+const PAGE_SIZES = ['letter', 'a4'];
+
+const sectionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Section title is required'],
+    trim: true,
+    maxlength: [60, 'Section title cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Section description cannot exceed 200 characters']
+  },
+  categories: {
+    type: [{ type: String, enum: CATEGORIES }],
+    validate: [categories => categories.length > 0, 'A section needs at least one category']
+  },
+  // Spirit shelf tiers to list; empty lists every tier
+  tiers: [{
+    type: String,
+    enum: SHELF_TIERS
+  }],
+  // Narrow by the model's own type field (Spirit.type, Wine.type, Beer.type, Mocktail.category...)
+  types: [String],
+  sortBy: {
+    type: String,
+    enum: SORT_ORDERS,
+    default: 'name'
+  },
+  limit: {
+    type: Number,
+    min: [1, 'Section limit must be at least 1']
+  },
+  showDescription: {
+    type: Boolean,
+    default: true
+  },
+  showPricePerGlass: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// A printed or embedded menu, filled from the beverage catalog when rendered
+const menuLayoutSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Layout name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Layout name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  title: {
+    type: String,
+    required: [true, 'Menu title is required'],
+    maxlength: [100, 'Menu title cannot exceed 100 characters']
+  },
+  subtitle: {
+    type: String,
+    maxlength: [200, 'Subtitle cannot exceed 200 characters']
+  },
+  footer: {
+    type: String,
+    maxlength: [300, 'Footer cannot exceed 300 characters']
+  },
+  specials: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    title: {
+      type: String,
+      default: 'House Specials',
+      maxlength: [60, 'Specials title cannot exceed 60 characters']
+    },
+    categories: {
+      type: [{ type: String, enum: ['cocktails', 'mocktails'] }],
+      default: ['cocktails', 'mocktails']
+    },
+    limit: {
+      type: Number,
+      default: 6,
+      min: [1, 'Specials limit must be at least 1']
+    },
+    // Keep specials in their regular section as well as the specials box
+    repeatInSections: {
+      type: Boolean,
+      default: false
+    }
+  },
+  sections: [sectionSchema],
+  pageSize: {
+    type: String,
+    enum: PAGE_SIZES,
+    default: 'letter'
+  },
+  columns: {
+    type: Number,
+    enum: [1, 2],
+    default: 2
+  },
+  // Published layouts are served to the website widget without signing in
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+menuLayoutSchema.index({ isPublished: 1 });
+
+menuLayoutSchema.statics.CATEGORIES = CATEGORIES;
+menuLayoutSchema.statics.SHELF_TIERS = SHELF_TIERS;
+menuLayoutSchema.statics.SORT_ORDERS = SORT_ORDERS;
+menuLayoutSchema.statics.PAGE_SIZES = PAGE_SIZES;
+
+module.exports = mongoose.model('MenuLayout', menuLayoutSchema);
@@ -25,6 +25,10 @@ const mocktailSchema = new mongoose.Schema({
       type: String,
       enum: ['oz', 'ml', 'dash', 'splash', 'drop', 'piece', 'slice', 'wedge', 'sprig', 'cup', 'tbsp', 'tsp'],
       required: true
+    },
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory'
     }
   }],
   prepMethod: {
@@ -147,7 +151,25 @@ const mocktailSchema = new mongoose.Schema({
     vitamin_c: Number,
     fiber: Number
   },
-  healthBenefits: [String]
+  healthBenefits: [String],
+  // Last pour-cost calculation, refreshed when ingredient costs change
+  costing: {
+    pourCost: Number,
+    pourCostPct: Number,
+    grossMargin: Number,
+    grossMarginPct: Number,
+    targetMargin: Number,
+    belowTarget: {
+      type: Boolean,
+      default: false
+    },
+    complete: {
+      type: Boolean,
+      default: false
+    },
+    missing: [String], // ingredients that could not be costed
+    calculatedAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -166,6 +188,7 @@ mocktailSchema.pre('save', function(next) {
 mocktailSchema.index({ name: 'text', description: 'text', category: 'text' });
 mocktailSchema.index({ category: 1, isAvailable: 1 });
 mocktailSchema.index({ averageRating: -1 });
+mocktailSchema.index({ 'costing.belowTarget': 1 });
 mocktailSchema.index({ price: 1 });
 mocktailSchema.index({ isKidFriendly: 1, isVegan: 1, isGlutenFree: 1 });
 
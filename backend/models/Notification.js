@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const CATEGORIES = ['ultra_shelf', 'inventory', 'reservations', 'service', 'system'];
+const RETENTION_DAYS = Number(process.env.NOTIFICATION_RETENTION_DAYS || 90);
+
+// Staff notification, shared by every recipient in its audience; read and
+// dismissed state is kept per user so one owner clearing it doesn't clear it for all
+const notificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'] // e.g. ultra_shelf_request, inventory_alert
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    default: 'system'
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required']
+  },
+  message: String,
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  audience: {
+    type: [String], // user roles that receive it
+    default: ['Owner']
+  },
+  readBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  dismissedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+// Replay after an SSE reconnect walks _id order
+notificationSchema.index({ audience: 1, category: 1, _id: -1 });
+// NOTIFICATION_RETENTION_DAYS=0 keeps notifications forever
+if (RETENTION_DAYS > 0) {
+  notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+}
+
+// Client shape, with read/dismissed resolved for one user
+notificationSchema.statics.toClient = function(notification, userId) {
+  const hasUser = (list = []) => list.some(id => String(id) === String(userId));
+
+  return {
+    id: String(notification._id),
+    type: notification.type,
+    category: notification.category,
+    title: notification.title,
+    message: notification.message,
+    priority: notification.priority,
+    data: notification.data,
+    timestamp: notification.createdAt,
+    read: hasUser(notification.readBy),
+    dismissed: hasUser(notification.dismissedBy)
+  };
+};
+
+notificationSchema.statics.CATEGORIES = CATEGORIES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
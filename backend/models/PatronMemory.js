@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const SOURCES = ['conversation', 'note'];
+
+// Something Savannah remembers about a patron: a chunk of a past conversation or a note
+// the patron gave her, embedded for semantic recall (see services/patronMemoryService.js)
+const patronMemorySchema = new mongoose.Schema({
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patron is required']
+  },
+  source: {
+    type: String,
+    enum: SOURCES,
+    default: 'conversation'
+  },
+  sessionId: String, // conversation memories only
+  text: {
+    type: String,
+    required: [true, 'Memory text is required'],
+    maxlength: [1000, 'Memory cannot exceed 1000 characters']
+  },
+  embedding: {
+    type: [Number],
+    select: false
+  },
+  embeddingModel: {
+    type: String, // provider:model; vectors from different models are never compared
+    required: true
+  },
+  expiresAt: Date, // removed by the TTL index; unset keeps the memory until the patron forgets it
+  lastRecalledAt: Date,
+  recallCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+patronMemorySchema.index({ patron: 1, embeddingModel: 1, createdAt: -1 });
+patronMemorySchema.index({ patron: 1, sessionId: 1 });
+patronMemorySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Client shape; the embedding stays on the server
+patronMemorySchema.statics.toClient = function(memory) {
+  return {
+    id: String(memory._id),
+    source: memory.source,
+    sessionId: memory.sessionId,
+    text: memory.text,
+    createdAt: memory.createdAt,
+    expiresAt: memory.expiresAt || null,
+    lastRecalledAt: memory.lastRecalledAt || null,
+    recallCount: memory.recallCount || 0
+  };
+};
+
+patronMemorySchema.statics.SOURCES = SOURCES;
+
+module.exports = mongoose.model('PatronMemory', patronMemorySchema);
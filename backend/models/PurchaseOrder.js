@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: [true, 'PO number is required'],
+    unique: true,
+    trim: true
+  },
+  supplier: {
+    name: {
+      type: String,
+      required: [true, 'Supplier name is required'],
+      maxlength: [100, 'Supplier name cannot exceed 100 characters']
+    },
+    contact: String,
+    email: String,
+    phone: String
+  },
+  status: {
+    type: String,
+    enum: ['Draft', 'Sent', 'Received', 'Cancelled'],
+    default: 'Draft'
+  },
+  lines: [{
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: true
+    },
+    itemName: {
+      type: String,
+      required: true
+    },
+    unit: {
+      type: String,
+      required: true
+    },
+    quantityOnHand: {
+      type: Number,
+      min: [0, 'Quantity on hand cannot be negative']
+    },
+    reorderPoint: Number,
+    maximumStock: Number,
+    quantityOrdered: {
+      type: Number,
+      required: true,
+      min: [0, 'Ordered quantity cannot be negative']
+    },
+    quantityReceived: {
+      type: Number,
+      default: 0,
+      min: [0, 'Received quantity cannot be negative']
+    },
+    unitCost: {
+      type: Number,
+      default: 0,
+      min: [0, 'Unit cost cannot be negative']
+    },
+    lineTotal: {
+      type: Number,
+      default: 0
+    }
+  }],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sentAt: Date,
+  receivedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['Draft', 'Sent', 'Received', 'Cancelled'],
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Price lines and total before saving
+purchaseOrderSchema.pre('save', function(next) {
+  this.subtotal = 0;
+  this.lines.forEach(line => {
+    line.lineTotal = Math.round(line.quantityOrdered * (line.unitCost || 0) * 100) / 100;
+    this.subtotal += line.lineTotal;
+  });
+  this.subtotal = Math.round(this.subtotal * 100) / 100;
+  next();
+});
+
+// Method to change status with history
+purchaseOrderSchema.methods.changeStatus = function(newStatus, userId, reason = '') {
+  this.statusHistory.push({
+    status: newStatus,
+    changedBy: userId,
+    reason: `Changed from ${this.status} to ${newStatus}. ${reason}`.trim()
+  });
+
+  this.status = newStatus;
+  if (newStatus === 'Sent') this.sentAt = new Date();
+  if (newStatus === 'Received') {
+    this.receivedAt = new Date();
+    this.receivedBy = userId;
+  }
+};
+
+// Index for filtering
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'supplier.name': 1, status: 1 });
+purchaseOrderSchema.index({ 'lines.inventoryItem': 1, status: 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -55,6 +55,21 @@ const reservationSchema = new mongoose.Schema({
     enum: ['Bar', 'Table', 'Booth', 'Private Room', 'Outdoor', 'No Preference'],
     default: 'No Preference'
   },
+  allocation: {
+    area: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VenueArea'
+    },
+    areaName: String,
+    areaType: String,
+    tables: [{
+      tableId: mongoose.Schema.Types.ObjectId,
+      name: String,
+      capacity: Number
+    }],
+    seats: Number,
+    allocatedAt: Date
+  },
   specialRequests: {
     type: String,
     maxlength: [500, 'Special requests cannot exceed 500 characters']
@@ -95,6 +110,11 @@ const reservationSchema = new mongoose.Schema({
         type: Number,
         min: [0, 'Deposit amount cannot be negative']
       },
+      // Collected so far, from the invoice's deposit payments less refunds; amount is what is required
+      paidAmount: {
+        type: Number,
+        min: [0, 'Paid deposit cannot be negative']
+      },
       paid: {
         type: Boolean,
         default: false
@@ -140,6 +160,10 @@ const reservationSchema = new mongoose.Schema({
     }],
     food: [{
       name: String,
+      dish: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Dish' // set when the item comes from the dish catalog, so it can be paired
+      },
       description: String,
       quantity: Number,
       price: Number
@@ -197,7 +221,18 @@ const reservationSchema = new mongoose.Schema({
       default: false
     },
     sentAt: Date,
-    message: String
+    message: String,
+    automatic: {
+      type: Boolean, // created by the reminder scheduler on approval
+      default: false
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: String,
+    skippedAt: Date,
+    skipReason: String
   }]
 }, {
   timestamps: true
@@ -272,6 +307,8 @@ reservationSchema.index({ patronId: 1, startTime: 1 });
 reservationSchema.index({ status: 1, startTime: 1 });
 reservationSchema.index({ eventType: 1, startTime: 1 });
 reservationSchema.index({ startTime: 1, endTime: 1 });
+reservationSchema.index({ 'allocation.area': 1, startTime: 1 });
+reservationSchema.index({ status: 1, 'reminders.sent': 1, 'reminders.scheduledFor': 1 });
 reservationSchema.index({ 'contactInfo.email': 1 });
 reservationSchema.index({ 'contactInfo.phone': 1 });
 
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const ITEM_TYPES = ['Spirit', 'Wine', 'Beer', 'Cocktail', 'Mocktail', 'OtherNonAlcoholic'];
+const LEVELS = ['ok', 'caution', 'cutoff'];
+
+// What one patron was served during one visit, for responsible-service estimates
+const serviceLedgerSchema = new mongoose.Schema({
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patron is required']
+  },
+  patronName: String,
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastServedAt: Date,
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  entries: [{
+    itemType: {
+      type: String,
+      enum: ITEM_TYPES,
+      required: true
+    },
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'entries.itemType'
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    abv: {
+      type: Number, // percent, copied from the item when served
+      min: [0, 'ABV cannot be negative'],
+      max: [100, 'ABV cannot exceed 100%'],
+      default: 0
+    },
+    volumeMl: {
+      type: Number,
+      required: true,
+      min: [0, 'Volume cannot be negative']
+    },
+    standardDrinks: {
+      type: Number,
+      default: 0
+    },
+    servedAt: {
+      type: Date,
+      default: Date.now
+    },
+    servedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    voided: {
+      type: Boolean,
+      default: false
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Highest level reached this visit; staff are notified when it rises
+  flag: {
+    level: {
+      type: String,
+      enum: LEVELS,
+      default: 'ok'
+    },
+    raisedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+serviceLedgerSchema.index({ patron: 1, status: 1, lastServedAt: -1 });
+serviceLedgerSchema.index({ status: 1, 'flag.level': 1 });
+
+serviceLedgerSchema.statics.ITEM_TYPES = ITEM_TYPES;
+serviceLedgerSchema.statics.LEVELS = LEVELS;
+
+module.exports = mongoose.model('ServiceLedger', serviceLedgerSchema);
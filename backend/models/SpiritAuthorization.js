@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Ultra shelf access for one patron: either a request for a single spirit,
+// or an owner-granted standing approval covering a whole category for a night
+const spiritAuthorizationSchema = new mongoose.Schema({
+  patron: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patron is required']
+  },
+  patronName: {
+    type: String,
+    required: [true, 'Patron name is required']
+  },
+  kind: {
+    type: String,
+    enum: ['request', 'standing'],
+    default: 'request'
+  },
+  spiritId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Spirit',
+    required: [function() { return this.kind === 'request'; }, 'Spirit is required for a request']
+  },
+  scope: {
+    spiritType: String, // e.g. Whiskey; unset covers every ultra spirit
+    subType: String // e.g. Bourbon
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    maxlength: [300, 'Message cannot exceed 300 characters']
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  authorizedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  authorizedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    default: function() {
+      // Default 2-hour expiration
+      return new Date(Date.now() + 2 * 60 * 60 * 1000);
+    }
+  },
+  notes: String,
+  history: [{
+    action: {
+      type: String,
+      enum: ['requested', 'approved', 'denied', 'granted', 'revoked', 'expired'],
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId, // unset for system actions (expiry)
+      ref: 'User'
+    },
+    actorName: String,
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Method to append an audit entry (does not save)
+spiritAuthorizationSchema.methods.record = function(action, actor = null, note = '') {
+  this.history.push({
+    action,
+    actor: actor ? actor.id : undefined,
+    actorName: actor ? actor.fullName : 'System',
+    note
+  });
+};
+
+// Whether an approved standing approval covers a spirit
+spiritAuthorizationSchema.methods.covers = function(spirit) {
+  if (this.kind !== 'standing') {
+    return String(this.spiritId?._id || this.spiritId) === String(spirit._id);
+  }
+  if (this.scope?.spiritType && this.scope.spiritType !== spirit.type) return false;
+  if (this.scope?.subType && this.scope.subType !== spirit.subType) return false;
+  return true;
+};
+
+spiritAuthorizationSchema.index({ patron: 1, status: 1, expiresAt: 1 });
+spiritAuthorizationSchema.index({ status: 1, requestedAt: -1 });
+spiritAuthorizationSchema.index({ 'history.timestamp': -1 });
+
+module.exports = mongoose.model('SpiritAuthorization', spiritAuthorizationSchema);
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const stockCountSchema = new mongoose.Schema({
+  section: {
+    type: String,
+    enum: ['Bar', 'Storage', 'Cooler', 'Freezer', 'Wine Cellar', 'Dry Storage', 'Office'],
+    required: [true, 'Section is required']
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Closed', 'Cancelled'],
+    default: 'Open'
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  entries: [{
+    inventoryItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory',
+      required: true
+    },
+    itemName: {
+      type: String,
+      required: true
+    },
+    unit: String,
+    unitCost: {
+      type: Number,
+      default: 0
+    },
+    systemQuantity: {
+      type: Number, // system quantity when the item was counted (at open until counted)
+      required: true
+    },
+    countedQuantity: {
+      type: Number,
+      min: [0, 'Counted quantity cannot be negative']
+    },
+    countedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    countedAt: Date,
+    variance: Number,
+    varianceValue: Number,
+    adjusted: {
+      type: Boolean,
+      default: false
+    },
+    notes: {
+      type: String,
+      maxlength: [300, 'Notes cannot exceed 300 characters']
+    }
+  }],
+  totals: {
+    itemsInSection: { type: Number, default: 0 },
+    itemsCounted: { type: Number, default: 0 },
+    itemsWithVariance: { type: Number, default: 0 },
+    shrinkageValue: { type: Number, default: 0 },
+    overageValue: { type: Number, default: 0 },
+    netVarianceValue: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Recalculate per-entry variance and session totals
+stockCountSchema.methods.recalculateTotals = function() {
+  const totals = {
+    itemsInSection: this.entries.length,
+    itemsCounted: 0,
+    itemsWithVariance: 0,
+    shrinkageValue: 0,
+    overageValue: 0,
+    netVarianceValue: 0
+  };
+
+  this.entries.forEach(entry => {
+    if (entry.countedQuantity === undefined || entry.countedQuantity === null) return;
+
+    entry.variance = Math.round((entry.countedQuantity - entry.systemQuantity) * 10000) / 10000;
+    entry.varianceValue = roundMoney(entry.variance * (entry.unitCost || 0));
+
+    totals.itemsCounted += 1;
+    if (entry.variance !== 0) totals.itemsWithVariance += 1;
+    if (entry.varianceValue < 0) totals.shrinkageValue += entry.varianceValue;
+    if (entry.varianceValue > 0) totals.overageValue += entry.varianceValue;
+    totals.netVarianceValue += entry.varianceValue;
+  });
+
+  totals.shrinkageValue = roundMoney(totals.shrinkageValue);
+  totals.overageValue = roundMoney(totals.overageValue);
+  totals.netVarianceValue = roundMoney(totals.netVarianceValue);
+  this.totals = totals;
+};
+
+stockCountSchema.pre('save', function(next) {
+  this.recalculateTotals();
+  next();
+});
+
+// Index for week-over-week reporting
+stockCountSchema.index({ section: 1, status: 1, closedAt: -1 });
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
@@ -1,6 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// One face login enrollment; which field is set depends on the provider that made it
+const faceSampleSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  descriptor: [Number], // local provider: landmark descriptor
+  faceId: String, // rekognition provider: indexed face in the collection
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   fullName: {
     type: String,
@@ -29,13 +43,27 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['Patron', 'Bartender'],
+    enum: ['Patron', 'Bartender', 'Owner'], // Owner is assigned with scripts/setUserRole.js, never at registration
     default: 'Patron'
   },
   awsRekognitionId: {
-    type: String,
+    type: String, // latest face indexed in the Rekognition collection
     default: null
   },
+  faceAuth: {
+    provider: {
+      type: String,
+      default: null
+    },
+    enrolledAt: {
+      type: Date,
+      default: null
+    },
+    samples: {
+      type: [faceSampleSchema],
+      select: false
+    }
+  },
   profileImage: {
     type: String,
     default: null
@@ -48,12 +76,38 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  calendarFeedTokenHash: {
+    type: String, // sha256 of the iCal feed token; the token itself is only shown once
+    select: false
+  },
   preferences: {
     favoriteCategories: [String],
     dietaryRestrictions: [String],
     notifications: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: false }
+    },
+    // What Savannah remembers between visits (see services/patronMemoryService.js)
+    memory: {
+      enabled: { type: Boolean, default: true },
+      retentionDays: {
+        type: Number, // unset uses PATRON_MEMORY_TTL_DAYS
+        min: [1, 'Memories must be kept for at least 1 day'],
+        max: [3650, 'Memories cannot be kept for more than 10 years']
+      }
+    }
+  },
+  // Optional; lets responsible-service estimates use BAC instead of drink counts
+  serviceProfile: {
+    weightKg: {
+      type: Number,
+      min: [30, 'Weight must be at least 30 kg'],
+      max: [300, 'Weight cannot exceed 300 kg']
+    },
+    sex: {
+      type: String,
+      enum: ['male', 'female', 'unspecified'],
+      default: 'unspecified'
     }
   }
 }, {
@@ -83,7 +137,12 @@ userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.awsRekognitionId;
+  delete userObject.calendarFeedTokenHash;
+  if (userObject.faceAuth) delete userObject.faceAuth.samples;
   return userObject;
 };
 
+userSchema.index({ calendarFeedTokenHash: 1 }, { sparse: true });
+userSchema.index({ 'faceAuth.provider': 1 }, { sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const venueAreaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Area name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [60, 'Area name cannot exceed 60 characters']
+  },
+  areaType: {
+    type: String,
+    enum: ['Bar', 'Table', 'Booth', 'Private Room', 'Outdoor'], // matches Reservation.seatingPreference
+    required: [true, 'Area type is required']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  capacity: {
+    type: Number, // seats available for areas without tables (bar stools, patio standing room)
+    required: [true, 'Capacity is required'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  isExclusive: {
+    type: Boolean, // the whole area goes to a single party (private room buyouts)
+    default: false
+  },
+  tablesCombinable: {
+    type: Boolean, // larger parties may be seated across several free tables
+    default: true
+  },
+  tables: [{
+    name: {
+      type: String,
+      required: [true, 'Table name is required'],
+      trim: true
+    },
+    capacity: {
+      type: Number,
+      required: [true, 'Table capacity is required'],
+      min: [1, 'Table capacity must be at least 1']
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Areas with tables seat exactly what their tables seat
+venueAreaSchema.pre('save', function(next) {
+  const activeTables = this.tables.filter(table => table.isActive);
+  if (activeTables.length > 0) {
+    this.capacity = activeTables.reduce((sum, table) => sum + table.capacity, 0);
+  }
+  next();
+});
+
+venueAreaSchema.index({ areaType: 1, isActive: 1 });
+
+module.exports = mongoose.model('VenueArea', venueAreaSchema);
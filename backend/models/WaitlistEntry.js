@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  patronId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patron ID is required']
+  },
+  status: {
+    type: String,
+    enum: ['Waiting', 'Offered', 'Accepted', 'Declined', 'Expired', 'Cancelled'],
+    default: 'Waiting'
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  guestCount: {
+    type: Number,
+    required: [true, 'Guest count is required'],
+    min: [1, 'Guest count must be at least 1'],
+    max: [200, 'Guest count cannot exceed 200']
+  },
+  seatingPreference: {
+    type: String,
+    enum: ['Bar', 'Table', 'Booth', 'Private Room', 'Outdoor', 'No Preference'],
+    default: 'No Preference'
+  },
+  eventTitle: {
+    type: String,
+    required: [true, 'Event title is required'],
+    trim: true,
+    maxlength: [100, 'Event title cannot exceed 100 characters']
+  },
+  eventType: {
+    type: String,
+    enum: ['Birthday Party', 'Corporate Event', 'Private Party', 'Wedding Reception', 'Happy Hour', 'Live Music', 'Trivia Night', 'Other'],
+    required: [true, 'Event type is required']
+  },
+  eventDescription: String,
+  specialRequests: String,
+  contactInfo: {
+    phone: {
+      type: String,
+      required: [true, 'Phone number is required']
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required']
+    }
+  },
+  offer: {
+    offeredAt: Date,
+    expiresAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId, // reservation whose denial/cancellation freed the slot
+      ref: 'Reservation'
+    },
+    allocation: mongoose.Schema.Types.Mixed // seats held for the patron while the offer is open
+  },
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId, // created when the offer is accepted
+    ref: 'Reservation'
+  },
+  history: [{
+    status: String,
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Method to change status with history (does not save)
+waitlistEntrySchema.methods.changeStatus = function(newStatus, note = '') {
+  this.history.push({ status: newStatus, note });
+  this.status = newStatus;
+};
+
+// Queue order is first come, first served
+waitlistEntrySchema.index({ status: 1, startTime: 1, createdAt: 1 });
+waitlistEntrySchema.index({ patronId: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -1,11 +1,37 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const faceAuthService = require('../services/faceAuthService');
 const router = express.Router();
 
+// Face login is guessable by repetition, so it gets a much tighter budget than the global limiter
+const faceLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: Number(process.env.FACE_LOGIN_RATE_LIMIT || 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many face login attempts. Please wait and try again, or sign in with your password.' }
+});
+
+const faceEnrollLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user.id,
+  message: { success: false, message: 'Too many face enrollment attempts. Please try again later.' }
+});
+
+const faceStatus = (code) => {
+  if (code === 'NOT_FOUND') return 404;
+  if (code === 'FACE_LOGIN_NOT_ALLOWED') return 403;
+  return 400;
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -192,9 +218,13 @@ router.post('/login', [
 // @desc    Login using facial recognition
 // @access  Public
 router.post('/facial-login', [
+  faceLoginLimiter,
   body('faceData')
-    .exists()
+    .isObject()
     .withMessage('Face data is required'),
+  body('faceData.frames')
+    .isArray({ min: 1 })
+    .withMessage('Face data must include landmark frames'),
   body('email')
     .optional()
     .isEmail()
@@ -212,11 +242,46 @@ router.post('/facial-login', [
 
     const { faceData, email } = req.body;
 
-    // TODO: Implement AWS Rekognition integration
-    // For now, return a placeholder response
-    res.status(501).json({
-      success: false,
-      message: 'Facial recognition login not yet implemented. AWS Rekognition integration required.'
+    const result = await faceAuthService.authenticate({ faceData, email });
+    if (!result.success) {
+      return res.status(faceStatus(result.code)).json({
+        success: false,
+        message: result.message,
+        code: result.code
+      });
+    }
+
+    const { user } = result;
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Generate JWT token
+    const payload = {
+      user: {
+        id: user.id,
+        role: user.role
+      }
+    };
+
+    const token = jwt.sign(
+      payload,
+      process.env.JWT_SECRET || 'fallback_secret',
+      { expiresIn: '7d' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      user: {
+        id: user.id,
+        fullName: user.fullName,
+        email: user.email,
+        role: user.role,
+        lastLogin: user.lastLogin
+      }
     });
 
   } catch (error) {
@@ -228,6 +293,126 @@ router.post('/facial-login', [
   }
 });
 
+// @route   GET /api/auth/face/requirements
+// @desc    What a face capture must include for the configured provider
+// @access  Public
+router.get('/face/requirements', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      requirements: faceAuthService.getCaptureRequirements()
+    });
+  } catch (error) {
+    console.error('Face requirements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/face
+// @desc    Face login enrollment status for the current user
+// @access  Private
+router.get('/face', auth, async (req, res) => {
+  try {
+    const result = await faceAuthService.getStatus(req.user.id);
+    if (!result.success) {
+      return res.status(faceStatus(result.code)).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      face: result.status
+    });
+
+  } catch (error) {
+    console.error('Get face status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/face/enroll
+// @desc    Enroll a face sample for face login
+// @access  Private
+router.post('/face/enroll', [
+  auth,
+  faceEnrollLimiter,
+  body('faceData')
+    .isObject()
+    .withMessage('Face data is required'),
+  body('faceData.frames')
+    .isArray({ min: 1 })
+    .withMessage('Face data must include landmark frames')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await faceAuthService.enroll(req.user.id, req.body.faceData);
+    if (!result.success) {
+      return res.status(faceStatus(result.code)).json({
+        success: false,
+        message: result.message,
+        code: result.code
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Face enrolled successfully',
+      face: result.status
+    });
+
+  } catch (error) {
+    console.error('Face enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during face enrollment'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/face
+// @desc    Remove every enrolled face sample and turn off face login
+// @access  Private
+router.delete('/face', auth, async (req, res) => {
+  try {
+    const result = await faceAuthService.remove(req.user.id);
+    if (!result.success) {
+      return res.status(faceStatus(result.code)).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Face login removed',
+      face: result.status
+    });
+
+  } catch (error) {
+    console.error('Face removal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during face removal'
+    });
+  }
+});
+
 // @route   GET /api/auth/verify-bartender-request
 // @desc    Verify bartender role request via email
 // @access  Public
@@ -298,7 +483,15 @@ router.put('/profile', [
   body('mobileNumber')
     .optional()
     .matches(/^\+?[\d\s\-\(\)]+$/)
-    .withMessage('Please provide a valid mobile number')
+    .withMessage('Please provide a valid mobile number'),
+  body('serviceProfile.weightKg')
+    .optional({ nullable: true })
+    .isFloat({ min: 30, max: 300 })
+    .withMessage('Weight must be between 30 and 300 kg'),
+  body('serviceProfile.sex')
+    .optional()
+    .isIn(['male', 'female', 'unspecified'])
+    .withMessage('Sex must be male, female or unspecified')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -310,12 +503,13 @@ router.put('/profile', [
       });
     }
 
-    const { fullName, mobileNumber, preferences } = req.body;
+    const { fullName, mobileNumber, preferences, serviceProfile } = req.body;
     
     const updateFields = {};
     if (fullName) updateFields.fullName = fullName;
     if (mobileNumber) updateFields.mobileNumber = mobileNumber;
     if (preferences) updateFields.preferences = preferences;
+    if (serviceProfile) updateFields.serviceProfile = serviceProfile;
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -10,6 +10,9 @@ const Beer = require('../models/Beer');
 const Mocktail = require('../models/Mocktail');
 const OtherNonAlcoholic = require('../models/OtherNonAlcoholic');
 const Inventory = require('../models/Inventory');
+const beverageSearchService = require('../services/beverageSearchService');
+const menuCostingService = require('../services/menuCostingService');
+const catalogTransferService = require('../services/catalogTransferService');
 
 const router = express.Router();
 
@@ -23,6 +26,17 @@ const beverageModels = {
   'non-alcoholic': OtherNonAlcoholic
 };
 
+// Reprice a cocktail or mocktail after its recipe or price changes
+const recostDrink = async (category, beverage) => {
+  if (!menuCostingService.models[category]) return;
+
+  try {
+    await menuCostingService.recalculate(category, beverage.toObject());
+  } catch (error) {
+    console.error('Menu costing error:', error);
+  }
+};
+
 // @route   GET /api/beverages/available
 // @desc    Get all available beverages (checks inventory)
 // @access  Public
@@ -74,6 +88,59 @@ router.get('/available', async (req, res) => {
   }
 });
 
+// @route   GET /api/beverages/search
+// @desc    Search across all beverage categories with typo tolerance and facets
+// @access  Public
+// Registered before /:category so neither path is swallowed by it; /search/global is kept for older clients
+router.get(['/search', '/search/global'], [
+  query('q').optional().trim().isLength({ max: 100 }).withMessage('Search query cannot exceed 100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('priceBand').optional().custom(value => String(value).split(',')
+    .every(band => beverageSearchService.PRICE_BANDS.some(candidate => candidate.value === band.trim())))
+    .withMessage('Unknown price band'),
+  query('dietary').optional().custom(value => String(value).split(',')
+    .every(flag => beverageSearchService.DIETARY_FLAGS.includes(flag.trim())))
+    .withMessage(`Dietary flags must be among: ${beverageSearchService.DIETARY_FLAGS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q = '', category, spiritType, shelfTier, priceBand, dietary, limit, page, includeUnavailable } = req.query;
+
+    const search = await beverageSearchService.search(q, {
+      category,
+      spiritType,
+      shelfTier,
+      priceBand,
+      dietary,
+      limit,
+      page,
+      includeUnavailable: includeUnavailable === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: search.results.length,
+      ...search
+    });
+
+  } catch (error) {
+    console.error('Beverage search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error performing search'
+    });
+  }
+});
+
 // @route   GET /api/beverages/:category
 // @desc    Get beverages by category with filtering and pagination
 // @access  Public
@@ -184,6 +251,115 @@ router.get('/:category', [
   }
 });
 
+// @route   GET /api/beverages/:category/export
+// @desc    Export a whole category as CSV or JSON that imports back unchanged
+// @access  Private (Bartender only)
+// Registered before /:category/:id so "export" is not taken for an ID
+router.get('/:category/export', [
+  auth,
+  bartenderOnly,
+  query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!beverageModels[req.params.category]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid beverage category'
+      });
+    }
+
+    const file = await catalogTransferService.export(req.params.category, req.query.format);
+
+    res.type(file.contentType);
+    res.attachment(file.filename);
+    res.send(file.body);
+
+  } catch (error) {
+    console.error('Export beverages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting beverages'
+    });
+  }
+});
+
+// @route   POST /api/beverages/:category/import
+// @desc    Check a CSV or JSON import against the schema and show the diff; apply it with dryRun false
+// @access  Private (Bartender only)
+router.post('/:category/import', [
+  auth,
+  bartenderOnly,
+  body('format').isIn(['csv', 'json']).withMessage('Format must be csv or json'),
+  body('data').exists({ checkNull: true }).withMessage('Import data is required'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category } = req.params;
+    if (!beverageModels[category]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid beverage category'
+      });
+    }
+
+    const result = await catalogTransferService.import(category, {
+      format: req.body.format,
+      data: req.body.data,
+      dryRun: req.body.dryRun !== false && req.body.dryRun !== 'false'
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+        report: result.report
+      });
+    }
+
+    if (result.saved.length > 0) {
+      beverageSearchService.invalidate();
+      for (const beverage of result.saved) {
+        await recostDrink(category, beverage);
+      }
+    }
+
+    const { summary } = result.report;
+    res.json({
+      success: true,
+      message: result.report.dryRun
+        ? `Dry run: ${summary.create} to create, ${summary.update} to update, ${summary.unchanged} unchanged, ${summary.errors} invalid`
+        : `Imported ${summary.create} new and ${summary.update} updated ${category}`,
+      report: result.report
+    });
+
+  } catch (error) {
+    console.error('Import beverages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error importing beverages'
+    });
+  }
+});
+
 // @route   GET /api/beverages/:category/:id
 // @desc    Get single beverage by ID
 // @access  Public
@@ -265,6 +441,9 @@ router.post('/:category', [
     const beverage = new Model(req.body);
     await beverage.save();
 
+    beverageSearchService.invalidate();
+    await recostDrink(category, beverage);
+
     res.status(201).json({
       success: true,
       message: 'Beverage created successfully',
@@ -322,6 +501,11 @@ router.put('/:category/:id', [
       });
     }
 
+    beverageSearchService.invalidate();
+    if (req.body.price !== undefined || req.body.ingredients !== undefined) {
+      await recostDrink(category, beverage);
+    }
+
     res.json({
       success: true,
       message: 'Beverage updated successfully',
@@ -361,6 +545,8 @@ router.delete('/:category/:id', bartenderOnly, async (req, res) => {
       });
     }
 
+    beverageSearchService.invalidate();
+
     res.json({
       success: true,
       message: 'Beverage deleted successfully'
@@ -503,64 +689,4 @@ router.post('/:category/:id/favorite', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/beverages/search/global
-// @desc    Global search across all beverage categories
-// @access  Public
-router.get('/search/global', [
-  query('q').trim().isLength({ min: 1 }).withMessage('Search query is required'),
-  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { q: searchQuery, limit = 20 } = req.query;
-    const results = [];
-
-    // Search across all beverage categories
-    for (const [categoryName, Model] of Object.entries(beverageModels)) {
-      const beverages = await Model.find(
-        { $text: { $search: searchQuery } },
-        { score: { $meta: 'textScore' } }
-      )
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(Math.ceil(limit / Object.keys(beverageModels).length))
-      .lean();
-
-      // Add category info to results
-      const beveragesWithCategory = beverages.map(beverage => ({
-        ...beverage,
-        category: categoryName,
-        type: categoryName.slice(0, -1)
-      }));
-
-      results.push(...beveragesWithCategory);
-    }
-
-    // Sort by text score and limit results
-    results.sort((a, b) => (b.score || 0) - (a.score || 0));
-    const limitedResults = results.slice(0, parseInt(limit));
-
-    res.json({
-      success: true,
-      count: limitedResults.length,
-      query: searchQuery,
-      results: limitedResults
-    });
-
-  } catch (error) {
-    console.error('Global search error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error performing search'
-    });
-  }
-});
-
 module.exports = router;
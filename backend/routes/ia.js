@@ -1,64 +1,21 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, isStaff } = require('../middleware/auth');
 
 // Import models for context
 const Cocktail = require('../models/Cocktail');
-const Spirit = require('../models/Spirit');
-const Wine = require('../models/Wine');
-const Beer = require('../models/Beer');
-const Mocktail = require('../models/Mocktail');
-const OtherNonAlcoholic = require('../models/OtherNonAlcoholic');
 const User = require('../models/User');
 const Reservation = require('../models/Reservation');
 const ConversationSession = require('../models/ConversationSession');
+const serviceLedgerService = require('../services/serviceLedgerService');
+const llmGateway = require('../services/llmGateway');
+const inventoryContextBuilder = require('../services/inventoryContextBuilder');
+const iaToolService = require('../services/iaToolService');
+const patronMemoryService = require('../services/patronMemoryService');
+const { wantsStream, streamChatReply } = require('../services/chatStream');
 
 const router = express.Router();
 
-// Initialize Gemini AI client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// Smart model selection for optimal cost/performance
-const getOptimalModel = (requestType, complexity = 'medium') => {
-  // Use Flash-Lite for high-volume, simple requests
-  if (complexity === 'low' || requestType === 'simple') {
-    return genAI.getGenerativeModel({ 
-      model: "gemini-2.5-flash-lite",
-      generationConfig: {
-        temperature: 0.7,
-        topP: 0.8,
-        topK: 40,
-        maxOutputTokens: 1024,
-      }
-    });
-  }
-  
-  // Use Flash for most requests (best balance)
-  if (complexity === 'medium' || requestType === 'chat') {
-    return genAI.getGenerativeModel({ 
-      model: "gemini-2.5-flash",
-      generationConfig: {
-        temperature: 0.8,
-        topP: 0.9,
-        topK: 40,
-        maxOutputTokens: 2048,
-      }
-    });
-  }
-  
-  // Use Pro for complex reasoning tasks
-  return genAI.getGenerativeModel({ 
-    model: "gemini-2.5-pro",
-    generationConfig: {
-      temperature: 0.9,
-      topP: 0.95,
-      topK: 40,
-      maxOutputTokens: 4096,
-    }
-  });
-};
-
 // Enhanced system prompt for the Nauti Bouys IA with personality and emotion awareness
 const SYSTEM_PROMPT = `You are the Nauti Bouys Intelligent Assistant, an advanced AI bartender and concierge with emotional intelligence. Your personality is:
 
@@ -95,13 +52,54 @@ MEMORY & LEARNING:
 
 Always maintain warmth while being sophisticated, remember the patron's journey, and focus on creating memorable experiences at Nauti Bouys.`;
 
+// Added to prompts once the service ledger flags a patron (see services/serviceLedgerService.js)
+const RESPONSIBLE_SERVICE_PROMPT = `RESPONSIBLE SERVICE:
+This patron has reached our responsible-service limit for this visit. Recommend only mocktails and non-alcoholic drinks from the list provided, never alcoholic ones, even if asked.
+Do not mention blood alcohol, drink counts or being cut off; keep the tone warm and make the alternatives sound appealing. Offering water is always welcome.`;
+
+// Follows CURRENT INVENTORY in every prompt (see services/inventoryContextBuilder.js)
+const INVENTORY_RULES = `INVENTORY RULES:
+Everything listed under CURRENT INVENTORY is in stock right now. Only recommend drinks from that list; if a patron asks for something that is not listed, say we are out of it or do not carry it and suggest a listed alternative.
+Spirits marked ULTRA SHELF - AUTHORIZATION REQUIRED need the owner's approval before they can be poured: offer to request it for the patron, never promise a pour.`;
+
+const buildInventoryPrompt = (inventory) => `CURRENT INVENTORY:
+${inventory.formattedInventory || 'Nothing matching this request is in stock right now.'}
+${INVENTORY_RULES}`;
+
+// An active session that belongs to the caller; other users' sessions are not found
+const findOwnSession = (sessionId, userId) => ConversationSession.findOne({ sessionId, userId, isActive: true });
+
+// HTTP status for a failed patron memory result
+const memoryStatus = (code) => {
+  if (code === 'NOT_FOUND') return 404;
+  if (code === 'MEMORY_DISABLED') return 409;
+  return 400;
+};
+
+// Learning hints for the client, read from the patron's message and the assistant's reply
+const getRecommendedActions = (message, reply, emotionalState) => {
+  const recommendedActions = [];
+  if (reply.toLowerCase().includes('recommend')) {
+    recommendedActions.push('learn:interested_in_recommendations');
+  }
+  if (message.toLowerCase().includes('favorite') || message.toLowerCase().includes('love')) {
+    recommendedActions.push('learn:expressed_preference');
+  }
+  if (emotionalState?.primary && emotionalState.primary !== 'neutral') {
+    recommendedActions.push(`learn:emotional_state_${emotionalState.primary}`);
+  }
+  return recommendedActions;
+};
+
 // @route   POST /api/ia/chat
-// @desc    Chat with the Intelligent Assistant
+// @desc    Chat with the Intelligent Assistant; streams server-sent events when `stream` is true
+//          or the client accepts text/event-stream (see services/chatStream.js)
 // @access  Private
 router.post('/chat', [
   auth,
   body('message').trim().isLength({ min: 1, max: 1000 }).withMessage('Message is required and must be under 1000 characters'),
-  body('conversationId').optional().isString().withMessage('Conversation ID must be a string')
+  body('conversationId').optional().isString().withMessage('Conversation ID must be a string'),
+  body('stream').optional().isBoolean().withMessage('Stream must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -122,26 +120,11 @@ router.post('/chat', [
       role: user.role,
       preferences: user.preferences || {}
     };
+    const responsibleService = await serviceLedgerService.getGuidance(req.user.id);
+    const skipAlcohol = responsibleService.steerToNonAlcoholic;
 
-    // Get recent beverages for context (top-rated and available)
-    const [cocktails, spirits, wines, beers, mocktails, nonAlcoholic] = await Promise.all([
-      Cocktail.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(5).lean(),
-      Spirit.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(5).lean(),
-      Wine.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(5).lean(),
-      Beer.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(5).lean(),
-      Mocktail.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(5).lean(),
-      OtherNonAlcoholic.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(5).lean()
-    ]);
-
-    // Build context about available beverages
-    const beverageContext = {
-      cocktails: cocktails.map(c => ({ name: c.name, description: c.description, price: c.price, rating: c.averageRating })),
-      spirits: spirits.map(s => ({ name: s.name, brand: s.brand, type: s.type, price: s.price, rating: s.averageRating })),
-      wines: wines.map(w => ({ name: w.name, winery: w.winery, type: w.type, vintage: w.vintage, price: w.price, rating: w.averageRating })),
-      beers: beers.map(b => ({ name: b.name, brewery: b.brewery, style: b.style, price: b.price, rating: b.averageRating })),
-      mocktails: mocktails.map(m => ({ name: m.name, description: m.description, price: m.price, rating: m.averageRating })),
-      nonAlcoholic: nonAlcoholic.map(n => ({ name: n.name, category: n.category, price: n.price, rating: n.averageRating }))
-    };
+    // Retrieve in-stock beverages relevant to the question
+    const inventory = await inventoryContextBuilder.buildContextForAI(message, { skipAlcohol, patronId: req.user.id });
 
     // Get upcoming events/reservations for context
     const upcomingEvents = await Reservation.find({
@@ -155,13 +138,8 @@ router.post('/chat', [
 
     // Build enhanced context message
     const contextMessage = `Current user: ${userContext.name} (${userContext.role})
-Available beverages summary:
-- Top Cocktails: ${beverageContext.cocktails.map(c => c.name).join(', ')}
-- Top Spirits: ${beverageContext.spirits.map(s => `${s.brand} ${s.name}`).join(', ')}
-- Top Wines: ${beverageContext.wines.map(w => `${w.winery} ${w.name} (${w.vintage})`).join(', ')}
-- Top Beers: ${beverageContext.beers.map(b => `${b.brewery} ${b.name}`).join(', ')}
-- Top Mocktails: ${beverageContext.mocktails.map(m => m.name).join(', ')}
-- Non-Alcoholic: ${beverageContext.nonAlcoholic.map(n => n.name).join(', ')}
+
+${buildInventoryPrompt(inventory)}
 
 Upcoming events: ${upcomingEvents.map(e => `${e.eventTitle} (${e.eventType}) on ${e.startTime.toDateString()}`).join(', ') || 'None scheduled'}
 
@@ -173,54 +151,64 @@ User preferences: ${JSON.stringify(userContext.preferences)}`;
                      message.toLowerCase().includes('complex') ||
                      message.length > 200;
     
-    const complexity = isComplex ? 'medium' : 'low';
-    const model = getOptimalModel('chat', complexity);
 
-    // Build comprehensive context for Gemini's 1M token window
+    // Build comprehensive context for the model
     const fullContext = `${SYSTEM_PROMPT}
-
+${skipAlcohol ? `\n${RESPONSIBLE_SERVICE_PROMPT}\n` : ''}
 CURRENT CONTEXT:
 ${contextMessage}
 
 USER MESSAGE: ${message}`;
 
-    // Call Gemini 2.5 Flash API
-    const result = await model.generateContent(fullContext);
-    const aiResponse = result.response.text();
+    const route = isComplex ? 'chat' : 'chat.simple';
+    const resolvedConversationId = conversationId || `conv_${Date.now()}_${req.user.id}`;
 
     // Log the conversation for analytics (optional)
     console.log(`IA Chat - User: ${user.fullName}, Message: ${message.substring(0, 100)}...`);
 
+    if (wantsStream(req)) {
+      await streamChatReply({
+        req,
+        res,
+        route,
+        prompt: fullContext,
+        finish: (reply) => ({
+          conversationId: resolvedConversationId,
+          recommendedActions: getRecommendedActions(message, reply.text),
+          responsibleService,
+          inventoryContext: inventory.summary,
+          timestamp: new Date().toISOString()
+        })
+      });
+      return;
+    }
+
+    const result = await llmGateway.generate({ route, prompt: fullContext });
+    const aiResponse = result.text;
+
     res.json({
       success: true,
       response: aiResponse,
-      conversationId: conversationId || `conv_${Date.now()}_${req.user.id}`,
+      conversationId: resolvedConversationId,
+      recommendedActions: getRecommendedActions(message, aiResponse),
       timestamp: new Date().toISOString(),
-      model: complexity === 'low' ? 'gemini-2.5-flash-lite' : 'gemini-2.5-flash',
-      usage: {
-        inputTokens: result.response.usageMetadata?.promptTokenCount || 0,
-        outputTokens: result.response.usageMetadata?.candidatesTokenCount || 0,
-        totalTokens: result.response.usageMetadata?.totalTokenCount || 0
-      }
+      model: result.model,
+      provider: result.provider,
+      responsibleService,
+      inventoryContext: inventory.summary,
+      usage: result.usage
     });
 
   } catch (error) {
     console.error('IA Chat error:', error);
     
-    // Handle specific OpenAI errors
-    if (error.code === 'insufficient_quota') {
+    // Every configured provider failed or timed out (see services/llmGateway.js)
+    if (error.code === 'LLM_UNAVAILABLE') {
       return res.status(503).json({
         success: false,
         message: 'AI service temporarily unavailable. Please try again later.'
       });
     }
-    
-    if (error.code === 'rate_limit_exceeded') {
-      return res.status(429).json({
-        success: false,
-        message: 'Too many requests. Please wait a moment before trying again.'
-      });
-    }
 
     res.status(500).json({
       success: false,
@@ -249,46 +237,24 @@ router.post('/recommend', [
       });
     }
 
-    const { preferences = {}, occasion, mood, excludeAlcohol = false } = req.body;
+    const { preferences = {}, occasion, mood } = req.body;
+    const responsibleService = await serviceLedgerService.getGuidance(req.user.id);
+    const excludeAlcohol = req.body.excludeAlcohol === true || responsibleService.steerToNonAlcoholic;
 
-    // Build query based on preferences
-    let beverageQueries = [];
-    
-    if (!excludeAlcohol) {
-      beverageQueries.push(
-        Cocktail.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(3).lean(),
-        Spirit.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(3).lean(),
-        Wine.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(3).lean(),
-        Beer.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(3).lean()
-      );
-    }
-    
-    beverageQueries.push(
-      Mocktail.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(3).lean(),
-      OtherNonAlcoholic.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(3).lean()
+    // Retrieve in-stock beverages matching what was asked for
+    const inventory = await inventoryContextBuilder.buildContextForAI(
+      [occasion, mood, ...Object.values(preferences).flat()].filter(value => typeof value === 'string').join(' '),
+      { topN: 3, skipAlcohol: excludeAlcohol, patronId: req.user.id }
     );
 
-    const results = await Promise.all(beverageQueries);
-    
-    let recommendations = [];
-    const categories = excludeAlcohol 
-      ? ['mocktails', 'nonAlcoholic']
-      : ['cocktails', 'spirits', 'wines', 'beers', 'mocktails', 'nonAlcoholic'];
-    
-    results.forEach((items, index) => {
-      const category = categories[index];
-      items.forEach(item => {
-        recommendations.push({
-          ...item,
-          category,
-          type: category.slice(0, -1) // Remove 's' from plural
-        });
-      });
-    });
+    const recommendations = inventory.items.map(item => ({
+      ...item,
+      type: item.category.slice(0, -1) // Remove 's' from plural
+    }));
 
-    // Use Gemini AI to provide personalized recommendations
+    // Ask the model to personalize the recommendations
     const recommendationPrompt = `${SYSTEM_PROMPT}
-
+${responsibleService.steerToNonAlcoholic ? `\n${RESPONSIBLE_SERVICE_PROMPT}\n` : ''}
 Based on the following preferences, provide personalized beverage recommendations from the Nauti Bouys menu:
 
 Preferences: ${JSON.stringify(preferences)}
@@ -296,13 +262,12 @@ Occasion: ${occasion || 'casual'}
 Mood: ${mood || 'relaxed'}
 Exclude Alcohol: ${excludeAlcohol}
 
-Available beverages: ${JSON.stringify(recommendations)}
+${buildInventoryPrompt(inventory)}
 
 Please provide 3-5 specific recommendations with brief explanations of why each would be perfect for the user's preferences, occasion, and mood. Format as a friendly, conversational response.`;
 
-    const model = getOptimalModel('chat', 'medium');
-    const result = await model.generateContent(recommendationPrompt);
-    const aiRecommendations = result.response.text();
+    const result = await llmGateway.generate({ route: 'recommend', prompt: recommendationPrompt });
+    const aiRecommendations = result.text;
 
     res.json({
       success: true,
@@ -313,7 +278,9 @@ Please provide 3-5 specific recommendations with brief explanations of why each
         occasion,
         mood,
         excludeAlcohol
-      }
+      },
+      responsibleService,
+      inventoryContext: inventory.summary
     });
 
   } catch (error) {
@@ -350,6 +317,12 @@ router.post('/recipe', [
       name: { $regex: cocktailName, $options: 'i' }
     }).lean();
 
+    // Retrieve in-stock beverages so suggestions are drinks we can pour tonight
+    const inventory = await inventoryContextBuilder.buildContextForAI(`cocktail ${cocktailName} ${customization || ''}`, {
+      patronId: req.user.id
+    });
+    const available = !!cocktail && cocktail.isAvailable !== false && !inventory.relevantInventory.outOfStock.includes(cocktail.name);
+
     let recipePrompt;
     if (cocktail) {
       recipePrompt = `Provide detailed mixing instructions for the ${cocktail.name} cocktail from our menu:
@@ -361,7 +334,7 @@ Garnish: ${cocktail.garnish || 'None specified'}
 Difficulty: ${cocktail.difficulty}
 
 ${customization ? `Customer customization request: ${customization}` : ''}
-
+${available ? '' : '\nThis cocktail is on our menu but we cannot make it tonight; mention that kindly and suggest an in-stock alternative.\n'}
 Please provide step-by-step instructions in a friendly, professional bartender tone, including any tips for the perfect preparation.`;
     } else {
       recipePrompt = `The customer is asking for a recipe for "${cocktailName}" which isn't currently on our Nauti Bouys menu. 
@@ -373,18 +346,21 @@ Please provide a classic recipe for this cocktail if it exists, or suggest a sim
 
     const fullRecipePrompt = `${SYSTEM_PROMPT}
 
-${recipePrompt}`;
+${recipePrompt}
+
+${buildInventoryPrompt(inventory)}`;
 
-    const model = getOptimalModel('chat', 'medium');
-    const result = await model.generateContent(fullRecipePrompt);
-    const recipe = result.response.text();
+    const result = await llmGateway.generate({ route: 'recipe', prompt: fullRecipePrompt });
+    const recipe = result.text;
 
     res.json({
       success: true,
       cocktailName,
       recipe,
       fromMenu: !!cocktail,
-      cocktailData: cocktail || null
+      available,
+      cocktailData: cocktail || null,
+      inventoryContext: inventory.summary
     });
 
   } catch (error) {
@@ -401,38 +377,31 @@ ${recipePrompt}`;
 // @access  Private
 router.get('/status', auth, async (req, res) => {
   try {
-    // Check if Gemini API key is configured
-    const hasApiKey = !!process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your-gemini-api-key-here';
-    
-    // Test API connection with a simple request
-    let apiStatus = 'unknown';
-    if (hasApiKey) {
+    const gateway = llmGateway.getStatus();
+
+    // Test the active provider with a simple request
+    let apiStatus = 'not_configured';
+    let answeredBy = null;
+    if (gateway.active) {
       try {
-        const model = getOptimalModel('simple', 'low');
-        const result = await model.generateContent('Hello');
-        const response = result.response.text();
-        apiStatus = response ? 'connected' : 'error';
+        const result = await llmGateway.generate({ route: 'status', prompt: 'Hello' });
+        apiStatus = result.text ? 'connected' : 'error';
+        answeredBy = result.provider;
       } catch (error) {
         apiStatus = 'error';
-        console.error('Gemini API test failed:', error.message);
+        console.error('LLM status check failed:', error.message);
       }
-    } else {
-      apiStatus = 'not_configured';
     }
 
     res.json({
       success: true,
       status: {
         service: 'Nauti Bouys Intelligent Assistant',
-        version: '2.0.0',
-        aiProvider: 'Google Gemini 2.5 Flash',
-        apiConfigured: hasApiKey,
+        version: '2.1.0',
+        aiProvider: answeredBy || gateway.active,
+        apiConfigured: !!gateway.active && gateway.active !== 'local',
         apiStatus,
-        models: {
-          primary: 'gemini-2.5-flash',
-          efficient: 'gemini-2.5-flash-lite',
-          advanced: 'gemini-2.5-pro'
-        },
+        gateway,
         features: [
           'Advanced thinking capabilities',
           'Chat conversations with 1M token context',
@@ -456,6 +425,16 @@ router.get('/status', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/ia/tools
+// @desc    Actions the assistant can take for the current user in contextual chat
+// @access  Private
+router.get('/tools', auth, (req, res) => {
+  res.json({
+    success: true,
+    tools: iaToolService.listTools(req.user.role)
+  });
+});
+
 // @route   POST /api/ia/session/start
 // @desc    Start enhanced conversation session with patron profiling
 // @access  Private
@@ -474,22 +453,21 @@ router.post('/session/start', [
       });
     }
 
-    const { userId, features = [] } = req.body;
+    const { features = [] } = req.body;
+    // Only staff may start a session for someone else
+    const userId = isStaff(req.user) && req.body.userId ? req.body.userId : req.user.id;
     const sessionId = `session_${Date.now()}_${req.user.id}`;
 
     // Check for existing patron profile
-    let existingSession = null;
-    if (userId) {
-      existingSession = await ConversationSession.findOne({
-        userId: userId,
-        isActive: false
-      }).sort({ 'sessionMetadata.startTime': -1 });
-    }
+    const existingSession = await ConversationSession.findOne({
+      userId: userId,
+      isActive: false
+    }).sort({ 'sessionMetadata.startTime': -1 });
 
     // Create new session with patron profile
     const newSession = new ConversationSession({
       sessionId,
-      userId: userId || req.user.id,
+      userId,
       patronProfile: existingSession ? existingSession.patronProfile : {
         beveragePreferences: {},
         favoriteBeverages: [],
@@ -544,13 +522,15 @@ router.post('/session/start', [
 });
 
 // @route   POST /api/ia/chat/contextual
-// @desc    Enhanced chat with emotional intelligence and memory
+// @desc    Enhanced chat with emotional intelligence and memory; may run tools (see GET /tools)
+//          and log them on the session; streams like /chat
 // @access  Private
 router.post('/chat/contextual', [
   auth,
   body('message').trim().isLength({ min: 1, max: 1500 }).withMessage('Message required (max 1500 chars)'),
   body('sessionId').isString().withMessage('Session ID required'),
-  body('context').optional().isObject().withMessage('Context must be an object')
+  body('context').optional().isObject().withMessage('Context must be an object'),
+  body('stream').optional().isBoolean().withMessage('Stream must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -565,7 +545,7 @@ router.post('/chat/contextual', [
     const { message, sessionId, context = {} } = req.body;
 
     // Get conversation session
-    const session = await ConversationSession.findOne({ sessionId, isActive: true });
+    const session = await findOwnSession(sessionId, req.user.id);
     if (!session) {
       return res.status(404).json({
         success: false,
@@ -575,6 +555,8 @@ router.post('/chat/contextual', [
 
     // Get current user info
     const user = await User.findById(req.user.id);
+    const responsibleService = await serviceLedgerService.getGuidance(req.user.id);
+    const skipAlcohol = responsibleService.steerToNonAlcoholic;
 
     // Build enhanced context with patron profile and emotional state
     const enhancedContext = {
@@ -601,15 +583,12 @@ router.post('/chat/contextual', [
       }
     };
 
-    // Get available beverages for recommendations
-    const [cocktails, spirits, wines, beers, mocktails, nonAlcoholic] = await Promise.all([
-      Cocktail.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(10).lean(),
-      Spirit.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(10).lean(),
-      Wine.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(10).lean(),
-      Beer.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(10).lean(),
-      Mocktail.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(10).lean(),
-      OtherNonAlcoholic.find({ isAvailable: true }).sort({ averageRating: -1 }).limit(10).lean()
-    ]);
+    // Retrieve in-stock beverages relevant to the message
+    const inventory = await inventoryContextBuilder.buildContextForAI(message, { skipAlcohol, patronId: req.user.id });
+
+    // Recall what earlier visits taught us that bears on this message
+    const memories = await patronMemoryService.recall(req.user.id, message);
+    const memoryPrompt = patronMemoryService.formatForPrompt(memories);
 
     // Build comprehensive prompt with emotional intelligence
     const contextualPrompt = `PATRON CONTEXT:
@@ -621,15 +600,11 @@ PATRON PROFILE:
 Favorite Beverages: ${session.patronProfile.favoriteBeverages?.map(b => b.name).join(', ') || 'None recorded yet'}
 Communication Style: ${session.patronProfile.communicationStyle?.formality || 'friendly'}
 Past Interests: ${session.patronProfile.communicationStyle?.interests?.join(', ') || 'Learning...'}
-
+${memoryPrompt ? `\n${memoryPrompt}\n` : ''}
 RECENT CONVERSATION:
 ${enhancedContext.conversation.recentMessages.map(m => `${m.type}: ${m.content}`).join('\n')}
 
-AVAILABLE BEVERAGES SUMMARY:
-Top Cocktails: ${cocktails.slice(0, 5).map(c => `${c.name} (${c.description?.substring(0, 50) || 'Premium cocktail'})`).join(', ')}
-Top Spirits: ${spirits.slice(0, 3).map(s => `${s.brand} ${s.name} ${s.type}`).join(', ')}
-Top Wines: ${wines.slice(0, 3).map(w => `${w.winery} ${w.name} (${w.vintage || 'Current'}) - ${w.type}`).join(', ')}
-Current Specials: Available for recommendations
+${buildInventoryPrompt(inventory)}
 
 PATRON'S MESSAGE: "${message}"
 
@@ -642,46 +617,67 @@ INSTRUCTIONS:
 6. Suggest specific beverages from our available selection when appropriate
 7. Ask follow-up questions to better understand their preferences`;
 
-    // Generate response with Gemini 2.5 Pro for complex contextual understanding
+    // Contextual chat is routed to the advanced tier (see config/llm.js) and may use tools
     const fullContextualPrompt = `${SYSTEM_PROMPT}
+${skipAlcohol ? `\n${RESPONSIBLE_SERVICE_PROMPT}\n` : ''}
+${contextualPrompt}
 
-${contextualPrompt}`;
+${iaToolService.describeTools(req.user.role)}`;
+    const toolRequest = { route: 'chat.contextual', prompt: fullContextualPrompt, user: req.user, session };
 
-    const model = getOptimalModel('chat', 'high'); // Use Pro for complex contextual chat
-    const result = await model.generateContent(fullContextualPrompt);
-    const aiResponse = result.response.text();
+    // Record both sides of the exchange once the reply is complete
+    const saveExchange = async (aiResponse) => {
+      const recommendedActions = getRecommendedActions(message, aiResponse, context.emotionalState);
 
-    // Analyze response for learning opportunities
-    const recommendedActions = [];
-    if (aiResponse.toLowerCase().includes('recommend')) {
-      recommendedActions.push('learn:interested_in_recommendations');
-    }
-    if (message.toLowerCase().includes('favorite') || message.toLowerCase().includes('love')) {
-      recommendedActions.push('learn:expressed_preference');
-    }
-    if (context.emotionalState?.primary && context.emotionalState.primary !== 'neutral') {
-      recommendedActions.push(`learn:emotional_state_${context.emotionalState.primary}`);
-    }
+      session.addMessage(message, 'user', {
+        emotionalState: context.emotionalState,
+        inputMode: context.inputMode
+      });
 
-    // Store messages in session
-    session.addMessage(message, 'user', {
-      emotionalState: context.emotionalState,
-      inputMode: context.inputMode
-    });
-    
-    session.addMessage(aiResponse, 'assistant', {
-      confidence: 0.9,
-      recommendedActions
-    });
+      session.addMessage(aiResponse, 'assistant', {
+        confidence: 0.9,
+        recommendedActions
+      });
 
-    await session.save();
+      await session.save();
+      return recommendedActions;
+    };
+
+    if (wantsStream(req)) {
+      await streamChatReply({
+        req,
+        res,
+        route: 'chat.contextual',
+        prompt: fullContextualPrompt,
+        source: iaToolService.stream(toolRequest),
+        finish: async (reply) => ({
+          confidence: 0.9,
+          recommendedActions: await saveExchange(reply.text),
+          toolCalls: reply.toolCalls,
+          memoriesUsed: memories.map(memory => memory.id),
+          sessionId,
+          responsibleService,
+          inventoryContext: inventory.summary,
+          timestamp: new Date().toISOString()
+        })
+      });
+      return;
+    }
+
+    const result = await iaToolService.generate(toolRequest);
+    const aiResponse = result.text;
+    const recommendedActions = await saveExchange(aiResponse);
 
     res.json({
       success: true,
       response: aiResponse,
       confidence: 0.9,
       recommendedActions,
+      toolCalls: result.toolCalls,
+      memoriesUsed: memories.map(memory => memory.id),
       sessionId: sessionId,
+      responsibleService,
+      inventoryContext: inventory.summary,
       timestamp: new Date().toISOString()
     });
 
@@ -794,17 +790,15 @@ router.post('/recommendations/personalized', [
       });
     }
 
-    // Get comprehensive beverage data
-    const allBeverages = await Promise.all([
-      Cocktail.find({ isAvailable: true }).lean(),
-      Spirit.find({ isAvailable: true }).lean(),
-      Wine.find({ isAvailable: true }).lean(),
-      Beer.find({ isAvailable: true }).lean(),
-      Mocktail.find({ isAvailable: true }).lean(),
-      OtherNonAlcoholic.find({ isAvailable: true }).lean()
-    ]);
+    const responsibleService = await serviceLedgerService.getGuidance(req.user.id);
+    const skipAlcohol = responsibleService.steerToNonAlcoholic;
 
-    const flatBeverages = allBeverages.flat();
+    // Retrieve in-stock beverages around what the patron likes and asked for
+    const inventory = await inventoryContextBuilder.buildContextForAI([
+      context.specialRequests,
+      context.occasion,
+      ...(session.patronProfile.favoriteBeverages || []).map(favorite => favorite.name)
+    ].filter(Boolean).join(' '), { topN: 10, skipAlcohol, patronId: req.user.id });
 
     // Build recommendation prompt
     const recommendationPrompt = `PERSONALIZED RECOMMENDATION REQUEST
@@ -820,7 +814,7 @@ Current Mood: ${context.emotionalState?.primary || 'neutral'}
 Time of Day: ${context.timeOfDay || 'evening'}
 Special Requests: ${context.specialRequests || 'none'}
 
-AVAILABLE BEVERAGES: ${JSON.stringify(flatBeverages.slice(0, 20))}
+${buildInventoryPrompt(inventory)}
 
 Please provide 3-5 personalized beverage recommendations that:
 1. Match the patron's known preferences and favorites
@@ -832,12 +826,11 @@ Please provide 3-5 personalized beverage recommendations that:
 Format as a friendly, enthusiastic response with specific drink names and reasons.`;
 
     const fullRecommendationPrompt = `${SYSTEM_PROMPT}
-
+${skipAlcohol ? `\n${RESPONSIBLE_SERVICE_PROMPT}\n` : ''}
 ${recommendationPrompt}`;
 
-    const model = getOptimalModel('chat', 'high'); // Use Pro for complex personalized recommendations
-    const result = await model.generateContent(fullRecommendationPrompt);
-    const recommendations = result.response.text();
+    const result = await llmGateway.generate({ route: 'recommend.personalized', prompt: fullRecommendationPrompt });
+    const recommendations = result.text;
 
     // Log recommendation for learning
     session.addMessage('Requested personalized recommendations', 'system', {
@@ -849,9 +842,11 @@ ${recommendationPrompt}`;
 
     res.json({
       success: true,
-      recommendations: flatBeverages.slice(0, 6),
+      recommendations: inventory.items.slice(0, 6),
       reasoning: recommendations,
-      context: context
+      context: context,
+      responsibleService,
+      inventoryContext: inventory.summary
     });
 
   } catch (error) {
@@ -875,7 +870,7 @@ router.post('/conversation/store', [
   try {
     const { sessionId, message, type, metadata = {} } = req.body;
 
-    const session = await ConversationSession.findOne({ sessionId, isActive: true });
+    const session = await findOwnSession(sessionId, req.user.id);
     if (!session) {
       return res.status(404).json({
         success: false,
@@ -901,7 +896,7 @@ router.post('/conversation/store', [
 });
 
 // @route   POST /api/ia/session/end
-// @desc    End conversation session and save patron profile
+// @desc    End conversation session, save patron profile and remember the conversation
 // @access  Private
 router.post('/session/end', [
   auth,
@@ -910,7 +905,7 @@ router.post('/session/end', [
   try {
     const { sessionId } = req.body;
 
-    const session = await ConversationSession.findOne({ sessionId, isActive: true });
+    const session = await findOwnSession(sessionId, req.user.id);
     if (!session) {
       return res.status(404).json({
         success: false,
@@ -921,10 +916,17 @@ router.post('/session/end', [
     session.endSession();
     await session.save();
 
+    // The conversation is already saved; failing to remember it should not fail the request
+    const memory = await patronMemoryService.rememberSession(session, req.user.id).catch(error => {
+      console.error('Remember session error:', error);
+      return { success: false, stored: 0 };
+    });
+
     res.json({
       success: true,
       message: 'Session ended successfully',
-      summary: session.conversationSummary
+      summary: session.conversationSummary,
+      memoriesStored: memory.stored
     });
 
   } catch (error) {
@@ -982,4 +984,196 @@ router.get('/conversation/history', [
   }
 });
 
+// @route   GET /api/ia/memories
+// @desc    What Savannah remembers about the current user, with their memory settings
+// @access  Private
+router.get('/memories', [
+  auth,
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('skip').optional().isInt({ min: 0 }).withMessage('Skip must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [settings, { memories, total }] = await Promise.all([
+      patronMemoryService.getSettings(req.user.id),
+      patronMemoryService.list(req.user.id, {
+        limit: Number(req.query.limit || 50),
+        skip: Number(req.query.skip || 0)
+      })
+    ]);
+
+    res.json({
+      success: true,
+      settings,
+      memories,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get memories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get memories'
+    });
+  }
+});
+
+// @route   POST /api/ia/memories
+// @desc    Ask Savannah to remember a note
+// @access  Private
+router.post('/memories', [
+  auth,
+  body('text').trim().isLength({ min: 1, max: 500 }).withMessage('Note required (max 500 chars)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await patronMemoryService.addNote(req.user.id, req.body.text);
+    if (!result.success) {
+      return res.status(memoryStatus(result.code)).json(result);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      memory: result.data
+    });
+
+  } catch (error) {
+    console.error('Add memory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add memory'
+    });
+  }
+});
+
+// @route   PUT /api/ia/memories/settings
+// @desc    Turn memory on or off and set how many days memories are kept (null for the default)
+// @access  Private
+router.put('/memories/settings', [
+  auth,
+  body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean'),
+  body('retentionDays').optional({ nullable: true }).isInt({ min: 1, max: 3650 }).withMessage('Retention must be between 1 and 3650 days'),
+  body().custom(value => value.enabled !== undefined || value.retentionDays !== undefined)
+    .withMessage('Provide enabled or retentionDays')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { enabled, retentionDays } = req.body;
+    const result = await patronMemoryService.updateSettings(req.user.id, {
+      enabled,
+      retentionDays: retentionDays === undefined || retentionDays === null ? retentionDays : Number(retentionDays)
+    });
+    if (!result.success) {
+      return res.status(memoryStatus(result.code)).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      settings: result.data
+    });
+
+  } catch (error) {
+    console.error('Update memory settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update memory settings'
+    });
+  }
+});
+
+// @route   DELETE /api/ia/memories/:id
+// @desc    Forget one memory
+// @access  Private
+router.delete('/memories/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid memory ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await patronMemoryService.forget(req.user.id, req.params.id);
+    if (!result.success) {
+      return res.status(memoryStatus(result.code)).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Forget memory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to forget memory'
+    });
+  }
+});
+
+// @route   DELETE /api/ia/memories
+// @desc    Forget everything; ?includeConversations=true also deletes past conversations
+// @access  Private
+router.delete('/memories', [
+  auth,
+  query('includeConversations').optional().isBoolean().withMessage('includeConversations must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await patronMemoryService.forgetAll(req.user.id, {
+      includeConversations: req.query.includeConversations === 'true'
+    });
+
+    res.json({
+      success: true,
+      message: result.message,
+      forgotten: result.data
+    });
+
+  } catch (error) {
+    console.error('Forget all memories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to forget memories'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,26 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
-const { auth, bartenderOnly } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, bartenderOnly, staffOnly } = require('../middleware/auth');
 const Inventory = require('../models/Inventory');
+const recipeDepletionService = require('../services/recipeDepletionService');
+const inventoryForecastService = require('../services/inventoryForecastService');
+const inventoryAlertSweeper = require('../services/inventoryAlertSweeper');
+const menuCostingService = require('../services/menuCostingService');
 
 const router = express.Router();
 
+// Fields that change what a recipe ingredient costs
+const COSTING_FIELDS = ['cost', 'unit', 'unitVolumeMl', 'itemName'];
+
+// Recost the drinks an item feeds; a costing failure should not fail the inventory write
+const recostMenu = async (item) => {
+  try {
+    await menuCostingService.recalculateForInventoryItem(item);
+  } catch (error) {
+    console.error('Menu costing error:', error);
+  }
+};
+
 // @route   GET /api/inventory
 // @desc    Get all inventory items with filtering and pagination
 // @access  Private (Bartender only)
@@ -148,6 +164,36 @@ router.get('/alerts', bartenderOnly, async (req, res) => {
   }
 });
 
+// @route   POST /api/inventory/alerts/sweep
+// @desc    Run the alert sweeper now instead of waiting for the next interval
+// @access  Private (Bartender or Owner)
+router.post('/alerts/sweep', [auth, staffOnly], async (req, res) => {
+  try {
+    const result = await inventoryAlertSweeper.sweep();
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'An alert sweep is already running'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Swept ${result.scanned} item(s): ${result.created} new, ${result.retired} retired`,
+      sweep: result,
+      status: inventoryAlertSweeper.getStatus()
+    });
+
+  } catch (error) {
+    console.error('Alert sweep error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sweeping alerts'
+    });
+  }
+});
+
 // @route   GET /api/inventory/low-stock
 // @desc    Get low stock items
 // @access  Private (Bartender only)
@@ -178,6 +224,54 @@ router.get('/low-stock', bartenderOnly, async (req, res) => {
   }
 });
 
+// @route   GET /api/inventory/forecast
+// @desc    Forecast usage, days of stock remaining and minimum-stock crossing dates
+// @access  Private (Bartender only)
+router.get('/forecast', [
+  auth,
+  bartenderOnly,
+  query('lookbackDays').optional().isInt({ min: 7, max: 180 }).withMessage('Lookback must be between 7 and 180 days'),
+  query('leadTimeDays').optional().isInt({ min: 0, max: 60 }).withMessage('Lead time must be between 0 and 60 days'),
+  query('reorderOnly').optional().isIn(['true', 'false']).withMessage('reorderOnly must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { itemType, location, lookbackDays, leadTimeDays, reorderOnly } = req.query;
+
+    const options = {};
+    if (lookbackDays) options.lookbackDays = parseInt(lookbackDays);
+    // A lead time of 0 is valid: only items already at minimum need reordering
+    if (leadTimeDays !== undefined) options.leadTimeDays = parseInt(leadTimeDays);
+
+    let forecasts = await inventoryForecastService.forecastAll({ itemType, location }, options);
+    if (reorderOnly === 'true') {
+      forecasts = forecasts.filter(forecast => forecast.reorderRecommended);
+    }
+
+    res.json({
+      success: true,
+      count: forecasts.length,
+      generatedAt: new Date().toISOString(),
+      forecasts
+    });
+
+  } catch (error) {
+    console.error('Inventory forecast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating inventory forecast'
+    });
+  }
+});
+
 // @route   GET /api/inventory/:id
 // @desc    Get single inventory item
 // @access  Private (Bartender only)
@@ -260,6 +354,10 @@ router.post('/', [
     await item.save();
     await item.checkAndCreateAlerts();
 
+    if (item.cost && typeof item.cost.unitCost === 'number') {
+      await recostMenu(item);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Inventory item created successfully',
@@ -310,6 +408,10 @@ router.put('/:id', [
 
     await item.checkAndCreateAlerts();
 
+    if (COSTING_FIELDS.some(field => req.body[field] !== undefined)) {
+      await recostMenu(item);
+    }
+
     res.json({
       success: true,
       message: 'Inventory item updated successfully',
@@ -325,6 +427,56 @@ router.put('/:id', [
   }
 });
 
+// @route   POST /api/inventory/pour
+// @desc    Deplete ingredient stock for served cocktails or mocktails
+// @access  Private (Bartender only)
+router.post('/pour', [
+  auth,
+  bartenderOnly,
+  body('beverageType').isIn(['Cocktail', 'Mocktail']).withMessage('Beverage type must be Cocktail or Mocktail'),
+  body('beverageId').isMongoId().withMessage('Valid beverage ID is required'),
+  body('count').optional().isInt({ min: 1, max: 100 }).withMessage('Count must be between 1 and 100'),
+  body('notes').optional().trim().isLength({ max: 300 }).withMessage('Notes must be under 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { beverageType, beverageId, count = 1, notes = '' } = req.body;
+
+    const result = await recipeDepletionService.pour({
+      beverageType,
+      beverageId,
+      count: parseInt(count),
+      userId: req.user.id,
+      notes
+    });
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.message,
+        breakdown: result.breakdown
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Pour error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording pour'
+    });
+  }
+});
+
 // @route   POST /api/inventory/:id/stock-movement
 // @desc    Add stock movement (in, out, adjustment, waste)
 // @access  Private (Bartender only)
@@ -480,7 +632,8 @@ router.get('/reports/summary', bartenderOnly, async (req, res) => {
       lowStockItems,
       outOfStockItems,
       expiringSoonItems,
-      totalValue
+      totalValue,
+      forecast
     ] = await Promise.all([
       Inventory.countDocuments(),
       Inventory.countDocuments({ isLowStock: true }),
@@ -499,7 +652,8 @@ router.get('/reports/summary', bartenderOnly, async (req, res) => {
             }
           }
         }
-      ])
+      ]),
+      inventoryForecastService.getForecastSummary()
     ]);
 
     const summary = {
@@ -512,7 +666,8 @@ router.get('/reports/summary', bartenderOnly, async (req, res) => {
         healthy: totalItems - lowStockItems - outOfStockItems,
         needsAttention: lowStockItems,
         critical: outOfStockItems
-      }
+      },
+      forecast
     };
 
     res.json({
@@ -529,4 +684,102 @@ router.get('/reports/summary', bartenderOnly, async (req, res) => {
   }
 });
 
+// @route   GET /api/inventory/reports/margins
+// @desc    Pour cost and gross margin for every cocktail and mocktail, weakest first
+// @access  Private (Bartender or Owner)
+router.get('/reports/margins', [
+  auth,
+  staffOnly,
+  query('category').optional().isIn(['cocktails', 'mocktails']).withMessage('Category must be cocktails or mocktails'),
+  query('belowTarget').optional().isBoolean().withMessage('belowTarget must be true or false'),
+  query('refresh').optional().isBoolean().withMessage('refresh must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await menuCostingService.getReport({
+      category: req.query.category,
+      belowTargetOnly: req.query.belowTarget === 'true',
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    console.error('Margin report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating margin report'
+    });
+  }
+});
+
+// @route   POST /api/inventory/reports/margins/recalculate
+// @desc    Recost every cocktail and mocktail from current inventory costs
+// @access  Private (Bartender or Owner)
+router.post('/reports/margins/recalculate', [auth, staffOnly], async (req, res) => {
+  try {
+    const result = await menuCostingService.recalculateAll();
+
+    res.json({
+      success: true,
+      message: `Recosted ${result.recalculated} drink(s), ${result.newlyBelowTarget.length} newly below target`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Margin recalculation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recalculating margins'
+    });
+  }
+});
+
+// @route   GET /api/inventory/reports/margins/:category/:id
+// @desc    Ingredient-by-ingredient cost breakdown for one drink
+// @access  Private (Bartender or Owner)
+router.get('/reports/margins/:category/:id', [
+  auth,
+  staffOnly,
+  param('category').isIn(['cocktails', 'mocktails']).withMessage('Category must be cocktails or mocktails'),
+  param('id').isMongoId().withMessage('Invalid drink ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await menuCostingService.getBreakdown(req.params.category, req.params.id);
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Margin breakdown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error costing drink'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,375 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { auth, staffOnly } = require('../middleware/auth');
+const Invoice = require('../models/Invoice');
+const invoiceService = require('../services/invoiceService');
+
+const router = express.Router();
+
+// Service failures: unknown records are 404, declined payments 402, everything else 400
+const statusFor = (result) => {
+  if (result.code === 'NOT_FOUND') return 404;
+  if (result.code === 'PAYMENT_FAILED') return 402;
+  return 400;
+};
+
+// @route   GET /api/invoices
+// @desc    Get invoices (patrons see their own)
+// @access  Private
+router.get('/', [
+  auth,
+  query('status').optional().isIn(['Draft', 'Issued', 'Partially Paid', 'Paid', 'Void']).withMessage('Invalid status'),
+  query('reservationId').optional().isMongoId().withMessage('Invalid reservation ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, reservationId } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (req.user.role === 'Patron') {
+      // Drafts stay internal until issued
+      query.patron = req.user.id;
+      query.status = status ? { $eq: status, $ne: 'Draft' } : { $ne: 'Draft' };
+    }
+    if (reservationId) {
+      query.reservation = reservationId;
+    }
+
+    const skip = (page - 1) * limit;
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .select('-payments')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('reservation', 'eventTitle startTime')
+        .lean(),
+      Invoice.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      invoices
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invoices'
+    });
+  }
+});
+
+// @route   GET /api/invoices/reports/outstanding
+// @desc    Outstanding balances with aging
+// @access  Private (Bartender or Owner)
+router.get('/reports/outstanding', [auth, staffOnly], async (req, res) => {
+  try {
+    const report = await invoiceService.getOutstandingReport();
+
+    res.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    console.error('Outstanding report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating outstanding balance report'
+    });
+  }
+});
+
+// @route   POST /api/invoices
+// @desc    Create a draft invoice from a reservation
+// @access  Private (Bartender or Owner)
+router.post('/', [
+  auth,
+  staffOnly,
+  body('reservationId').isMongoId().withMessage('Valid reservation ID is required'),
+  body('taxRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Tax rate must be a fraction between 0 and 1'),
+  body('gratuityRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Gratuity rate must be a fraction between 0 and 1'),
+  body('dueDays').optional().isInt({ min: 0, max: 365 }).withMessage('Due days must be between 0 and 365'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be under 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reservationId, taxRate, gratuityRate, dueDays, notes } = req.body;
+    const result = await invoiceService.createFromReservation(reservationId, req.user.id, {
+      taxRate: taxRate !== undefined ? Number(taxRate) : undefined,
+      gratuityRate: gratuityRate !== undefined ? Number(gratuityRate) : undefined,
+      dueDays: dueDays !== undefined ? Number(dueDays) : undefined,
+      notes
+    });
+
+    if (!result.success) {
+      return res.status(statusFor(result)).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating invoice'
+    });
+  }
+});
+
+// @route   GET /api/invoices/:id
+// @desc    Get single invoice with its payments ledger
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role === 'Patron') {
+      query.patron = req.user.id;
+      query.status = { $ne: 'Draft' };
+    }
+
+    const invoice = await Invoice.findOne(query)
+      .populate('reservation', 'eventTitle eventType startTime endTime guestCount')
+      .populate('payments.recordedBy', 'fullName');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      invoice
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching invoice'
+    });
+  }
+});
+
+// @route   PUT /api/invoices/:id
+// @desc    Edit a draft invoice's line items, rates and notes
+// @access  Private (Bartender or Owner)
+router.put('/:id', [
+  auth,
+  staffOnly,
+  body('lineItems').optional().isArray().withMessage('Line items must be an array'),
+  body('lineItems.*.description').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Line description must be under 200 characters'),
+  body('lineItems.*.quantity').optional().isFloat({ min: 0 }).withMessage('Quantity must be non-negative'),
+  body('lineItems.*.unitPrice').optional().isFloat().withMessage('Unit price must be a number'),
+  body('lineItems.*.taxable').optional().isBoolean().withMessage('Taxable must be a boolean'),
+  body('taxRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Tax rate must be a fraction between 0 and 1'),
+  body('gratuityRate').optional().isFloat({ min: 0, max: 1 }).withMessage('Gratuity rate must be a fraction between 0 and 1'),
+  body('dueDate').optional().isISO8601().withMessage('Valid due date is required'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be under 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await invoiceService.updateDraft(req.params.id, req.body);
+    if (!result.success) {
+      return res.status(statusFor(result)).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Update invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating invoice'
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/issue
+// @desc    Issue a draft invoice
+// @access  Private (Bartender or Owner)
+router.post('/:id/issue', [auth, staffOnly], async (req, res) => {
+  try {
+    const result = await invoiceService.issue(req.params.id);
+    if (!result.success) {
+      return res.status(statusFor(result)).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Issue invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error issuing invoice'
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/payments
+// @desc    Record a payment or deposit against an invoice
+// @access  Private (Bartender or Owner)
+router.post('/:id/payments', [
+  auth,
+  staffOnly,
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01'),
+  body('method').isIn(Invoice.PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('token').optional().isString().withMessage('Payment token must be a string'),
+  body('isDeposit').optional().isBoolean().withMessage('isDeposit must be a boolean'),
+  body('notes').optional().trim().isLength({ max: 300 }).withMessage('Notes must be under 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await invoiceService.recordPayment(req.params.id, {
+      ...req.body,
+      isDeposit: req.body.isDeposit === true || req.body.isDeposit === 'true'
+    }, req.user.id);
+    if (!result.success) {
+      return res.status(statusFor(result)).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording payment'
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/refunds
+// @desc    Refund all or part of a payment
+// @access  Private (Bartender or Owner)
+router.post('/:id/refunds', [
+  auth,
+  staffOnly,
+  body('paymentId').isMongoId().withMessage('Valid payment ID is required'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01'),
+  body('notes').optional().trim().isLength({ max: 300 }).withMessage('Notes must be under 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await invoiceService.refund(req.params.id, req.body, req.user.id);
+    if (!result.success) {
+      return res.status(statusFor(result)).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    console.error('Refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording refund'
+    });
+  }
+});
+
+// @route   POST /api/invoices/:id/void
+// @desc    Void an invoice with no outstanding payments
+// @access  Private (Bartender or Owner)
+router.post('/:id/void', [
+  auth,
+  staffOnly,
+  body('reason').trim().isLength({ min: 1, max: 300 }).withMessage('Reason is required and must be under 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await invoiceService.void(req.params.id, req.body.reason);
+    if (!result.success) {
+      return res.status(statusFor(result)).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error voiding invoice'
+    });
+  }
+});
+
+module.exports = router;
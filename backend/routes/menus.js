@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, staffOnly } = require('../middleware/auth');
+const MenuLayout = require('../models/MenuLayout');
+const menuGeneratorService = require('../services/menuGeneratorService');
+
+const router = express.Router();
+
+const layoutIdParam = param('id').isMongoId().withMessage('Invalid menu layout ID');
+
+const layoutValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Layout name is required and must be under 100 characters'),
+    field('slug').trim().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug may only contain lowercase letters, numbers and dashes'),
+    field('title').trim().isLength({ min: 1, max: 100 }).withMessage('Menu title is required and must be under 100 characters'),
+    field('sections').isArray({ min: 1, max: 20 }).withMessage('A layout needs between 1 and 20 sections'),
+    body('sections.*.title').trim().isLength({ min: 1, max: 60 }).withMessage('Each section needs a title under 60 characters'),
+    body('sections.*.categories').isArray({ min: 1 }).withMessage('Each section needs at least one category'),
+    body('sections.*.categories.*').isIn(MenuLayout.CATEGORIES).withMessage(`Categories must be among: ${MenuLayout.CATEGORIES.join(', ')}`),
+    body('sections.*.tiers.*').isIn(MenuLayout.SHELF_TIERS).withMessage(`Tiers must be among: ${MenuLayout.SHELF_TIERS.join(', ')}`),
+    body('sections.*.sortBy').optional().isIn(MenuLayout.SORT_ORDERS).withMessage(`Sort must be one of: ${MenuLayout.SORT_ORDERS.join(', ')}`),
+    body('sections.*.limit').optional().isInt({ min: 1, max: 200 }).withMessage('Section limit must be between 1 and 200'),
+    body('sections.*.showPricePerGlass').optional().isBoolean(),
+    body('specials.categories.*').isIn(['cocktails', 'mocktails']).withMessage('Specials come from cocktails or mocktails'),
+    body('specials.limit').optional().isInt({ min: 1, max: 20 }).withMessage('Specials limit must be between 1 and 20'),
+    body('pageSize').optional().isIn(MenuLayout.PAGE_SIZES).withMessage(`Page size must be one of: ${MenuLayout.PAGE_SIZES.join(', ')}`),
+    body('columns').optional().isIn([1, 2]).withMessage('Columns must be 1 or 2'),
+    body('isPublished').optional().isBoolean()
+  ];
+};
+
+/**
+ * Send a built menu in the requested format
+ * @param {object} res
+ * @param {object} menu - Result of menuGeneratorService.build
+ * @param {string} format - json, html, fragment or pdf
+ * @param {object} [options] - { embed }
+ */
+const sendMenu = (res, menu, format, { embed = false } = {}) => {
+  switch (format) {
+    case 'pdf':
+      res.type('application/pdf');
+      res.set('Content-Disposition', `inline; filename="${menu.layout.slug}.pdf"`);
+      return res.send(menuGeneratorService.toPdf(menu));
+    case 'html':
+      return res.type('html').send(menuGeneratorService.toHtml(menu, { embed }));
+    case 'fragment':
+      return res.type('html').send(menuGeneratorService.toHtmlFragment(menu));
+    default:
+      return res.json({ success: true, menu });
+  }
+};
+
+// @route   GET /api/menus/embed/:slug
+// @desc    Published menu for the website widget as JSON, an HTML fragment or an iframe page
+// @access  Public
+router.get('/embed/:slug', [
+  param('slug').trim().isSlug().withMessage('Invalid menu slug'),
+  query('format').optional().isIn(['json', 'html', 'fragment']).withMessage('Format must be json, html or fragment')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const layout = await MenuLayout.findOne({ slug: req.params.slug.toLowerCase(), isPublished: true }).lean();
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu not found'
+      });
+    }
+
+    const menu = await menuGeneratorService.build(layout);
+
+    // The widget is loaded from other sites, so open it up beyond the app's own origin
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Cache-Control', 'public, max-age=300');
+    if (req.query.format === 'html') {
+      res.removeHeader('X-Frame-Options');
+      res.set('Content-Security-Policy', `frame-ancestors ${process.env.MENU_EMBED_ORIGINS || '*'}; style-src 'unsafe-inline'; default-src 'none'`);
+    }
+
+    sendMenu(res, menu, req.query.format, { embed: true });
+
+  } catch (error) {
+    console.error('Embed menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating menu'
+    });
+  }
+});
+
+// @route   GET /api/menus
+// @desc    Get all menu layouts
+// @access  Private (Bartender or Owner)
+router.get('/', [auth, staffOnly], async (req, res) => {
+  try {
+    const layouts = await MenuLayout.find({}).sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      count: layouts.length,
+      layouts
+    });
+
+  } catch (error) {
+    console.error('Get menu layouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching menu layouts'
+    });
+  }
+});
+
+// @route   GET /api/menus/:id
+// @desc    Get a single menu layout
+// @access  Private (Bartender or Owner)
+router.get('/:id', [auth, staffOnly, layoutIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const layout = await MenuLayout.findById(req.params.id).lean();
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu layout not found'
+      });
+    }
+
+    res.json({ success: true, layout });
+
+  } catch (error) {
+    console.error('Get menu layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching menu layout'
+    });
+  }
+});
+
+// @route   GET /api/menus/:id/render
+// @desc    Render any layout, published or not, for printing or preview
+// @access  Private (Bartender or Owner)
+router.get('/:id/render', [
+  auth,
+  staffOnly,
+  layoutIdParam,
+  query('format').optional().isIn(['json', 'html', 'fragment', 'pdf']).withMessage('Format must be json, html, fragment or pdf')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const layout = await MenuLayout.findById(req.params.id).lean();
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu layout not found'
+      });
+    }
+
+    const menu = await menuGeneratorService.build(layout);
+    sendMenu(res, menu, req.query.format);
+
+  } catch (error) {
+    console.error('Render menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating menu'
+    });
+  }
+});
+
+// @route   POST /api/menus
+// @desc    Create a menu layout
+// @access  Private (Bartender or Owner)
+router.post('/', [auth, staffOnly, ...layoutValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await MenuLayout.findOne({ $or: [{ name: req.body.name }, { slug: req.body.slug }] });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A menu layout with this name or slug already exists'
+      });
+    }
+
+    const layout = new MenuLayout({ ...req.body, createdBy: req.user.id });
+    await layout.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu layout created successfully',
+      layout
+    });
+
+  } catch (error) {
+    console.error('Create menu layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating menu layout'
+    });
+  }
+});
+
+// @route   PUT /api/menus/:id
+// @desc    Update a menu layout
+// @access  Private (Bartender or Owner)
+router.put('/:id', [auth, staffOnly, layoutIdParam, ...layoutValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = { ...req.body };
+    delete updates.createdBy;
+    const layout = await MenuLayout.findByIdAndUpdate(
+      req.params.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu layout not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Menu layout updated successfully',
+      layout
+    });
+
+  } catch (error) {
+    console.error('Update menu layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating menu layout'
+    });
+  }
+});
+
+// @route   DELETE /api/menus/:id
+// @desc    Delete a menu layout
+// @access  Private (Bartender or Owner)
+router.delete('/:id', [auth, staffOnly, layoutIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const layout = await MenuLayout.findByIdAndDelete(req.params.id);
+    if (!layout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Menu layout not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Menu layout deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete menu layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting menu layout'
+    });
+  }
+});
+
+module.exports = router;
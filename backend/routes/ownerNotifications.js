@@ -1,107 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const spiritsAuthService = require('../services/spiritsAuthService');
-const { auth } = require('../middleware/auth');
-
-// In-memory notification system for demonstration
-// In production, use WebSockets, SSE, or external notification service
-class NotificationManager {
-  constructor() {
-    this.notifications = [];
-    this.subscribers = new Set();
-  }
-
-  addNotification(notification) {
-    const newNotification = {
-      id: Date.now().toString(),
-      timestamp: new Date(),
-      read: false,
-      ...notification
-    };
-    
-    this.notifications.unshift(newNotification);
-    
-    // Keep only last 100 notifications
-    if (this.notifications.length > 100) {
-      this.notifications = this.notifications.slice(0, 100);
-    }
-
-    // Notify subscribers
-    this.notifySubscribers(newNotification);
-    
-    return newNotification;
-  }
-
-  notifySubscribers(notification) {
-    this.subscribers.forEach(callback => {
-      try {
-        callback(notification);
-      } catch (error) {
-        console.error('Error notifying subscriber:', error);
-      }
-    });
-  }
-
-  subscribe(callback) {
-    this.subscribers.add(callback);
-    return () => this.subscribers.delete(callback);
-  }
-
-  getNotifications(limit = 20, unreadOnly = false) {
-    let filtered = this.notifications;
-    
-    if (unreadOnly) {
-      filtered = filtered.filter(n => !n.read);
-    }
-    
-    return filtered.slice(0, limit);
-  }
-
-  markAsRead(notificationId) {
-    const notification = this.notifications.find(n => n.id === notificationId);
-    if (notification) {
-      notification.read = true;
-      return true;
-    }
-    return false;
-  }
-
-  markAllAsRead() {
-    this.notifications.forEach(n => n.read = true);
-    return this.notifications.length;
-  }
-
-  getUnreadCount() {
-    return this.notifications.filter(n => !n.read).length;
-  }
-}
-
-const notificationManager = new NotificationManager();
+const notificationManager = require('../services/notificationManager');
+const { auth, ownerOnly } = require('../middleware/auth');
 
 /**
  * @route GET /api/owner-notifications
- * @desc Get owner notifications
+ * @desc Get the signed-in owner's notifications, newest first
  * @access Private (Owner only)
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, ownerOnly, async (req, res) => {
   try {
-    const { limit = 20, unreadOnly = false } = req.query;
-
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
-
-    const notifications = notificationManager.getNotifications(
-      parseInt(limit), 
-      unreadOnly === 'true'
-    );
+    const { limit = 20, unreadOnly = false, includeDismissed = false, category, before } = req.query;
+
+    const notifications = await notificationManager.getNotifications(req.user, {
+      limit: Math.min(parseInt(limit) || 20, 100),
+      unreadOnly: unreadOnly === 'true',
+      includeDismissed: includeDismissed === 'true',
+      categories: notificationManager.parseCategories(category),
+      before
+    });
 
-    const unreadCount = notificationManager.getUnreadCount();
+    const unreadByCategory = await notificationManager.getUnreadCountsByCategory(req.user);
+    const unreadCount = Object.values(unreadByCategory).reduce((sum, count) => sum + count, 0);
 
     res.json({
       notifications,
       unreadCount,
+      unreadByCategory,
       total: notifications.length
     });
   } catch (error) {
@@ -112,19 +38,12 @@ router.get('/', auth, async (req, res) => {
 
 /**
  * @route POST /api/owner-notifications/mark-read/:id
- * @desc Mark notification as read
+ * @desc Mark notification as read for the signed-in owner
  * @access Private (Owner only)
  */
-router.post('/mark-read/:id', auth, async (req, res) => {
+router.post('/mark-read/:id', auth, ownerOnly, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
-
-    const marked = notificationManager.markAsRead(id);
+    const marked = await notificationManager.markAsRead(req.params.id, req.user);
 
     if (marked) {
       res.json({ message: 'Notification marked as read' });
@@ -139,17 +58,13 @@ router.post('/mark-read/:id', auth, async (req, res) => {
 
 /**
  * @route POST /api/owner-notifications/mark-all-read
- * @desc Mark all notifications as read
+ * @desc Mark all notifications as read for the signed-in owner, optionally within categories
  * @access Private (Owner only)
  */
-router.post('/mark-all-read', auth, async (req, res) => {
+router.post('/mark-all-read', auth, ownerOnly, async (req, res) => {
   try {
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
-
-    const count = notificationManager.markAllAsRead();
+    const categories = notificationManager.parseCategories(req.body.category || req.query.category);
+    const count = await notificationManager.markAllAsRead(req.user, { categories });
 
     res.json({ 
       message: 'All notifications marked as read',
@@ -162,20 +77,39 @@ router.post('/mark-all-read', auth, async (req, res) => {
 });
 
 /**
- * @route GET /api/owner-notifications/unread-count
- * @desc Get unread notification count
+ * @route POST /api/owner-notifications/dismiss/:id
+ * @desc Hide a notification from the signed-in owner's list
  * @access Private (Owner only)
  */
-router.get('/unread-count', auth, async (req, res) => {
+router.post('/dismiss/:id', auth, ownerOnly, async (req, res) => {
   try {
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
+    const dismissed = await notificationManager.dismiss(req.params.id, req.user);
 
-    const unreadCount = notificationManager.getUnreadCount();
+    if (dismissed) {
+      res.json({ message: 'Notification dismissed' });
+    } else {
+      res.status(404).json({ message: 'Notification not found' });
+    }
+  } catch (error) {
+    console.error('Error dismissing notification:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({ unreadCount });
+/**
+ * @route GET /api/owner-notifications/unread-count
+ * @desc Get unread notification count, in total and per category
+ * @access Private (Owner only)
+ */
+router.get('/unread-count', auth, ownerOnly, async (req, res) => {
+  try {
+    const byCategory = await notificationManager.getUnreadCountsByCategory(req.user);
+    const categories = notificationManager.parseCategories(req.query.category);
+    const unreadCount = Object.entries(byCategory)
+      .filter(([category]) => !categories.length || categories.includes(category))
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    res.json({ unreadCount, byCategory });
   } catch (error) {
     console.error('Error fetching unread count:', error);
     res.status(500).json({ message: 'Server error' });
@@ -187,13 +121,8 @@ router.get('/unread-count', auth, async (req, res) => {
  * @desc Get pending ultra shelf requests with notification context
  * @access Private (Owner only)
  */
-router.get('/pending-requests', auth, async (req, res) => {
+router.get('/pending-requests', auth, ownerOnly, async (req, res) => {
   try {
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
-
     const pendingRequests = await spiritsAuthService.getPendingRequests();
 
     // Format for owner notification display
@@ -202,8 +131,8 @@ router.get('/pending-requests', auth, async (req, res) => {
       type: 'ultra_shelf_request',
       title: `Ultra Shelf Request: ${request.spiritId.name}`,
       message: `${request.patronName} has requested access to ${request.spiritId.brand} ${request.spiritId.name}`,
+      patronId: request.patron,
       patronName: request.patronName,
-      sessionId: request.sessionId,
       spirit: {
         id: request.spiritId._id,
         name: request.spiritId.name,
@@ -231,7 +160,7 @@ router.get('/pending-requests', auth, async (req, res) => {
  * @desc Respond to ultra shelf request with notification
  * @access Private (Owner only)
  */
-router.post('/respond-to-request', auth, async (req, res) => {
+router.post('/respond-to-request', auth, ownerOnly, async (req, res) => {
   try {
     const { requestId, approved, notes } = req.body;
 
@@ -241,24 +170,20 @@ router.post('/respond-to-request', auth, async (req, res) => {
       });
     }
 
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
-
     // Process the authorization
     const result = await spiritsAuthService.authorizeUltraShelfRequest(
       requestId, 
       approved, 
-      notes
+      notes,
+      req.user
     );
 
     if (result.success) {
       // Create a notification about the response
-      const notification = notificationManager.addNotification({
+      const notification = await notificationManager.addNotification({
         type: 'ultra_shelf_response',
         title: `Ultra Shelf Request ${approved ? 'Approved' : 'Denied'}`,
-        message: `Request for ${result.authorization.spiritId} has been ${approved ? 'approved' : 'denied'}`,
+        message: `${result.authorization.patronName}'s request has been ${approved ? 'approved' : 'denied'} by ${req.user.fullName}`,
         priority: 'medium',
         data: {
           requestId,
@@ -294,8 +219,8 @@ function createUltraShelfRequestNotification(request, spirit) {
     priority: 'high',
     data: {
       requestId: request._id,
+      patronId: request.patron,
       patronName: request.patronName,
-      sessionId: request.sessionId,
       spirit: {
         id: spirit._id,
         name: spirit.name,
@@ -309,14 +234,16 @@ function createUltraShelfRequestNotification(request, spirit) {
 
 /**
  * @route GET /api/owner-notifications/sse
- * @desc Server-Sent Events endpoint for real-time notifications
+ * @desc Server-Sent Events endpoint for real-time notifications; replays anything
+ *       missed since the Last-Event-ID header (or ?lastEventId=) on reconnect
  * @access Private (Owner only)
  */
-router.get('/sse', auth, (req, res) => {
-  // TODO: Add owner role check
-  // if (req.user.role !== 'owner') {
-  //   return res.status(403).json({ message: 'Owner access required' });
-  // }
+router.get('/sse', auth, ownerOnly, async (req, res) => {
+  const categories = notificationManager.parseCategories(req.query.category);
+  const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+  const wants = (notification) =>
+    (!notification.audience || notification.audience.includes(req.user.role)) &&
+    (!categories.length || categories.includes(notification.category));
 
   // Set up SSE headers
   res.writeHead(200, {
@@ -324,20 +251,26 @@ router.get('/sse', auth, (req, res) => {
     'Cache-Control': 'no-cache',
     'Connection': 'keep-alive',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID'
   });
 
+  const send = ({ audience, ...notification }) => {
+    res.write(`id: ${notification.id}\ndata: ${JSON.stringify(notification)}\n\n`);
+  };
+
   // Send initial connection message
-  res.write(`data: ${JSON.stringify({ type: 'connected', message: 'Connected to notifications' })}\n\n`);
+  res.write(`retry: 5000\ndata: ${JSON.stringify({ type: 'connected', message: 'Connected to notifications' })}\n\n`);
 
-  // Subscribe to notifications
+  // Subscribe before replaying so nothing published meanwhile is lost; hold live
+  // notifications until the replay has gone out so the stream stays in order
+  let queue = [];
   const unsubscribe = notificationManager.subscribe((notification) => {
-    res.write(`data: ${JSON.stringify(notification)}\n\n`);
-  });
-
-  // Handle client disconnect
-  req.on('close', () => {
-    unsubscribe();
+    if (!wants(notification)) return;
+    if (queue) {
+      queue.push(notification);
+    } else {
+      send(notification);
+    }
   });
 
   // Keep connection alive
@@ -345,13 +278,30 @@ router.get('/sse', auth, (req, res) => {
     res.write(`data: ${JSON.stringify({ type: 'ping', timestamp: new Date() })}\n\n`);
   }, 30000);
 
+  // Handle client disconnect
   req.on('close', () => {
+    unsubscribe();
     clearInterval(keepAlive);
   });
+
+  const replayed = new Set();
+  if (lastEventId) {
+    try {
+      const missed = await notificationManager.getSince(lastEventId, req.user, { categories });
+      missed.forEach(notification => {
+        replayed.add(notification.id);
+        send(notification);
+      });
+    } catch (error) {
+      console.error('Error replaying notifications:', error);
+    }
+  }
+
+  queue.filter(notification => !replayed.has(notification.id)).forEach(send);
+  queue = null;
 });
 
-// Export notification manager for use in other routes
-router.notificationManager = notificationManager;
+// Export helper for use in other routes
 router.createUltraShelfRequestNotification = createUltraShelfRequestNotification;
 
 module.exports = router;
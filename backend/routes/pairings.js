@@ -0,0 +1,306 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, staffOnly } = require('../middleware/auth');
+const Dish = require('../models/Dish');
+const pairingService = require('../services/pairingService');
+
+const router = express.Router();
+
+const categoryList = Object.keys(pairingService.PAIRING_MODELS);
+
+const dishIdParam = param('id').isMongoId().withMessage('Invalid dish ID');
+
+const dishValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Dish name is required and must be under 100 characters'),
+    field('course').isIn(Dish.COURSES).withMessage(`Course must be one of: ${Dish.COURSES.join(', ')}`),
+    body('protein').optional().isIn(Dish.PROTEINS).withMessage(`Protein must be one of: ${Dish.PROTEINS.join(', ')}`),
+    body('flavorProfile').optional().isArray().withMessage('Flavor profile must be a list'),
+    body('flavorProfile.*').isIn(Dish.FLAVORS).withMessage(`Flavors must be among: ${Dish.FLAVORS.join(', ')}`),
+    body('fat').optional().isIn(Dish.LEVELS).withMessage('Fat must be low, medium or high'),
+    body('acidity').optional().isIn(Dish.LEVELS).withMessage('Acidity must be low, medium or high'),
+    body('spice').optional().isIn(Dish.SPICE_LEVELS).withMessage('Spice must be none, mild, medium or hot'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price cannot be negative')
+  ];
+};
+
+// @route   GET /api/pairings
+// @desc    Pair a dish with beverages (?dish=) or a beverage with dishes (?beverage=)
+// @access  Public
+router.get('/', [
+  query('dish').optional().trim().isLength({ min: 1, max: 100 }),
+  query('beverage').optional().isMongoId().withMessage('Invalid beverage ID'),
+  query('category').optional().custom(value => String(value).split(',').every(category => categoryList.includes(category.trim())))
+    .withMessage(`Category must be among: ${categoryList.join(', ')}`),
+  query('course').optional().isIn(Dish.COURSES).withMessage(`Course must be one of: ${Dish.COURSES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { dish, beverage, category, course, limit } = req.query;
+
+    if (!dish === !beverage) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a dish or a beverage'
+      });
+    }
+
+    const result = dish
+      ? await pairingService.suggestForDish(dish, { categories: category, limit: limit && parseInt(limit) })
+      : await pairingService.suggestForBeverage(beverage, { category, course, limit: limit && parseInt(limit) });
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json(result);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get pairings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching pairings'
+    });
+  }
+});
+
+// @route   POST /api/pairings/menu
+// @desc    Pairings for every food item on a draft menu in one pass
+// @access  Private
+router.post('/menu', [
+  auth,
+  body('food').isArray({ min: 1, max: 30 }).withMessage('Food must list between 1 and 30 items'),
+  body('food.*.name').optional().trim().isLength({ max: 100 }),
+  body('food.*.dish').optional().isMongoId().withMessage('Invalid dish ID'),
+  body('category').optional().custom(value => String(value).split(',').every(category => categoryList.includes(category.trim())))
+    .withMessage(`Category must be among: ${categoryList.join(', ')}`),
+  body('limit').optional().isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await pairingService.suggestForMenu(req.body.food, {
+      categories: req.body.category,
+      limit: req.body.limit && parseInt(req.body.limit)
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Menu pairings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error pairing menu'
+    });
+  }
+});
+
+// @route   GET /api/pairings/dishes
+// @desc    Get the dish catalog
+// @access  Public
+router.get('/dishes', [
+  query('course').optional().isIn(Dish.COURSES).withMessage(`Course must be one of: ${Dish.COURSES.join(', ')}`),
+  query('protein').optional().isIn(Dish.PROTEINS).withMessage(`Protein must be one of: ${Dish.PROTEINS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { course, protein, includeUnavailable } = req.query;
+    const filter = {};
+    if (course) filter.course = course;
+    if (protein) filter.protein = protein;
+    if (includeUnavailable !== 'true') filter.isAvailable = true;
+
+    const dishes = await Dish.find(filter).sort({ course: 1, name: 1 }).lean();
+
+    res.json({
+      success: true,
+      count: dishes.length,
+      dishes
+    });
+
+  } catch (error) {
+    console.error('Get dishes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching dishes'
+    });
+  }
+});
+
+// @route   GET /api/pairings/dishes/:id
+// @desc    Get a single dish
+// @access  Public
+router.get('/dishes/:id', [dishIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dish = await Dish.findById(req.params.id).lean();
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dish not found'
+      });
+    }
+
+    res.json({ success: true, dish });
+
+  } catch (error) {
+    console.error('Get dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching dish'
+    });
+  }
+});
+
+// @route   POST /api/pairings/dishes
+// @desc    Add a dish to the catalog
+// @access  Private (Bartender or Owner)
+router.post('/dishes', [auth, staffOnly, ...dishValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await Dish.findOne({ name: req.body.name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A dish with this name already exists'
+      });
+    }
+
+    const dish = new Dish(req.body);
+    await dish.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Dish created successfully',
+      dish
+    });
+
+  } catch (error) {
+    console.error('Create dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating dish'
+    });
+  }
+});
+
+// @route   PUT /api/pairings/dishes/:id
+// @desc    Update a dish
+// @access  Private (Bartender or Owner)
+router.put('/dishes/:id', [auth, staffOnly, dishIdParam, ...dishValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dish = await Dish.findByIdAndUpdate(
+      req.params.id,
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dish not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dish updated successfully',
+      dish
+    });
+
+  } catch (error) {
+    console.error('Update dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating dish'
+    });
+  }
+});
+
+// @route   DELETE /api/pairings/dishes/:id
+// @desc    Remove a dish from the catalog
+// @access  Private (Bartender or Owner)
+router.delete('/dishes/:id', [auth, staffOnly, dishIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dish = await Dish.findByIdAndDelete(req.params.id);
+    if (!dish) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dish not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dish deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete dish error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting dish'
+    });
+  }
+});
+
+module.exports = router;
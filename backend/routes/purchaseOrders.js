@@ -0,0 +1,361 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { auth, staffOnly } = require('../middleware/auth');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const purchaseOrderService = require('../services/purchaseOrderService');
+
+const router = express.Router();
+
+// @route   GET /api/purchase-orders
+// @desc    Get purchase orders with filtering and pagination
+// @access  Private (Bartender or Owner)
+router.get('/', [
+  auth,
+  staffOnly,
+  query('status').optional().isIn(['Draft', 'Sent', 'Received', 'Cancelled']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status, supplier } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (supplier) {
+      query['supplier.name'] = supplier;
+    }
+
+    const skip = (page - 1) * limit;
+    const [purchaseOrders, total] = await Promise.all([
+      PurchaseOrder.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('createdBy', 'fullName')
+        .lean(),
+      PurchaseOrder.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: purchaseOrders.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      purchaseOrders
+    });
+
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching purchase orders'
+    });
+  }
+});
+
+// @route   POST /api/purchase-orders/generate
+// @desc    Generate draft purchase orders from par levels, grouped by supplier
+// @access  Private (Bartender or Owner)
+router.post('/generate', [
+  auth,
+  staffOnly,
+  body('supplier').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Supplier name must be under 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrders = await purchaseOrderService.generateDrafts({
+      userId: req.user.id,
+      supplierName: req.body.supplier
+    });
+
+    res.status(purchaseOrders.length ? 201 : 200).json({
+      success: true,
+      message: purchaseOrders.length
+        ? `Generated ${purchaseOrders.length} draft purchase order(s)`
+        : 'No items are below their reorder point',
+      count: purchaseOrders.length,
+      purchaseOrders
+    });
+
+  } catch (error) {
+    console.error('Generate purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating purchase orders'
+    });
+  }
+});
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Get single purchase order
+// @access  Private (Bartender or Owner)
+router.get('/:id', [auth, staffOnly], async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('createdBy', 'fullName')
+      .populate('receivedBy', 'fullName')
+      .populate('statusHistory.changedBy', 'fullName');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      purchaseOrder
+    });
+
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching purchase order'
+    });
+  }
+});
+
+// @route   GET /api/purchase-orders/:id/export
+// @desc    Export purchase order as CSV or printable HTML
+// @access  Private (Bartender or Owner)
+router.get('/:id/export', [
+  auth,
+  staffOnly,
+  query('format').optional().isIn(['csv', 'html']).withMessage('Format must be csv or html')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).lean();
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (req.query.format === 'html') {
+      res.type('html').send(purchaseOrderService.toHtml(purchaseOrder));
+    } else {
+      res.type('text/csv');
+      res.attachment(`${purchaseOrder.poNumber}.csv`);
+      res.send(purchaseOrderService.toCsv(purchaseOrder));
+    }
+
+  } catch (error) {
+    console.error('Export purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting purchase order'
+    });
+  }
+});
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Update draft purchase order quantities, costs and notes
+// @access  Private (Bartender or Owner)
+router.put('/:id', [
+  auth,
+  staffOnly,
+  body('lines').optional().isArray().withMessage('Lines must be an array'),
+  body('lines.*.lineId').optional().isMongoId().withMessage('Valid line ID is required'),
+  body('lines.*.quantityOrdered').optional().isFloat({ min: 0 }).withMessage('Ordered quantity must be non-negative'),
+  body('lines.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be non-negative'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be under 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (purchaseOrder.status !== 'Draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be edited'
+      });
+    }
+
+    (req.body.lines || []).forEach(update => {
+      const line = purchaseOrder.lines.id(update.lineId);
+      if (!line) return;
+      if (update.quantityOrdered !== undefined) line.quantityOrdered = update.quantityOrdered;
+      if (update.unitCost !== undefined) line.unitCost = update.unitCost;
+    });
+
+    // Drop lines zeroed out during review
+    purchaseOrder.lines = purchaseOrder.lines.filter(line => line.quantityOrdered > 0);
+
+    if (req.body.notes !== undefined) {
+      purchaseOrder.notes = req.body.notes;
+    }
+
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      purchaseOrder
+    });
+
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating purchase order'
+    });
+  }
+});
+
+// @route   PUT /api/purchase-orders/:id/status
+// @desc    Mark a purchase order as sent or cancelled
+// @access  Private (Bartender or Owner)
+router.put('/:id/status', [
+  auth,
+  staffOnly,
+  body('status').isIn(['Sent', 'Cancelled']).withMessage('Status must be Sent or Cancelled'),
+  body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason must be under 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, reason = '' } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const allowed = {
+      Sent: ['Draft'],
+      Cancelled: ['Draft', 'Sent']
+    };
+
+    if (!allowed[status].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a ${purchaseOrder.status} purchase order to ${status}`
+      });
+    }
+
+    if (status === 'Sent' && purchaseOrder.lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot send a purchase order with no lines'
+      });
+    }
+
+    purchaseOrder.changeStatus(status, req.user.id, reason);
+    await purchaseOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Purchase order status updated successfully',
+      purchaseOrder: {
+        id: purchaseOrder._id,
+        poNumber: purchaseOrder.poNumber,
+        status: purchaseOrder.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Update purchase order status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating purchase order status'
+    });
+  }
+});
+
+// @route   POST /api/purchase-orders/:id/receive
+// @desc    Receive a sent purchase order into inventory
+// @access  Private (Bartender or Owner)
+router.post('/:id/receive', [
+  auth,
+  staffOnly,
+  body('lines').optional().isArray().withMessage('Lines must be an array'),
+  body('lines.*.lineId').optional().isMongoId().withMessage('Valid line ID is required'),
+  body('lines.*.quantityReceived').optional().isFloat({ min: 0 }).withMessage('Received quantity must be non-negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await purchaseOrderService.receive(req.params.id, req.body.lines || [], req.user.id);
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error receiving purchase order'
+    });
+  }
+});
+
+module.exports = router;
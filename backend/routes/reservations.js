@@ -1,11 +1,32 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { auth, bartenderOnly } = require('../middleware/auth');
+const { auth, staffOnly, STAFF_ROLES, isStaff } = require('../middleware/auth');
 const Reservation = require('../models/Reservation');
 const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const venueAllocationService = require('../services/venueAllocationService');
+const reservationReminderService = require('../services/reservationReminderService');
+const icalService = require('../services/icalService');
+const waitlistService = require('../services/waitlistService');
+const pairingService = require('../services/pairingService');
 
 const router = express.Router();
 
+// Set by staff or by the system; a patron's create or update request never changes them
+const STAFF_MANAGED_FIELDS = ['patronId', 'pricing', 'status', 'statusHistory', 'reminders', 'assignedStaff'];
+
+/**
+ * Copy of a request body without allocation and, for patrons, without the staff-managed fields
+ * (including dotted paths such as "pricing.deposit.paid")
+ * @param {object} body - Request body
+ * @param {object} user - req.user
+ * @returns {object} Fields the caller may set
+ */
+const allowedUpdates = (body, user) => {
+  const protectedFields = isStaff(user) ? ['allocation'] : ['allocation', ...STAFF_MANAGED_FIELDS];
+  return Object.fromEntries(Object.entries(body).filter(([key]) => !protectedFields.includes(key.split('.')[0])));
+};
+
 // @route   GET /api/reservations
 // @desc    Get reservations with filtering and pagination
 // @access  Private
@@ -46,8 +67,8 @@ router.get('/', [
       query.patronId = req.user.id;
     }
     
-    // If patronId is specified and user is bartender, filter by patron
-    if (patronId && req.user.role === 'Bartender') {
+    // If patronId is specified and user is staff, filter by patron
+    if (patronId && isStaff(req.user)) {
       query.patronId = patronId;
     }
     
@@ -139,7 +160,7 @@ router.get('/calendar', [
 
     const reservations = await Reservation.find(query)
       .populate('patronId', 'fullName')
-      .select('eventTitle startTime endTime status eventType guestCount')
+      .select('eventTitle startTime endTime status eventType guestCount seatingPreference allocation.areaName')
       .sort({ startTime: 1 })
       .lean();
 
@@ -170,6 +191,337 @@ router.get('/calendar', [
   }
 });
 
+// @route   GET /api/reservations/availability
+// @desc    Get open time slots for a date, party size and seating preference
+// @access  Private
+router.get('/availability', [
+  auth,
+  query('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+  query('guestCount').isInt({ min: 1, max: 200 }).withMessage('Guest count must be between 1 and 200'),
+  query('seatingPreference').optional().isIn(['Bar', 'Table', 'Booth', 'Private Room', 'Outdoor', 'No Preference']).withMessage('Invalid seating preference'),
+  query('duration').optional().isFloat({ min: 0.5, max: 12 }).withMessage('Duration must be between 0.5 and 12 hours')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { date, guestCount, seatingPreference = 'No Preference', duration } = req.query;
+
+    const slots = await venueAllocationService.getOpenSlots({
+      date,
+      guestCount: parseInt(guestCount),
+      seatingPreference,
+      durationHours: duration ? parseFloat(duration) : undefined
+    });
+
+    res.json({
+      success: true,
+      date,
+      guestCount: parseInt(guestCount),
+      seatingPreference,
+      count: slots.length,
+      slots
+    });
+
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking availability'
+    });
+  }
+});
+
+// @route   GET /api/reservations/staff
+// @desc    Get staff members who can be assigned to reservations
+// @access  Private (Bartender or Owner)
+router.get('/staff', [auth, staffOnly], async (req, res) => {
+  try {
+    const staff = await User.find({ role: { $in: STAFF_ROLES }, isActive: { $ne: false } })
+      .select('fullName email')
+      .sort({ fullName: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: staff.length,
+      staff
+    });
+
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching staff'
+    });
+  }
+});
+
+// @route   GET /api/reservations/waitlist
+// @desc    Get the waitlist (patrons see their own entries)
+// @access  Private
+router.get('/waitlist', auth, async (req, res) => {
+  try {
+    if (isStaff(req.user)) {
+      const queue = await waitlistService.getQueue();
+      return res.json({
+        success: true,
+        count: queue.length,
+        holdMinutes: waitlistService.holdMinutes,
+        waitlist: queue
+      });
+    }
+
+    const entries = await WaitlistEntry.find({ patronId: req.user.id })
+      .sort({ startTime: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({
+      success: true,
+      count: entries.length,
+      holdMinutes: waitlistService.holdMinutes,
+      waitlist: entries
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching waitlist'
+    });
+  }
+});
+
+// @route   POST /api/reservations/waitlist
+// @desc    Join the waitlist for a fully booked time
+// @access  Private
+router.post('/waitlist', [
+  auth,
+  body('eventTitle').trim().isLength({ min: 1, max: 100 }).withMessage('Event title is required and must be under 100 characters'),
+  body('eventType').isIn(['Birthday Party', 'Corporate Event', 'Private Party', 'Wedding Reception', 'Happy Hour', 'Live Music', 'Trivia Night', 'Other']).withMessage('Invalid event type'),
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').isISO8601().withMessage('Valid end time is required'),
+  body('guestCount').isInt({ min: 1, max: 200 }).withMessage('Guest count must be between 1 and 200'),
+  body('seatingPreference').optional().isIn(['Bar', 'Table', 'Booth', 'Private Room', 'Outdoor', 'No Preference']).withMessage('Invalid seating preference'),
+  body('contactInfo.phone').matches(/^\+?[\d\s\-\(\)]+$/).withMessage('Valid phone number is required'),
+  body('contactInfo.email').isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const startTime = new Date(req.body.startTime);
+    const endTime = new Date(req.body.endTime);
+
+    if (startTime >= endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'End time must be after start time'
+      });
+    }
+
+    if (startTime < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reservation cannot be in the past'
+      });
+    }
+
+    const result = await waitlistService.join(req.user.id, { ...req.body, startTime, endTime });
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error joining waitlist'
+    });
+  }
+});
+
+// @route   POST /api/reservations/waitlist/:id/accept
+// @desc    Accept a waitlist offer, creating a pending reservation
+// @access  Private
+router.post('/waitlist/:id/accept', auth, async (req, res) => {
+  try {
+    const result = await waitlistService.accept(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting waitlist offer'
+    });
+  }
+});
+
+// @route   POST /api/reservations/waitlist/:id/decline
+// @desc    Decline a waitlist offer so the next patron gets it
+// @access  Private
+router.post('/waitlist/:id/decline', auth, async (req, res) => {
+  try {
+    const result = await waitlistService.decline(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error declining waitlist offer'
+    });
+  }
+});
+
+// @route   DELETE /api/reservations/waitlist/:id
+// @desc    Leave the waitlist
+// @access  Private
+router.delete('/waitlist/:id', auth, async (req, res) => {
+  try {
+    const result = await waitlistService.leave(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error leaving waitlist'
+    });
+  }
+});
+
+// @route   POST /api/reservations/feed-token
+// @desc    Create (or rotate) the caller's iCal feed token
+// @access  Private
+router.post('/feed-token', auth, async (req, res) => {
+  try {
+    const { token, hash } = icalService.generateFeedToken();
+    await User.findByIdAndUpdate(req.user.id, { calendarFeedTokenHash: hash });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Any previous feed URL no longer works.',
+      feedUrl: `${req.protocol}://${req.get('host')}/api/reservations/feed/${token}.ics`
+    });
+
+  } catch (error) {
+    console.error('Create feed token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating calendar feed'
+    });
+  }
+});
+
+// @route   DELETE /api/reservations/feed-token
+// @desc    Revoke the caller's iCal feed
+// @access  Private
+router.delete('/feed-token', auth, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $unset: { calendarFeedTokenHash: 1 } });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke feed token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking calendar feed'
+    });
+  }
+});
+
+// @route   GET /api/reservations/feed/:token.ics
+// @desc    Subscribable iCal feed (staff: all approved events, patrons: their own)
+// @access  Public (feed token)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedTokenHash: icalService.hashFeedToken(req.params.token),
+      isActive: true
+    }).select('role fullName');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const staffFeed = isStaff(user);
+    const query = {
+      // Keep a month of history so recent changes still reach subscribers
+      startTime: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+    };
+    if (!staffFeed) {
+      query.patronId = user._id;
+    }
+
+    const reservations = await Reservation.find(query)
+      .populate('assignedStaff.user', 'fullName')
+      .sort({ startTime: 1 })
+      .lean();
+
+    const calendar = icalService.buildCalendar(
+      icalService.filterForFeed(reservations, !staffFeed),
+      { name: staffFeed ? 'Nauti Bouys Events' : `Nauti Bouys - ${user.fullName}` }
+    );
+
+    res.type('text/calendar; charset=utf-8').send(calendar);
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating calendar feed'
+    });
+  }
+});
+
 // @route   GET /api/reservations/:id
 // @desc    Get single reservation
 // @access  Private
@@ -195,9 +547,15 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
+    // Internal notes are for staff eyes only
+    const result = reservation.toObject();
+    if (req.user.role === 'Patron') {
+      result.notes = result.notes.filter(note => !note.isInternal);
+    }
+
     res.json({
       success: true,
-      reservation
+      reservation: result
     });
 
   } catch (error) {
@@ -209,6 +567,144 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/reservations/:id/ics
+// @desc    Download a reservation as an .ics file
+// @access  Private
+router.get('/:id/ics', auth, async (req, res) => {
+  try {
+    let query = { _id: req.params.id };
+
+    // If user is a patron, only allow access to their own reservations
+    if (req.user.role === 'Patron') {
+      query.patronId = req.user.id;
+    }
+
+    const reservation = await Reservation.findOne(query)
+      .populate('assignedStaff.user', 'fullName')
+      .lean();
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`reservation-${reservation._id}.ics`);
+    res.send(icalService.buildCalendar([reservation], { name: reservation.eventTitle, method: 'PUBLISH' }));
+
+  } catch (error) {
+    console.error('Reservation ics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting reservation'
+    });
+  }
+});
+
+// @route   GET /api/reservations/:id/pairings
+// @desc    Beverage pairings for the food on a reservation's menu
+// @access  Private
+router.get('/:id/pairings', [
+  auth,
+  query('category').optional().trim(),
+  query('limit').optional().isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let query = { _id: req.params.id };
+
+    // If user is a patron, only allow access to their own reservations
+    if (req.user.role === 'Patron') {
+      query.patronId = req.user.id;
+    }
+
+    const reservation = await Reservation.findOne(query).lean();
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    const result = await pairingService.suggestForMenu(reservation.menu?.food || [], {
+      categories: req.query.category,
+      limit: req.query.limit && parseInt(req.query.limit)
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Reservation pairings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching pairings'
+    });
+  }
+});
+
+// @route   POST /api/reservations/:id/pairings/apply
+// @desc    Add the best pairing for each dish to the reservation's beverage menu (Bartender or Owner)
+// @access  Private (Bartender or Owner)
+router.post('/:id/pairings/apply', [
+  auth,
+  staffOnly,
+  body('category').optional().trim(),
+  body('perDish').optional().isInt({ min: 1, max: 3 }).withMessage('Pairings per dish must be between 1 and 3')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found'
+      });
+    }
+
+    const result = await pairingService.applyToReservation(reservation, {
+      categories: req.body.category,
+      perDish: req.body.perDish && parseInt(req.body.perDish)
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      added: result.added,
+      unmatched: result.suggestions.unmatched,
+      reservation
+    });
+
+  } catch (error) {
+    console.error('Apply pairings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error applying pairings'
+    });
+  }
+});
+
 // @route   POST /api/reservations
 // @desc    Create new reservation
 // @access  Private
@@ -250,29 +746,28 @@ router.post('/', [
       });
     }
 
-    // Check for conflicting reservations (basic overlap check)
-    const conflictingReservation = await Reservation.findOne({
-      status: { $in: ['Pending', 'Approved'] },
-      $or: [
-        {
-          startTime: { $lt: endTime },
-          endTime: { $gt: startTime }
-        }
-      ]
+    // Seat the party in an area/table that fits
+    const availability = await venueAllocationService.checkAvailability({
+      startTime,
+      endTime,
+      guestCount: req.body.guestCount,
+      seatingPreference: req.body.seatingPreference
     });
 
-    if (conflictingReservation) {
+    if (!availability.available) {
       return res.status(400).json({
         success: false,
-        message: 'Time slot conflicts with existing reservation'
+        message: availability.message,
+        canJoinWaitlist: true
       });
     }
 
     const reservationData = {
-      ...req.body,
+      ...allowedUpdates(req.body, req.user),
       patronId: req.user.id,
       startTime,
-      endTime
+      endTime,
+      allocation: availability.allocation || undefined
     };
 
     const reservation = new Reservation(reservationData);
@@ -353,10 +848,38 @@ router.put('/:id', [
       }
     }
 
+    // Allocation is managed here, never taken from the request
+    const updates = allowedUpdates(req.body, req.user);
+
+    // Re-seat the party when the time, size or seating changes
+    if (['startTime', 'endTime', 'guestCount', 'seatingPreference'].some(field => updates[field] !== undefined)) {
+      const availability = await venueAllocationService.checkAvailability({
+        startTime: updates.startTime ? new Date(updates.startTime) : reservation.startTime,
+        endTime: updates.endTime ? new Date(updates.endTime) : reservation.endTime,
+        guestCount: updates.guestCount !== undefined ? Number(updates.guestCount) : reservation.guestCount,
+        seatingPreference: updates.seatingPreference || reservation.seatingPreference,
+        excludeId: reservation._id
+      });
+
+      if (!availability.available) {
+        return res.status(400).json({
+          success: false,
+          message: availability.message
+        });
+      }
+
+      reservation.allocation = availability.allocation || undefined;
+    }
+
     // Update reservation
-    Object.assign(reservation, req.body);
+    Object.assign(reservation, updates);
     await reservation.save();
 
+    // Keep reminders in step with a moved start time
+    if (updates.startTime && reservation.status === 'Approved') {
+      await reservationReminderService.scheduleDefaultReminders(reservation);
+    }
+
     res.json({
       success: true,
       message: 'Reservation updated successfully',
@@ -373,10 +896,11 @@ router.put('/:id', [
 });
 
 // @route   PUT /api/reservations/:id/status
-// @desc    Update reservation status (Bartender only)
-// @access  Private (Bartender only)
+// @desc    Update reservation status (Bartender or Owner)
+// @access  Private (Bartender or Owner)
 router.put('/:id/status', [
-  bartenderOnly,
+  auth,
+  staffOnly,
   body('status').isIn(['Pending', 'Approved', 'Denied', 'Cancelled', 'Completed']).withMessage('Invalid status'),
   body('reason').optional().trim().isLength({ max: 300 }).withMessage('Reason must be under 300 characters')
 ], async (req, res) => {
@@ -402,6 +926,14 @@ router.put('/:id/status', [
 
     await reservation.changeStatus(status, req.user.id, reason);
 
+    // Approval schedules reminders; denial or cancellation withdraws any not yet sent
+    if (status === 'Approved') {
+      await reservationReminderService.scheduleDefaultReminders(reservation);
+    } else if (['Denied', 'Cancelled'].includes(status)) {
+      await reservationReminderService.clearPendingReminders(reservation);
+      await waitlistService.offerReleasedSlot(reservation);
+    }
+
     res.json({
       success: true,
       message: 'Reservation status updated successfully',
@@ -456,8 +988,8 @@ router.post('/:id/notes', [
       });
     }
 
-    // Only bartenders can add internal notes
-    const noteIsInternal = req.user.role === 'Bartender' ? isInternal : false;
+    // Only staff can add internal notes
+    const noteIsInternal = isStaff(req.user) ? isInternal : false;
 
     await reservation.addNote(content, req.user.id, noteIsInternal);
 
@@ -476,10 +1008,11 @@ router.post('/:id/notes', [
 });
 
 // @route   POST /api/reservations/:id/assign-staff
-// @desc    Assign staff to reservation (Bartender only)
-// @access  Private (Bartender only)
+// @desc    Assign staff to reservation (Bartender or Owner)
+// @access  Private (Bartender or Owner)
 router.post('/:id/assign-staff', [
-  bartenderOnly,
+  auth,
+  staffOnly,
   body('userId').isMongoId().withMessage('Valid user ID is required'),
   body('role').isIn(['Bartender', 'Server', 'Manager', 'Security', 'DJ', 'Coordinator']).withMessage('Invalid staff role')
 ], async (req, res) => {
@@ -497,10 +1030,10 @@ router.post('/:id/assign-staff', [
     
     // Verify user exists and has appropriate role
     const user = await User.findById(userId);
-    if (!user || user.role !== 'Bartender') {
+    if (!user || !isStaff(user)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid user or user is not a bartender'
+        message: 'Invalid user or user is not staff'
       });
     }
 
@@ -549,17 +1082,23 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    if (req.user.role === 'Bartender') {
-      // Bartenders can delete reservations
+    if (isStaff(req.user)) {
+      // Staff can delete reservations
       await Reservation.findByIdAndDelete(req.params.id);
     } else {
       // Patrons can only cancel (change status)
       await reservation.changeStatus('Cancelled', req.user.id, 'Cancelled by patron');
+      await reservationReminderService.clearPendingReminders(reservation);
+    }
+
+    // The freed time goes to the next patron on the waitlist
+    if (['Pending', 'Approved', 'Cancelled'].includes(reservation.status)) {
+      await waitlistService.offerReleasedSlot(reservation);
     }
 
     res.json({
       success: true,
-      message: req.user.role === 'Bartender' ? 'Reservation deleted successfully' : 'Reservation cancelled successfully'
+      message: isStaff(req.user) ? 'Reservation deleted successfully' : 'Reservation cancelled successfully'
     });
 
   } catch (error) {
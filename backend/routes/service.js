@@ -0,0 +1,213 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { auth, staffOnly } = require('../middleware/auth');
+const ServiceLedger = require('../models/ServiceLedger');
+const serviceLedgerService = require('../services/serviceLedgerService');
+
+const router = express.Router();
+
+const patronIdParam = param('patronId').isMongoId().withMessage('Invalid patron ID');
+
+// @route   GET /api/service/thresholds
+// @desc    Responsible-service thresholds in force
+// @access  Private
+router.get('/thresholds', auth, (req, res) => {
+  res.json({
+    success: true,
+    thresholds: serviceLedgerService.getThresholds()
+  });
+});
+
+// @route   GET /api/service/me
+// @desc    Get the signed-in patron's current visit and estimate
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    const { visit, status } = await serviceLedgerService.getStatus(req.user.id);
+
+    res.json({ success: true, visit, status });
+
+  } catch (error) {
+    console.error('Get own service status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching service status'
+    });
+  }
+});
+
+// @route   GET /api/service/flagged
+// @desc    Patrons flagged this visit, cutoffs first
+// @access  Private (Bartender or Owner)
+router.get('/flagged', [auth, staffOnly], async (req, res) => {
+  try {
+    const patrons = await serviceLedgerService.getFlaggedPatrons();
+
+    res.json({
+      success: true,
+      count: patrons.length,
+      patrons
+    });
+
+  } catch (error) {
+    console.error('Get flagged patrons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching flagged patrons'
+    });
+  }
+});
+
+// @route   GET /api/service/ledger/:patronId
+// @desc    Get a patron's current visit and estimate
+// @access  Private (Bartender or Owner)
+router.get('/ledger/:patronId', [auth, staffOnly, patronIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { visit, status } = await serviceLedgerService.getStatus(req.params.patronId);
+
+    res.json({ success: true, visit, status });
+
+  } catch (error) {
+    console.error('Get service ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching service ledger'
+    });
+  }
+});
+
+// @route   POST /api/service/ledger/:patronId/serve
+// @desc    Record items served to a patron
+// @access  Private (Bartender or Owner)
+router.post('/ledger/:patronId/serve', [
+  auth,
+  staffOnly,
+  patronIdParam,
+  body('itemType').isIn(ServiceLedger.ITEM_TYPES).withMessage(`Item type must be one of: ${ServiceLedger.ITEM_TYPES.join(', ')}`),
+  body('itemId').isMongoId().withMessage('Invalid item ID'),
+  body('volumeMl').optional().isFloat({ min: 1, max: 2000 }).withMessage('Volume must be between 1 and 2000 ml'),
+  body('quantity').optional().isInt({ min: 1, max: 10 }).withMessage('Quantity must be between 1 and 10')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { itemType, itemId, volumeMl, quantity } = req.body;
+    const result = await serviceLedgerService.recordServing(
+      req.params.patronId,
+      { itemType, itemId, volumeMl: volumeMl && Number(volumeMl), quantity: quantity ? parseInt(quantity) : 1 },
+      req.user
+    );
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json(result);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.message,
+      visit: result.ledger,
+      status: result.status
+    });
+
+  } catch (error) {
+    console.error('Record serving error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording serving'
+    });
+  }
+});
+
+// @route   DELETE /api/service/ledger/:patronId/entries/:entryId
+// @desc    Void an item recorded by mistake
+// @access  Private (Bartender or Owner)
+router.delete('/ledger/:patronId/entries/:entryId', [
+  auth,
+  staffOnly,
+  patronIdParam,
+  param('entryId').isMongoId().withMessage('Invalid entry ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await serviceLedgerService.voidEntry(req.params.patronId, req.params.entryId, req.user);
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      visit: result.ledger,
+      status: result.status
+    });
+
+  } catch (error) {
+    console.error('Void serving error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error voiding serving'
+    });
+  }
+});
+
+// @route   POST /api/service/ledger/:patronId/close
+// @desc    Close the patron's visit
+// @access  Private (Bartender or Owner)
+router.post('/ledger/:patronId/close', [auth, staffOnly, patronIdParam], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await serviceLedgerService.closeVisit(req.params.patronId, req.user);
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      visit: result.ledger
+    });
+
+  } catch (error) {
+    console.error('Close visit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing visit'
+    });
+  }
+});
+
+module.exports = router;
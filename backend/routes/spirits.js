@@ -1,9 +1,10 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Spirit = require('../models/Spirit');
 const spiritsAuthService = require('../services/spiritsAuthService');
 const { createUltraShelfRequestNotification } = require('./ownerNotifications');
-const { auth } = require('../middleware/auth');
+const { auth, ownerOnly } = require('../middleware/auth');
 
 /**
  * @route GET /api/spirits
@@ -127,16 +128,16 @@ router.get('/by-shelf/:tier', async (req, res) => {
 /**
  * @route POST /api/spirits/request-ultra
  * @desc Request authorization for ultra shelf spirit
- * @access Public (but requires session tracking)
+ * @access Private
  */
-router.post('/request-ultra', async (req, res) => {
+router.post('/request-ultra', auth, async (req, res) => {
   try {
-    const { spiritId, patronName, sessionId } = req.body;
+    const { spiritId, message = '' } = req.body;
 
     // Validate required fields
-    if (!spiritId || !patronName || !sessionId) {
+    if (!spiritId) {
       return res.status(400).json({ 
-        message: 'Spirit ID, patron name, and session ID are required' 
+        message: 'Spirit ID is required' 
       });
     }
 
@@ -154,9 +155,9 @@ router.post('/request-ultra', async (req, res) => {
 
     // Request authorization
     const result = await spiritsAuthService.requestUltraShelfAuthorization(
-      sessionId, 
+      req.user,
       spiritId, 
-      patronName
+      String(message).slice(0, 300)
     );
 
     if (result.success) {
@@ -186,7 +187,7 @@ router.post('/request-ultra', async (req, res) => {
  * @desc Owner authorizes ultra shelf spirit request
  * @access Private (Owner only)
  */
-router.post('/authorize-ultra', auth, async (req, res) => {
+router.post('/authorize-ultra', auth, ownerOnly, async (req, res) => {
   try {
     const { requestId, approved, notes } = req.body;
 
@@ -197,15 +198,11 @@ router.post('/authorize-ultra', auth, async (req, res) => {
       });
     }
 
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
-
     const result = await spiritsAuthService.authorizeUltraShelfRequest(
       requestId, 
       approved, 
-      notes
+      notes,
+      req.user
     );
 
     if (result.success) {
@@ -214,7 +211,7 @@ router.post('/authorize-ultra', auth, async (req, res) => {
         authorization: result.authorization
       });
     } else {
-      res.status(400).json({ message: result.message });
+      res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({ message: result.message });
     }
   } catch (error) {
     console.error('Error authorizing ultra shelf request:', error);
@@ -223,26 +220,70 @@ router.post('/authorize-ultra', auth, async (req, res) => {
 });
 
 /**
- * @route GET /api/spirits/authorizations
- * @desc Get current authorizations for session
- * @access Public
+ * @route POST /api/spirits/standing-approvals
+ * @desc Owner grants a patron standing approval for a category of ultra shelf spirits
+ * @access Private (Owner only)
  */
-router.get('/authorizations', async (req, res) => {
+router.post('/standing-approvals', auth, ownerOnly, async (req, res) => {
   try {
-    const { sessionId } = req.query;
+    const { patronId, spiritType, subType, expiresAt, notes } = req.body;
+
+    if (!patronId || !mongoose.Types.ObjectId.isValid(patronId)) {
+      return res.status(400).json({ message: 'Valid patron ID is required' });
+    }
+
+    if (spiritType && !Spirit.schema.path('type').enumValues.includes(spiritType)) {
+      return res.status(400).json({ message: 'Invalid spirit type' });
+    }
 
-    if (!sessionId) {
-      return res.status(400).json({ message: 'Session ID is required' });
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ message: 'Invalid expiry time' });
     }
 
-    const authorizations = await spiritsAuthService.getSessionAuthorizations(sessionId);
+    const result = await spiritsAuthService.grantStandingApproval(
+      patronId,
+      { spiritType, subType, expiresAt, notes },
+      req.user
+    );
+
+    if (result.success) {
+      res.status(201).json({
+        message: result.message,
+        authorization: result.authorization,
+        settledRequests: result.settledRequests
+      });
+    } else {
+      res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({ message: result.message });
+    }
+  } catch (error) {
+    console.error('Error granting standing approval:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/spirits/authorizations
+ * @desc Get current authorizations (patrons see their own; owners see all or filter by patronId)
+ * @access Private
+ */
+router.get('/authorizations', auth, async (req, res) => {
+  try {
+    const isOwner = req.user.role === 'Owner';
+    const patronId = isOwner ? req.query.patronId : req.user.id;
+
+    const authorizations = patronId
+      ? await spiritsAuthService.getPatronAuthorizations(patronId)
+      : await spiritsAuthService.getActiveAuthorizations();
 
     res.json({
-      sessionId,
       count: authorizations.length,
       authorizations: authorizations.map(auth => ({
         id: auth._id,
+        kind: auth.kind,
+        patronId: auth.patron,
+        patronName: auth.patronName,
         spirit: auth.spiritId,
+        scope: auth.kind === 'standing' ? spiritsAuthService.describeScope(auth.scope) : undefined,
         authorizedAt: auth.authorizedAt,
         expiresAt: auth.expiresAt,
         notes: auth.notes
@@ -254,26 +295,48 @@ router.get('/authorizations', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/spirits/authorizations/audit
+ * @desc Audit trail of ultra shelf requests, approvals and revocations
+ * @access Private (Owner only)
+ */
+router.get('/authorizations/audit', auth, ownerOnly, async (req, res) => {
+  try {
+    const { patronId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if (patronId && !mongoose.Types.ObjectId.isValid(patronId)) {
+      return res.status(400).json({ message: 'Invalid patron ID' });
+    }
+
+    const entries = await spiritsAuthService.getAuditTrail({ patronId, limit });
+
+    res.json({
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    console.error('Error fetching authorization audit trail:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @route GET /api/spirits/pending-requests
  * @desc Get pending ultra shelf requests for owner review
  * @access Private (Owner only)
  */
-router.get('/pending-requests', auth, async (req, res) => {
+router.get('/pending-requests', auth, ownerOnly, async (req, res) => {
   try {
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
-
     const pendingRequests = await spiritsAuthService.getPendingRequests();
 
     res.json({
       count: pendingRequests.length,
       requests: pendingRequests.map(request => ({
         id: request._id,
+        patronId: request.patron,
         patronName: request.patronName,
-        sessionId: request.sessionId,
+        message: request.message,
         spirit: request.spiritId,
         requestedAt: request.requestedAt,
         expiresAt: request.expiresAt
@@ -286,44 +349,24 @@ router.get('/pending-requests', auth, async (req, res) => {
 });
 
 /**
- * @route GET /api/spirits/:id
- * @desc Get single spirit by ID
- * @access Public
+ * @route GET /api/spirits/check-authorization/:spiritId
+ * @desc Check if the signed-in patron is authorized for specific spirit
+ * @access Private
  */
-router.get('/:id', async (req, res) => {
+router.get('/check-authorization/:spiritId', auth, async (req, res) => {
   try {
-    const spirit = await Spirit.findById(req.params.id);
-    
-    if (!spirit) {
-      return res.status(404).json({ message: 'Spirit not found' });
-    }
+    const { spiritId } = req.params;
 
-    res.json(spirit);
-  } catch (error) {
-    console.error('Error fetching spirit:', error);
-    if (error.name === 'CastError') {
+    if (!mongoose.Types.ObjectId.isValid(spiritId)) {
       return res.status(400).json({ message: 'Invalid spirit ID' });
     }
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-/**
- * @route GET /api/spirits/check-authorization/:sessionId/:spiritId
- * @desc Check if session is authorized for specific spirit
- * @access Public
- */
-router.get('/check-authorization/:sessionId/:spiritId', async (req, res) => {
-  try {
-    const { sessionId, spiritId } = req.params;
 
     const isAuthorized = await spiritsAuthService.isAuthorizedForSpirit(
-      sessionId, 
+      req.user.id,
       spiritId
     );
 
     res.json({
-      sessionId,
       spiritId,
       authorized: isAuthorized
     });
@@ -335,28 +378,27 @@ router.get('/check-authorization/:sessionId/:spiritId', async (req, res) => {
 
 /**
  * @route DELETE /api/spirits/revoke-authorization
- * @desc Revoke authorization for a specific spirit
+ * @desc Revoke an authorization, by ID or by patron and spirit
  * @access Private (Owner only)
  */
-router.delete('/revoke-authorization', auth, async (req, res) => {
+router.delete('/revoke-authorization', auth, ownerOnly, async (req, res) => {
   try {
-    const { sessionId, spiritId } = req.body;
+    const { authorizationId, patronId, spiritId, reason = '' } = req.body;
 
-    if (!sessionId || !spiritId) {
+    if (!authorizationId && !(patronId && spiritId)) {
       return res.status(400).json({ 
-        message: 'Session ID and spirit ID are required' 
+        message: 'Authorization ID, or patron ID and spirit ID, are required' 
       });
     }
 
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
-
-    const revoked = await spiritsAuthService.revokeAuthorization(sessionId, spiritId);
+    const revoked = await spiritsAuthService.revokeAuthorization(
+      { authorizationId, patronId, spiritId },
+      req.user,
+      reason
+    );
 
-    if (revoked) {
-      res.json({ message: 'Authorization revoked successfully' });
+    if (revoked > 0) {
+      res.json({ message: 'Authorization revoked successfully', revoked });
     } else {
       res.status(404).json({ message: 'No active authorization found' });
     }
@@ -371,13 +413,8 @@ router.delete('/revoke-authorization', auth, async (req, res) => {
  * @desc Get authorization statistics
  * @access Private (Owner only)
  */
-router.get('/stats/authorizations', auth, async (req, res) => {
+router.get('/stats/authorizations', auth, ownerOnly, async (req, res) => {
   try {
-    // TODO: Add owner role check
-    // if (req.user.role !== 'owner') {
-    //   return res.status(403).json({ message: 'Owner access required' });
-    // }
-
     const stats = await spiritsAuthService.getAuthorizationStats();
     res.json(stats);
   } catch (error) {
@@ -386,4 +423,27 @@ router.get('/stats/authorizations', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/spirits/:id
+ * @desc Get single spirit by ID
+ * @access Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const spirit = await Spirit.findById(req.params.id);
+    
+    if (!spirit) {
+      return res.status(404).json({ message: 'Spirit not found' });
+    }
+
+    res.json(spirit);
+  } catch (error) {
+    console.error('Error fetching spirit:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid spirit ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
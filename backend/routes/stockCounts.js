@@ -0,0 +1,294 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { auth, staffOnly } = require('../middleware/auth');
+const StockCount = require('../models/StockCount');
+const stockCountService = require('../services/stockCountService');
+
+const router = express.Router();
+
+const SECTIONS = ['Bar', 'Storage', 'Cooler', 'Freezer', 'Wine Cellar', 'Dry Storage', 'Office'];
+
+// @route   GET /api/stock-counts
+// @desc    Get count sessions with filtering
+// @access  Private (Bartender or Owner)
+router.get('/', [
+  auth,
+  staffOnly,
+  query('section').optional().isIn(SECTIONS).withMessage('Invalid section'),
+  query('status').optional().isIn(['Open', 'Closed', 'Cancelled']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { section, status, limit = 20 } = req.query;
+
+    const query = {};
+    if (section) query.section = section;
+    if (status) query.status = status;
+
+    const stockCounts = await StockCount.find(query)
+      .select('-entries')
+      .sort({ openedAt: -1 })
+      .limit(parseInt(limit))
+      .populate('openedBy', 'fullName')
+      .populate('closedBy', 'fullName')
+      .lean();
+
+    res.json({
+      success: true,
+      count: stockCounts.length,
+      stockCounts
+    });
+
+  } catch (error) {
+    console.error('Get stock counts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching stock counts'
+    });
+  }
+});
+
+// @route   POST /api/stock-counts
+// @desc    Open a count session for a location section
+// @access  Private (Bartender or Owner)
+router.post('/', [
+  auth,
+  staffOnly,
+  body('section').isIn(SECTIONS).withMessage('Invalid section'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be under 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await stockCountService.openCount(req.body.section, req.user.id, req.body.notes);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    console.error('Open stock count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error opening stock count'
+    });
+  }
+});
+
+// @route   GET /api/stock-counts/reports/variance
+// @desc    Week-over-week variance totals from closed counts
+// @access  Private (Bartender or Owner)
+router.get('/reports/variance', [
+  auth,
+  staffOnly,
+  query('section').optional().isIn(SECTIONS).withMessage('Invalid section'),
+  query('weeks').optional().isInt({ min: 1, max: 52 }).withMessage('Weeks must be between 1 and 52')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { section, weeks = 8 } = req.query;
+    const trend = await stockCountService.getVarianceTrend({ section, weeks: parseInt(weeks) });
+
+    res.json({
+      success: true,
+      count: trend.length,
+      trend
+    });
+
+  } catch (error) {
+    console.error('Variance trend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating variance trend'
+    });
+  }
+});
+
+// @route   GET /api/stock-counts/:id
+// @desc    Get a count session with all entries
+// @access  Private (Bartender or Owner)
+router.get('/:id', [auth, staffOnly], async (req, res) => {
+  try {
+    const stockCount = await StockCount.findById(req.params.id)
+      .populate('openedBy', 'fullName')
+      .populate('closedBy', 'fullName')
+      .populate('entries.countedBy', 'fullName');
+
+    if (!stockCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock count not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      stockCount
+    });
+
+  } catch (error) {
+    console.error('Get stock count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching stock count'
+    });
+  }
+});
+
+// @route   GET /api/stock-counts/:id/report
+// @desc    Variance report for a count session
+// @access  Private (Bartender or Owner)
+router.get('/:id/report', [auth, staffOnly], async (req, res) => {
+  try {
+    const stockCount = await StockCount.findById(req.params.id).lean();
+    if (!stockCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock count not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      report: stockCountService.buildReport(stockCount)
+    });
+
+  } catch (error) {
+    console.error('Stock count report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating stock count report'
+    });
+  }
+});
+
+// @route   PUT /api/stock-counts/:id/counts
+// @desc    Submit counted quantities (decimals allowed for partial bottles)
+// @access  Private (Bartender or Owner)
+router.put('/:id/counts', [
+  auth,
+  staffOnly,
+  body('counts').isArray({ min: 1 }).withMessage('At least one count is required'),
+  body('counts.*.inventoryItemId').isMongoId().withMessage('Valid inventory item ID is required'),
+  body('counts.*.countedQuantity').isFloat({ min: 0 }).withMessage('Counted quantity must be non-negative'),
+  body('counts.*.notes').optional().trim().isLength({ max: 300 }).withMessage('Notes must be under 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await stockCountService.recordCounts(req.params.id, req.body.counts, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Record counts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error recording counts'
+    });
+  }
+});
+
+// @route   POST /api/stock-counts/:id/close
+// @desc    Close a count, post variance adjustments and return the variance report
+// @access  Private (Bartender or Owner)
+router.post('/:id/close', [auth, staffOnly], async (req, res) => {
+  try {
+    const result = await stockCountService.closeCount(req.params.id, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      uncounted: result.uncounted,
+      report: stockCountService.buildReport(result.stockCount)
+    });
+
+  } catch (error) {
+    console.error('Close stock count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error closing stock count'
+    });
+  }
+});
+
+// @route   POST /api/stock-counts/:id/cancel
+// @desc    Cancel an open count without posting adjustments
+// @access  Private (Bartender or Owner)
+router.post('/:id/cancel', [auth, staffOnly], async (req, res) => {
+  try {
+    const stockCount = await StockCount.findOneAndUpdate(
+      { _id: req.params.id, status: 'Open' },
+      { $set: { status: 'Cancelled', closedBy: req.user.id, closedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!stockCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open stock count not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock count cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel stock count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling stock count'
+    });
+  }
+});
+
+module.exports = router;
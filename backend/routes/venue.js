@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, staffOnly, isStaff } = require('../middleware/auth');
+const VenueArea = require('../models/VenueArea');
+
+const router = express.Router();
+
+const AREA_TYPES = ['Bar', 'Table', 'Booth', 'Private Room', 'Outdoor'];
+
+const areaValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 60 }).withMessage('Area name is required and must be under 60 characters'),
+    field('areaType').isIn(AREA_TYPES).withMessage('Invalid area type'),
+    field('capacity').isInt({ min: 1 }).withMessage('Capacity must be a positive integer'),
+    body('isExclusive').optional().isBoolean().withMessage('isExclusive must be a boolean'),
+    body('tablesCombinable').optional().isBoolean().withMessage('tablesCombinable must be a boolean'),
+    body('tables').optional().isArray().withMessage('Tables must be an array'),
+    body('tables.*.name').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Table name must be under 30 characters'),
+    body('tables.*.capacity').optional().isInt({ min: 1 }).withMessage('Table capacity must be a positive integer'),
+    body('sortOrder').optional().isInt().withMessage('Sort order must be an integer')
+  ];
+};
+
+// @route   GET /api/venue/areas
+// @desc    Get venue areas and tables
+// @access  Private
+router.get('/areas', auth, async (req, res) => {
+  try {
+    const query = isStaff(req.user) && req.query.includeInactive === 'true'
+      ? {}
+      : { isActive: true };
+
+    const areas = await VenueArea.find(query).sort({ sortOrder: 1, name: 1 }).lean();
+
+    res.json({
+      success: true,
+      count: areas.length,
+      totalCapacity: areas.filter(area => area.isActive).reduce((sum, area) => sum + area.capacity, 0),
+      areas
+    });
+
+  } catch (error) {
+    console.error('Get venue areas error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching venue areas'
+    });
+  }
+});
+
+// @route   POST /api/venue/areas
+// @desc    Create venue area
+// @access  Private (Bartender or Owner)
+router.post('/areas', [auth, staffOnly, ...areaValidation(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await VenueArea.findOne({ name: req.body.name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'An area with this name already exists'
+      });
+    }
+
+    const area = new VenueArea(req.body);
+    await area.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue area created successfully',
+      area
+    });
+
+  } catch (error) {
+    console.error('Create venue area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating venue area'
+    });
+  }
+});
+
+// @route   PUT /api/venue/areas/:id
+// @desc    Update venue area
+// @access  Private (Bartender or Owner)
+router.put('/areas/:id', [auth, staffOnly, ...areaValidation(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const area = await VenueArea.findById(req.params.id);
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue area not found'
+      });
+    }
+
+    Object.assign(area, req.body);
+    await area.save();
+
+    res.json({
+      success: true,
+      message: 'Venue area updated successfully',
+      area
+    });
+
+  } catch (error) {
+    console.error('Update venue area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating venue area'
+    });
+  }
+});
+
+// @route   DELETE /api/venue/areas/:id
+// @desc    Deactivate venue area (existing reservations keep their allocation)
+// @access  Private (Bartender or Owner)
+router.delete('/areas/:id', [auth, staffOnly], async (req, res) => {
+  try {
+    const area = await VenueArea.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!area) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue area not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Venue area deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate venue area error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deactivating venue area'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { seedDishes } = require('../seeds/dishes');
+require('dotenv').config();
+
+const runDishSeeding = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nauti-bouys');
+    console.log('📦 Connected to MongoDB');
+
+    // Seed the dish catalog
+    await seedDishes();
+
+    console.log('🍽️ Dish seeding completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Dish seeding failed:', error);
+    process.exit(1);
+  }
+};
+
+runDishSeeding();
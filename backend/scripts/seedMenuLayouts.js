@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { seedMenuLayouts } = require('../seeds/menus');
+require('dotenv').config();
+
+const runMenuLayoutSeeding = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nauti-bouys');
+    console.log('📦 Connected to MongoDB');
+
+    // Seed the menu layouts
+    await seedMenuLayouts();
+
+    console.log('📜 Menu layout seeding completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Menu layout seeding failed:', error);
+    process.exit(1);
+  }
+};
+
+runMenuLayoutSeeding();
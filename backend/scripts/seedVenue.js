@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { seedVenue } = require('../seeds/venue');
+require('dotenv').config();
+
+const runVenueSeeding = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nauti-bouys');
+    console.log('📦 Connected to MongoDB');
+
+    // Seed venue areas
+    await seedVenue();
+
+    console.log('⚓ Venue seeding completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Venue seeding failed:', error);
+    process.exit(1);
+  }
+};
+
+runVenueSeeding();
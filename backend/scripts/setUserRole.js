@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Usage: node scripts/setUserRole.js <email> <Patron|Bartender|Owner>
+// Owner can't be chosen at registration, so the venue owner's account is promoted here
+const setUserRole = async () => {
+  const [email, role] = process.argv.slice(2);
+  const roles = User.schema.path('role').enumValues;
+
+  if (!email || !roles.includes(role)) {
+    console.error(`Usage: node scripts/setUserRole.js <email> <${roles.join('|')}>`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nauti-bouys');
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { role },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`❌ No user found with email ${email}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`✅ ${user.fullName} (${user.email}) is now ${user.role}`);
+    }
+  } catch (error) {
+    console.error('❌ Error updating user role:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+setUserRole();
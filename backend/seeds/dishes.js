@@ -0,0 +1,167 @@
+const Dish = require('../models/Dish');
+
+const dishData = [
+  {
+    name: 'Chesapeake Crab Cakes',
+    description: 'Jumbo lump crab, Old Bay remoulade, lemon',
+    course: 'Starter',
+    protein: 'Shellfish',
+    flavorProfile: ['savory', 'citrus', 'creamy'],
+    fat: 'medium',
+    acidity: 'medium',
+    spice: 'mild',
+    price: 16
+  },
+  {
+    name: 'Oysters on the Half Shell',
+    description: 'Local oysters, mignonette, cocktail sauce',
+    course: 'Starter',
+    protein: 'Shellfish',
+    flavorProfile: ['salty', 'fresh', 'tangy'],
+    fat: 'low',
+    acidity: 'high',
+    spice: 'none',
+    price: 18
+  },
+  {
+    name: 'Buffalo Wings',
+    description: 'Crispy wings, house hot sauce, blue cheese',
+    course: 'Shared',
+    protein: 'Poultry',
+    flavorProfile: ['savory', 'tangy', 'salty'],
+    fat: 'high',
+    acidity: 'medium',
+    spice: 'hot',
+    price: 14
+  },
+  {
+    name: 'Fish Tacos',
+    description: 'Blackened rockfish, cabbage slaw, lime crema',
+    course: 'Main',
+    protein: 'Fish',
+    flavorProfile: ['citrus', 'smoky', 'fresh'],
+    fat: 'medium',
+    acidity: 'medium',
+    spice: 'medium',
+    price: 17
+  },
+  {
+    name: 'Grilled Ribeye',
+    description: '14 oz ribeye, garlic butter, charred onions',
+    course: 'Main',
+    protein: 'Beef',
+    flavorProfile: ['savory', 'smoky', 'rich', 'umami'],
+    fat: 'high',
+    acidity: 'low',
+    spice: 'none',
+    price: 38
+  },
+  {
+    name: 'Pulled Pork Sliders',
+    description: 'Smoked shoulder, tangy barbecue sauce, pickles',
+    course: 'Shared',
+    protein: 'Pork',
+    flavorProfile: ['smoky', 'sweet', 'tangy'],
+    fat: 'high',
+    acidity: 'medium',
+    spice: 'mild',
+    price: 15
+  },
+  {
+    name: 'Roast Chicken',
+    description: 'Half chicken, herb jus, root vegetables',
+    course: 'Main',
+    protein: 'Poultry',
+    flavorProfile: ['savory', 'herbal', 'earthy'],
+    fat: 'medium',
+    acidity: 'low',
+    spice: 'none',
+    price: 24
+  },
+  {
+    name: 'Pan-Seared Salmon',
+    description: 'Salmon, beurre blanc, asparagus',
+    course: 'Main',
+    protein: 'Fish',
+    flavorProfile: ['rich', 'creamy', 'citrus'],
+    fat: 'medium',
+    acidity: 'medium',
+    spice: 'none',
+    price: 29
+  },
+  {
+    name: 'Wild Mushroom Risotto',
+    description: 'Arborio rice, mixed mushrooms, parmesan, truffle oil',
+    course: 'Main',
+    protein: 'Vegetarian',
+    flavorProfile: ['earthy', 'creamy', 'umami'],
+    fat: 'medium',
+    acidity: 'low',
+    spice: 'none',
+    price: 22
+  },
+  {
+    name: 'Caesar Salad',
+    description: 'Romaine, parmesan, anchovy dressing, croutons',
+    course: 'Starter',
+    protein: 'None',
+    flavorProfile: ['salty', 'tangy', 'creamy'],
+    fat: 'medium',
+    acidity: 'high',
+    spice: 'none',
+    price: 11
+  },
+  {
+    name: 'Cheese Board',
+    description: 'Three cheeses, honeycomb, nuts, crackers',
+    course: 'Shared',
+    protein: 'Cheese',
+    flavorProfile: ['salty', 'nutty', 'rich', 'sweet'],
+    fat: 'high',
+    acidity: 'low',
+    spice: 'none',
+    price: 19
+  },
+  {
+    name: 'Chocolate Lava Cake',
+    description: 'Molten chocolate cake, vanilla ice cream',
+    course: 'Dessert',
+    protein: 'None',
+    flavorProfile: ['sweet', 'rich', 'bitter'],
+    fat: 'high',
+    acidity: 'low',
+    spice: 'none',
+    price: 10
+  },
+  {
+    name: 'Key Lime Pie',
+    description: 'Graham crust, whipped cream',
+    course: 'Dessert',
+    protein: 'None',
+    flavorProfile: ['sweet', 'citrus', 'tangy', 'creamy'],
+    fat: 'medium',
+    acidity: 'high',
+    spice: 'none',
+    price: 9
+  }
+];
+
+const seedDishes = async () => {
+  try {
+    console.log('🍽️ Seeding dish catalog...');
+
+    // Clear existing dishes
+    await Dish.deleteMany({});
+    console.log('Cleared existing dishes');
+
+    const dishes = await Dish.insertMany(dishData);
+    console.log(`✅ Successfully seeded ${dishes.length} dishes`);
+
+    return dishes;
+  } catch (error) {
+    console.error('❌ Error seeding dishes:', error);
+    throw error;
+  }
+};
+
+module.exports = { seedDishes, dishData };
@@ -0,0 +1,57 @@
+const MenuLayout = require('../models/MenuLayout');
+
+const menuLayoutData = [
+  {
+    name: 'House Menu',
+    slug: 'house',
+    title: 'Nauti Bouys',
+    subtitle: 'Drinks on the water',
+    footer: 'Please drink responsibly. Ask your server about non-alcoholic versions of any cocktail.',
+    specials: { enabled: true, title: 'House Specials', categories: ['cocktails', 'mocktails'], limit: 6 },
+    sections: [
+      { title: 'Cocktails', categories: ['cocktails'], sortBy: 'name' },
+      { title: 'Wines by the Glass', categories: ['wines'], sortBy: 'price', showDescription: false, showPricePerGlass: true },
+      { title: 'Beer', categories: ['beers'], sortBy: 'name', showDescription: false },
+      { title: 'Top Shelf', categories: ['spirits'], tiers: ['top', 'ultra'], sortBy: 'name', showDescription: false },
+      { title: 'Zero Proof', categories: ['mocktails', 'non-alcoholic'], sortBy: 'name' }
+    ],
+    pageSize: 'letter',
+    columns: 2,
+    isPublished: true
+  },
+  {
+    name: 'Wine List',
+    slug: 'wine-list',
+    title: 'Wine List',
+    specials: { enabled: false },
+    sections: [
+      { title: 'Sparkling', categories: ['wines'], types: ['Sparkling'], sortBy: 'price' },
+      { title: 'White', categories: ['wines'], types: ['White', 'Rose'], sortBy: 'price' },
+      { title: 'Red', categories: ['wines'], types: ['Red'], sortBy: 'price' },
+      { title: 'Dessert & Fortified', categories: ['wines'], types: ['Dessert', 'Fortified'], sortBy: 'price', showPricePerGlass: true }
+    ],
+    pageSize: 'letter',
+    columns: 1,
+    isPublished: true
+  }
+];
+
+const seedMenuLayouts = async () => {
+  try {
+    console.log('📜 Seeding menu layouts...');
+
+    // Clear existing layouts
+    await MenuLayout.deleteMany({});
+    console.log('Cleared existing menu layouts');
+
+    const layouts = await MenuLayout.insertMany(menuLayoutData);
+    console.log(`✅ Successfully seeded ${layouts.length} menu layouts`);
+
+    return layouts;
+  } catch (error) {
+    console.error('❌ Error seeding menu layouts:', error);
+    throw error;
+  }
+};
+
+module.exports = { seedMenuLayouts, menuLayoutData };
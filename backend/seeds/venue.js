@@ -0,0 +1,80 @@
+const VenueArea = require('../models/VenueArea');
+
+const venueData = [
+  {
+    name: 'Main Bar',
+    areaType: 'Bar',
+    description: 'Stools along the main bar',
+    capacity: 14,
+    sortOrder: 1
+  },
+  {
+    name: 'Dining Floor',
+    areaType: 'Table',
+    description: 'Two- and four-tops that can be pushed together',
+    capacity: 24,
+    sortOrder: 2,
+    tables: [
+      { name: 'T1', capacity: 2 },
+      { name: 'T2', capacity: 2 },
+      { name: 'T3', capacity: 4 },
+      { name: 'T4', capacity: 4 },
+      { name: 'T5', capacity: 4 },
+      { name: 'T6', capacity: 4 },
+      { name: 'T7', capacity: 4 }
+    ]
+  },
+  {
+    name: 'Booths',
+    areaType: 'Booth',
+    description: 'Window booths',
+    capacity: 24,
+    sortOrder: 3,
+    tablesCombinable: false,
+    tables: [
+      { name: 'B1', capacity: 6 },
+      { name: 'B2', capacity: 6 },
+      { name: 'B3', capacity: 6 },
+      { name: 'B4', capacity: 6 }
+    ]
+  },
+  {
+    name: 'Captain\'s Room',
+    areaType: 'Private Room',
+    description: 'Private room for buyouts and parties',
+    capacity: 40,
+    isExclusive: true,
+    sortOrder: 4
+  },
+  {
+    name: 'Dockside Patio',
+    areaType: 'Outdoor',
+    description: 'Outdoor deck overlooking the water',
+    capacity: 60,
+    sortOrder: 5
+  }
+];
+
+const seedVenue = async () => {
+  try {
+    console.log('⚓ Seeding venue areas...');
+
+    // Clear existing areas
+    await VenueArea.deleteMany({});
+    console.log('Cleared existing venue areas');
+
+    // Save one at a time so table capacities roll up in the pre-save hook
+    const areas = [];
+    for (const data of venueData) {
+      areas.push(await new VenueArea(data).save());
+    }
+    console.log(`✅ Successfully seeded ${areas.length} venue areas`);
+
+    return areas;
+  } catch (error) {
+    console.error('❌ Error seeding venue areas:', error);
+    throw error;
+  }
+};
+
+module.exports = { seedVenue, venueData };
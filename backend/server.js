@@ -11,8 +11,19 @@ const beverageRoutes = require('./routes/beverages');
 const spiritsRoutes = require('./routes/spirits');
 const ownerNotificationRoutes = require('./routes/ownerNotifications');
 const inventoryRoutes = require('./routes/inventory');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const stockCountRoutes = require('./routes/stockCounts');
 const reservationRoutes = require('./routes/reservations');
+const venueRoutes = require('./routes/venue');
+const invoiceRoutes = require('./routes/invoices');
+const serviceRoutes = require('./routes/service');
+const pairingRoutes = require('./routes/pairings');
+const menuRoutes = require('./routes/menus');
 const iaRoutes = require('./routes/ia');
+const inventoryAlertSweeper = require('./services/inventoryAlertSweeper');
+const reservationReminderService = require('./services/reservationReminderService');
+const waitlistService = require('./services/waitlistService');
+const notificationManager = require('./services/notificationManager');
 // D-ID routes removed - using enhanced avatar system
 
 const app = express();
@@ -77,7 +88,12 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/nauti-bou
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  inventoryAlertSweeper.start({ notificationManager });
+  reservationReminderService.start();
+  waitlistService.start({ notificationManager });
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -86,7 +102,14 @@ app.use('/api/beverages', beverageRoutes);
 app.use('/api/spirits', spiritsRoutes);
 app.use('/api/owner-notifications', ownerNotificationRoutes);
 app.use('/api/inventory', inventoryRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stock-counts', stockCountRoutes);
 app.use('/api/reservations', reservationRoutes);
+app.use('/api/venue', venueRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/service', serviceRoutes);
+app.use('/api/pairings', pairingRoutes);
+app.use('/api/menus', menuRoutes);
 app.use('/api/ia', iaRoutes);
 // D-ID routes removed - using enhanced avatar system
 
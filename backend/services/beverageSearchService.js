@@ -0,0 +1,500 @@
+/**
+ * Beverage Search Service
+ * One in-memory index over every beverage category with typo and partial-word
+ * tolerance, field boosts and facet counts
+ */
+
+const Cocktail = require('../models/Cocktail');
+const Spirit = require('../models/Spirit');
+const Wine = require('../models/Wine');
+const Beer = require('../models/Beer');
+const Mocktail = require('../models/Mocktail');
+const OtherNonAlcoholic = require('../models/OtherNonAlcoholic');
+
+// Same category keys as routes/beverages.js
+const CATEGORY_MODELS = {
+  cocktails: Cocktail,
+  spirits: Spirit,
+  wines: Wine,
+  beers: Beer,
+  mocktails: Mocktail,
+  'non-alcoholic': OtherNonAlcoholic
+};
+
+// A name hit outranks a brand hit, which outranks a tasting-note hit
+const FIELD_BOOSTS = {
+  name: 5,
+  brand: 3,
+  tastingNotes: 2,
+  style: 1.5,
+  text: 1
+};
+
+// How much of an exact hit a looser match is worth
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.75,
+  typo: [0, 0.6, 0.4] // by edit distance
+};
+
+// Whole query found inside the name, e.g. "old fashioned"
+const PHRASE_BONUS = 4;
+
+const PRICE_BANDS = [
+  { value: 'under-10', label: 'Under $10', min: 0, max: 10 },
+  { value: '10-15', label: '$10-15', min: 10, max: 15 },
+  { value: '15-25', label: '$15-25', min: 15, max: 25 },
+  { value: '25-50', label: '$25-50', min: 25, max: 50 },
+  { value: '50-plus', label: '$50+', min: 50, max: Infinity }
+];
+
+const DIETARY_FLAGS = ['non-alcoholic', 'vegan', 'gluten-free', 'sugar-free', 'organic', 'kid-friendly'];
+
+const FACETS = ['category', 'spiritType', 'shelfTier', 'priceBand', 'dietary'];
+
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (value) => {
+  const text = normalize(value);
+  return text ? text.split(' ') : [];
+};
+
+const joinText = (...values) => values
+  .flat()
+  .filter(value => value !== undefined && value !== null && value !== '')
+  .join(' ');
+
+/**
+ * Optimal string alignment distance, giving up once it exceeds max
+ * Adjacent swaps count as one edit so "negorni" is one away from "negroni"
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let twoBack = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (twoBack && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, twoBack[j - 2] + 1);
+      }
+
+      current.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > max) return max + 1;
+    twoBack = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+class BeverageSearchService {
+  /**
+   * @param {object} [options] - { models, clock, ttlMs }
+   */
+  constructor(options = {}) {
+    this.models = options.models || CATEGORY_MODELS;
+    this.clock = options.clock || (() => new Date());
+    this.ttlMs = options.ttlMs || (parseInt(process.env.SEARCH_INDEX_TTL_SECONDS) || 300) * 1000;
+    this.index = null;
+    this.building = null;
+  }
+
+  /**
+   * Typos allowed for a query term; short terms must be spelled right
+   * @param {string} term
+   * @returns {number}
+   */
+  maxTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * How well one query term matches one indexed token
+   * @returns {number} 0 when it does not match at all
+   */
+  matchWeight(term, token) {
+    if (term === token) return MATCH_WEIGHTS.exact;
+    if (term.length >= 2 && token.startsWith(term)) return MATCH_WEIGHTS.prefix;
+
+    const allowed = this.maxTypos(term);
+    if (allowed === 0) return 0;
+
+    const distance = editDistance(term, token, allowed);
+    return distance <= allowed ? MATCH_WEIGHTS.typo[distance] : 0;
+  }
+
+  /**
+   * Searchable text for each boosted field of a beverage
+   * @param {string} category
+   * @param {object} item - Lean beverage document
+   * @returns {object} field -> text
+   */
+  extractFields(category, item) {
+    const ingredients = (item.ingredients || []).map(ingredient => ingredient.name);
+    const origin = item.origin && typeof item.origin === 'object'
+      ? [item.origin.city, item.origin.state, item.origin.region, item.origin.country]
+      : item.origin;
+
+    return {
+      name: item.name,
+      brand: joinText(item.brand, item.distillery, item.winery, item.vineyard, item.brewery),
+      tastingNotes: joinText(item.tastingNotes || []),
+      style: joinText(
+        category === 'cocktails' || category === 'mocktails' || category === 'non-alcoholic' ? item.category : null,
+        item.type,
+        item.subType,
+        item.varietal,
+        item.vintage,
+        item.region,
+        item.primarySpirit,
+        origin
+      ),
+      text: joinText(item.description, ingredients, item.tags || [], item.garnish, item.foodPairing)
+    };
+  }
+
+  /**
+   * @param {number} price
+   * @returns {string|null} Price band value
+   */
+  getPriceBand(price) {
+    if (typeof price !== 'number' || Number.isNaN(price)) return null;
+    const band = PRICE_BANDS.find(candidate => price >= candidate.min && price < candidate.max);
+    return band ? band.value : null;
+  }
+
+  /**
+   * @param {string} category
+   * @param {object} item
+   * @returns {string[]} Dietary flags that apply
+   */
+  getDietaryFlags(category, item) {
+    const flags = [];
+
+    if (category === 'mocktails' || category === 'non-alcoholic' ||
+        (category === 'beers' && item.type === 'Non-Alcoholic')) {
+      flags.push('non-alcoholic');
+    }
+    if (item.isVegan) flags.push('vegan');
+    if (item.isGlutenFree) flags.push('gluten-free');
+    if (item.isSugarFree) flags.push('sugar-free');
+    if (item.isOrganic) flags.push('organic');
+    if (item.isKidFriendly) flags.push('kid-friendly');
+
+    return flags;
+  }
+
+  /**
+   * Facet values of one beverage
+   * @returns {object} { category, spiritType, shelfTier, priceBand, dietary[] }
+   */
+  getFacetValues(category, item) {
+    let spiritType = null;
+    if (category === 'spirits') spiritType = item.type;
+    if (category === 'cocktails') spiritType = item.primarySpirit || null;
+
+    return {
+      category,
+      spiritType,
+      shelfTier: category === 'spirits' ? item.shelf_tier || null : null,
+      priceBand: this.getPriceBand(item.price),
+      dietary: this.getDietaryFlags(category, item)
+    };
+  }
+
+  /**
+   * Build the index from loaded beverages
+   * @param {object} itemsByCategory - category -> lean documents
+   * @returns {object} { docs, vocabulary, builtAt }
+   */
+  buildIndex(itemsByCategory) {
+    const docs = [];
+    const vocabulary = new Map(); // token -> [{ doc, field }]
+
+    Object.entries(itemsByCategory).forEach(([category, items]) => {
+      (items || []).forEach(item => {
+        const docIndex = docs.length;
+        const fields = this.extractFields(category, item);
+
+        docs.push({
+          index: docIndex,
+          id: String(item._id),
+          category,
+          item,
+          name: normalize(item.name),
+          facets: this.getFacetValues(category, item),
+          available: item.isAvailable !== false
+        });
+
+        Object.entries(fields).forEach(([field, text]) => {
+          new Set(tokenize(text)).forEach(token => {
+            if (!vocabulary.has(token)) vocabulary.set(token, []);
+            vocabulary.get(token).push({ doc: docIndex, field });
+          });
+        });
+      });
+    });
+
+    return { docs, vocabulary, builtAt: this.clock() };
+  }
+
+  /**
+   * Load every category and index it
+   * @returns {Promise<object>} Index
+   */
+  async loadIndex() {
+    const itemsByCategory = {};
+
+    for (const [category, Model] of Object.entries(this.models)) {
+      itemsByCategory[category] = await Model.find({}).select('-ratings -favorites').lean();
+    }
+
+    return this.buildIndex(itemsByCategory);
+  }
+
+  /**
+   * Current index, rebuilt once it is older than the TTL
+   * Concurrent callers share a single rebuild
+   * @returns {Promise<object>}
+   */
+  async getIndex() {
+    const now = this.clock();
+    if (this.index && now - this.index.builtAt < this.ttlMs) {
+      return this.index;
+    }
+
+    if (!this.building) {
+      this.building = this.loadIndex()
+        .then(index => {
+          this.index = index;
+          return index;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+
+    return this.building;
+  }
+
+  /**
+   * Drop the index so the next search sees beverage changes
+   */
+  invalidate() {
+    this.index = null;
+  }
+
+  /**
+   * Score every beverage against the query terms
+   * @returns {Map} doc index -> { score, matched (number of terms hit), fields }
+   */
+  scoreDocuments(index, terms) {
+    const scores = new Map();
+
+    terms.forEach((term, termIndex) => {
+      const best = new Map(); // doc -> { weight, field } for this term
+
+      index.vocabulary.forEach((postings, token) => {
+        const weight = this.matchWeight(term, token);
+        if (weight === 0) return;
+
+        postings.forEach(({ doc, field }) => {
+          const boosted = weight * FIELD_BOOSTS[field];
+          const current = best.get(doc);
+          if (!current || boosted > current.weight) {
+            best.set(doc, { weight: boosted, field });
+          }
+        });
+      });
+
+      best.forEach(({ weight, field }, doc) => {
+        if (!scores.has(doc)) {
+          scores.set(doc, { score: 0, matched: new Set(), fields: new Set() });
+        }
+        const entry = scores.get(doc);
+        entry.score += weight;
+        entry.matched.add(termIndex);
+        entry.fields.add(field);
+      });
+    });
+
+    return scores;
+  }
+
+  /**
+   * Normalize filter query values into arrays
+   * @param {object} filters - { category, spiritType, shelfTier, priceBand, dietary }
+   * @returns {object} facet -> lowercased values
+   */
+  parseFilters(filters = {}) {
+    const parsed = {};
+
+    FACETS.forEach(facet => {
+      const raw = filters[facet];
+      if (!raw) return;
+
+      const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(value => String(value).trim().toLowerCase())
+        .filter(Boolean);
+
+      if (values.length > 0) parsed[facet] = values;
+    });
+
+    return parsed;
+  }
+
+  /**
+   * Whether a doc passes the filters, optionally ignoring one facet
+   * Values within a facet are alternatives; dietary flags must all hold
+   */
+  passesFilters(doc, filters, skipFacet) {
+    return Object.entries(filters).every(([facet, values]) => {
+      if (facet === skipFacet) return true;
+
+      if (facet === 'dietary') {
+        return values.every(flag => doc.facets.dietary.includes(flag));
+      }
+
+      const value = doc.facets[facet];
+      return value !== null && value !== undefined && values.includes(String(value).toLowerCase());
+    });
+  }
+
+  /**
+   * Facet counts over the matched beverages
+   * Each facet is counted with the other facets' filters applied, so picking
+   * one category still shows how many hits the others have
+   */
+  countFacets(docs, filters) {
+    const facets = {};
+
+    FACETS.forEach(facet => {
+      const counts = new Map();
+
+      docs.forEach(doc => {
+        if (!this.passesFilters(doc, filters, facet === 'dietary' ? null : facet)) return;
+
+        const values = facet === 'dietary' ? doc.facets.dietary : [doc.facets[facet]];
+        values.forEach(value => {
+          if (value === null || value === undefined) return;
+          counts.set(value, (counts.get(value) || 0) + 1);
+        });
+      });
+
+      facets[facet] = Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    });
+
+    facets.priceBand = PRICE_BANDS
+      .map(band => {
+        const found = facets.priceBand.find(entry => entry.value === band.value);
+        return found ? { value: band.value, label: band.label, count: found.count } : null;
+      })
+      .filter(Boolean);
+
+    return facets;
+  }
+
+  /**
+   * Search every beverage category
+   * When no beverage matches every term the search relaxes to any term
+   * @param {string} query - Free text; may be empty to browse by facets
+   * @param {object} [options] - { category, spiritType, shelfTier, priceBand, dietary, includeUnavailable, limit, page }
+   * @returns {Promise<object>} { query, total, relaxed, results[], facets }
+   */
+  async search(query, options = {}) {
+    const { includeUnavailable = false } = options;
+    const limit = Math.min(parseInt(options.limit) || 20, 100);
+    const page = Math.max(parseInt(options.page) || 1, 1);
+
+    const index = await this.getIndex();
+    const filters = this.parseFilters(options);
+    const terms = Array.from(new Set(tokenize(query)));
+    const candidates = index.docs.filter(doc => includeUnavailable || doc.available);
+
+    let matches;
+    let relaxed = false;
+
+    if (terms.length === 0) {
+      matches = candidates.map(doc => ({ doc, score: 0, fields: [] }));
+    } else {
+      const scores = this.scoreDocuments(index, terms);
+      const phrase = normalize(query);
+
+      const scored = candidates
+        .map(doc => {
+          const entry = scores.get(doc.index);
+          if (!entry) return null;
+
+          const bonus = terms.length > 1 && doc.name.includes(phrase) ? PHRASE_BONUS : 0;
+          return {
+            doc,
+            score: entry.score + bonus,
+            matchedAll: entry.matched.size === terms.length,
+            fields: Array.from(entry.fields)
+          };
+        })
+        .filter(Boolean);
+
+      matches = scored.filter(match => match.matchedAll);
+      if (matches.length === 0 && scored.length > 0) {
+        matches = scored;
+        relaxed = true;
+      }
+    }
+
+    const facets = this.countFacets(matches.map(match => match.doc), filters);
+    const filtered = matches.filter(match => this.passesFilters(match.doc, filters));
+
+    filtered.sort((a, b) =>
+      b.score - a.score ||
+      (b.doc.item.averageRating || 0) - (a.doc.item.averageRating || 0) ||
+      a.doc.name.localeCompare(b.doc.name)
+    );
+
+    const results = filtered
+      .slice((page - 1) * limit, page * limit)
+      .map(({ doc, score, fields }) => ({
+        id: doc.id,
+        category: doc.category,
+        score: Math.round(score * 100) / 100,
+        matchedFields: fields,
+        beverage: doc.item
+      }));
+
+    return {
+      query: query || '',
+      total: filtered.length,
+      page,
+      relaxed,
+      results,
+      facets
+    };
+  }
+}
+
+module.exports = new BeverageSearchService();
+module.exports.BeverageSearchService = BeverageSearchService;
+module.exports.CATEGORY_MODELS = CATEGORY_MODELS;
+module.exports.PRICE_BANDS = PRICE_BANDS;
+module.exports.DIETARY_FLAGS = DIETARY_FLAGS;
+module.exports.editDistance = editDistance;
+module.exports.normalize = normalize;
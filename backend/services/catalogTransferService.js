@@ -0,0 +1,391 @@
+/**
+ * Catalog Transfer Service
+ * Bulk CSV and JSON import/export for the beverage catalog. Imports are checked
+ * row by row against each model's own schema and reported as a diff before
+ * anything is written; applying them runs every write in one transaction.
+ */
+
+const mongoose = require('mongoose');
+const { toCsv, parseCsv } = require('./csv');
+const { CATEGORY_MODELS } = require('./beverageSearchService');
+const { runInTransaction } = require('./transactionRunner');
+
+// Derived or per-patron data that exports leave out and imports ignore
+const READ_ONLY_PATHS = ['__v', 'createdAt', 'updatedAt', 'ratings', 'favorites', 'averageRating', 'totalRatings', 'costing'];
+
+// How a row finds its existing record when it has no _id
+const NATURAL_KEYS = {
+  wines: ['name', 'vintage']
+};
+const DEFAULT_KEY = ['name'];
+
+const MAX_ROWS = 5000;
+const LIST_SEPARATOR = '|';
+
+const isReadOnly = (path) => READ_ONLY_PATHS.some(readOnly => path === readOnly || path.startsWith(`${readOnly}.`));
+
+/**
+ * Comparable plain form of a stored or incoming value
+ * Subdocument ids are dropped so a re-imported recipe matches the original
+ * @param {*} value
+ * @returns {*}
+ */
+function canonical(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Array.isArray(value)) return Array.from(value, canonical);
+  if (typeof value.toObject === 'function') return canonical(value.toObject({ depopulate: true }));
+
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .filter(key => key !== '_id')
+      .sort()
+      .reduce((plain, key) => {
+        const entry = canonical(value[key]);
+        if (entry !== null) plain[key] = entry;
+        return plain;
+      }, {});
+  }
+
+  return value;
+}
+
+const sameValue = (a, b) => JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+
+class CatalogTransferService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.models] - category -> beverage model
+   * @param {Function} [options.transaction] - Runs (session) => work in a transaction (runInTransaction)
+   */
+  constructor({ models = CATEGORY_MODELS, transaction = runInTransaction } = {}) {
+    this.models = models;
+    this.transaction = transaction;
+  }
+
+  /**
+   * Importable fields of a category in schema order
+   * kind is how a CSV cell is read: value (cast by Mongoose), list (pipe-separated) or json
+   * @param {string} category
+   * @returns {Array<object>} [{ path, kind }]
+   */
+  getFields(category) {
+    const fields = [];
+    this.models[category].schema.eachPath((path, schemaType) => {
+      if (path === '_id' || isReadOnly(path)) return;
+
+      let kind = 'value';
+      if (schemaType.$isMongooseDocumentArray || ['Mixed', 'Embedded'].includes(schemaType.instance)) {
+        kind = 'json';
+      } else if (schemaType.instance === 'Array') {
+        kind = 'list';
+      }
+
+      fields.push({ path, kind, isArray: schemaType.instance === 'Array' });
+    });
+    return fields;
+  }
+
+  /**
+   * Export a category
+   * @param {string} category
+   * @param {string} [format] - csv or json
+   * @returns {Promise<object>} { contentType, filename, body }
+   */
+  async export(category, format = 'csv') {
+    const fields = this.getFields(category);
+    // Documents rather than lean objects, so schema defaults export the way an import will read them
+    const items = await this.models[category].find({}).sort({ name: 1 });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+      const records = items.map(item => fields.reduce((record, { path }) => {
+        const value = canonical(item.get(path));
+        return value === null ? record : { ...record, [path]: value };
+      }, { _id: String(item._id) }));
+
+      return {
+        contentType: 'application/json',
+        filename: `${category}-${stamp}.json`,
+        body: JSON.stringify({ category, exportedAt: new Date(), count: records.length, items: records }, null, 2)
+      };
+    }
+
+    const rows = [['_id', ...fields.map(field => field.path)]];
+    for (const item of items) {
+      rows.push([String(item._id), ...fields.map(field => this.toCell(field, item.get(field.path)))]);
+    }
+
+    return {
+      contentType: 'text/csv',
+      filename: `${category}-${stamp}.csv`,
+      body: toCsv(rows)
+    };
+  }
+
+  toCell(field, value) {
+    const plain = canonical(value);
+    if (plain === null || (Array.isArray(plain) && plain.length === 0)) return '';
+
+    if (field.kind === 'json') return JSON.stringify(plain);
+    if (field.kind === 'list') {
+      return plain.some(entry => String(entry).includes(LIST_SEPARATOR)) ? JSON.stringify(plain) : plain.join(LIST_SEPARATOR);
+    }
+    return plain;
+  }
+
+  fromCell(field, cell) {
+    const text = cell.trim();
+    if (text === '') return field.isArray ? [] : null;
+
+    if (field.kind === 'json' || (field.kind === 'list' && text.startsWith('['))) {
+      return JSON.parse(text);
+    }
+    if (field.kind === 'list') {
+      return text.split(LIST_SEPARATOR).map(entry => entry.trim()).filter(Boolean);
+    }
+    return text;
+  }
+
+  /**
+   * Turn an upload into records keyed by schema path
+   * @param {string} category
+   * @param {string} format - csv or json
+   * @param {string|Array|object} data - CSV text, an array of items, or a JSON export
+   * @returns {object} { success, records[] } or { success: false, code, message }
+   */
+  parse(category, format, data) {
+    const fields = this.getFields(category);
+    const byPath = new Map(fields.map(field => [field.path, field]));
+
+    if (format === 'csv') {
+      let rows;
+      try {
+        rows = parseCsv(data);
+      } catch (error) {
+        return { success: false, code: 'INVALID_FILE', message: `CSV could not be read: ${error.message}` };
+      }
+
+      const [header = [], ...body] = rows;
+      const columns = header.map(column => column.trim());
+      const unknown = columns.filter(column => column !== '_id' && !byPath.has(column) && !isReadOnly(column));
+      if (unknown.length > 0) {
+        return { success: false, code: 'UNKNOWN_COLUMNS', message: `Unknown columns for ${category}: ${unknown.join(', ')}` };
+      }
+
+      const records = body.map(cells => {
+        const record = { values: {}, errors: [] };
+        columns.forEach((column, index) => {
+          const cell = cells[index] === undefined ? '' : cells[index];
+          if (column === '_id') {
+            record.id = cell.trim() || null;
+          } else if (byPath.has(column)) {
+            try {
+              record.values[column] = this.fromCell(byPath.get(column), cell);
+            } catch (error) {
+              record.errors.push({ field: column, message: 'Invalid JSON' });
+            }
+          }
+        });
+        return record;
+      });
+
+      return { success: true, records };
+    }
+
+    let items = data;
+    try {
+      if (typeof items === 'string') items = JSON.parse(items);
+    } catch (error) {
+      return { success: false, code: 'INVALID_FILE', message: `JSON could not be read: ${error.message}` };
+    }
+    if (items && !Array.isArray(items) && Array.isArray(items.items)) items = items.items;
+    if (!Array.isArray(items)) {
+      return { success: false, code: 'INVALID_FILE', message: 'JSON imports must be an array of items or an export file' };
+    }
+
+    const records = items.map(item => {
+      const record = { id: item && item._id ? String(item._id) : null, values: {}, errors: [] };
+
+      // Nested objects flatten into schema paths, e.g. { criticsScore: { score } } -> criticsScore.score
+      const collect = (object, prefix) => {
+        for (const [key, value] of Object.entries(object || {})) {
+          const path = prefix ? `${prefix}.${key}` : key;
+          if (path === '_id' || isReadOnly(path)) continue;
+
+          if (byPath.has(path)) {
+            record.values[path] = value === null && byPath.get(path).isArray ? [] : value;
+          } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            collect(value, path);
+          } else {
+            record.errors.push({ field: path, message: `Unknown field for ${category}` });
+          }
+        }
+      };
+      collect(item, '');
+
+      return record;
+    });
+
+    return { success: true, records };
+  }
+
+  naturalKey(category, values) {
+    const keys = NATURAL_KEYS[category] || DEFAULT_KEY;
+    const parts = keys.map(key => values[key]);
+    if (parts.some(part => part === undefined || part === null || part === '')) return null;
+    return parts.map(part => String(part).trim().toLowerCase()).join('|');
+  }
+
+  /**
+   * Match records to existing documents and validate the result of applying each one
+   * @param {string} category
+   * @param {Array<object>} records - From parse
+   * @param {object} [session] - Mongo session when planning inside a transaction
+   * @returns {Promise<Array<object>>} Entries with the prepared document attached
+   */
+  async plan(category, records, session = null) {
+    const Model = this.models[category];
+    const existing = await Model.find({}).session(session);
+
+    const byId = new Map(existing.map(doc => [String(doc._id), doc]));
+    const byKey = new Map();
+    for (const doc of existing) {
+      const key = this.naturalKey(category, doc);
+      if (key) byKey.set(key, doc);
+    }
+
+    const seen = new Set();
+    const entries = [];
+
+    for (const [index, record] of records.entries()) {
+      const entry = { row: index + 1, errors: [...record.errors], changes: [] };
+      entries.push(entry);
+
+      if (record.id && !mongoose.Types.ObjectId.isValid(record.id)) {
+        entry.errors.push({ field: '_id', message: 'Invalid ID' });
+        entry.action = 'error';
+        continue;
+      }
+
+      const key = this.naturalKey(category, record.values);
+      let doc = record.id ? byId.get(record.id) : key && byKey.get(key);
+      const identity = doc ? String(doc._id) : record.id || key;
+
+      if (identity && seen.has(identity)) {
+        entry.errors.push({ field: record.id ? '_id' : 'name', message: 'Appears more than once in this import' });
+      }
+      if (identity) seen.add(identity);
+
+      if (doc) {
+        entry.action = 'update';
+        entry.id = doc._id;
+        for (const [path, value] of Object.entries(record.values)) {
+          const before = doc.get(path);
+          doc.set(path, value === null ? undefined : value);
+          if (!sameValue(before, doc.get(path))) {
+            entry.changes.push({ field: path, from: canonical(before), to: canonical(doc.get(path)) });
+          }
+        }
+        if (entry.changes.length === 0) entry.action = 'unchanged';
+      } else {
+        entry.action = 'create';
+        const values = Object.fromEntries(Object.entries(record.values).filter(([, value]) => value !== null));
+        doc = new Model(record.id ? { ...values, _id: record.id } : values);
+        entry.id = doc._id;
+      }
+
+      entry.name = doc.get('name');
+
+      try {
+        await doc.validate();
+      } catch (error) {
+        if (!error.errors) throw error;
+        for (const [field, fieldError] of Object.entries(error.errors)) {
+          entry.errors.push({ field, message: fieldError.message });
+        }
+      }
+
+      if (entry.errors.length > 0) {
+        entry.action = 'error';
+      } else {
+        entry.doc = doc;
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Public diff report, without the prepared documents
+   * @param {string} category
+   * @param {Array<object>} entries - From plan
+   * @param {boolean} dryRun
+   * @returns {object}
+   */
+  report(category, entries, dryRun) {
+    const count = (action) => entries.filter(entry => entry.action === action).length;
+    return {
+      category,
+      dryRun,
+      summary: {
+        total: entries.length,
+        create: count('create'),
+        update: count('update'),
+        unchanged: count('unchanged'),
+        errors: count('error')
+      },
+      rows: entries.map(({ doc, ...entry }) => entry)
+    };
+  }
+
+  /**
+   * Check an import and, unless it is a dry run, apply it in one transaction
+   * Nothing is written when any row is invalid
+   * @param {string} category
+   * @param {object} upload - { format, data, dryRun }
+   * @returns {Promise<object>} { success, report, saved[] } or { success: false, code, message, report? }
+   */
+  async import(category, { format, data, dryRun = true }) {
+    const parsed = this.parse(category, format, data);
+    if (!parsed.success) return parsed;
+
+    if (parsed.records.length === 0) {
+      return { success: false, code: 'EMPTY_FILE', message: 'The import has no rows' };
+    }
+    if (parsed.records.length > MAX_ROWS) {
+      return { success: false, code: 'TOO_MANY_ROWS', message: `Imports are limited to ${MAX_ROWS} rows` };
+    }
+
+    const preview = this.report(category, await this.plan(category, parsed.records), true);
+    if (dryRun) {
+      return { success: true, report: preview, saved: [] };
+    }
+    if (preview.summary.errors > 0) {
+      return { success: false, code: 'INVALID_ROWS', message: 'Some rows are invalid; nothing was changed', report: preview };
+    }
+
+    // Plan again inside the transaction so the diff is applied to the data as it is now
+    return this.transaction(async (session) => {
+      const entries = await this.plan(category, parsed.records, session);
+      const report = this.report(category, entries, false);
+      if (report.summary.errors > 0) {
+        return { success: false, code: 'INVALID_ROWS', message: 'Some rows are invalid; nothing was changed', report };
+      }
+
+      const saved = [];
+      for (const entry of entries) {
+        if (entry.action !== 'create' && entry.action !== 'update') continue;
+        await entry.doc.save({ session });
+        saved.push(entry.doc);
+      }
+
+      return { success: true, report, saved };
+    }, `${category} import`);
+  }
+}
+
+module.exports = new CatalogTransferService();
+module.exports.CatalogTransferService = CatalogTransferService;
+module.exports.canonical = canonical;
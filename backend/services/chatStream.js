@@ -0,0 +1,92 @@
+/**
+ * Chat Stream
+ * Sends an IA reply as server-sent events while the model is still writing it:
+ *   delta    { text }              - model text as it arrives
+ *   sentence { index, text }       - each complete sentence, so the avatar can start speaking early
+ *   tool     { name, status, ... } - an action the assistant took (see iaToolService.js)
+ *   done     { response, usage, provider, model, ... } - full reply plus whatever the route adds
+ *   error    { message }           - the stream failed; no done event follows
+ */
+
+const llmGateway = require('./llmGateway');
+const SentenceChunker = require('./sentenceChunker');
+
+/**
+ * Streaming is opted into with `stream: true` in the body or an Accept: text/event-stream header
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+const wantsStream = (req) =>
+  req.body?.stream === true || String(req.get('Accept') || '').includes('text/event-stream');
+
+/**
+ * @param {object} options
+ * @param {object} options.req - Express request
+ * @param {object} options.res - Express response; headers must not have been sent
+ * @param {string} options.route - Gateway route (see config/llm.js)
+ * @param {string} options.prompt
+ * @param {Function} [options.finish] - async (reply) => extra fields for the done event, where
+ *   reply is { text, usage, provider, model, toolCalls }; not called if the client disconnects first
+ * @param {AsyncIterable} [options.source] - Events to relay instead of gateway.stream({ route, prompt }),
+ *   e.g. iaToolService.stream(); `tool` events are passed through and the done event's toolCalls kept
+ * @param {object} [options.gateway] - Injectable for tests
+ * @returns {Promise<object|null>} The finished reply, or null when the stream failed or was abandoned
+ */
+const streamChatReply = async ({ req, res, route, prompt, source = null, finish = () => ({}), gateway = llmGateway }) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx buffering the events until the reply is complete
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const chunker = new SentenceChunker();
+  let sentenceIndex = 0;
+  const sendSentences = (sentences) => sentences.forEach(text => send('sentence', { index: sentenceIndex++, text }));
+
+  // Leaving the loop early closes the gateway stream, which aborts the provider request
+  let disconnected = false;
+  res.on('close', () => {
+    if (!res.writableEnded) disconnected = true;
+  });
+
+  let text = '';
+  let reply = null;
+
+  try {
+    for await (const event of source || gateway.stream({ route, prompt })) {
+      if (disconnected) break;
+
+      if (event.type === 'text') {
+        text += event.text;
+        send('delta', { text: event.text });
+        sendSentences(chunker.push(event.text));
+      } else if (event.type === 'tool') {
+        send('tool', event.call);
+      } else if (event.type === 'done') {
+        sendSentences(chunker.flush());
+        reply = { text, usage: event.usage, provider: event.provider, model: event.model, toolCalls: event.toolCalls || [] };
+        const extra = await finish(reply);
+        send('done', { response: text, usage: reply.usage, provider: reply.provider, model: reply.model, ...extra });
+      }
+    }
+  } catch (error) {
+    console.error(`IA stream error (${route}):`, error.message);
+    reply = null;
+    if (!disconnected) {
+      send('error', {
+        message: error.code === 'LLM_UNAVAILABLE'
+          ? 'AI service temporarily unavailable. Please try again later.'
+          : 'Server error processing your request'
+      });
+    }
+  } finally {
+    res.end();
+  }
+
+  return disconnected ? null : reply;
+};
+
+module.exports = { wantsStream, streamChatReply };
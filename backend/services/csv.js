@@ -0,0 +1,83 @@
+/**
+ * CSV Helpers
+ * RFC 4180 reading and writing: quoted fields may hold commas, quotes and line breaks
+ */
+
+/**
+ * Quote a value when it needs it
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows of cells
+ * @param {Array<Array<*>>} rows - First row is usually the header
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of strings
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} On an unterminated quoted field
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, ''); // spreadsheet exports often start with a BOM
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+module.exports = {
+  escapeCsv,
+  toCsv,
+  parseCsv
+};
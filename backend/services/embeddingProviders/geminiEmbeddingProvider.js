@@ -0,0 +1,44 @@
+/**
+ * Gemini embedding provider
+ * Google embeddings through @google/generative-ai; needs GEMINI_API_KEY.
+ * EMBEDDING_MODEL overrides the model
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { normalize } = require('./vectorMath');
+
+class GeminiEmbeddingProvider {
+  /**
+   * @param {object} [options] - { apiKey, client, model }; apiKey defaults to GEMINI_API_KEY
+   */
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.client = options.client || null;
+    this.model = options.model || process.env.EMBEDDING_MODEL || 'text-embedding-004';
+    this.dimensions = 768;
+  }
+
+  isConfigured() {
+    return !!this.client || (!!this.apiKey && this.apiKey !== 'your-gemini-api-key-here');
+  }
+
+  /**
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embed(texts) {
+    if (!texts.length) return [];
+
+    if (!this.client) {
+      this.client = new GoogleGenerativeAI(this.apiKey);
+    }
+    const model = this.client.getGenerativeModel({ model: this.model });
+    const response = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    });
+    return response.embeddings.map(embedding => normalize(embedding.values));
+  }
+}
+
+module.exports = GeminiEmbeddingProvider;
@@ -0,0 +1,40 @@
+/**
+ * Embedding providers
+ *
+ * A provider turns text into vectors for patron memory recall and exposes:
+ *   name              - combined with model to tag stored vectors
+ *   model             - vectors are only compared with vectors from the same name:model
+ *   dimensions        - length of each vector
+ *   isConfigured()    - whether it has the credentials it needs
+ *   embed(texts)      - async, resolves to one unit-length vector per text, in order
+ *
+ * EMBEDDING_PROVIDER selects the adapter: 'local' (default, works offline), 'openai' or 'gemini'.
+ * Switching providers leaves older memories unrecalled until they expire or are forgotten
+ */
+
+const LocalEmbeddingProvider = require('./localEmbeddingProvider');
+const OpenAIEmbeddingProvider = require('./openaiEmbeddingProvider');
+const GeminiEmbeddingProvider = require('./geminiEmbeddingProvider');
+const { cosineSimilarity, normalize } = require('./vectorMath');
+
+const createEmbeddingProvider = (name = process.env.EMBEDDING_PROVIDER || 'local', options = {}) => {
+  switch (name) {
+    case 'local':
+      return new LocalEmbeddingProvider(options);
+    case 'openai':
+      return new OpenAIEmbeddingProvider(options);
+    case 'gemini':
+      return new GeminiEmbeddingProvider(options);
+    default:
+      throw new Error(`Unknown embedding provider: ${name}`);
+  }
+};
+
+module.exports = {
+  createEmbeddingProvider,
+  cosineSimilarity,
+  normalize,
+  LocalEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  GeminiEmbeddingProvider
+};
@@ -0,0 +1,98 @@
+/**
+ * Local embedding provider
+ * Hashes words, word pairs and word fragments into a fixed-size vector on this server, so memory
+ * works offline and nothing leaves the building. It matches shared vocabulary ("bourbon",
+ * "anniversary") rather than meaning, which is enough to bring back what a patron talked about
+ */
+
+const { normalize } = require('./vectorMath');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by',
+  'from', 'is', 'are', 'was', 'were', 'be', 'been', 'am', 'it', 'its', 'this', 'that', 'these',
+  'i', 'me', 'my', 'we', 'our', 'you', 'your', 'he', 'she', 'they', 'them', 'their', 'so', 'as',
+  'do', 'does', 'did', 'have', 'has', 'had', 'can', 'could', 'would', 'should', 'will', 'just',
+  'what', 'which', 'who', 'how', 'some', 'any', 'about', 'there', 'here', 'up', 'out', 'too', 'very'
+]);
+
+// Feature weights: words carry most of the meaning, pairs keep "old fashioned" apart from "old",
+// fragments catch spelling variants like whisky/whiskey
+const WORD_WEIGHT = 1;
+const PAIR_WEIGHT = 0.5;
+const FRAGMENT_WEIGHT = 0.4;
+
+// Trim common endings so "cocktails" and "cocktail" land in the same bucket
+const stem = (word) => {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s']/g, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/'s$|'/g, ''))
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+
+// 32-bit FNV-1a
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+class LocalEmbeddingProvider {
+  /**
+   * @param {object} [options] - { dimensions }; defaults to 512
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = Number(options.dimensions || 512);
+    this.model = `hash-${this.dimensions}`;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Adds a feature to its bucket; the sign bit spreads collisions so they cancel out on average
+  addFeature(vector, feature, weight) {
+    const h = hash(feature);
+    vector[h % this.dimensions] += (h & 0x80000000 ? -1 : 1) * weight;
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = tokenize(text);
+
+    words.forEach((word, index) => {
+      this.addFeature(vector, `w:${word}`, WORD_WEIGHT);
+      if (index > 0) this.addFeature(vector, `p:${words[index - 1]} ${word}`, PAIR_WEIGHT);
+
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        this.addFeature(vector, `f:${padded.slice(i, i + 3)}`, FRAGMENT_WEIGHT);
+      }
+    });
+
+    return normalize(vector);
+  }
+
+  /**
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>} Unit-length vectors; empty text gives a zero vector
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -0,0 +1,48 @@
+/**
+ * OpenAI embedding provider
+ * Embeddings API through the openai SDK (a root-level dependency); needs OPENAI_API_KEY.
+ * EMBEDDING_MODEL overrides the model
+ */
+
+const { normalize } = require('./vectorMath');
+
+class OpenAIEmbeddingProvider {
+  /**
+   * @param {object} [options] - { apiKey, client, model }; apiKey defaults to OPENAI_API_KEY
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.client = options.client || null;
+    this.model = options.model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    this.dimensions = this.model === 'text-embedding-3-large' ? 3072 : 1536;
+  }
+
+  isConfigured() {
+    return !!this.client || !!this.apiKey;
+  }
+
+  getClient() {
+    if (!this.client) {
+      // Loaded on first use so deployments that never pick OpenAI do not need the package
+      const OpenAI = require('openai');
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  /**
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>}
+   */
+  async embed(texts) {
+    if (!texts.length) return [];
+
+    const response = await this.getClient().embeddings.create({ model: this.model, input: texts });
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => normalize(item.embedding));
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
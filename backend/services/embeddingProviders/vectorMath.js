@@ -0,0 +1,19 @@
+/**
+ * Vector helpers shared by the embedding providers and patron memory recall
+ */
+
+// Scale to unit length so similarity is a plain dot product; a zero vector stays zero
+const normalize = (vector) => {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+};
+
+// Both vectors must be unit length; mismatched lengths (different models) score 0
+const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+};
+
+module.exports = { normalize, cosineSimilarity };
@@ -0,0 +1,280 @@
+/**
+ * Face Auth Service
+ * Face enrollment and face login on top of a pluggable face provider (see ./faceProviders).
+ * Every capture is a short burst of landmark frames from the browser's Face Landmarker, plus one
+ * camera frame when the provider needs an image; the burst has to show a live face before the
+ * provider is asked to enroll or match it
+ */
+
+const User = require('../models/User');
+const { createFaceProvider } = require('./faceProviders');
+const { normalizeFrame, landmarkMotion } = require('./faceGeometry');
+
+const MAX_FRAMES = 30;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // Rekognition's limit for inline images
+
+const STAFF_NOT_ALLOWED = {
+  success: false,
+  message: 'Staff accounts must sign in with their password',
+  code: 'FACE_LOGIN_NOT_ALLOWED'
+};
+
+class FaceAuthService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.userModel] - User model; injectable for tests
+   * @param {object} [options.provider] - Face provider; created from FACE_PROVIDER when omitted
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   */
+  constructor({ userModel = User, provider = null, clock = () => new Date() } = {}) {
+    this.User = userModel;
+    this.provider = provider;
+    this.clock = clock;
+    this.minFrames = Number(process.env.FACE_LIVENESS_MIN_FRAMES || 5);
+    this.minMotion = Number(process.env.FACE_LIVENESS_MIN_MOTION || 0.02);
+    this.maxMotion = Number(process.env.FACE_LIVENESS_MAX_MOTION || 0.5);
+    this.maxSamples = Number(process.env.FACE_MAX_SAMPLES || 5);
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createFaceProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * What the browser needs to capture for the active provider
+   * @returns {object} { provider, requiresImage, requiresEmail, minFrames }
+   */
+  getCaptureRequirements() {
+    const provider = this.getProvider();
+    return {
+      provider: provider.name,
+      requiresImage: provider.requiresImage,
+      requiresEmail: !provider.trainedModel,
+      minFrames: this.minFrames
+    };
+  }
+
+  /**
+   * Staff accounts only use face login when a trained face model does the matching
+   * @param {object} user
+   * @returns {boolean}
+   */
+  allowsFaceLogin(user) {
+    return this.getProvider().trainedModel || user.role === 'Patron';
+  }
+
+  /**
+   * Validate and normalize a capture
+   * @param {object} faceData - { frames: [[landmark]], image: base64 or data URL }
+   * @returns {object} { success, sample, message, code }
+   */
+  parseSample(faceData) {
+    const frames = Array.isArray(faceData?.frames) ? faceData.frames.slice(0, MAX_FRAMES).map(normalizeFrame) : [];
+
+    if (frames.length === 0 || frames.some(frame => !frame)) {
+      return { success: false, message: 'Face capture must contain face landmark frames', code: 'INVALID_SAMPLE' };
+    }
+
+    let image = null;
+    if (faceData.image) {
+      image = Buffer.from(String(faceData.image).replace(/^data:image\/\w+;base64,/, ''), 'base64');
+      if (image.length === 0 || image.length > MAX_IMAGE_BYTES) {
+        return { success: false, message: 'Face image must be a JPEG or PNG under 5 MB', code: 'INVALID_SAMPLE' };
+      }
+    }
+
+    if (this.getProvider().requiresImage && !image) {
+      return { success: false, message: 'Face capture must include an image', code: 'INVALID_SAMPLE' };
+    }
+
+    return { success: true, sample: { frames, image } };
+  }
+
+  /**
+   * Liveness from landmark motion: enough frames, and a face that changes shape between them.
+   * Too much change means the frames are not of one face
+   * @param {object} sample - Parsed sample
+   * @returns {object} { success, motion, message, code }
+   */
+  checkLiveness(sample) {
+    if (sample.frames.length < this.minFrames) {
+      return {
+        success: false,
+        message: `Hold still in front of the camera for at least ${this.minFrames} frames`,
+        code: 'LIVENESS_FAILED'
+      };
+    }
+
+    const motion = Math.round(landmarkMotion(sample.frames) * 1e4) / 1e4;
+
+    if (motion < this.minMotion) {
+      return { success: false, motion, message: 'No facial movement detected. Blink or turn your head slightly and try again', code: 'LIVENESS_FAILED' };
+    }
+    if (motion > this.maxMotion) {
+      return { success: false, motion, message: 'The capture was not of one steady face. Please try again', code: 'LIVENESS_FAILED' };
+    }
+
+    return { success: true, motion };
+  }
+
+  /**
+   * Parse a capture and check liveness
+   * @param {object} faceData
+   * @returns {object} { success, sample, message, code }
+   */
+  prepare(faceData) {
+    const parsed = this.parseSample(faceData);
+    if (!parsed.success) return parsed;
+
+    const liveness = this.checkLiveness(parsed.sample);
+    if (!liveness.success) return liveness;
+
+    return parsed;
+  }
+
+  /**
+   * Samples a user has with the active provider
+   * @param {object} user - User loaded with faceAuth.samples
+   * @returns {Array<object>}
+   */
+  getSamples(user) {
+    const provider = this.getProvider().name;
+    return (user.faceAuth?.samples || []).filter(saved => saved.provider === provider);
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<object>} { success, status, message, code }
+   */
+  async getStatus(userId) {
+    const user = await this.User.findById(userId).select('+faceAuth.samples');
+    if (!user) {
+      return { success: false, message: 'User not found', code: 'NOT_FOUND' };
+    }
+    return { success: true, status: this.toStatus(user) };
+  }
+
+  toStatus(user) {
+    const samples = this.getSamples(user);
+    return {
+      enrolled: samples.length > 0,
+      samples: samples.length,
+      enrolledAt: samples.length > 0 ? user.faceAuth.enrolledAt : null,
+      ...this.getCaptureRequirements()
+    };
+  }
+
+  /**
+   * Add a face sample for a user; the oldest samples are dropped past FACE_MAX_SAMPLES
+   * @param {string} userId
+   * @param {object} faceData - Capture from the browser
+   * @returns {Promise<object>} { success, status, message, code }
+   */
+  async enroll(userId, faceData) {
+    const prepared = this.prepare(faceData);
+    if (!prepared.success) return prepared;
+
+    const user = await this.User.findById(userId).select('+faceAuth.samples');
+    if (!user) {
+      return { success: false, message: 'User not found', code: 'NOT_FOUND' };
+    }
+    if (!this.allowsFaceLogin(user)) return STAFF_NOT_ALLOWED;
+
+    const provider = this.getProvider();
+    const enrolled = await provider.enroll(prepared.sample, user);
+    if (!enrolled.success) {
+      return { success: false, message: enrolled.message, code: 'ENROLLMENT_FAILED' };
+    }
+
+    const now = this.clock();
+    const samples = [...(user.faceAuth?.samples || []), {
+      provider: provider.name,
+      descriptor: enrolled.descriptor,
+      faceId: enrolled.faceId,
+      createdAt: now
+    }];
+    const kept = this.getSamples({ faceAuth: { samples } });
+    const dropped = kept.slice(0, Math.max(0, kept.length - this.maxSamples));
+
+    if (dropped.length > 0) {
+      await provider.remove(user, dropped);
+    }
+
+    user.set('faceAuth', {
+      provider: provider.name,
+      enrolledAt: now,
+      samples: samples.filter(saved => !dropped.includes(saved))
+    });
+    if (enrolled.faceId) user.awsRekognitionId = enrolled.faceId;
+    await user.save();
+
+    return { success: true, status: this.toStatus(user) };
+  }
+
+  /**
+   * Forget every face sample a user has; the active provider also deletes its own copies
+   * @param {string} userId
+   * @returns {Promise<object>} { success, status, message, code }
+   */
+  async remove(userId) {
+    const user = await this.User.findById(userId).select('+faceAuth.samples');
+    if (!user) {
+      return { success: false, message: 'User not found', code: 'NOT_FOUND' };
+    }
+
+    const samples = this.getSamples(user);
+    if (samples.length > 0) {
+      await this.getProvider().remove(user, samples);
+    }
+
+    user.set('faceAuth', { provider: null, enrolledAt: null, samples: [] });
+    user.awsRekognitionId = null;
+    await user.save();
+
+    return { success: true, status: this.toStatus(user) };
+  }
+
+  /**
+   * Find the active user a capture belongs to. With an email only that account is considered;
+   * searching every account needs a provider with a trained face model
+   * @param {object} params - { faceData, email }
+   * @returns {Promise<object>} { success, user, message, code }
+   */
+  async authenticate({ faceData, email }) {
+    const prepared = this.prepare(faceData);
+    if (!prepared.success) return prepared;
+
+    const provider = this.getProvider();
+    if (!email && !provider.trainedModel) {
+      return { success: false, message: 'Enter your email to sign in with your face', code: 'EMAIL_REQUIRED' };
+    }
+
+    const query = email
+      ? { email: String(email).toLowerCase(), isActive: true }
+      : { 'faceAuth.provider': provider.name, isActive: true };
+    const users = await this.User.find(query).select('+faceAuth.samples');
+
+    const candidates = users
+      .map(user => ({ userId: String(user._id), user, samples: this.getSamples(user) }))
+      .filter(candidate => candidate.samples.length > 0);
+
+    // Same answer whether or not the account exists or has a face enrolled
+    const notRecognised = { success: false, message: 'Face not recognised', code: 'NO_MATCH' };
+    if (candidates.length === 0) return notRecognised;
+
+    const matched = await provider.match(prepared.sample, candidates);
+    if (!matched.success) return notRecognised;
+
+    const candidate = candidates.find(entry => entry.userId === String(matched.userId));
+    if (!candidate) return notRecognised;
+    if (!this.allowsFaceLogin(candidate.user)) return STAFF_NOT_ALLOWED;
+
+    return { success: true, user: candidate.user };
+  }
+}
+
+module.exports = new FaceAuthService();
+module.exports.FaceAuthService = FaceAuthService;
@@ -0,0 +1,148 @@
+/**
+ * Face Geometry
+ * Landmark maths shared by face login: frame alignment, liveness motion and the local face descriptor.
+ * Frames are MediaPipe Face Landmarker meshes (468 or 478 points) in pixel units, each point
+ * either [x, y, z] or { x, y, z }; z is optional
+ */
+
+const MIN_LANDMARKS = 468;
+
+// Eye corners used to align frames: outer and inner corner of each eye
+const LEFT_EYE = [33, 133];
+const RIGHT_EYE = [362, 263];
+
+// Points that barely move with expression: forehead, eye corners, nose bridge and tip,
+// nostrils, cheekbones, jaw angles and chin
+const DESCRIPTOR_POINTS = [10, 33, 133, 362, 263, 168, 1, 98, 327, 234, 454, 172, 397, 152];
+
+const toPoint = (point) => (Array.isArray(point)
+  ? [Number(point[0]), Number(point[1]), point[2] === undefined ? null : Number(point[2])]
+  : [Number(point?.x), Number(point?.y), point?.z === undefined ? null : Number(point.z)]);
+
+/**
+ * Normalize a landmark frame to [[x, y, z|null]]
+ * @param {Array} frame
+ * @returns {Array<Array<number>>|null} Null when the frame is not a usable mesh
+ */
+function normalizeFrame(frame) {
+  if (!Array.isArray(frame) || frame.length < MIN_LANDMARKS) return null;
+
+  const points = frame.map(toPoint);
+  const valid = points.every(([x, y, z]) => Number.isFinite(x) && Number.isFinite(y) && (z === null || Number.isFinite(z)));
+  return valid ? points : null;
+}
+
+const midpoint = (points, [a, b]) => [(points[a][0] + points[b][0]) / 2, (points[a][1] + points[b][1]) / 2];
+
+/**
+ * Remove translation, in-plane rotation and scale from a frame: the eye midpoint becomes the
+ * origin, the eye line the x axis and the distance between the eyes the unit
+ * @param {Array<Array<number>>} points - Normalized frame
+ * @returns {Array<Array<number>>|null} Aligned 2D points, or null when the eyes coincide
+ */
+function alignFrame(points) {
+  const left = midpoint(points, LEFT_EYE);
+  const right = midpoint(points, RIGHT_EYE);
+  const dx = right[0] - left[0];
+  const dy = right[1] - left[1];
+  const scale = Math.hypot(dx, dy);
+  if (!scale) return null;
+
+  const cos = dx / scale;
+  const sin = dy / scale;
+  const origin = [(left[0] + right[0]) / 2, (left[1] + right[1]) / 2];
+
+  return points.map(([x, y]) => {
+    const px = x - origin[0];
+    const py = y - origin[1];
+    return [(px * cos + py * sin) / scale, (py * cos - px * sin) / scale];
+  });
+}
+
+/**
+ * How much the face changed shape across frames once head position, roll and distance are removed.
+ * A printed photo or a still screen moved in front of the camera stays close to zero; a real face
+ * that blinks, talks or turns does not
+ * @param {Array<Array<Array<number>>>} frames - Normalized frames
+ * @returns {number} Largest mean landmark displacement from the first frame, in eye-distance units
+ */
+function landmarkMotion(frames) {
+  const aligned = frames.map(alignFrame);
+  if (aligned.some(frame => !frame)) return 0;
+
+  const [first, ...rest] = aligned;
+  return rest.reduce((largest, frame) => {
+    const count = Math.min(first.length, frame.length);
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      total += Math.hypot(frame[i][0] - first[i][0], frame[i][1] - first[i][1]);
+    }
+    return Math.max(largest, total / count);
+  }, 0);
+}
+
+/**
+ * Pairwise distances between the stable points, relative to the distance between the eyes.
+ * Uses depth when every point has it, which keeps the descriptor steady as the head turns
+ * @param {Array<Array<number>>} points - Normalized frame
+ * @returns {Array<number>|null}
+ */
+function frameDescriptor(points) {
+  const useDepth = points.every(point => point[2] !== null);
+  const at = (index) => (useDepth ? points[index] : [points[index][0], points[index][1], 0]);
+  const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+  const center = ([a, b]) => at(a).map((value, axis) => (value + at(b)[axis]) / 2);
+
+  const eyes = distance(center(LEFT_EYE), center(RIGHT_EYE));
+  if (!eyes) return null;
+
+  const values = [];
+  for (let i = 0; i < DESCRIPTOR_POINTS.length; i++) {
+    for (let j = i + 1; j < DESCRIPTOR_POINTS.length; j++) {
+      values.push(distance(at(DESCRIPTOR_POINTS[i]), at(DESCRIPTOR_POINTS[j])) / eyes);
+    }
+  }
+  return values;
+}
+
+/**
+ * Face descriptor for a burst of frames: the per-component median of each frame's descriptor,
+ * so a blink or a half-turned frame does not drag it
+ * @param {Array<Array<Array<number>>>} frames - Normalized frames
+ * @returns {Array<number>|null}
+ */
+function describeFace(frames) {
+  const descriptors = frames.map(frameDescriptor).filter(Boolean);
+  if (descriptors.length === 0) return null;
+
+  return descriptors[0].map((_, index) => {
+    const sorted = descriptors.map(descriptor => descriptor[index]).sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return Math.round(median * 1e5) / 1e5;
+  });
+}
+
+/**
+ * Root-mean-square difference between two descriptors
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} Infinity when the descriptors are not comparable
+ */
+function descriptorDistance(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return Infinity;
+
+  const total = a.reduce((sum, value, index) => sum + (value - b[index]) ** 2, 0);
+  return Math.sqrt(total / a.length);
+}
+
+module.exports = {
+  MIN_LANDMARKS,
+  DESCRIPTOR_POINTS,
+  normalizeFrame,
+  alignFrame,
+  landmarkMotion,
+  describeFace,
+  descriptorDistance
+};
@@ -0,0 +1,33 @@
+/**
+ * Face providers
+ *
+ * A provider matches faces for face login and exposes:
+ *   name                       - stored on each enrollment sample
+ *   requiresImage              - whether samples must include a camera frame as well as landmarks
+ *   trainedModel               - whether matching uses a trained face model; without one, face login
+ *                                needs an email to match 1:1 and is not offered to staff accounts
+ *   enroll(sample, user)       - async, sample is { frames, image }; resolves to
+ *                                { success, descriptor?, faceId?, message }
+ *   match(sample, candidates)  - async, candidates are [{ userId, samples }] enrolled with this provider;
+ *                                resolves to { success, userId, message }
+ *   remove(user, samples)      - async, forgets the samples; resolves to { success }
+ *
+ * FACE_PROVIDER selects the adapter: 'local' (default) or 'rekognition'
+ */
+
+const LocalFaceProvider = require('./localFaceProvider');
+const RekognitionFaceProvider = require('./rekognitionFaceProvider');
+
+const createFaceProvider = (name = process.env.FACE_PROVIDER || 'local', options = {}) => {
+  switch (name) {
+    case 'local':
+      return new LocalFaceProvider(options);
+    case 'rekognition':
+    case 'aws':
+      return new RekognitionFaceProvider(options);
+    default:
+      throw new Error(`Unknown face provider: ${name}`);
+  }
+};
+
+module.exports = { createFaceProvider, LocalFaceProvider, RekognitionFaceProvider };
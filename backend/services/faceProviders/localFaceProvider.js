@@ -0,0 +1,74 @@
+/**
+ * Local face provider
+ * Matches faces on this server by comparing landmark descriptors (see ../faceGeometry).
+ * Descriptors are stored on the user; nothing leaves the server. Landmark geometry tells faces
+ * apart far less reliably than a trained embedding, so keep the threshold strict and treat
+ * face login as a convenience next to the password
+ */
+
+const { describeFace, descriptorDistance } = require('../faceGeometry');
+
+const NOT_RECOGNISED = 'Face not recognised';
+
+class LocalFaceProvider {
+  /**
+   * @param {object} [options] - { threshold }; defaults to FACE_MATCH_THRESHOLD
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.requiresImage = false;
+    this.trainedModel = false;
+    this.threshold = Number(options.threshold ?? process.env.FACE_MATCH_THRESHOLD ?? 0.06);
+  }
+
+  /**
+   * @param {object} sample - { frames, image }
+   * @returns {Promise<object>} { success, descriptor, message }
+   */
+  async enroll(sample) {
+    const descriptor = describeFace(sample.frames);
+    if (!descriptor) {
+      return { success: false, message: 'Could not measure the face in the capture' };
+    }
+    return { success: true, descriptor };
+  }
+
+  /**
+   * Closest enrolled user within the threshold. Two accounts that are both about as close
+   * count as no match rather than a guess
+   * @param {object} sample - { frames, image }
+   * @param {Array<object>} candidates - [{ userId, samples: [{ descriptor }] }]
+   * @returns {Promise<object>} { success, userId, distance, message }
+   */
+  async match(sample, candidates) {
+    const descriptor = describeFace(sample.frames);
+    if (!descriptor) {
+      return { success: false, message: 'Could not measure the face in the capture' };
+    }
+
+    const ranked = candidates
+      .map(candidate => ({
+        userId: candidate.userId,
+        distance: Math.min(...candidate.samples.map(saved => descriptorDistance(descriptor, saved.descriptor)))
+      }))
+      .filter(candidate => candidate.distance <= this.threshold)
+      .sort((a, b) => a.distance - b.distance);
+
+    const [best, runnerUp] = ranked;
+    if (!best || (runnerUp && runnerUp.distance - best.distance < this.threshold / 4)) {
+      return { success: false, message: NOT_RECOGNISED };
+    }
+
+    return { success: true, userId: best.userId, distance: Math.round(best.distance * 1e4) / 1e4 };
+  }
+
+  /**
+   * Descriptors live on the user document, which the caller clears
+   * @returns {Promise<object>} { success }
+   */
+  async remove() {
+    return { success: true };
+  }
+}
+
+module.exports = LocalFaceProvider;
@@ -0,0 +1,128 @@
+/**
+ * AWS Rekognition face provider
+ * Indexes each enrollment image into a Rekognition collection and searches it at login.
+ * Credentials and region come from the usual AWS_* environment variables
+ */
+
+const NOT_RECOGNISED = 'Face not recognised';
+
+class RekognitionFaceProvider {
+  /**
+   * @param {object} [options] - { client, collectionId, similarity }; defaults come from AWS_REKOGNITION_* env vars
+   */
+  constructor(options = {}) {
+    this.name = 'rekognition';
+    this.requiresImage = true;
+    this.trainedModel = true;
+    this.collectionId = options.collectionId || process.env.AWS_REKOGNITION_COLLECTION || 'nauti-bouys-faces';
+    this.similarity = Number(options.similarity ?? process.env.AWS_REKOGNITION_SIMILARITY ?? 90);
+    this.client = options.client || null;
+    this.collectionReady = false;
+  }
+
+  getClient() {
+    if (!this.client) {
+      // Loaded on first use so the local provider does not pay for the SDK
+      const AWS = require('aws-sdk');
+      this.client = new AWS.Rekognition({ region: process.env.AWS_REGION || 'us-east-1' });
+    }
+    return this.client;
+  }
+
+  async ensureCollection() {
+    if (this.collectionReady) return;
+
+    try {
+      await this.getClient().createCollection({ CollectionId: this.collectionId }).promise();
+    } catch (error) {
+      if (error.code !== 'ResourceAlreadyExistsException') throw error;
+    }
+    this.collectionReady = true;
+  }
+
+  /**
+   * @param {object} sample - { frames, image }
+   * @param {object} user - User document
+   * @returns {Promise<object>} { success, faceId, message }
+   */
+  async enroll(sample, user) {
+    if (!sample.image) {
+      return { success: false, message: 'A face image is required' };
+    }
+
+    await this.ensureCollection();
+    const result = await this.getClient().indexFaces({
+      CollectionId: this.collectionId,
+      Image: { Bytes: sample.image },
+      ExternalImageId: String(user._id),
+      MaxFaces: 1,
+      QualityFilter: 'AUTO'
+    }).promise();
+
+    const faceId = result.FaceRecords?.[0]?.Face?.FaceId;
+    if (!faceId) {
+      return { success: false, message: 'No clear face found in the image' };
+    }
+    return { success: true, faceId };
+  }
+
+  /**
+   * Best Rekognition match that belongs to one of the candidates
+   * @param {object} sample - { frames, image }
+   * @param {Array<object>} candidates - [{ userId, samples: [{ faceId }] }]
+   * @returns {Promise<object>} { success, userId, similarity, message }
+   */
+  async match(sample, candidates) {
+    if (!sample.image) {
+      return { success: false, message: 'A face image is required' };
+    }
+
+    const owners = new Map();
+    candidates.forEach(candidate => {
+      candidate.samples.forEach(saved => {
+        if (saved.faceId) owners.set(saved.faceId, candidate.userId);
+      });
+    });
+
+    let result;
+    try {
+      await this.ensureCollection();
+      result = await this.getClient().searchFacesByImage({
+        CollectionId: this.collectionId,
+        Image: { Bytes: sample.image },
+        FaceMatchThreshold: this.similarity,
+        MaxFaces: 5
+      }).promise();
+    } catch (error) {
+      // Rekognition rejects images without a detectable face as invalid parameters
+      if (error.code === 'InvalidParameterException') {
+        return { success: false, message: NOT_RECOGNISED };
+      }
+      throw error;
+    }
+
+    const match = (result.FaceMatches || [])
+      .sort((a, b) => b.Similarity - a.Similarity)
+      .find(faceMatch => owners.has(faceMatch.Face.FaceId));
+
+    if (!match) {
+      return { success: false, message: NOT_RECOGNISED };
+    }
+    return { success: true, userId: owners.get(match.Face.FaceId), similarity: match.Similarity };
+  }
+
+  /**
+   * @param {object} user - User document
+   * @param {Array<object>} samples - Saved samples with faceId
+   * @returns {Promise<object>} { success }
+   */
+  async remove(user, samples = []) {
+    const faceIds = samples.map(saved => saved.faceId).filter(Boolean);
+    if (faceIds.length > 0) {
+      await this.getClient().deleteFaces({ CollectionId: this.collectionId, FaceIds: faceIds }).promise();
+    }
+    return { success: true };
+  }
+}
+
+module.exports = RekognitionFaceProvider;
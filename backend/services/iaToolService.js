@@ -0,0 +1,347 @@
+/**
+ * IA Tool Service
+ * Lets the assistant act, not just talk. The prompt lists the tools the user's role may use;
+ * a reply that opens with <tool_call>{"name": ..., "arguments": {...}}</tool_call> blocks is
+ * treated as a request to run them. Each call is validated against the tool's declared
+ * parameters, checked against the user's role (and the patron's responsible-service guidance
+ * for tools that lead to alcohol), executed server-side and logged on the ConversationSession;
+ * the results go back to the model, which then answers the patron.
+ * The block format works with every LLM provider, the local one included
+ */
+
+const mongoose = require('mongoose');
+const llmGateway = require('./llmGateway');
+const serviceLedgerService = require('./serviceLedgerService');
+const defaultTools = require('./iaTools');
+
+const TOOL_CALL_OPEN = '<tool_call>';
+const TOOL_CALL_PATTERN = /<tool_call>([\s\S]*?)<\/tool_call>/g;
+const MAX_ROUNDS = 3;
+const EMPTY_USAGE = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+
+const FORMATS = {
+  objectId: value => mongoose.Types.ObjectId.isValid(value) && /^[a-f\d]{24}$/i.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  datetime: value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+const TYPES = {
+  string: value => typeof value === 'string',
+  integer: value => Number.isInteger(value),
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+const addUsage = (total, usage = EMPTY_USAGE) => ({
+  inputTokens: total.inputTokens + (usage.inputTokens || 0),
+  outputTokens: total.outputTokens + (usage.outputTokens || 0),
+  totalTokens: total.totalTokens + (usage.totalTokens || 0)
+});
+
+// Said instead when the model is still asking for tools after the last round
+const OUT_OF_ROUNDS_REPLY = "I wasn't able to finish that just now. Could you tell me once more what you'd like me to do?";
+
+class IaToolService {
+  /**
+   * @param {object} [options]
+   * @param {Array<object>} [options.tools] - Tool declarations (see iaTools/index.js)
+   * @param {object} [options.gateway] - LLM gateway
+   * @param {number} [options.maxRounds] - Tool rounds allowed per message before the model must answer
+   */
+  constructor({ tools = defaultTools, gateway = llmGateway, serviceLedger = serviceLedgerService, maxRounds = MAX_ROUNDS } = {}) {
+    this.tools = new Map(tools.map(tool => [tool.name, tool]));
+    this.gateway = gateway;
+    this.serviceLedger = serviceLedger;
+    this.maxRounds = maxRounds;
+  }
+
+  /**
+   * Server-side responsible-service check for tools that lead to alcohol being served;
+   * the prompt asks the model not to offer them, this makes sure it cannot
+   * @param {object} tool
+   * @param {object} user - req.user
+   * @returns {Promise<object|null>} A failed tool result, or null when the tool may run
+   */
+  async checkResponsibleService(tool, user) {
+    if (!tool.servesAlcohol) return null;
+
+    const guidance = await this.serviceLedger.getGuidance(user.id);
+    if (!guidance.steerToNonAlcoholic) return null;
+
+    return {
+      success: false,
+      code: 'RESPONSIBLE_SERVICE',
+      message: 'This is not available right now; offer the patron a non-alcoholic alternative instead'
+    };
+  }
+
+  /**
+   * Tools a user may run
+   * @param {string} role - User role
+   * @param {object} [options] - { hasSession }: leave out tools that need a conversation session
+   * @returns {Array<object>}
+   */
+  getAvailableTools(role, { hasSession = true } = {}) {
+    return [...this.tools.values()].filter(tool =>
+      tool.roles.includes(role) && (hasSession || !tool.requiresSession));
+  }
+
+  /**
+   * Public description of the tools a user may run, for GET /api/ia/tools
+   * @returns {Array<object>} { name, description, parameters }
+   */
+  listTools(role, options) {
+    return this.getAvailableTools(role, options).map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  describeParameter(name, spec) {
+    const details = [spec.required ? 'required' : 'optional', spec.type];
+    if (spec.format) details.push(spec.format);
+    if (spec.enum) details.push(`one of: ${spec.enum.join(' | ')}`);
+    if (spec.minimum !== undefined || spec.maximum !== undefined) details.push(`${spec.minimum ?? ''}..${spec.maximum ?? ''}`);
+    return `${name} (${details.join(', ')})`;
+  }
+
+  /**
+   * Prompt section listing the tools and how to call them
+   * @param {string} role - User role
+   * @param {object} [options] - { hasSession }
+   * @returns {string} Empty when the role has no tools
+   */
+  describeTools(role, options) {
+    const tools = this.getAvailableTools(role, options);
+    if (!tools.length) return '';
+
+    const lines = tools.map(tool => {
+      const parameters = Object.entries(tool.parameters).map(([name, spec]) => this.describeParameter(name, spec));
+      return `- ${tool.name}: ${tool.description}. Arguments: ${parameters.join('; ')}`;
+    });
+
+    return `TOOLS:
+You can act for the patron with the tools below. To use tools, reply with nothing but one or more tool call blocks, for example:
+<tool_call>{"name": "lookup_beverage", "arguments": {"category": "spirits", "name": "Buffalo Trace"}}</tool_call>
+The results come back to you under TOOL RESULTS; then answer the patron in your own words, or call another tool.
+Only act when the patron asks for it, and confirm the date, time and party size before creating a reservation.
+${lines.join('\n')}`;
+  }
+
+  /**
+   * Tool calls at the start of a reply
+   * @param {string} text - Model reply
+   * @returns {Array<object>|null} [{ name, arguments }] or [{ error }] for blocks that are not valid JSON;
+   *   null when the reply is an answer rather than tool calls
+   */
+  parseToolCalls(text) {
+    if (!String(text || '').trimStart().startsWith(TOOL_CALL_OPEN)) return null;
+
+    return [...text.matchAll(TOOL_CALL_PATTERN)].map(([, body]) => {
+      try {
+        const call = JSON.parse(body);
+        return { name: call.name, arguments: call.arguments ?? {} };
+      } catch (error) {
+        return { name: null, arguments: null, error: 'Tool call is not valid JSON' };
+      }
+    });
+  }
+
+  /**
+   * Check arguments against a tool's declared parameters
+   * @param {object} tool
+   * @param {*} args
+   * @returns {Array<object>} [{ param, msg }]; empty when valid
+   */
+  validateArguments(tool, args) {
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      return [{ param: null, msg: 'Arguments must be an object' }];
+    }
+
+    const errors = [];
+    Object.keys(args).forEach(param => {
+      if (!tool.parameters[param]) errors.push({ param, msg: 'Unknown argument' });
+    });
+
+    Object.entries(tool.parameters).forEach(([param, spec]) => {
+      const value = args[param];
+      if (value === undefined || value === null || value === '') {
+        if (spec.required) errors.push({ param, msg: 'Required' });
+        return;
+      }
+
+      if (!TYPES[spec.type](value)) {
+        errors.push({ param, msg: `Must be ${spec.type === 'integer' ? 'an' : 'a'} ${spec.type}` });
+      } else if (spec.enum && !spec.enum.includes(value)) {
+        errors.push({ param, msg: `Must be one of ${spec.enum.join(', ')}` });
+      } else if (spec.format && !FORMATS[spec.format](value)) {
+        errors.push({ param, msg: `Must be a valid ${spec.format}` });
+      } else if (spec.minimum !== undefined && value < spec.minimum) {
+        errors.push({ param, msg: `Must be at least ${spec.minimum}` });
+      } else if (spec.maximum !== undefined && value > spec.maximum) {
+        errors.push({ param, msg: `Must be at most ${spec.maximum}` });
+      } else if (spec.minLength !== undefined && value.trim().length < spec.minLength) {
+        errors.push({ param, msg: `Must be at least ${spec.minLength} characters` });
+      } else if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        errors.push({ param, msg: `Must be at most ${spec.maxLength} characters` });
+      }
+    });
+
+    if (!errors.length && tool.validate) {
+      const message = tool.validate(args);
+      if (message) errors.push({ param: null, msg: message });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate, permission-check and run one tool call, then log it on the session.
+   * A session that belongs to another user is ignored, so nothing runs against or is logged on it
+   * @param {object} call - { name, arguments, error }
+   * @param {object} context - { user: { id, role, fullName, email }, session }
+   * @returns {Promise<object>} { name, arguments, status, message, result }
+   *   where status is completed, failed, invalid or forbidden
+   */
+  async execute(call, { user, session: requestedSession = null }) {
+    const session = requestedSession && String(requestedSession.userId) === String(user.id) ? requestedSession : null;
+    const tool = this.tools.get(call.name);
+    const outcome = { name: String(call.name || 'unknown'), arguments: call.arguments };
+
+    if (call.error || !tool) {
+      Object.assign(outcome, { status: 'invalid', message: call.error || `Unknown tool: ${call.name}` });
+    } else if (!tool.roles.includes(user.role)) {
+      Object.assign(outcome, { status: 'forbidden', message: `${tool.name} is not available to ${user.role} accounts` });
+    } else if (tool.requiresSession && !session) {
+      Object.assign(outcome, { status: 'forbidden', message: `${tool.name} needs a conversation session` });
+    } else {
+      const errors = this.validateArguments(tool, call.arguments);
+      if (errors.length) {
+        Object.assign(outcome, {
+          status: 'invalid',
+          message: `Invalid arguments: ${errors.map(error => (error.param ? `${error.param} ${error.msg.toLowerCase()}` : error.msg)).join('; ')}`
+        });
+      } else {
+        try {
+          const result = await this.checkResponsibleService(tool, user) || await tool.execute(call.arguments, { user, session });
+          Object.assign(outcome, {
+            status: result.success ? 'completed' : 'failed',
+            message: result.message,
+            ...(result.code ? { code: result.code } : {}),
+            result: result.data || null
+          });
+        } catch (error) {
+          console.error(`IA tool ${tool.name} error:`, error);
+          Object.assign(outcome, { status: 'failed', message: 'The action could not be completed' });
+        }
+      }
+    }
+
+    if (session) {
+      session.logToolCall({ ...outcome, userId: user.id });
+      await session.save();
+    }
+
+    return outcome;
+  }
+
+  formatResult(call) {
+    return `TOOL RESULT ${call.name}: ${JSON.stringify({
+      arguments: call.arguments,
+      status: call.status,
+      message: call.message,
+      result: call.result
+    })}`;
+  }
+
+  buildRoundPrompt(prompt, transcript, final) {
+    let roundPrompt = prompt;
+    if (transcript.length) {
+      roundPrompt += `\n\nTOOL RESULTS:\n${transcript.join('\n')}`;
+    }
+    if (final) {
+      roundPrompt += '\n\nYou have used every tool call allowed for this message. Answer the patron now without calling tools.';
+    }
+    return roundPrompt;
+  }
+
+  /**
+   * Generate a reply, running any tool calls the model asks for along the way
+   * @param {object} request - { route, prompt, user, session }
+   * @returns {Promise<object>} Gateway result with usage summed over every round, plus toolCalls
+   */
+  async generate({ route, prompt, user, session = null }) {
+    const transcript = [];
+    const toolCalls = [];
+    let usage = EMPTY_USAGE;
+
+    for (let round = 0; ; round++) {
+      const final = round >= this.maxRounds;
+      const result = await this.gateway.generate({ route, prompt: this.buildRoundPrompt(prompt, transcript, final) });
+      usage = addUsage(usage, result.usage);
+
+      const calls = this.parseToolCalls(result.text);
+      if (!calls) return { ...result, usage, toolCalls };
+      if (final) return { ...result, text: OUT_OF_ROUNDS_REPLY, usage, toolCalls };
+
+      for (const call of calls) {
+        const outcome = await this.execute(call, { user, session });
+        toolCalls.push(outcome);
+        transcript.push(this.formatResult(outcome));
+      }
+    }
+  }
+
+  /**
+   * Stream a reply, running tool calls between rounds. Text that could still turn out to be a
+   * tool call is held back, so the client only ever sees the answer
+   * @param {object} request - { route, prompt, user, session }
+   * @yields {object} Gateway stream events, { type: 'tool', call } after each tool runs, and a
+   *   final done event with usage summed over every round plus toolCalls
+   */
+  async *stream({ route, prompt, user, session = null }) {
+    const transcript = [];
+    const toolCalls = [];
+    let usage = EMPTY_USAGE;
+
+    for (let round = 0; ; round++) {
+      const final = round >= this.maxRounds;
+      let held = '';
+      let answering = false;
+      let done = null;
+
+      for await (const event of this.gateway.stream({ route, prompt: this.buildRoundPrompt(prompt, transcript, final) })) {
+        if (event.type === 'done') {
+          done = event;
+        } else if (answering) {
+          yield event;
+        } else {
+          held += event.text;
+          const head = held.trimStart();
+          if (TOOL_CALL_OPEN.startsWith(head) || head.startsWith(TOOL_CALL_OPEN)) continue;
+
+          answering = true;
+          yield { type: 'text', text: held };
+        }
+      }
+
+      usage = addUsage(usage, done.usage);
+      const calls = answering ? null : this.parseToolCalls(held);
+
+      if (!calls || final) {
+        // A reply too short to rule out a tool call is still an answer
+        if (!answering && !calls && held) yield { type: 'text', text: held };
+        if (calls) yield { type: 'text', text: OUT_OF_ROUNDS_REPLY };
+        yield { ...done, usage, toolCalls };
+        return;
+      }
+
+      for (const call of calls) {
+        const outcome = await this.execute(call, { user, session });
+        toolCalls.push(outcome);
+        transcript.push(this.formatResult(outcome));
+        yield { type: 'tool', call: outcome };
+      }
+    }
+  }
+}
+
+module.exports = new IaToolService();
+module.exports.IaToolService = IaToolService;
@@ -0,0 +1,170 @@
+/**
+ * Beverage tools for the IA: menu lookups, patron favorites and ultra shelf requests.
+ * They do what GET /api/beverages/:category/:id, POST /api/ia/patron/favorites/add and
+ * POST /api/spirits/request-ultra do, against the same models and services
+ */
+
+const Cocktail = require('../../models/Cocktail');
+const Spirit = require('../../models/Spirit');
+const Wine = require('../../models/Wine');
+const Beer = require('../../models/Beer');
+const Mocktail = require('../../models/Mocktail');
+const OtherNonAlcoholic = require('../../models/OtherNonAlcoholic');
+const Inventory = require('../../models/Inventory');
+const spiritsAuthService = require('../spiritsAuthService');
+
+// Same category names as routes/beverages.js
+const BEVERAGE_MODELS = {
+  cocktails: Cocktail,
+  spirits: Spirit,
+  wines: Wine,
+  beers: Beer,
+  mocktails: Mocktail,
+  'non-alcoholic': OtherNonAlcoholic
+};
+
+const ALL_ROLES = ['Patron', 'Bartender', 'Owner'];
+
+// Skip the brand when the name already carries it (e.g. "Buffalo Trace")
+const displayName = (item) =>
+  (item.brand && !item.name.toLowerCase().startsWith(item.brand.toLowerCase()) ? `${item.brand} ${item.name}` : item.name);
+
+// Either an id or a name identifies the beverage
+const identifyBeverage = (args) => (args.id || args.name ? null : 'Give the beverage id or its name');
+
+/**
+ * Find a beverage by id, or by its name as shown on the menu ("Brand Name" for spirits)
+ * @param {string} category
+ * @param {object} args - { id, name }
+ * @returns {Promise<object|null>}
+ */
+const findBeverage = async (category, { id, name }) => {
+  const Model = BEVERAGE_MODELS[category];
+  if (id) {
+    return Model.findById(id).select('-ratings -favorites -costing').lean();
+  }
+
+  const wanted = name.trim().toLowerCase();
+  const items = await Model.find({ isAvailable: true }).select('-ratings -favorites -costing').lean();
+  return items.find(item => displayName(item).toLowerCase() === wanted)
+    || items.find(item => item.name.toLowerCase() === wanted)
+    || null;
+};
+
+const notFound = (category, args) => ({
+  success: false,
+  code: 'NOT_FOUND',
+  message: `No ${category} matching "${args.id || args.name}" on the menu`
+});
+
+const lookupBeverage = {
+  name: 'lookup_beverage',
+  description: 'Look up one beverage on the menu: price, description, whether it is in stock and its shelf tier',
+  roles: ALL_ROLES,
+  parameters: {
+    category: { type: 'string', enum: Object.keys(BEVERAGE_MODELS), required: true },
+    id: { type: 'string', format: 'objectId' },
+    name: { type: 'string', maxLength: 120 }
+  },
+  validate: identifyBeverage,
+
+  async execute(args) {
+    const beverage = await findBeverage(args.category, args);
+    if (!beverage) return notFound(args.category, args);
+
+    // A beverage with several inventory rows is in stock while any of them is
+    const rows = await Inventory.find({ itemId: beverage._id }).select('isOutOfStock').lean();
+    const inStock = rows.length === 0 || rows.some(row => !row.isOutOfStock);
+
+    return {
+      success: true,
+      message: `Found ${displayName(beverage)}`,
+      data: {
+        id: beverage._id,
+        category: args.category,
+        name: displayName(beverage),
+        type: beverage.type || null,
+        description: beverage.description || null,
+        price: beverage.price,
+        available: beverage.isAvailable !== false && inStock,
+        shelfTier: beverage.shelf_tier || null,
+        averageRating: beverage.averageRating || null
+      }
+    };
+  }
+};
+
+const addFavorite = {
+  name: 'add_favorite',
+  description: "Save a beverage to the patron's favorites so future recommendations remember it",
+  roles: ALL_ROLES,
+  requiresSession: true,
+  parameters: {
+    category: { type: 'string', enum: Object.keys(BEVERAGE_MODELS), required: true },
+    id: { type: 'string', format: 'objectId' },
+    name: { type: 'string', maxLength: 120 },
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    notes: { type: 'string', maxLength: 200 }
+  },
+  validate: identifyBeverage,
+
+  async execute(args, { session }) {
+    const beverage = await findBeverage(args.category, args);
+    if (!beverage) return notFound(args.category, args);
+
+    session.addFavoriteBeverage({
+      id: beverage._id.toString(),
+      name: displayName(beverage),
+      category: args.category,
+      rating: args.rating,
+      notes: args.notes
+    });
+    await session.save();
+
+    return {
+      success: true,
+      message: `${displayName(beverage)} added to favorites`,
+      data: { id: beverage._id, name: displayName(beverage), category: args.category }
+    };
+  }
+};
+
+const requestUltraShelf = {
+  name: 'request_ultra_shelf',
+  description: 'Ask the owner to authorize an ultra shelf spirit for the patron; the owner approves or declines it later',
+  // Staff pour the ultra shelf themselves; only patrons need to ask
+  roles: ['Patron'],
+  servesAlcohol: true,
+  parameters: {
+    id: { type: 'string', format: 'objectId' },
+    name: { type: 'string', maxLength: 120 },
+    message: { type: 'string', maxLength: 300 }
+  },
+  validate: identifyBeverage,
+
+  async execute(args, { user }) {
+    const spirit = await findBeverage('spirits', args);
+    if (!spirit) return notFound('spirits', args);
+
+    if (spirit.shelf_tier !== 'ultra') {
+      return {
+        success: false,
+        code: 'NOT_ULTRA_SHELF',
+        message: `${displayName(spirit)} is not on the ultra shelf, so no authorization is needed`
+      };
+    }
+
+    const result = await spiritsAuthService.requestUltraShelfAuthorization(user, spirit._id, args.message || '');
+    return {
+      success: result.success,
+      message: result.message,
+      data: {
+        spirit: displayName(spirit),
+        requestId: result.requestId || result.authorization?._id || null,
+        status: result.authorization?.status || null
+      }
+    };
+  }
+};
+
+module.exports = [lookupBeverage, addFavorite, requestUltraShelf];
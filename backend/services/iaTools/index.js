@@ -0,0 +1,23 @@
+/**
+ * IA tools
+ *
+ * Actions the assistant can take for the signed-in user. Each tool declares:
+ *   name               - what the model calls it by
+ *   description        - one line shown to the model
+ *   roles              - user roles allowed to run it
+ *   requiresSession    - true when it needs the ConversationSession (e.g. patron favorites)
+ *   servesAlcohol      - true when running it leads to alcohol being served; refused while
+ *                        serviceLedgerService steers the patron to non-alcoholic drinks
+ *   parameters         - name -> { type, required, enum, format, minimum, maximum, minLength, maxLength }
+ *                        where type is string, integer, number or boolean and format is
+ *                        objectId, date (YYYY-MM-DD) or datetime (ISO 8601)
+ *   validate(args)     - optional cross-field check; returns an error message or null
+ *   execute(args, ctx) - async, ctx is { user, session }; resolves to { success, message, code, data }
+ *
+ * ../iaToolService.js validates, permission-checks, runs and logs the calls
+ */
+
+const beverageTools = require('./beverageTools');
+const reservationTools = require('./reservationTools');
+
+module.exports = [...beverageTools, ...reservationTools];
@@ -0,0 +1,118 @@
+/**
+ * Reservation tools for the IA: open times for a party and pending reservations.
+ * They follow GET /api/reservations/availability and POST /api/reservations, seating parties
+ * through venueAllocationService; new reservations wait for staff approval as usual
+ */
+
+const Reservation = require('../../models/Reservation');
+const User = require('../../models/User');
+const venueAllocationService = require('../venueAllocationService');
+
+const ALL_ROLES = ['Patron', 'Bartender', 'Owner'];
+const SEATING = ['Bar', 'Table', 'Booth', 'Private Room', 'Outdoor', 'No Preference'];
+const EVENT_TYPES = ['Birthday Party', 'Corporate Event', 'Private Party', 'Wedding Reception', 'Happy Hour', 'Live Music', 'Trivia Night', 'Other'];
+
+// Enough choice for a conversation without flooding the prompt
+const MAX_SLOTS = 8;
+
+const checkAvailability = {
+  name: 'check_reservation_availability',
+  description: 'List open start times on a date for a party of a given size',
+  roles: ALL_ROLES,
+  parameters: {
+    date: { type: 'string', format: 'date', required: true },
+    guestCount: { type: 'integer', minimum: 1, maximum: 200, required: true },
+    seatingPreference: { type: 'string', enum: SEATING },
+    durationHours: { type: 'number', minimum: 0.5, maximum: 12 }
+  },
+
+  async execute(args) {
+    const slots = await venueAllocationService.getOpenSlots({
+      date: args.date,
+      guestCount: args.guestCount,
+      seatingPreference: args.seatingPreference || 'No Preference',
+      durationHours: args.durationHours
+    });
+
+    return {
+      success: true,
+      message: slots.length ? `${slots.length} open time(s) on ${args.date}` : `Nothing open on ${args.date} for ${args.guestCount} guest(s)`,
+      data: {
+        date: args.date,
+        guestCount: args.guestCount,
+        count: slots.length,
+        slots: slots.slice(0, MAX_SLOTS).map(slot => ({ startTime: slot.startTime, endTime: slot.endTime }))
+      }
+    };
+  }
+};
+
+const createReservation = {
+  name: 'create_reservation',
+  description: 'Book a table or event for the patron; it is created as Pending until staff approve it',
+  roles: ALL_ROLES,
+  parameters: {
+    eventTitle: { type: 'string', minLength: 1, maxLength: 100, required: true },
+    eventType: { type: 'string', enum: EVENT_TYPES, required: true },
+    startTime: { type: 'string', format: 'datetime', required: true },
+    endTime: { type: 'string', format: 'datetime', required: true },
+    guestCount: { type: 'integer', minimum: 1, maximum: 200, required: true },
+    seatingPreference: { type: 'string', enum: SEATING },
+    specialRequests: { type: 'string', maxLength: 500 }
+  },
+  validate: (args) => (new Date(args.startTime) >= new Date(args.endTime) ? 'End time must be after start time' : null),
+
+  async execute(args, { user }) {
+    const startTime = new Date(args.startTime);
+    const endTime = new Date(args.endTime);
+
+    if (startTime < new Date()) {
+      return { success: false, code: 'INVALID_TIME', message: 'Reservation cannot be in the past' };
+    }
+
+    const availability = await venueAllocationService.checkAvailability({
+      startTime,
+      endTime,
+      guestCount: args.guestCount,
+      seatingPreference: args.seatingPreference
+    });
+
+    if (!availability.available) {
+      return { success: false, code: 'UNAVAILABLE', message: availability.message, data: { canJoinWaitlist: true } };
+    }
+
+    // Contact details come from the patron's account
+    const patron = await User.findById(user.id).select('email mobileNumber').lean();
+
+    const reservation = new Reservation({
+      patronId: user.id,
+      eventTitle: args.eventTitle,
+      eventType: args.eventType,
+      startTime,
+      endTime,
+      guestCount: args.guestCount,
+      seatingPreference: args.seatingPreference,
+      specialRequests: args.specialRequests,
+      contactInfo: { phone: patron?.mobileNumber, email: patron?.email || user.email },
+      allocation: availability.allocation || undefined
+    });
+    await reservation.save();
+
+    // Add initial status history
+    await reservation.changeStatus('Pending', user.id, 'Initial reservation created by the IA assistant');
+
+    return {
+      success: true,
+      message: 'Reservation request created and waiting for staff approval',
+      data: {
+        reservationId: reservation._id,
+        status: reservation.status,
+        startTime,
+        endTime,
+        guestCount: args.guestCount
+      }
+    };
+  }
+};
+
+module.exports = [checkAvailability, createReservation];
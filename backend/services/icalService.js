@@ -0,0 +1,184 @@
+/**
+ * iCalendar Service
+ * Renders reservations as RFC 5545 VEVENTs for .ics downloads and subscribable feeds
+ */
+
+const crypto = require('crypto');
+
+const PRODUCT_ID = '-//Nauti Bouys//Reservations//EN';
+const UID_DOMAIN = 'reservations.nautibouys.com';
+
+const STATUS_MAP = {
+  Pending: 'TENTATIVE',
+  Approved: 'CONFIRMED',
+  Completed: 'CONFIRMED',
+  Denied: 'CANCELLED',
+  Cancelled: 'CANCELLED'
+};
+
+class ICalService {
+
+  /**
+   * Escape a TEXT value (backslash, semicolon, comma and newlines)
+   * @param {string} value - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeText(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to 75 octets, continuation lines start with a space
+   * @param {string} line - Unfolded content line
+   * @returns {string} Folded line
+   */
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let limit = 75;
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+        limit = 74; // leading space of the continuation counts
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Format a date as UTC DATE-TIME (20250101T180000Z)
+   * @param {Date} date - Date
+   * @returns {string} iCalendar date-time
+   */
+  formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Multi-line description with guests, seating and staff
+   * @param {object} reservation - Reservation with assignedStaff.user populated
+   * @returns {string} Description text
+   */
+  describe(reservation) {
+    const lines = [
+      `${reservation.eventType} · ${reservation.guestCount} guest(s)`,
+      `Status: ${reservation.status}`
+    ];
+
+    const allocation = reservation.allocation;
+    if (allocation && allocation.areaName) {
+      const tables = (allocation.tables || []).map(table => table.name).join(', ');
+      lines.push(`Seating: ${allocation.areaName}${tables ? ` (tables ${tables})` : ''}`);
+    } else if (reservation.seatingPreference) {
+      lines.push(`Seating: ${reservation.seatingPreference}`);
+    }
+
+    const staff = (reservation.assignedStaff || [])
+      .filter(assignment => assignment.user)
+      .map(assignment => `${assignment.user.fullName || 'Staff'}${assignment.role ? ` (${assignment.role})` : ''}`);
+    if (staff.length) {
+      lines.push(`Staff: ${staff.join(', ')}`);
+    }
+
+    if (reservation.specialRequests) {
+      lines.push(`Requests: ${reservation.specialRequests}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render one reservation as a VEVENT
+   * SEQUENCE follows updatedAt so calendar clients replace earlier copies on every change
+   * @param {object} reservation - Reservation
+   * @param {Date} [now] - DTSTAMP
+   * @returns {Array<string>} Unfolded content lines
+   */
+  buildEvent(reservation, now = new Date()) {
+    const modified = reservation.updatedAt || reservation.createdAt || now;
+    const location = reservation.allocation && reservation.allocation.areaName
+      ? `Nauti Bouys - ${reservation.allocation.areaName}`
+      : 'Nauti Bouys';
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${reservation._id}@${UID_DOMAIN}`,
+      `DTSTAMP:${this.formatDate(now)}`,
+      `DTSTART:${this.formatDate(reservation.startTime)}`,
+      `DTEND:${this.formatDate(reservation.endTime)}`,
+      `LAST-MODIFIED:${this.formatDate(modified)}`,
+      `SEQUENCE:${Math.floor(new Date(modified).getTime() / 1000)}`,
+      `SUMMARY:${this.escapeText(`${reservation.eventTitle} (${reservation.guestCount})`)}`,
+      `DESCRIPTION:${this.escapeText(this.describe(reservation))}`,
+      `LOCATION:${this.escapeText(location)}`,
+      `STATUS:${STATUS_MAP[reservation.status] || 'TENTATIVE'}`,
+      'END:VEVENT'
+    ];
+  }
+
+  /**
+   * Render a VCALENDAR
+   * @param {Array} reservations - Reservations
+   * @param {object} [options] - { name, method, now }
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  buildCalendar(reservations, { name = 'Nauti Bouys Reservations', method, now = new Date() } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN'
+    ];
+    if (method) lines.push(`METHOD:${method}`);
+    lines.push(`X-WR-CALNAME:${this.escapeText(name)}`);
+    lines.push('X-PUBLISHED-TTL:PT1H');
+
+    reservations.forEach(reservation => {
+      lines.push(...this.buildEvent(reservation, now));
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Reservations that belong in a feed: confirmed events, plus ones that were approved and
+   * later cancelled or denied so subscribed calendars receive the cancellation
+   * @param {Array} reservations - Candidate reservations
+   * @param {boolean} includePending - Patrons also see their own pending requests
+   * @returns {Array} Reservations to publish
+   */
+  filterForFeed(reservations, includePending = false) {
+    return reservations.filter(reservation => {
+      if (['Approved', 'Completed'].includes(reservation.status)) return true;
+      if (reservation.status === 'Pending') return includePending;
+      return includePending || (reservation.statusHistory || []).some(entry => entry.status === 'Approved');
+    });
+  }
+
+  /**
+   * New random feed token and the hash stored on the user
+   * @returns {object} { token, hash }
+   */
+  generateFeedToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    return { token, hash: this.hashFeedToken(token) };
+  }
+
+  hashFeedToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
+
+module.exports = new ICalService();
@@ -0,0 +1,185 @@
+/**
+ * Inventory Alert Sweeper
+ * Periodically re-evaluates every inventory item so time-based alerts (EXPIRING_SOON, EXPIRED)
+ * appear without the item being touched, retires alerts that no longer apply and pushes new
+ * alerts to the owner notification stream
+ */
+
+const Inventory = require('../models/Inventory');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+const ALERT_PRIORITY = {
+  OUT_OF_STOCK: 'high',
+  EXPIRED: 'high',
+  LOW_STOCK: 'medium',
+  EXPIRING_SOON: 'medium'
+};
+
+const ALERT_TITLES = {
+  OUT_OF_STOCK: 'Out of Stock',
+  EXPIRED: 'Item Expired',
+  LOW_STOCK: 'Low Stock',
+  EXPIRING_SOON: 'Expiring Soon'
+};
+
+class InventoryAlertSweeper {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   * @param {object} [options.notificationManager] - Owner NotificationManager (addNotification)
+   */
+  constructor({ clock = () => new Date(), notificationManager = null } = {}) {
+    this.clock = clock;
+    this.notificationManager = notificationManager;
+    this.timer = null;
+    this.intervalMinutes = null;
+    this.isSweeping = false;
+    this.lastSweep = null;
+  }
+
+  /**
+   * Start sweeping on an interval
+   * The interval comes from INVENTORY_ALERT_SWEEP_MINUTES unless given; 0 disables the sweeper
+   * @param {object} [options] - { intervalMinutes, notificationManager, clock }
+   * @returns {boolean} Whether the sweeper was started
+   */
+  start(options = {}) {
+    const configured = options.intervalMinutes ?? process.env.INVENTORY_ALERT_SWEEP_MINUTES;
+    const intervalMinutes = configured === undefined || configured === ''
+      ? DEFAULT_INTERVAL_MINUTES
+      : Number(configured);
+
+    if (options.notificationManager) this.notificationManager = options.notificationManager;
+    if (options.clock) this.clock = options.clock;
+
+    this.stop();
+
+    if (!Number.isFinite(intervalMinutes) || intervalMinutes <= 0) {
+      console.log('⏸️  Inventory alert sweeper disabled');
+      return false;
+    }
+
+    this.intervalMinutes = intervalMinutes;
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('Inventory alert sweep error:', error));
+    }, intervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for the sweeper
+    if (this.timer.unref) this.timer.unref();
+
+    this.sweep().catch(error => console.error('Inventory alert sweep error:', error));
+
+    console.log(`🔔 Inventory alert sweeper running every ${intervalMinutes} minute(s)`);
+    return true;
+  }
+
+  /**
+   * Stop the interval, if running
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Sweep every inventory item once
+   * Overlapping sweeps are skipped so a slow sweep never runs twice at the same time
+   * @returns {Promise<object|null>} Sweep totals, or null if a sweep was already running
+   */
+  async sweep() {
+    if (this.isSweeping) return null;
+    this.isSweeping = true;
+
+    const now = this.clock();
+    const totals = { scanned: 0, created: 0, retired: 0, notified: 0 };
+
+    try {
+      const cursor = Inventory.find().cursor();
+      for (let item = await cursor.next(); item; item = await cursor.next()) {
+        const result = await this.sweepItem(item, now);
+        totals.scanned += 1;
+        totals.created += result.created;
+        totals.retired += result.retired;
+        totals.notified += result.notified;
+      }
+
+      this.lastSweep = { ...totals, startedAt: now, finishedAt: this.clock() };
+      return this.lastSweep;
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  /**
+   * Sync a single item's alerts and push any active alert not yet notified
+   * Alerts raised inline by stock movements are picked up here too
+   * @param {object} item - Inventory document
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<object>} { created, retired, notified } counts
+   */
+  async sweepItem(item, now = this.clock()) {
+    const { created, retired } = item.syncAlerts(now);
+
+    const pending = item.alerts.filter(alert => alert.isActive && !alert.notifiedAt);
+    let notified = 0;
+    if (this.notificationManager) {
+      for (const alert of pending) {
+        // A failed push leaves the alert pending so the next sweep retries it
+        const notification = await this.notify(item, alert);
+        if (!notification) continue;
+        alert.notifiedAt = now;
+        notified += 1;
+      }
+    }
+
+    if (created.length || retired.length || notified) {
+      await item.save();
+    }
+
+    return { created: created.length, retired: retired.length, notified };
+  }
+
+  /**
+   * Push an alert to the owner notification stream
+   * @param {object} item - Inventory document
+   * @param {object} alert - Alert subdocument
+   * @returns {Promise<object|null>} The notification, or null if it could not be stored
+   */
+  notify(item, alert) {
+    return this.notificationManager.addNotification({
+      type: 'inventory_alert',
+      title: ALERT_TITLES[alert.type] || 'Inventory Alert',
+      message: alert.message,
+      priority: ALERT_PRIORITY[alert.type] || 'medium',
+      data: {
+        inventoryId: item._id,
+        alertId: alert._id,
+        alertType: alert.type,
+        itemName: item.itemName,
+        quantity: item.quantity,
+        unit: item.unit,
+        location: item.location,
+        expirationDate: item.expirationDate
+      }
+    });
+  }
+
+  /**
+   * Current sweeper state for health/diagnostics
+   * @returns {object} Status
+   */
+  getStatus() {
+    return {
+      running: !!this.timer,
+      intervalMinutes: this.intervalMinutes,
+      isSweeping: this.isSweeping,
+      lastSweep: this.lastSweep
+    };
+  }
+}
+
+module.exports = new InventoryAlertSweeper();
+module.exports.InventoryAlertSweeper = InventoryAlertSweeper;
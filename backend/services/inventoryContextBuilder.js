@@ -1,6 +1,8 @@
 /**
  * Smart Inventory Context Builder
- * Dynamically builds relevant beverage context based on user queries
+ * Dynamically builds relevant beverage context based on user queries. This is the retrieval
+ * stage in front of every IA prompt: only drinks that are available and in stock are offered,
+ * and ultra shelf spirits are marked when the patron still needs the owner's authorization
  */
 
 const Cocktail = require('../models/Cocktail');
@@ -9,9 +11,47 @@ const Wine = require('../models/Wine');
 const Beer = require('../models/Beer');
 const Mocktail = require('../models/Mocktail');
 const OtherNonAlcoholic = require('../models/OtherNonAlcoholic');
+const Inventory = require('../models/Inventory');
+const spiritsAuthService = require('./spiritsAuthService');
+
+const CATEGORY_MODELS = {
+  cocktails: Cocktail,
+  spirits: Spirit,
+  wines: Wine,
+  beers: Beer,
+  mocktails: Mocktail,
+  nonAlcoholic: OtherNonAlcoholic
+};
+
+// Inventory.itemType for each category
+const ITEM_TYPES = {
+  cocktails: 'Cocktail',
+  spirits: 'Spirit',
+  wines: 'Wine',
+  beers: 'Beer',
+  mocktails: 'Mocktail',
+  nonAlcoholic: 'OtherNonAlcoholic'
+};
+
+const NON_ALCOHOLIC_CATEGORIES = ['mocktails', 'nonAlcoholic'];
+
+// Enough for the model to recognise a request for something we have run out of
+const MAX_OUT_OF_STOCK_LISTED = 20;
+
+const displayName = (item) => (item.brand ? `${item.brand} ${item.name}` : item.name);
 
 class InventoryContextBuilder {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.models] - category -> beverage model
+   * @param {object} [options.inventoryModel] - Inventory model, for out-of-stock checks
+   * @param {object} [options.authService] - Ultra shelf authorization lookups
+   */
+  constructor({ models = CATEGORY_MODELS, inventoryModel = Inventory, authService = spiritsAuthService } = {}) {
+    this.models = models;
+    this.inventoryModel = inventoryModel;
+    this.authService = authService;
+
     // Keyword mappings for semantic understanding
     this.beverageKeywords = {
       spirits: {
@@ -45,7 +85,7 @@ class InventoryContextBuilder {
    * Extract relevant keywords from user message
    */
   extractKeywords(message) {
-    const lowerMessage = message.toLowerCase();
+    const lowerMessage = String(message || '').toLowerCase();
     const foundKeywords = {
       categories: [],
       subcategories: [],
@@ -74,26 +114,67 @@ class InventoryContextBuilder {
   }
 
   /**
-   * Get all available inventory
+   * Beverages whose stock has run out, as "itemType:itemId" keys
+   * A beverage with several inventory rows stays on while any of them is in stock
+   * @param {string[]} categories
+   * @returns {Promise<Set<string>>}
    */
-  async getAllInventory() {
-    const [cocktails, spirits, wines, beers, mocktails, nonAlcoholic] = await Promise.all([
-      Cocktail.find({ isAvailable: true }).lean(),
-      Spirit.find({ isAvailable: true }).lean(),
-      Wine.find({ isAvailable: true }).lean(),
-      Beer.find({ isAvailable: true }).lean(),
-      Mocktail.find({ isAvailable: true }).lean(),
-      OtherNonAlcoholic.find({ isAvailable: true }).lean()
-    ]);
+  async getOutOfStock(categories) {
+    const rows = await this.inventoryModel.find({
+      itemType: { $in: categories.map(category => ITEM_TYPES[category]) },
+      itemId: { $exists: true }
+    }).select('itemType itemId isOutOfStock').lean();
 
-    return {
-      cocktails,
-      spirits,
-      wines,
-      beers,
-      mocktails,
-      nonAlcoholic
-    };
+    const empty = new Set();
+    const stocked = new Set();
+    for (const row of rows) {
+      (row.isOutOfStock ? empty : stocked).add(`${row.itemType}:${row.itemId}`);
+    }
+
+    return new Set([...empty].filter(key => !stocked.has(key)));
+  }
+
+  /**
+   * Get all available, in-stock inventory, best rated first
+   * @param {object} [options] - { skipAlcohol }: leave alcoholic categories empty
+   * @returns {Promise<object>} category -> items, plus outOfStock: names left out for lack of stock
+   */
+  async getAllInventory({ skipAlcohol = false } = {}) {
+    const categories = Object.keys(CATEGORY_MODELS)
+      .filter(category => !skipAlcohol || NON_ALCOHOLIC_CATEGORIES.includes(category));
+    const outOfStock = await this.getOutOfStock(categories);
+
+    const inventory = { outOfStock: [] };
+    await Promise.all(Object.keys(CATEGORY_MODELS).map(async (category) => {
+      if (!categories.includes(category)) {
+        inventory[category] = [];
+        return;
+      }
+
+      const items = await this.models[category].find({ isAvailable: true }).sort({ averageRating: -1 }).lean();
+      inventory[category] = items.filter(item => {
+        const empty = outOfStock.has(`${ITEM_TYPES[category]}:${item._id}`);
+        if (empty) inventory.outOfStock.push(displayName(item));
+        return !empty;
+      });
+    }));
+
+    return inventory;
+  }
+
+  /**
+   * Mark ultra shelf spirits the patron is not yet authorized for
+   * @param {Array<object>} spirits
+   * @param {string|null} patronId
+   * @returns {Promise<Array<object>>} Copies with requiresAuthorization / authorized set on ultra shelf spirits
+   */
+  async flagUltraShelf(spirits, patronId) {
+    return Promise.all(spirits.map(async (spirit) => {
+      if (spirit.shelf_tier !== 'ultra') return spirit;
+
+      const authorized = patronId ? await this.authService.isAuthorizedForSpirit(patronId, spirit) : false;
+      return { ...spirit, requiresAuthorization: !authorized, authorized };
+    }));
   }
 
   /**
@@ -140,15 +221,19 @@ class InventoryContextBuilder {
 
   /**
    * Build relevant inventory context based on user message
+   * @param {string} message
+   * @param {object} [options] - { topN, skipAlcohol, patronId }
    */
-  async buildRelevantContext(message, topN = 5) {
+  async buildRelevantContext(message, { topN = 5, skipAlcohol = false, patronId = null } = {}) {
     const keywords = this.extractKeywords(message);
-    const allInventory = await this.getAllInventory();
+    const allInventory = await this.getAllInventory({ skipAlcohol });
+    allInventory.spirits = await this.flagUltraShelf(allInventory.spirits, patronId);
     
     const relevantInventory = {
       primary: {},
       secondary: {},
-      general: {}
+      general: {},
+      outOfStock: allInventory.outOfStock
     };
 
     // If specific subcategories mentioned (e.g., bourbon), prioritize those
@@ -184,82 +269,153 @@ class InventoryContextBuilder {
       }
     });
 
+    // Patrons steered to non-alcoholic drinks always get those to choose from
+    if (skipAlcohol) {
+      relevantInventory.secondary.mocktails = allInventory.mocktails.slice(0, topN);
+      relevantInventory.secondary.nonAlcoholic = allInventory.nonAlcoholic.slice(0, topN);
+    }
+
     // If no specific matches, provide general selection
-    if (!Object.keys(relevantInventory.primary).length && !Object.keys(relevantInventory.secondary).length) {
+    if (!this.countItems(relevantInventory.primary) && !this.countItems(relevantInventory.secondary)) {
       relevantInventory.general = {
         topCocktails: allInventory.cocktails.slice(0, topN),
         topSpirits: allInventory.spirits.slice(0, topN),
-        topWines: allInventory.wines.slice(0, topN)
+        topWines: allInventory.wines.slice(0, topN),
+        topMocktails: allInventory.mocktails.slice(0, topN)
       };
     }
 
     return relevantInventory;
   }
 
+  countItems(group) {
+    return Object.values(group).reduce((count, items) => count + items.length, 0);
+  }
+
+  /**
+   * One line of the prompt for a beverage, with its shelf authorization status
+   */
+  formatItem(item) {
+    let line = `• ${displayName(item)} ($${item.price})`;
+    if (item.requiresAuthorization) line += ' [ULTRA SHELF - AUTHORIZATION REQUIRED]';
+    else if (item.authorized) line += ' [ULTRA SHELF - AUTHORIZED FOR THIS PATRON]';
+    return line;
+  }
+
   /**
    * Format inventory for AI consumption
    */
   formatInventoryForAI(relevantInventory, topN = 5) {
     let formattedContext = '';
+    const nonEmpty = (group) => Object.entries(group).filter(([, items]) => items.length > 0);
 
     // Format primary matches (most relevant)
-    if (Object.keys(relevantInventory.primary).length > 0) {
+    if (nonEmpty(relevantInventory.primary).length > 0) {
       formattedContext += '*** PRIMARY RECOMMENDATIONS (Most Relevant) ***\n';
-      Object.entries(relevantInventory.primary).forEach(([category, items]) => {
+      nonEmpty(relevantInventory.primary).forEach(([category, items]) => {
         formattedContext += `\n${category.toUpperCase()} SELECTION:\n`;
         items.forEach(item => {
-          const name = item.brand ? `${item.brand} ${item.name}` : item.name;
           const details = [];
           if (item.age) details.push(`${item.age} year aged`);
           if (item.type) details.push(item.type);
           if (item.origin) details.push(`from ${item.origin}`);
           
-          formattedContext += `• ${name} ($${item.price})${details.length ? ' - ' + details.join(', ') : ''}\n`;
+          formattedContext += `${this.formatItem(item)}${details.length ? ' - ' + details.join(', ') : ''}\n`;
         });
       });
     }
 
     // Format secondary matches
-    if (Object.keys(relevantInventory.secondary).length > 0) {
+    if (nonEmpty(relevantInventory.secondary).length > 0) {
       formattedContext += '\n*** ADDITIONAL OPTIONS ***\n';
-      Object.entries(relevantInventory.secondary).forEach(([category, items]) => {
+      nonEmpty(relevantInventory.secondary).forEach(([category, items]) => {
         formattedContext += `\n${category.toUpperCase()}:\n`;
         items.slice(0, topN).forEach(item => {
-          const name = item.brand ? `${item.brand} ${item.name}` : item.name;
-          formattedContext += `• ${name} ($${item.price})\n`;
+          formattedContext += `${this.formatItem(item)}\n`;
         });
       });
     }
 
     // Format general selection
-    if (Object.keys(relevantInventory.general).length > 0) {
+    if (nonEmpty(relevantInventory.general).length > 0) {
       formattedContext += '\n*** FEATURED SELECTIONS ***\n';
-      Object.entries(relevantInventory.general).forEach(([category, items]) => {
+      nonEmpty(relevantInventory.general).forEach(([category, items]) => {
         formattedContext += `\n${category.replace(/([A-Z])/g, ' $1').toUpperCase()}:\n`;
         items.slice(0, topN).forEach(item => {
-          const name = item.brand ? `${item.brand} ${item.name}` : item.name;
-          formattedContext += `• ${name} ($${item.price})\n`;
+          formattedContext += `${this.formatItem(item)}\n`;
         });
       });
     }
 
+    if (relevantInventory.outOfStock?.length > 0) {
+      formattedContext += `\n*** OUT OF STOCK (do not offer) ***\n${relevantInventory.outOfStock.slice(0, MAX_OUT_OF_STOCK_LISTED).join(', ')}\n`;
+    }
+
     return formattedContext;
   }
 
+  /**
+   * Every beverage in the context once, with the category it came from
+   * @returns {Array<object>}
+   */
+  listItems(relevantInventory) {
+    const categoryOf = (group) => (group.startsWith('top')
+      ? group.charAt(3).toLowerCase() + group.slice(4)
+      : group);
+    const seen = new Set();
+    const items = [];
+
+    ['primary', 'secondary', 'general'].forEach(level => {
+      Object.entries(relevantInventory[level]).forEach(([group, groupItems]) => {
+        const category = level === 'primary' ? 'spirits' : categoryOf(group);
+        groupItems.forEach(item => {
+          const key = String(item._id);
+          if (seen.has(key)) return;
+          seen.add(key);
+          items.push({ ...item, category });
+        });
+      });
+    });
+
+    return items;
+  }
+
   /**
    * Main method: Build complete context for AI
+   * @param {string} message - What the patron asked, or a description of the request
+   * @param {object} [options]
+   * @param {number} [options.topN] - Items per group
+   * @param {boolean} [options.skipAlcohol] - Responsible service: non-alcoholic drinks only
+   * @param {string} [options.patronId] - For ultra shelf authorization checks
+   * @returns {Promise<object>} { relevantInventory, formattedInventory, items, hasSpecificMatches, categories, summary }
+   *   where summary is a compact report of what the prompt was given, for debugging replies
    */
-  async buildContextForAI(message, topN = 5) {
-    const relevantInventory = await this.buildRelevantContext(message, topN);
+  async buildContextForAI(message, { topN = 5, skipAlcohol = false, patronId = null } = {}) {
+    const relevantInventory = await this.buildRelevantContext(message, { topN, skipAlcohol, patronId });
     const formattedInventory = this.formatInventoryForAI(relevantInventory, topN);
+    const categories = this.extractKeywords(message);
+    const items = this.listItems(relevantInventory);
     
     return {
       relevantInventory,
       formattedInventory,
-      hasSpecificMatches: Object.keys(relevantInventory.primary).length > 0,
-      categories: this.extractKeywords(message)
+      items,
+      hasSpecificMatches: this.countItems(relevantInventory.primary) > 0,
+      categories,
+      summary: {
+        keywords: categories,
+        skipAlcohol,
+        items: items.map(item => ({
+          id: item._id,
+          category: item.category,
+          name: displayName(item),
+          ...(item.shelf_tier === 'ultra' ? { shelfTier: 'ultra', requiresAuthorization: item.requiresAuthorization } : {})
+        })),
+        outOfStock: relevantInventory.outOfStock
+      }
     };
   }
 }
 
 module.exports = new InventoryContextBuilder();
+module.exports.InventoryContextBuilder = InventoryContextBuilder;
@@ -0,0 +1,209 @@
+/**
+ * Inventory Forecast Service
+ * Projects stock levels from OUT/WASTE movement history with day-of-week seasonality
+ */
+
+const Inventory = require('../models/Inventory');
+const { roundQuantity } = require('./unitConversion');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CONSUMPTION_TYPES = ['OUT', 'WASTE'];
+
+class InventoryForecastService {
+  constructor() {
+    this.defaults = {
+      lookbackDays: 28,
+      horizonDays: 120,
+      leadTimeDays: 7
+    };
+  }
+
+  /**
+   * Average daily consumption overall and per weekday over the lookback window
+   * The window is shortened for items with less history so new items are not under-forecast
+   * @param {object} item - Inventory document with stockMovements
+   * @param {Date} now - Reference time
+   * @param {number} lookbackDays - Maximum days of history to use
+   * @returns {object} { averageDailyUsage, weekdayUsage[7], windowDays }
+   */
+  calculateUsage(item, now, lookbackDays) {
+    const windowStart = new Date(now.getTime() - lookbackDays * DAY_MS);
+    const movements = item.stockMovements || [];
+
+    const firstSeen = movements.reduce((earliest, movement) => {
+      const timestamp = new Date(movement.timestamp);
+      return timestamp < earliest ? timestamp : earliest;
+    }, item.createdAt ? new Date(item.createdAt) : now);
+
+    const start = firstSeen > windowStart ? firstSeen : windowStart;
+    const windowDays = Math.max(1, (now - start) / DAY_MS);
+
+    const weekdayTotals = new Array(7).fill(0);
+    let total = 0;
+
+    movements.forEach(movement => {
+      if (!CONSUMPTION_TYPES.includes(movement.type)) return;
+      const timestamp = new Date(movement.timestamp);
+      if (timestamp < start || timestamp > now) return;
+
+      const quantity = Math.abs(movement.quantity);
+      weekdayTotals[timestamp.getDay()] += quantity;
+      total += quantity;
+    });
+
+    // Number of times each weekday occurs in the window (at least one so averages stay finite)
+    const weekdayCounts = new Array(7).fill(0);
+    for (let t = start.getTime(); t < now.getTime(); t += DAY_MS) {
+      weekdayCounts[new Date(t).getDay()] += 1;
+    }
+
+    const averageDailyUsage = total / windowDays;
+    const weekdayUsage = weekdayTotals.map((sum, day) =>
+      weekdayCounts[day] > 0 ? sum / weekdayCounts[day] : averageDailyUsage
+    );
+
+    return { averageDailyUsage, weekdayUsage, windowDays };
+  }
+
+  /**
+   * Walk forward day by day, consuming at each weekday's rate, until a threshold is crossed
+   * @param {number} quantity - Starting quantity
+   * @param {number} threshold - Quantity to reach
+   * @param {Array<number>} weekdayUsage - Expected usage per weekday (Sunday first)
+   * @param {Date} now - Reference time
+   * @param {number} horizonDays - Give up after this many days
+   * @returns {number|null} Fractional days until the threshold is reached, or null if beyond the horizon
+   */
+  projectDaysUntil(quantity, threshold, weekdayUsage, now, horizonDays) {
+    if (quantity <= threshold) return 0;
+
+    let remaining = quantity;
+    let elapsed = 0;
+    let cursor = new Date(now);
+
+    // Only the rest of today counts towards today's usage
+    const startOfTomorrow = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+    let dayFraction = (startOfTomorrow - cursor) / DAY_MS;
+
+    while (elapsed < horizonDays) {
+      const usage = weekdayUsage[cursor.getDay()] * dayFraction;
+      if (usage > 0 && remaining - usage <= threshold) {
+        return elapsed + ((remaining - threshold) / usage) * dayFraction;
+      }
+
+      remaining -= usage;
+      elapsed += dayFraction;
+      cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+      dayFraction = 1;
+    }
+
+    return null;
+  }
+
+  /**
+   * Forecast a single inventory item
+   * @param {object} item - Inventory document with stockMovements
+   * @param {object} [options] - { now, lookbackDays, horizonDays, leadTimeDays }
+   * @returns {object} Forecast for the item
+   */
+  forecastItem(item, options = {}) {
+    const {
+      now = new Date(),
+      lookbackDays = this.defaults.lookbackDays,
+      horizonDays = this.defaults.horizonDays,
+      leadTimeDays = this.defaults.leadTimeDays
+    } = options;
+
+    const { averageDailyUsage, weekdayUsage, windowDays } = this.calculateUsage(item, now, lookbackDays);
+
+    const seasonality = {};
+    const usageByWeekday = {};
+    WEEKDAYS.forEach((day, index) => {
+      usageByWeekday[day] = roundQuantity(weekdayUsage[index]);
+      seasonality[day] = averageDailyUsage > 0
+        ? Math.round((weekdayUsage[index] / averageDailyUsage) * 100) / 100
+        : 0;
+    });
+
+    const daysOfStockRemaining = this.projectDaysUntil(item.quantity, 0, weekdayUsage, now, horizonDays);
+    const daysUntilMinimum = this.projectDaysUntil(item.quantity, item.minimumStock || 0, weekdayUsage, now, horizonDays);
+
+    const toDate = (days) => (days === null ? null : new Date(now.getTime() + days * DAY_MS));
+
+    return {
+      itemId: item._id,
+      itemName: item.itemName,
+      itemType: item.itemType,
+      unit: item.unit,
+      quantity: item.quantity,
+      minimumStock: item.minimumStock,
+      historyDays: Math.round(windowDays * 10) / 10,
+      averageDailyUsage: roundQuantity(averageDailyUsage),
+      usageByWeekday,
+      seasonality,
+      daysOfStockRemaining: daysOfStockRemaining === null ? null : Math.round(daysOfStockRemaining * 10) / 10,
+      stockoutDate: toDate(daysOfStockRemaining),
+      daysUntilMinimum: daysUntilMinimum === null ? null : Math.round(daysUntilMinimum * 10) / 10,
+      minimumStockDate: toDate(daysUntilMinimum),
+      reorderRecommended: daysUntilMinimum !== null && daysUntilMinimum <= leadTimeDays
+    };
+  }
+
+  /**
+   * Forecast every matching inventory item, soonest to cross minimum stock first
+   * @param {object} [filters] - { itemType, location }
+   * @param {object} [options] - Forecast options, see forecastItem
+   * @returns {Promise<Array>} Item forecasts
+   */
+  async forecastAll(filters = {}, options = {}) {
+    const query = {};
+    if (filters.itemType) query.itemType = filters.itemType;
+    if (filters.location) query['location.section'] = filters.location;
+
+    const items = await Inventory.find(query)
+      .select('itemName itemType unit quantity minimumStock stockMovements createdAt')
+      .lean();
+
+    const forecasts = items.map(item => this.forecastItem(item, options));
+
+    return forecasts.sort((a, b) => {
+      if (a.daysUntilMinimum === null) return b.daysUntilMinimum === null ? 0 : 1;
+      if (b.daysUntilMinimum === null) return -1;
+      return a.daysUntilMinimum - b.daysUntilMinimum;
+    });
+  }
+
+  /**
+   * Condensed forecast for the inventory summary report
+   * @param {object} [options] - Forecast options plus `top` (number of items to list)
+   * @returns {Promise<object>} Forecast summary
+   */
+  async getForecastSummary(options = {}) {
+    const { top = 5, ...forecastOptions } = options;
+    const leadTimeDays = forecastOptions.leadTimeDays ?? this.defaults.leadTimeDays;
+    const forecasts = await this.forecastAll({}, forecastOptions);
+
+    const within = (days) => days !== null && days <= leadTimeDays;
+
+    return {
+      leadTimeDays,
+      reorderRecommended: forecasts.filter(f => f.reorderRecommended).length,
+      projectedStockouts: forecasts.filter(f => within(f.daysOfStockRemaining)).length,
+      soonestBelowMinimum: forecasts
+        .filter(f => f.daysUntilMinimum !== null)
+        .slice(0, top)
+        .map(f => ({
+          itemId: f.itemId,
+          itemName: f.itemName,
+          quantity: f.quantity,
+          unit: f.unit,
+          daysUntilMinimum: f.daysUntilMinimum,
+          minimumStockDate: f.minimumStockDate,
+          daysOfStockRemaining: f.daysOfStockRemaining
+        }))
+    };
+  }
+}
+
+module.exports = new InventoryForecastService();
@@ -0,0 +1,481 @@
+/**
+ * Invoice Service
+ * Numbered invoices for reservations, tax and gratuity rules, and a payments/refunds ledger
+ */
+
+const Invoice = require('../models/Invoice');
+const Reservation = require('../models/Reservation');
+const Cocktail = require('../models/Cocktail');
+const Spirit = require('../models/Spirit');
+const Wine = require('../models/Wine');
+const Beer = require('../models/Beer');
+const Mocktail = require('../models/Mocktail');
+const OtherNonAlcoholic = require('../models/OtherNonAlcoholic');
+const { createPaymentProvider } = require('./paymentProviders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CARD_METHODS = ['Credit Card', 'Debit Card'];
+const OPEN_STATUSES = ['Issued', 'Partially Paid'];
+
+const BEVERAGE_MODELS = { Cocktail, Spirit, Wine, Beer, Mocktail, OtherNonAlcoholic };
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class InvoiceService {
+  constructor() {
+    this.rules = {
+      taxRate: Number(process.env.INVOICE_TAX_RATE || 0.07),
+      gratuityRate: Number(process.env.INVOICE_GRATUITY_RATE || 0.18),
+      gratuityMinGuests: Number(process.env.INVOICE_GRATUITY_MIN_GUESTS || 8), // auto-gratuity for large parties
+      dueDays: Number(process.env.INVOICE_DUE_DAYS || 14),
+      currency: 'usd'
+    };
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createPaymentProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Next invoice number, sequential per year: INV-2025-0001
+   * @returns {Promise<string>} Invoice number
+   */
+  async generateInvoiceNumber() {
+    const year = new Date().getFullYear();
+    const prefix = `INV-${year}-`;
+
+    const latest = await Invoice.findOne({ invoiceNumber: { $regex: `^${prefix}` } })
+      .sort({ invoiceNumber: -1 })
+      .select('invoiceNumber')
+      .lean();
+
+    const next = latest ? parseInt(latest.invoiceNumber.slice(prefix.length), 10) + 1 : 1;
+    return `${prefix}${String(next).padStart(4, '0')}`;
+  }
+
+  /**
+   * Gratuity applies automatically to parties at or above the minimum size
+   * @param {number} guestCount - Party size
+   * @returns {number} Gratuity rate
+   */
+  getGratuityRate(guestCount) {
+    return guestCount >= this.rules.gratuityMinGuests ? this.rules.gratuityRate : 0;
+  }
+
+  /**
+   * Line items from the booking price, beverage menu, food and additional charges
+   * Beverages without a price (spirits are priced per bottle elsewhere) are flagged for review
+   * @param {object} reservation - Reservation document
+   * @returns {Promise<Array>} Line items
+   */
+  async buildLineItems(reservation) {
+    const lines = [];
+    const pricing = reservation.pricing || {};
+    const menu = reservation.menu || {};
+
+    if (pricing.basePrice) {
+      lines.push({
+        kind: 'Booking',
+        description: `${reservation.eventType} booking: ${reservation.eventTitle}`,
+        quantity: 1,
+        unitPrice: pricing.basePrice
+      });
+    }
+
+    for (const entry of menu.beverages || []) {
+      const Model = BEVERAGE_MODELS[entry.itemType];
+      const item = Model && entry.item
+        ? await Model.findById(entry.item).select('name price').lean()
+        : null;
+      const price = item && typeof item.price === 'number' ? item.price : null;
+
+      lines.push({
+        kind: 'Beverage',
+        description: item ? `${item.name} (${entry.itemType})` : `${entry.itemType || 'Beverage'} (item no longer listed)`,
+        quantity: entry.quantity || 1,
+        unitPrice: price || 0,
+        needsPricing: price === null,
+        source: { itemType: entry.itemType, item: entry.item }
+      });
+    }
+
+    (menu.food || []).forEach(food => {
+      lines.push({
+        kind: 'Food',
+        description: food.name || 'Food',
+        quantity: food.quantity || 1,
+        unitPrice: food.price || 0,
+        needsPricing: typeof food.price !== 'number'
+      });
+    });
+
+    (pricing.additionalCharges || []).forEach(charge => {
+      lines.push({
+        kind: 'Charge',
+        description: charge.description || 'Additional charge',
+        quantity: 1,
+        unitPrice: charge.amount || 0
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Create a draft invoice for a reservation; a paid deposit is carried over as a payment
+   * @param {string} reservationId - Reservation ID
+   * @param {string} userId - Staff member creating the invoice
+   * @param {object} [options] - { taxRate, gratuityRate, dueDays, notes }
+   * @returns {Promise<object>} Result with the invoice
+   */
+  async createFromReservation(reservationId, userId, options = {}) {
+    const reservation = await Reservation.findById(reservationId).populate('patronId', 'fullName email mobileNumber');
+    if (!reservation) {
+      return { success: false, code: 'NOT_FOUND', message: 'Reservation not found' };
+    }
+
+    const existing = await Invoice.findOne({ reservation: reservation._id, status: { $ne: 'Void' } }).select('invoiceNumber');
+    if (existing) {
+      return { success: false, message: `Reservation already has invoice ${existing.invoiceNumber}` };
+    }
+
+    const patron = reservation.patronId || {};
+    const invoice = new Invoice({
+      invoiceNumber: await this.generateInvoiceNumber(),
+      reservation: reservation._id,
+      patron: patron._id || reservation.patronId,
+      billTo: {
+        name: patron.fullName,
+        email: reservation.contactInfo?.email || patron.email,
+        phone: reservation.contactInfo?.phone || patron.mobileNumber
+      },
+      lineItems: await this.buildLineItems(reservation),
+      taxRate: options.taxRate ?? this.rules.taxRate,
+      gratuityRate: options.gratuityRate ?? this.getGratuityRate(reservation.guestCount),
+      dueDate: new Date(reservation.startTime.getTime() + (options.dueDays ?? this.rules.dueDays) * DAY_MS),
+      notes: options.notes,
+      createdBy: userId
+    });
+
+    // Reservations from before paidAmount only know the deposit was paid in full
+    const deposit = reservation.pricing?.deposit;
+    const collected = deposit ? deposit.paidAmount ?? (deposit.paid ? deposit.amount : 0) : 0;
+    if (collected > 0) {
+      invoice.payments.push({
+        kind: 'Payment',
+        amount: collected,
+        method: deposit.paymentMethod || 'Cash',
+        isDeposit: true,
+        provider: 'recorded',
+        notes: 'Deposit recorded on reservation',
+        recordedBy: userId,
+        recordedAt: deposit.paidAt || new Date()
+      });
+    }
+
+    await invoice.save();
+
+    return { success: true, message: `Invoice ${invoice.invoiceNumber} created`, invoice };
+  }
+
+  /**
+   * Edit a draft's lines, rates or notes
+   * @param {string} invoiceId - Invoice ID
+   * @param {object} updates - { lineItems, taxRate, gratuityRate, notes, dueDate }
+   * @returns {Promise<object>} Result with the invoice
+   */
+  async updateDraft(invoiceId, updates) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) {
+      return { success: false, code: 'NOT_FOUND', message: 'Invoice not found' };
+    }
+
+    if (invoice.status !== 'Draft') {
+      return { success: false, message: 'Only draft invoices can be edited' };
+    }
+
+    if (updates.lineItems) {
+      invoice.lineItems = updates.lineItems.map(line => ({
+        ...line,
+        needsPricing: line.unitPrice === undefined ? line.needsPricing : false
+      }));
+    }
+    ['taxRate', 'gratuityRate', 'notes', 'dueDate'].forEach(field => {
+      if (updates[field] !== undefined) invoice[field] = updates[field];
+    });
+
+    await invoice.save();
+
+    return { success: true, message: 'Invoice updated successfully', invoice };
+  }
+
+  /**
+   * Issue a draft so it counts towards outstanding balances
+   * @param {string} invoiceId - Invoice ID
+   * @returns {Promise<object>} Result with the invoice
+   */
+  async issue(invoiceId) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) {
+      return { success: false, code: 'NOT_FOUND', message: 'Invoice not found' };
+    }
+
+    if (invoice.status !== 'Draft') {
+      return { success: false, message: `Cannot issue a ${invoice.status} invoice` };
+    }
+
+    if (invoice.lineItems.length === 0) {
+      return { success: false, message: 'Cannot issue an invoice with no line items' };
+    }
+
+    const unpriced = invoice.lineItems.filter(line => line.needsPricing);
+    if (unpriced.length) {
+      return {
+        success: false,
+        message: `Set prices before issuing: ${unpriced.map(line => line.description).join(', ')}`
+      };
+    }
+
+    invoice.status = 'Issued';
+    invoice.issuedAt = new Date();
+    await invoice.save();
+
+    return { success: true, message: `Invoice ${invoice.invoiceNumber} issued`, invoice };
+  }
+
+  /**
+   * Record a payment; card payments go through the payment provider, others are recorded as received
+   * Failed card charges stay on the ledger for the audit trail
+   * @param {string} invoiceId - Invoice ID
+   * @param {object} payment - { amount, method, token, isDeposit, notes }
+   * @param {string} userId - Staff member recording the payment
+   * @returns {Promise<object>} Result with the invoice
+   */
+  async recordPayment(invoiceId, { amount, method, token, isDeposit = false, notes }, userId) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) {
+      return { success: false, code: 'NOT_FOUND', message: 'Invoice not found' };
+    }
+
+    if (['Void', 'Paid'].includes(invoice.status)) {
+      return { success: false, message: `Cannot take payment on a ${invoice.status} invoice` };
+    }
+
+    amount = roundMoney(Number(amount));
+    if (amount > invoice.balanceDue) {
+      return { success: false, message: `Payment exceeds the balance due of ${invoice.balanceDue.toFixed(2)}` };
+    }
+
+    const entry = { kind: 'Payment', amount, method, isDeposit, notes, recordedBy: userId };
+
+    if (CARD_METHODS.includes(method)) {
+      const provider = this.getProvider();
+      const result = await provider.charge({
+        amount,
+        currency: this.rules.currency,
+        token,
+        description: `${invoice.invoiceNumber}${isDeposit ? ' deposit' : ''}`,
+        metadata: { invoiceId: String(invoice._id) }
+      });
+
+      entry.provider = provider.name;
+      entry.providerReference = result.reference;
+      if (!result.success) {
+        entry.status = 'Failed';
+        entry.failureMessage = result.message;
+        invoice.payments.push(entry);
+        await invoice.save();
+        return { success: false, code: 'PAYMENT_FAILED', message: result.message || 'Payment failed', invoice };
+      }
+    } else {
+      entry.provider = 'recorded';
+    }
+
+    invoice.payments.push(entry);
+    await invoice.save();
+
+    if (isDeposit) {
+      await this.syncReservationDeposit(invoice, method);
+    }
+
+    return { success: true, message: `Payment of ${amount.toFixed(2)} recorded`, invoice };
+  }
+
+  /**
+   * Refund all or part of an earlier payment
+   * @param {string} invoiceId - Invoice ID
+   * @param {object} refund - { paymentId, amount, notes }
+   * @param {string} userId - Staff member issuing the refund
+   * @returns {Promise<object>} Result with the invoice
+   */
+  async refund(invoiceId, { paymentId, amount, notes }, userId) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) {
+      return { success: false, code: 'NOT_FOUND', message: 'Invoice not found' };
+    }
+
+    const payment = invoice.payments.id(paymentId);
+    if (!payment || payment.kind !== 'Payment' || payment.status !== 'Succeeded') {
+      return { success: false, code: 'NOT_FOUND', message: 'Payment not found' };
+    }
+
+    const alreadyRefunded = invoice.payments
+      .filter(e => e.kind === 'Refund' && e.status === 'Succeeded' && String(e.refundOf) === String(payment._id))
+      .reduce((sum, e) => sum + e.amount, 0);
+    const refundable = roundMoney(payment.amount - alreadyRefunded);
+
+    amount = roundMoney(amount === undefined ? refundable : Number(amount));
+    if (amount <= 0 || amount > refundable) {
+      return { success: false, message: `Refund must be between 0.01 and ${refundable.toFixed(2)}` };
+    }
+
+    const entry = {
+      kind: 'Refund',
+      amount,
+      method: payment.method,
+      refundOf: payment._id,
+      isDeposit: payment.isDeposit,
+      notes,
+      recordedBy: userId,
+      provider: payment.provider
+    };
+
+    if (CARD_METHODS.includes(payment.method) && payment.provider !== 'recorded') {
+      const result = await this.getProvider().refund({ amount, reference: payment.providerReference });
+      entry.providerReference = result.reference;
+      if (!result.success) {
+        return { success: false, code: 'PAYMENT_FAILED', message: result.message || 'Refund failed' };
+      }
+    }
+
+    invoice.payments.push(entry);
+    await invoice.save();
+
+    if (payment.isDeposit) {
+      await this.syncReservationDeposit(invoice);
+    }
+
+    return { success: true, message: `Refund of ${amount.toFixed(2)} recorded`, invoice };
+  }
+
+  /**
+   * Set the reservation's collected deposit from the invoice ledger: succeeded deposit payments
+   * less deposit refunds. The required deposit amount is left as it is
+   * @param {object} invoice - Invoice with its payments
+   * @param {string} [method] - Payment method of a new deposit payment
+   * @returns {Promise<void>}
+   */
+  async syncReservationDeposit(invoice, method) {
+    const paidAmount = roundMoney(invoice.payments
+      .filter(e => e.isDeposit && e.status === 'Succeeded')
+      .reduce((sum, e) => sum + (e.kind === 'Refund' ? -e.amount : e.amount), 0));
+
+    const reservation = await Reservation.findById(invoice.reservation).select('pricing.deposit');
+    if (!reservation) return;
+
+    const required = reservation.pricing?.deposit?.amount || 0;
+    const update = {
+      'pricing.deposit.paidAmount': paidAmount,
+      'pricing.deposit.paid': paidAmount > 0 && paidAmount >= required
+    };
+    if (method) {
+      update['pricing.deposit.paidAt'] = new Date();
+      update['pricing.deposit.paymentMethod'] = method;
+    } else if (paidAmount === 0) {
+      update['pricing.deposit.paidAt'] = null;
+    }
+
+    await Reservation.findByIdAndUpdate(invoice.reservation, { $set: update });
+  }
+
+  /**
+   * Void an invoice that has no money on it
+   * @param {string} invoiceId - Invoice ID
+   * @param {string} reason - Why it was voided
+   * @returns {Promise<object>} Result with the invoice
+   */
+  async void(invoiceId, reason) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) {
+      return { success: false, code: 'NOT_FOUND', message: 'Invoice not found' };
+    }
+
+    if (invoice.status === 'Void') {
+      return { success: false, message: 'Invoice is already void' };
+    }
+
+    if (roundMoney(invoice.amountPaid - invoice.amountRefunded) > 0) {
+      return { success: false, message: 'Refund all payments before voiding this invoice' };
+    }
+
+    invoice.status = 'Void';
+    invoice.voidedAt = new Date();
+    invoice.voidReason = reason;
+    await invoice.save();
+
+    return { success: true, message: `Invoice ${invoice.invoiceNumber} voided`, invoice };
+  }
+
+  /**
+   * Aging bucket for an open invoice
+   * @param {Date} dueDate - Due date
+   * @param {Date} asOf - Report date
+   * @returns {string} Bucket label
+   */
+  agingBucket(dueDate, asOf) {
+    const daysOverdue = Math.floor((asOf - new Date(dueDate)) / DAY_MS);
+    if (!dueDate || daysOverdue <= 0) return 'current';
+    if (daysOverdue <= 30) return '1-30';
+    if (daysOverdue <= 60) return '31-60';
+    if (daysOverdue <= 90) return '61-90';
+    return '90+';
+  }
+
+  /**
+   * Outstanding balances across issued and partially paid invoices, with aging
+   * @param {object} [options] - { asOf }
+   * @returns {Promise<object>} Report
+   */
+  async getOutstandingReport({ asOf = new Date() } = {}) {
+    const invoices = await Invoice.find({ status: { $in: OPEN_STATUSES }, balanceDue: { $gt: 0 } })
+      .populate('reservation', 'eventTitle startTime')
+      .sort({ dueDate: 1 })
+      .lean();
+
+    const aging = { current: 0, '1-30': 0, '31-60': 0, '61-90': 0, '90+': 0 };
+    let totalOutstanding = 0;
+
+    const rows = invoices.map(invoice => {
+      const bucket = this.agingBucket(invoice.dueDate, asOf);
+      aging[bucket] = roundMoney(aging[bucket] + invoice.balanceDue);
+      totalOutstanding += invoice.balanceDue;
+
+      return {
+        id: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        billTo: invoice.billTo,
+        eventTitle: invoice.reservation?.eventTitle,
+        eventDate: invoice.reservation?.startTime,
+        total: invoice.total,
+        amountPaid: roundMoney(invoice.amountPaid - invoice.amountRefunded),
+        balanceDue: invoice.balanceDue,
+        dueDate: invoice.dueDate,
+        aging: bucket
+      };
+    });
+
+    return {
+      asOf,
+      invoiceCount: rows.length,
+      totalOutstanding: roundMoney(totalOutstanding),
+      aging,
+      invoices: rows
+    };
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,257 @@
+/**
+ * LLM Gateway
+ * One entry point for language model calls from the IA routes. Requests name a route
+ * ('chat', 'recipe', ...) rather than a model; config/llm.js maps the route to a tier and the
+ * tier to a model for whichever provider answers. Each provider gets a timeout and retries on
+ * transient failures, then the fallback provider is tried
+ */
+
+const llmConfig = require('../config/llm');
+const { createLlmProvider } = require('./llmProviders');
+
+const EMPTY_USAGE = { inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+const TRANSIENT_CODES = ['LLM_TIMEOUT', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+class LlmError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - LLM_TIMEOUT or LLM_UNAVAILABLE
+   * @param {Array<object>} [failures] - [{ provider, message }] for each provider that was tried
+   */
+  constructor(message, code, failures = []) {
+    super(message);
+    this.code = code;
+    this.failures = failures;
+  }
+}
+
+/**
+ * Worth retrying on the same provider: timeouts, dropped connections, rate limits and server errors.
+ * Anything else (bad request, bad key) goes straight to the fallback
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isTransient = (error) => {
+  const status = Number(error?.status || error?.statusCode || error?.response?.status);
+  return TRANSIENT_CODES.includes(error?.code) || status === 429 || status >= 500;
+};
+
+class LlmGateway {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.config] - Routing policy; defaults to config/llm.js
+   * @param {object} [options.providers] - Provider instances by name; created on demand when omitted
+   * @param {Function} [options.sleep] - Backoff delay; injectable for tests
+   */
+  constructor({ config = llmConfig, providers = {}, sleep = null } = {}) {
+    this.config = config;
+    this.providers = { ...providers };
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      this.providers[name] = createLlmProvider(name);
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Providers to try in order; unconfigured ones are skipped
+   * @returns {Array<string>}
+   */
+  getChain() {
+    const names = [...new Set([this.config.primary, this.config.fallback].filter(Boolean))];
+    return names.filter(name => this.getProvider(name).isConfigured());
+  }
+
+  /**
+   * Tier, model and generation settings a provider uses for a route
+   * @param {string} providerName
+   * @param {string} route - Key of config.routes, or a tier name
+   * @returns {object} { tier, model, generation }
+   */
+  resolve(providerName, route) {
+    const { tiers, models, routes, defaultTier } = this.config;
+    const tier = routes[route] || (tiers[route] ? route : defaultTier);
+    const model = process.env[`LLM_${providerName.toUpperCase()}_${tier.toUpperCase()}_MODEL`]
+      || models[providerName]?.[tier];
+
+    return { tier, model, generation: { ...tiers[tier] } };
+  }
+
+  /**
+   * Run one provider call with the configured timeout; the signal lets SDKs cancel the request
+   * @param {Function} work - (signal) => Promise
+   * @returns {Promise<*>}
+   */
+  async withTimeout(work) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new LlmError(`No response within ${this.config.timeoutMs}ms`, 'LLM_TIMEOUT'));
+      }, this.config.timeoutMs);
+    });
+
+    try {
+      return await Promise.race([work(controller.signal), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  backoff(attempt) {
+    return this.sleep(this.config.retryDelayMs * 2 ** attempt);
+  }
+
+  /**
+   * Call a provider, retrying transient failures
+   * @param {Function} work - (signal) => Promise
+   * @returns {Promise<*>}
+   */
+  async withRetries(work) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.withTimeout(work);
+      } catch (error) {
+        if (!isTransient(error) || attempt >= this.config.maxRetries) throw error;
+        await this.backoff(attempt);
+      }
+    }
+  }
+
+  unavailable(failures) {
+    return new LlmError('No language model provider could answer', 'LLM_UNAVAILABLE', failures);
+  }
+
+  /**
+   * Generate a complete reply
+   * @param {object} request - { route, prompt, system }
+   * @returns {Promise<object>} { text, usage, provider, model, tier, fallback }
+   * @throws {LlmError} LLM_UNAVAILABLE when every provider failed
+   */
+  async generate({ route, prompt, system = null }) {
+    const failures = [];
+
+    for (const [index, name] of this.getChain().entries()) {
+      const provider = this.getProvider(name);
+      const { tier, model, generation } = this.resolve(name, route);
+
+      try {
+        const result = await this.withRetries(signal => provider.generate({ model, prompt, system, generation, signal }));
+        return { text: result.text, usage: result.usage || EMPTY_USAGE, provider: name, model, tier, fallback: index > 0 };
+      } catch (error) {
+        console.warn(`LLM provider ${name} failed for ${route}: ${error.message}`);
+        failures.push({ provider: name, message: error.message });
+      }
+    }
+
+    throw this.unavailable(failures);
+  }
+
+  /**
+   * Stream a reply. The fallback is only used until the first text arrives; after that a failure
+   * is thrown to the caller because part of the reply has already been sent
+   * @param {object} request - { route, prompt, system }
+   * @yields {object} { type: 'text', text } deltas, then { type: 'done', usage, provider, model, tier, fallback }
+   * @throws {LlmError} LLM_UNAVAILABLE when every provider failed before answering
+   */
+  async *stream({ route, prompt, system = null }) {
+    const failures = [];
+
+    for (const [index, name] of this.getChain().entries()) {
+      const provider = this.getProvider(name);
+      const { tier, model, generation } = this.resolve(name, route);
+
+      for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const iterator = provider.stream({ model, prompt, system, generation, signal: controller.signal })[Symbol.asyncIterator]();
+        let started = false;
+        let finished = false;
+
+        try {
+          let usage = null;
+          // Every chunk, the first included, has to arrive within the timeout
+          const next = () => this.withTimeout(() => iterator.next());
+
+          for (let step = await next(); !step.done; step = await next()) {
+            if (step.value.text) {
+              started = true;
+              yield { type: 'text', text: step.value.text };
+            }
+            if (step.value.usage) usage = step.value.usage;
+          }
+
+          finished = true;
+          yield { type: 'done', usage: usage || EMPTY_USAGE, provider: name, model, tier, fallback: index > 0 };
+          return;
+        } catch (error) {
+          if (started) throw error;
+          if (!isTransient(error) || attempt >= this.config.maxRetries) {
+            console.warn(`LLM provider ${name} failed to stream ${route}: ${error.message}`);
+            failures.push({ provider: name, message: error.message });
+            break;
+          }
+          await this.backoff(attempt);
+        } finally {
+          // Timed out, failed or abandoned by the caller: stop the provider's request
+          if (!finished) {
+            controller.abort();
+            if (iterator.return) iterator.return().catch(() => {});
+          }
+        }
+      }
+    }
+
+    throw this.unavailable(failures);
+  }
+
+  /**
+   * Count prompt tokens with the provider that would answer the route
+   * @param {object} request - { route, prompt, system }
+   * @returns {Promise<object>} { tokens, estimated, provider, model }
+   */
+  async countTokens({ route, prompt, system = null }) {
+    const failures = [];
+
+    for (const name of this.getChain()) {
+      const { model } = this.resolve(name, route);
+      try {
+        const result = await this.withTimeout(() => this.getProvider(name).countTokens({ model, prompt, system }));
+        return { ...result, provider: name, model };
+      } catch (error) {
+        failures.push({ provider: name, message: error.message });
+      }
+    }
+
+    throw this.unavailable(failures);
+  }
+
+  /**
+   * Routing summary for the status endpoint
+   * @returns {object}
+   */
+  getStatus() {
+    const describe = (name) => (name ? {
+      name,
+      configured: this.getProvider(name).isConfigured(),
+      models: Object.keys(this.config.tiers).reduce((models, tier) => ({ ...models, [tier]: this.resolve(name, tier).model }), {})
+    } : null);
+
+    return {
+      primary: describe(this.config.primary),
+      fallback: describe(this.config.fallback),
+      active: this.getChain()[0] || null,
+      timeoutMs: this.config.timeoutMs,
+      maxRetries: this.config.maxRetries,
+      routes: { ...this.config.routes }
+    };
+  }
+}
+
+module.exports = new LlmGateway();
+module.exports.LlmGateway = LlmGateway;
+module.exports.LlmError = LlmError;
+module.exports.isTransient = isTransient;
@@ -0,0 +1,72 @@
+/**
+ * Gemini LLM provider
+ * Google Gemini through @google/generative-ai; needs GEMINI_API_KEY
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const toUsage = (metadata = {}) => ({
+  inputTokens: metadata.promptTokenCount || 0,
+  outputTokens: metadata.candidatesTokenCount || 0,
+  totalTokens: metadata.totalTokenCount || 0
+});
+
+class GeminiProvider {
+  /**
+   * @param {object} [options] - { apiKey, client }; apiKey defaults to GEMINI_API_KEY
+   */
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.client = options.client || null;
+  }
+
+  isConfigured() {
+    return !!this.client || (!!this.apiKey && this.apiKey !== 'your-gemini-api-key-here');
+  }
+
+  getModel({ model, generation, system }) {
+    if (!this.client) {
+      this.client = new GoogleGenerativeAI(this.apiKey);
+    }
+    return this.client.getGenerativeModel({
+      model,
+      generationConfig: generation,
+      ...(system ? { systemInstruction: system } : {})
+    });
+  }
+
+  /**
+   * @param {object} request - { model, prompt, system, generation, signal }
+   * @returns {Promise<object>} { text, usage }
+   */
+  async generate(request) {
+    const result = await this.getModel(request).generateContent(request.prompt, { signal: request.signal });
+    return { text: result.response.text(), usage: toUsage(result.response.usageMetadata) };
+  }
+
+  /**
+   * @param {object} request - { model, prompt, system, generation, signal }
+   * @yields {object} { text } for each delta, then { usage }
+   */
+  async *stream(request) {
+    const result = await this.getModel(request).generateContentStream(request.prompt, { signal: request.signal });
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield { text };
+    }
+    const response = await result.response;
+    yield { usage: toUsage(response.usageMetadata) };
+  }
+
+  /**
+   * @param {object} request - { model, prompt, system }
+   * @returns {Promise<object>} { tokens, estimated }
+   */
+  async countTokens(request) {
+    const result = await this.getModel(request).countTokens(request.prompt);
+    return { tokens: result.totalTokens, estimated: false };
+  }
+}
+
+module.exports = GeminiProvider;
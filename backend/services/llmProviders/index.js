@@ -0,0 +1,34 @@
+/**
+ * LLM providers
+ *
+ * A provider talks to one language model vendor and exposes:
+ *   name                    - reported with every reply
+ *   isConfigured()          - whether it has the credentials it needs
+ *   generate(request)       - async, request is { model, prompt, system, generation, signal };
+ *                             resolves to { text, usage: { inputTokens, outputTokens, totalTokens } }
+ *   stream(request)         - async iterable of { text } deltas followed by one { usage }
+ *   countTokens(request)    - async, resolves to { tokens, estimated }
+ *
+ * `generation` is { temperature, topP, topK, maxOutputTokens }; providers ignore what they do not support.
+ * The gateway (../llmGateway.js) picks providers and models from config/llm.js
+ */
+
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const LocalProvider = require('./localProvider');
+
+const createLlmProvider = (name, options = {}) => {
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider(options);
+    case 'openai':
+      return new OpenAIProvider(options);
+    case 'local':
+    case 'stub':
+      return new LocalProvider(options);
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+};
+
+module.exports = { createLlmProvider, GeminiProvider, OpenAIProvider, LocalProvider };
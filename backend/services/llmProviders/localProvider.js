@@ -0,0 +1,73 @@
+/**
+ * Local LLM provider
+ * Deterministic offline stand-in: the same prompt always gets the same reply, with no network.
+ * Lets the IA routes run in development, CI and tests without an API key
+ */
+
+const countWords = (text) => (String(text || '').match(/\S+/g) || []).length;
+
+const lastLine = (prompt) => String(prompt || '')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .pop() || '';
+
+class LocalProvider {
+  /**
+   * @param {object} [options] - { reply }: fixed reply text, or a function of the request
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.reply = options.reply || null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  compose(request) {
+    if (typeof this.reply === 'function') return this.reply(request);
+    if (this.reply) return this.reply;
+
+    const excerpt = lastLine(request.prompt).slice(0, 160);
+    return `Ahoy! You said: "${excerpt}". I'm the offline Nauti Bouys assistant, so my answers are placeholders until a language model provider is configured.`;
+  }
+
+  usage(request, text) {
+    const inputTokens = countWords(request.system) + countWords(request.prompt);
+    const outputTokens = countWords(text);
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+  }
+
+  /**
+   * @param {object} request - { model, prompt, system, generation }
+   * @returns {Promise<object>} { text, usage }
+   */
+  async generate(request) {
+    const text = this.compose(request);
+    return { text, usage: this.usage(request, text) };
+  }
+
+  /**
+   * Replays the reply a word at a time
+   * @param {object} request - { model, prompt, system, generation }
+   * @yields {object} { text } for each delta, then { usage }
+   */
+  async *stream(request) {
+    const text = this.compose(request);
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      yield { text: piece };
+    }
+    yield { usage: this.usage(request, text) };
+  }
+
+  /**
+   * @param {object} request - { prompt, system }
+   * @returns {Promise<object>} { tokens, estimated }
+   */
+  async countTokens(request) {
+    return { tokens: countWords(request.system) + countWords(request.prompt), estimated: true };
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,90 @@
+/**
+ * OpenAI LLM provider
+ * Chat Completions through the openai SDK (a root-level dependency); needs OPENAI_API_KEY
+ */
+
+const toUsage = (usage = {}) => ({
+  inputTokens: usage.prompt_tokens || 0,
+  outputTokens: usage.completion_tokens || 0,
+  totalTokens: usage.total_tokens || 0
+});
+
+// OpenAI has no token counting endpoint; about four characters per token is close enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+class OpenAIProvider {
+  /**
+   * @param {object} [options] - { apiKey, client }; apiKey defaults to OPENAI_API_KEY
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.client = options.client || null;
+  }
+
+  isConfigured() {
+    return !!this.client || !!this.apiKey;
+  }
+
+  getClient() {
+    if (!this.client) {
+      // Loaded on first use so deployments that never pick OpenAI do not need the package
+      const OpenAI = require('openai');
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  toParams({ model, prompt, system, generation = {} }) {
+    return {
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt }
+      ],
+      temperature: generation.temperature,
+      top_p: generation.topP,
+      max_tokens: generation.maxOutputTokens
+    };
+  }
+
+  /**
+   * @param {object} request - { model, prompt, system, generation, signal }
+   * @returns {Promise<object>} { text, usage }
+   */
+  async generate(request) {
+    const completion = await this.getClient().chat.completions.create(this.toParams(request), { signal: request.signal });
+    return { text: completion.choices[0]?.message?.content || '', usage: toUsage(completion.usage) };
+  }
+
+  /**
+   * @param {object} request - { model, prompt, system, generation, signal }
+   * @yields {object} { text } for each delta, then { usage }
+   */
+  async *stream(request) {
+    const stream = await this.getClient().chat.completions.create({
+      ...this.toParams(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal: request.signal });
+
+    let usage = null;
+    for await (const chunk of stream) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield { text };
+      if (chunk.usage) usage = chunk.usage;
+    }
+    yield { usage: toUsage(usage || {}) };
+  }
+
+  /**
+   * @param {object} request - { prompt, system }
+   * @returns {Promise<object>} { tokens, estimated }
+   */
+  async countTokens({ prompt, system }) {
+    const length = String(prompt || '').length + String(system || '').length;
+    return { tokens: Math.ceil(length / CHARS_PER_TOKEN), estimated: true };
+  }
+}
+
+module.exports = OpenAIProvider;
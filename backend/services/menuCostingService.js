@@ -0,0 +1,312 @@
+/**
+ * Menu Costing Service
+ * Prices cocktail and mocktail recipes from inventory unit costs and reports
+ * pour cost and gross margin against a target
+ */
+
+const Cocktail = require('../models/Cocktail');
+const Mocktail = require('../models/Mocktail');
+const defaultNotificationManager = require('./notificationManager');
+const recipeDepletionService = require('./recipeDepletionService');
+const { convertToInventoryUnit } = require('./unitConversion');
+
+// category key -> model, named like the beverage routes
+const RECIPE_MODELS = {
+  cocktails: Cocktail,
+  mocktails: Mocktail
+};
+
+const DEFAULT_TARGET_MARGIN = 75; // percent of the menu price kept after ingredients
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundPercent = (value) => Math.round(value * 10) / 10;
+
+class MenuCostingService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.models] - category -> recipe model
+   * @param {object} [options.resolver] - Finds the inventory item for an ingredient (resolveIngredient)
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   * @param {object} [options.notificationManager] - Staff NotificationManager (addNotification)
+   */
+  constructor({
+    models = RECIPE_MODELS,
+    resolver = recipeDepletionService,
+    clock = () => new Date(),
+    notificationManager = defaultNotificationManager
+  } = {}) {
+    this.models = models;
+    this.resolver = resolver;
+    this.clock = clock;
+    this.notificationManager = notificationManager;
+  }
+
+  /**
+   * Gross margin percentage drinks should reach, from MENU_TARGET_MARGIN
+   * @returns {number}
+   */
+  getTargetMargin() {
+    const configured = parseFloat(process.env.MENU_TARGET_MARGIN);
+    return configured > 0 && configured < 100 ? configured : DEFAULT_TARGET_MARGIN;
+  }
+
+  /**
+   * Cost of each ingredient in one serving of a recipe
+   * Quantities are converted into the inventory unit (a fraction of a bottle, say)
+   * and multiplied by that unit's cost
+   * @param {object} recipe - Cocktail or Mocktail
+   * @returns {Promise<object>} { ingredients[], pourCost, complete, missing[] }
+   */
+  async costRecipe(recipe) {
+    const ingredients = [];
+    const missing = [];
+    let pourCost = 0;
+
+    for (const ingredient of recipe.ingredients || []) {
+      const line = { name: ingredient.name, amount: ingredient.amount, unit: ingredient.unit };
+      const item = await this.resolver.resolveIngredient(ingredient);
+
+      if (!item) {
+        ingredients.push({ ...line, status: 'unmatched' });
+        missing.push(ingredient.name);
+        continue;
+      }
+
+      line.inventoryItemId = item._id;
+      line.itemName = item.itemName;
+      line.inventoryUnit = item.unit;
+
+      const converted = convertToInventoryUnit(ingredient.amount, ingredient.unit, item);
+      if (converted.quantity === null) {
+        ingredients.push({ ...line, status: 'unconvertible', reason: converted.reason });
+        missing.push(ingredient.name);
+        continue;
+      }
+
+      const unitCost = item.cost && item.cost.unitCost;
+      if (typeof unitCost !== 'number') {
+        ingredients.push({ ...line, quantity: converted.quantity, status: 'uncosted' });
+        missing.push(ingredient.name);
+        continue;
+      }
+
+      const cost = converted.quantity * unitCost;
+      pourCost += cost;
+      ingredients.push({
+        ...line,
+        quantity: converted.quantity,
+        unitCost,
+        cost: roundMoney(cost),
+        status: 'costed'
+      });
+    }
+
+    return {
+      ingredients,
+      pourCost: roundMoney(pourCost),
+      complete: missing.length === 0 && ingredients.length > 0,
+      missing
+    };
+  }
+
+  /**
+   * Pour-cost percentage and margin for a recipe at its menu price
+   * @param {object} recipe - Needs price
+   * @param {object} cost - Result of costRecipe
+   * @param {number} [targetMargin]
+   * @returns {object} Costing snapshot as stored on the recipe
+   */
+  analyze(recipe, cost, targetMargin = this.getTargetMargin()) {
+    const price = recipe.price;
+    const priced = typeof price === 'number' && price > 0;
+
+    const pourCostPct = priced ? roundPercent((cost.pourCost / price) * 100) : null;
+    const grossMarginPct = priced ? roundPercent(100 - (cost.pourCost / price) * 100) : null;
+
+    return {
+      pourCost: cost.pourCost,
+      pourCostPct,
+      grossMargin: priced ? roundMoney(price - cost.pourCost) : null,
+      grossMarginPct,
+      targetMargin,
+      // Known costs alone already eat the margin, so flag it even if some ingredients are missing
+      belowTarget: priced && grossMarginPct < targetMargin,
+      complete: cost.complete && priced,
+      missing: cost.missing,
+      calculatedAt: this.clock()
+    };
+  }
+
+  /**
+   * Recost one recipe and store the snapshot on it
+   * @param {string} category - cocktails or mocktails
+   * @param {object} recipe - Lean recipe
+   * @returns {Promise<object>} { costing, ingredients, previous }
+   */
+  async recalculate(category, recipe) {
+    const cost = await this.costRecipe(recipe);
+    const costing = this.analyze(recipe, cost);
+
+    await this.models[category].updateOne({ _id: recipe._id }, { $set: { costing } });
+
+    return { costing, ingredients: cost.ingredients, previous: recipe.costing };
+  }
+
+  /**
+   * Recost a set of recipes and tell staff about any that newly fell below target
+   * @param {object} query - Recipe filter applied to every category
+   * @param {string} [reason] - Why costs were recalculated, for the notification
+   * @returns {Promise<object>} { recalculated, newlyBelowTarget[] }
+   */
+  async recalculateWhere(query, reason) {
+    let recalculated = 0;
+    const newlyBelowTarget = [];
+
+    for (const [category, Model] of Object.entries(this.models)) {
+      const recipes = await Model.find(query).select('name price ingredients costing').lean();
+
+      for (const recipe of recipes) {
+        const { costing, previous } = await this.recalculate(category, recipe);
+        recalculated += 1;
+
+        if (costing.belowTarget && !(previous && previous.belowTarget)) {
+          newlyBelowTarget.push({ category, id: recipe._id, name: recipe.name, grossMarginPct: costing.grossMarginPct });
+        }
+      }
+    }
+
+    if (newlyBelowTarget.length > 0) {
+      this.notifyBelowTarget(newlyBelowTarget, reason);
+    }
+
+    return { recalculated, newlyBelowTarget };
+  }
+
+  /**
+   * Recost every cocktail and mocktail
+   * @returns {Promise<object>} { recalculated, newlyBelowTarget[] }
+   */
+  recalculateAll() {
+    return this.recalculateWhere({}, 'Menu costs were recalculated');
+  }
+
+  /**
+   * Recost the recipes an inventory item's cost can affect
+   * That is every recipe linked to it, plus any recipe not yet fully costed,
+   * since the item may now fill one of its gaps
+   * @param {object} item - Inventory document whose cost changed
+   * @returns {Promise<object>} { recalculated, newlyBelowTarget[] }
+   */
+  recalculateForInventoryItem(item) {
+    return this.recalculateWhere({
+      $or: [
+        { 'ingredients.inventoryItem': item._id },
+        { 'ingredients.name': { $regex: `^${item.itemName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' } },
+        { 'costing.complete': { $ne: true } }
+      ]
+    }, `${item.itemName} now costs $${(item.cost && item.cost.unitCost || 0).toFixed(2)} per ${item.unit.replace(/s$/, '')}`);
+  }
+
+  /**
+   * Margin report across cocktails and mocktails, weakest margins first
+   * Recipes never costed are costed on the way
+   * @param {object} [options] - { category, belowTargetOnly, refresh }
+   * @returns {Promise<object>} { targetMargin, summary, drinks[] }
+   */
+  async getReport({ category, belowTargetOnly = false, refresh = false } = {}) {
+    if (refresh) {
+      await this.recalculateAll();
+    }
+
+    const drinks = [];
+    for (const [name, Model] of Object.entries(this.models)) {
+      if (category && category !== name) continue;
+
+      const recipes = await Model.find({}).select('name price isAvailable ingredients costing').lean();
+      for (const recipe of recipes) {
+        let costing = recipe.costing;
+        if (!costing || !costing.calculatedAt) {
+          costing = (await this.recalculate(name, recipe)).costing;
+        }
+
+        drinks.push({
+          category: name,
+          id: recipe._id,
+          name: recipe.name,
+          price: recipe.price,
+          isAvailable: recipe.isAvailable,
+          ...costing
+        });
+      }
+    }
+
+    const costed = drinks.filter(drink => typeof drink.pourCostPct === 'number');
+    const summary = {
+      drinks: drinks.length,
+      belowTarget: drinks.filter(drink => drink.belowTarget).length,
+      incomplete: drinks.filter(drink => !drink.complete).length,
+      averagePourCostPct: costed.length
+        ? roundPercent(costed.reduce((sum, drink) => sum + drink.pourCostPct, 0) / costed.length)
+        : null
+    };
+
+    const listed = belowTargetOnly ? drinks.filter(drink => drink.belowTarget) : drinks;
+    listed.sort((a, b) => {
+      const aMargin = typeof a.grossMarginPct === 'number' ? a.grossMarginPct : Infinity;
+      const bMargin = typeof b.grossMarginPct === 'number' ? b.grossMarginPct : Infinity;
+      return aMargin - bMargin || a.name.localeCompare(b.name);
+    });
+
+    return {
+      targetMargin: this.getTargetMargin(),
+      summary,
+      drinks: listed
+    };
+  }
+
+  /**
+   * Full cost breakdown for one recipe, recosted now
+   * @param {string} category - cocktails or mocktails
+   * @param {string} id
+   * @returns {Promise<object>} { success, drink, costing, ingredients } or { success: false, code }
+   */
+  async getBreakdown(category, id) {
+    const Model = this.models[category];
+    if (!Model) {
+      return { success: false, code: 'INVALID_CATEGORY', message: 'Category must be cocktails or mocktails' };
+    }
+
+    const recipe = await Model.findById(id).select('name price ingredients costing').lean();
+    if (!recipe) {
+      return { success: false, code: 'NOT_FOUND', message: 'Drink not found' };
+    }
+
+    const { costing, ingredients } = await this.recalculate(category, recipe);
+
+    return {
+      success: true,
+      drink: { category, id: recipe._id, name: recipe.name, price: recipe.price },
+      costing,
+      ingredients
+    };
+  }
+
+  notifyBelowTarget(drinks, reason) {
+    if (!this.notificationManager) return;
+
+    const names = drinks.slice(0, 3).map(drink => `${drink.name} (${drink.grossMarginPct}%)`).join(', ');
+    const more = drinks.length > 3 ? ` and ${drinks.length - 3} more` : '';
+
+    this.notificationManager.addNotification({
+      type: 'inventory_margin',
+      title: 'Drinks Below Target Margin',
+      message: `${reason}. ${names}${more} now fall below the ${this.getTargetMargin()}% target margin`,
+      priority: 'medium',
+      audience: ['Owner', 'Bartender'],
+      data: { drinks, targetMargin: this.getTargetMargin() }
+    });
+  }
+}
+
+module.exports = new MenuCostingService();
+module.exports.MenuCostingService = MenuCostingService;
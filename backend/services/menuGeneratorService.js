@@ -0,0 +1,408 @@
+/**
+ * Menu Generator Service
+ * Fills a MenuLayout from the live beverage catalog and renders it as print-ready
+ * HTML or PDF, or as an embeddable JSON/HTML widget for the website
+ */
+
+const Inventory = require('../models/Inventory');
+const PdfDocument = require('./pdfDocument');
+const { CATEGORY_MODELS } = require('./beverageSearchService');
+
+// Inventory.itemType for each catalog category
+const ITEM_TYPES = {
+  cocktails: 'Cocktail',
+  spirits: 'Spirit',
+  wines: 'Wine',
+  beers: 'Beer',
+  mocktails: 'Mocktail',
+  'non-alcoholic': 'OtherNonAlcoholic'
+};
+
+// Small labels printed next to an item's name
+const BADGES = [
+  ['isSignature', 'Signature'],
+  ['specialty', 'Specialty'],
+  ['isReserve', 'Reserve'],
+  ['isSeasonal', 'Seasonal'],
+  ['isLimitedEdition', 'Limited'],
+  ['isLocal', 'Local'],
+  ['isOrganic', 'Organic'],
+  ['isVegan', 'Vegan'],
+  ['isGlutenFree', 'Gluten Free']
+];
+
+const SORTERS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  price: (a, b) => (a.price ?? Infinity) - (b.price ?? Infinity) || a.name.localeCompare(b.name),
+  'price-desc': (a, b) => (b.price ?? -Infinity) - (a.price ?? -Infinity) || a.name.localeCompare(b.name),
+  rating: (a, b) => (b.averageRating || 0) - (a.averageRating || 0) || a.name.localeCompare(b.name)
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatPrice = (value) => (typeof value === 'number' ? `$${value % 1 === 0 ? value : value.toFixed(2)}` : '');
+
+/**
+ * One-line detail under the item name, built from whatever the category records
+ * @param {string} category
+ * @param {object} item
+ * @returns {string}
+ */
+function describeItem(category, item) {
+  const parts = [];
+  switch (category) {
+    case 'wines':
+      parts.push(item.winery, item.varietal, [item.region, item.vintage].filter(Boolean).join(' '));
+      break;
+    case 'spirits':
+      parts.push(item.brand !== item.name ? item.brand : null, item.subType || item.type, item.age, item.origin);
+      break;
+    case 'beers':
+      parts.push(item.brewery, item.type, item.serveType, item.abv ? `${item.abv}% ABV` : null);
+      break;
+    case 'cocktails':
+    case 'mocktails':
+      parts.push((item.ingredients || []).map(ingredient => ingredient.name).join(', '));
+      break;
+    default:
+      parts.push(item.brand, item.category);
+  }
+  return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Whether an item belongs in a layout section
+ * @param {object} section
+ * @param {string} category
+ * @param {object} item
+ * @returns {boolean}
+ */
+function matchesSection(section, category, item) {
+  if (!section.categories.includes(category)) return false;
+
+  if (section.tiers && section.tiers.length > 0 && category === 'spirits' && !section.tiers.includes(item.shelf_tier)) {
+    return false;
+  }
+
+  if (section.types && section.types.length > 0) {
+    const kinds = [item.type, item.category, item.primarySpirit].filter(Boolean).map(kind => kind.toLowerCase());
+    if (!section.types.some(type => kinds.includes(type.toLowerCase()))) return false;
+  }
+
+  return true;
+}
+
+class MenuGeneratorService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.models] - category -> beverage model
+   * @param {object} [options.inventoryModel] - Inventory model, for out-of-stock checks
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   */
+  constructor({ models = CATEGORY_MODELS, inventoryModel = Inventory, clock = () => new Date() } = {}) {
+    this.models = models;
+    this.inventoryModel = inventoryModel;
+    this.clock = clock;
+  }
+
+  /**
+   * Beverages whose stock has run out, as "itemType:itemId" keys
+   * A beverage with several inventory rows stays on while any of them is in stock
+   * @param {string[]} categories
+   * @returns {Promise<Set<string>>}
+   */
+  async getOutOfStock(categories) {
+    const rows = await this.inventoryModel.find({
+      itemType: { $in: categories.map(category => ITEM_TYPES[category]) },
+      itemId: { $exists: true }
+    }).select('itemType itemId isOutOfStock').lean();
+
+    const empty = new Set();
+    const stocked = new Set();
+    for (const row of rows) {
+      (row.isOutOfStock ? empty : stocked).add(`${row.itemType}:${row.itemId}`);
+    }
+
+    return new Set([...empty].filter(key => !stocked.has(key)));
+  }
+
+  /**
+   * Everything that can be served now, by category
+   * @param {string[]} categories
+   * @returns {Promise<object>} category -> items
+   */
+  async loadCatalog(categories) {
+    const outOfStock = await this.getOutOfStock(categories);
+    const catalog = {};
+
+    for (const category of categories) {
+      const items = await this.models[category].find({ isAvailable: true })
+        .select('-ratings -favorites -costing')
+        .lean();
+
+      catalog[category] = items.filter(item => !outOfStock.has(`${ITEM_TYPES[category]}:${item._id}`));
+    }
+
+    return catalog;
+  }
+
+  /**
+   * Shape a beverage for the menu
+   * @param {string} category
+   * @param {object} item
+   * @param {object} [section] - Decides whether the description and glass price show
+   * @returns {object}
+   */
+  toMenuItem(category, item, section = {}) {
+    const menuItem = {
+      id: item._id,
+      category,
+      name: item.name,
+      details: describeItem(category, item),
+      price: typeof item.price === 'number' ? item.price : null,
+      badges: BADGES.filter(([field]) => item[field]).map(([, label]) => label)
+    };
+
+    if (section.showDescription !== false && item.description) {
+      menuItem.description = item.description;
+    }
+
+    if (section.showPricePerGlass && category === 'wines' && typeof item.pricePerGlass === 'number') {
+      menuItem.pricePerGlass = item.pricePerGlass;
+    }
+
+    return menuItem;
+  }
+
+  /**
+   * Fill a layout with what is available right now
+   * @param {object} layout - MenuLayout
+   * @returns {Promise<object>} { layout, title, subtitle, footer, generatedAt, specials, sections[] }
+   */
+  async build(layout) {
+    const sections = layout.sections || [];
+    const specials = layout.specials || {};
+    const categories = [...new Set([
+      ...sections.flatMap(section => section.categories),
+      ...(specials.enabled ? specials.categories || [] : [])
+    ])].filter(category => this.models[category]);
+
+    const catalog = await this.loadCatalog(categories);
+
+    let specialItems = [];
+    const specialIds = new Set();
+    if (specials.enabled) {
+      specialItems = (specials.categories || [])
+        .flatMap(category => (catalog[category] || [])
+          .filter(item => item.isSignature || item.specialty)
+          .map(item => ({ category, item })))
+        .sort((a, b) => SORTERS.rating(a.item, b.item))
+        .slice(0, specials.limit || 6);
+
+      if (!specials.repeatInSections) {
+        specialItems.forEach(({ item }) => specialIds.add(String(item._id)));
+      }
+    }
+
+    const builtSections = sections.map(section => {
+      const matches = section.categories
+        .flatMap(category => (catalog[category] || [])
+          .filter(item => !specialIds.has(String(item._id)) && matchesSection(section, category, item))
+          .map(item => ({ category, item })))
+        .sort((a, b) => (SORTERS[section.sortBy] || SORTERS.name)(a.item, b.item));
+
+      const limited = section.limit ? matches.slice(0, section.limit) : matches;
+
+      return {
+        title: section.title,
+        description: section.description,
+        items: limited.map(({ category, item }) => this.toMenuItem(category, item, section))
+      };
+    }).filter(section => section.items.length > 0);
+
+    return {
+      layout: { id: layout._id, name: layout.name, slug: layout.slug, pageSize: layout.pageSize, columns: layout.columns },
+      title: layout.title,
+      subtitle: layout.subtitle,
+      footer: layout.footer,
+      generatedAt: this.clock(),
+      specials: specialItems.length > 0
+        ? { title: specials.title || 'House Specials', items: specialItems.map(({ category, item }) => this.toMenuItem(category, item)) }
+        : null,
+      sections: builtSections
+    };
+  }
+
+  renderItemHtml(item) {
+    const prices = [
+      item.pricePerGlass !== undefined ? `<span class="nb-menu-glass">${formatPrice(item.pricePerGlass)} glass</span>` : '',
+      item.price !== null ? `<span class="nb-menu-price">${formatPrice(item.price)}${item.pricePerGlass !== undefined ? ' bottle' : ''}</span>` : ''
+    ].join('');
+
+    return `
+      <li class="nb-menu-item">
+        <div class="nb-menu-line">
+          <span class="nb-menu-name">${escapeHtml(item.name)}</span>
+          ${item.badges.map(badge => `<span class="nb-menu-badge">${escapeHtml(badge)}</span>`).join('')}
+          <span class="nb-menu-leader"></span>
+          ${prices}
+        </div>
+        ${item.details ? `<div class="nb-menu-details">${escapeHtml(item.details)}</div>` : ''}
+        ${item.description ? `<p class="nb-menu-description">${escapeHtml(item.description)}</p>` : ''}
+      </li>`;
+  }
+
+  renderSectionHtml(section, className = 'nb-menu-section') {
+    return `
+    <section class="${className}">
+      <h2>${escapeHtml(section.title)}</h2>
+      ${section.description ? `<p class="nb-menu-section-description">${escapeHtml(section.description)}</p>` : ''}
+      <ul>${section.items.map(item => this.renderItemHtml(item)).join('')}
+      </ul>
+    </section>`;
+  }
+
+  /**
+   * Menu body shared by the print page and the widget, styled under .nb-menu
+   * @param {object} menu - Result of build
+   * @returns {string}
+   */
+  toHtmlFragment(menu) {
+    return `<div class="nb-menu" data-menu="${escapeHtml(menu.layout.slug)}">
+  <style>
+    .nb-menu { font-family: Georgia, serif; color: #1a2b3c; }
+    .nb-menu header { text-align: center; margin-bottom: 1.5rem; }
+    .nb-menu h1 { margin: 0; letter-spacing: 0.08em; text-transform: uppercase; }
+    .nb-menu .nb-menu-subtitle { font-style: italic; color: #556; margin: 0.25rem 0 0; }
+    .nb-menu h2 { font-size: 1.1rem; text-transform: uppercase; letter-spacing: 0.06em; border-bottom: 1px solid #ccd; padding-bottom: 0.25rem; }
+    .nb-menu ul { list-style: none; padding: 0; margin: 0; }
+    .nb-menu .nb-menu-item { margin: 0 0 0.75rem; break-inside: avoid; }
+    .nb-menu .nb-menu-line { display: flex; align-items: baseline; gap: 0.4rem; }
+    .nb-menu .nb-menu-name { font-weight: bold; }
+    .nb-menu .nb-menu-badge { font-size: 0.65rem; text-transform: uppercase; letter-spacing: 0.05em; border: 1px solid #8a6d3b; color: #8a6d3b; padding: 0 0.3rem; border-radius: 2px; }
+    .nb-menu .nb-menu-leader { flex: 1; border-bottom: 1px dotted #99a; }
+    .nb-menu .nb-menu-glass { color: #556; margin-right: 0.5rem; }
+    .nb-menu .nb-menu-details { font-size: 0.85rem; color: #556; }
+    .nb-menu .nb-menu-description { font-size: 0.85rem; font-style: italic; margin: 0.2rem 0 0; }
+    .nb-menu .nb-menu-specials { border: 2px solid #8a6d3b; padding: 0.5rem 1rem; margin-bottom: 1.5rem; }
+    .nb-menu .nb-menu-specials h2 { color: #8a6d3b; border: none; text-align: center; }
+    .nb-menu footer { text-align: center; font-size: 0.8rem; color: #556; margin-top: 1.5rem; }
+  </style>
+  <header>
+    <h1>${escapeHtml(menu.title)}</h1>
+    ${menu.subtitle ? `<p class="nb-menu-subtitle">${escapeHtml(menu.subtitle)}</p>` : ''}
+  </header>
+  ${menu.specials ? this.renderSectionHtml(menu.specials, 'nb-menu-section nb-menu-specials') : ''}
+  <div class="nb-menu-sections">${menu.sections.map(section => this.renderSectionHtml(section)).join('')}
+  </div>
+  ${menu.footer ? `<footer>${escapeHtml(menu.footer)}</footer>` : ''}
+</div>`;
+  }
+
+  /**
+   * Standalone page: print-ready with page size and columns, or a bare widget for an iframe
+   * @param {object} menu - Result of build
+   * @param {object} [options] - { embed }
+   * @returns {string}
+   */
+  toHtml(menu, { embed = false } = {}) {
+    const pageSize = menu.layout.pageSize === 'a4' ? 'A4' : 'letter';
+    const printStyles = embed ? '' : `
+    @page { size: ${pageSize}; margin: 0.6in; }
+    body { margin: 2rem; }
+    .nb-menu-sections { column-count: ${menu.layout.columns || 1}; column-gap: 2rem; }
+    .nb-menu-section { break-inside: avoid-column; }
+    @media print { body { margin: 0; } }`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(menu.title)}</title>
+  <style>
+    body { margin: ${embed ? '0.5rem' : '0'}; background: #fff; }${printStyles}
+  </style>
+</head>
+<body>
+${this.toHtmlFragment(menu)}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Print-ready PDF of the menu
+   * @param {object} menu - Result of build
+   * @returns {Buffer}
+   */
+  toPdf(menu) {
+    const doc = new PdfDocument({
+      size: menu.layout.pageSize,
+      columns: menu.layout.columns || 1,
+      title: menu.title
+    });
+
+    // The heading spans the page, so lay it out before columns take over
+    const fullWidth = doc.pageWidth - doc.margin * 2;
+    doc.paragraph(menu.title.toUpperCase(), { size: 22, font: 'bold', align: 'center', width: fullWidth });
+    if (menu.subtitle) {
+      doc.paragraph(menu.subtitle, { size: 11, font: 'italic', align: 'center', width: fullWidth });
+    }
+    doc.moveDown(12);
+
+    const writeSection = (section) => {
+      doc.ensureSpace(48);
+      doc.paragraph(section.title.toUpperCase(), { size: 13, font: 'bold' });
+      doc.rule(3);
+      if (section.description) {
+        doc.paragraph(section.description, { size: 9, font: 'italic' });
+      }
+      doc.moveDown(4);
+
+      for (const item of section.items) {
+        doc.ensureSpace(30);
+
+        const prices = [
+          item.pricePerGlass !== undefined ? `${formatPrice(item.pricePerGlass)} / ` : '',
+          item.price !== null ? formatPrice(item.price) : ''
+        ].join('');
+        const priceWidth = doc.textWidth(prices, 10.5, 'regular');
+        const name = item.badges.length > 0 ? `${item.name} (${item.badges.join(', ')})` : item.name;
+        const nameLines = doc.wrap(name, doc.columnWidth - priceWidth - 8, 10.5, 'bold');
+
+        nameLines.forEach((line, index) => {
+          doc.ensureSpace(14);
+          doc.text(line, { size: 10.5, font: 'bold' });
+          if (index === 0 && prices) doc.text(prices, { size: 10.5, align: 'right' });
+          doc.moveDown(14);
+        });
+
+        if (item.details) doc.paragraph(item.details, { size: 8.5, indent: 8 });
+        if (item.description) doc.paragraph(item.description, { size: 8.5, font: 'italic', indent: 8 });
+        doc.moveDown(6);
+      }
+
+      doc.moveDown(10);
+    };
+
+    if (menu.specials) writeSection(menu.specials);
+    menu.sections.forEach(writeSection);
+
+    if (menu.footer) {
+      doc.moveDown(6);
+      doc.paragraph(menu.footer, { size: 8.5, font: 'italic', align: 'center' });
+    }
+
+    return doc.toBuffer();
+  }
+}
+
+module.exports = new MenuGeneratorService();
+module.exports.MenuGeneratorService = MenuGeneratorService;
+module.exports.ITEM_TYPES = ITEM_TYPES;
@@ -0,0 +1,238 @@
+/**
+ * Staff notification store
+ * Notifications are persisted in MongoDB with per-user read/dismissed state, and
+ * fanned out through a pluggable pub/sub (see ./notificationPubSub) so every
+ * backend process can push them to its own SSE clients
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { createPubSub } = require('./notificationPubSub');
+
+const CHANNEL = 'staff-notifications';
+
+// Notification type prefix -> filter category
+const CATEGORY_PREFIXES = [
+  ['ultra_shelf', 'ultra_shelf'],
+  ['inventory', 'inventory'],
+  ['reservation', 'reservations'],
+  ['waitlist', 'reservations'],
+  ['service', 'service']
+];
+
+class NotificationManager {
+  /**
+   * @param {object} [options] - { pubsub } adapter; defaults to NOTIFICATION_PUBSUB
+   */
+  constructor({ pubsub = null } = {}) {
+    this.pubsub = pubsub;
+  }
+
+  getPubSub() {
+    if (!this.pubsub) {
+      this.pubsub = createPubSub();
+    }
+    return this.pubsub;
+  }
+
+  /**
+   * Category used for filtering, derived from the notification type
+   * @param {string} type - e.g. 'inventory_alert'
+   * @returns {string} Category
+   */
+  categoryFor(type = '') {
+    const match = CATEGORY_PREFIXES.find(([prefix]) => type.startsWith(prefix));
+    return match ? match[1] : 'system';
+  }
+
+  /**
+   * Normalise a category filter from a query string ('inventory,reservations') or array
+   * @param {string|Array} value - Requested categories
+   * @returns {Array<string>} Known categories; empty means no filter
+   */
+  parseCategories(value) {
+    if (!value) return [];
+    const requested = Array.isArray(value) ? value : String(value).split(',');
+    return requested
+      .map(category => category.trim())
+      .filter(category => Notification.CATEGORIES.includes(category));
+  }
+
+  /**
+   * Persist a notification and publish it to every process
+   * Callers fire and forget, so failures are logged rather than thrown
+   * @param {object} notification - { type, title, message, priority, data, category, audience }
+   * @returns {Promise<object|null>} Client-shaped notification, or null if it could not be stored
+   */
+  async addNotification(notification) {
+    let saved;
+    try {
+      saved = await Notification.create({
+        ...notification,
+        category: notification.category || this.categoryFor(notification.type)
+      });
+    } catch (error) {
+      console.error('Error saving notification:', error);
+      return null;
+    }
+
+    const payload = Notification.toClient(saved);
+    try {
+      await this.getPubSub().publish(CHANNEL, { ...payload, audience: saved.audience });
+    } catch (error) {
+      // Still stored, so clients pick it up on their next fetch or reconnect
+      console.error('Error publishing notification:', error);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Listen for new notifications from any process
+   * @param {Function} callback - Receives the client-shaped notification plus its audience
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(callback) {
+    return this.getPubSub().subscribe(CHANNEL, callback);
+  }
+
+  /**
+   * Mongo filter for what a user can see
+   * @param {object} user - { id, role }
+   * @param {object} [options] - { categories, unreadOnly, includeDismissed }
+   * @returns {object} Query
+   */
+  buildQuery(user, { categories = [], unreadOnly = false, includeDismissed = false } = {}) {
+    // Cast up front so the query also works in aggregation, which skips schema casting
+    const userId = new mongoose.Types.ObjectId(user.id);
+    const query = { audience: user.role };
+
+    if (categories.length) {
+      query.category = { $in: categories };
+    }
+    if (unreadOnly) {
+      query.readBy = { $ne: userId };
+    }
+    if (!includeDismissed) {
+      query.dismissedBy = { $ne: userId };
+    }
+
+    return query;
+  }
+
+  /**
+   * Newest notifications for a user
+   * @param {object} user - { id, role }
+   * @param {object} [options] - { limit, unreadOnly, includeDismissed, categories, before } (before: notification ID to page from)
+   * @returns {Promise<Array>} Client-shaped notifications
+   */
+  async getNotifications(user, { limit = 20, before, ...filters } = {}) {
+    const query = this.buildQuery(user, filters);
+    if (before && mongoose.Types.ObjectId.isValid(before)) {
+      query._id = { $lt: before };
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ _id: -1 })
+      .limit(limit)
+      .lean();
+
+    return notifications.map(notification => Notification.toClient(notification, user.id));
+  }
+
+  /**
+   * Notifications created after the one a client last saw, oldest first, for SSE replay
+   * @param {string} lastEventId - Last notification ID the client received
+   * @param {object} user - { id, role }
+   * @param {object} [options] - { categories, limit }
+   * @returns {Promise<Array>} Client-shaped notifications
+   */
+  async getSince(lastEventId, user, { categories = [], limit = 100 } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(lastEventId)) {
+      return [];
+    }
+
+    const notifications = await Notification.find({
+      ...this.buildQuery(user, { categories }),
+      _id: { $gt: lastEventId }
+    })
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean();
+
+    return notifications.map(notification => Notification.toClient(notification, user.id));
+  }
+
+  /**
+   * Unread count for a user, optionally within categories
+   * @param {object} user - { id, role }
+   * @param {object} [options] - { categories }
+   * @returns {Promise<number>} Count
+   */
+  async getUnreadCount(user, { categories = [] } = {}) {
+    return Notification.countDocuments(this.buildQuery(user, { categories, unreadOnly: true }));
+  }
+
+  /**
+   * Unread counts per category for a user
+   * @param {object} user - { id, role }
+   * @returns {Promise<object>} { [category]: count } for every category
+   */
+  async getUnreadCountsByCategory(user) {
+    const rows = await Notification.aggregate([
+      { $match: this.buildQuery(user, { unreadOnly: true }) },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    const counts = Object.fromEntries(Notification.CATEGORIES.map(category => [category, 0]));
+    rows.forEach(row => {
+      counts[row._id] = row.count;
+    });
+    return counts;
+  }
+
+  /**
+   * Mark one notification read for a user
+   * @returns {Promise<boolean>} Whether the notification exists for this user
+   */
+  async markAsRead(notificationId, user) {
+    return this.addRecipientState(notificationId, user, { readBy: user.id });
+  }
+
+  /**
+   * Hide a notification from a user's list; dismissing also marks it read
+   * @returns {Promise<boolean>} Whether the notification exists for this user
+   */
+  async dismiss(notificationId, user) {
+    return this.addRecipientState(notificationId, user, { readBy: user.id, dismissedBy: user.id });
+  }
+
+  async addRecipientState(notificationId, user, fields) {
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return false;
+    }
+
+    const result = await Notification.updateOne(
+      { _id: notificationId, audience: user.role },
+      { $addToSet: fields }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Mark everything unread read for a user
+   * @param {object} user - { id, role }
+   * @param {object} [options] - { categories }
+   * @returns {Promise<number>} Number of notifications marked
+   */
+  async markAllAsRead(user, { categories = [] } = {}) {
+    const result = await Notification.updateMany(
+      this.buildQuery(user, { categories, unreadOnly: true, includeDismissed: true }),
+      { $addToSet: { readBy: user.id } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new NotificationManager();
+module.exports.NotificationManager = NotificationManager;
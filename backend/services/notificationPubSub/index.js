@@ -0,0 +1,30 @@
+/**
+ * Notification pub/sub
+ *
+ * Fans notifications out to every backend process so each one can push them to
+ * its own SSE clients. An adapter exposes:
+ *   name                          - identifier for logs
+ *   publish(channel, message)     - async, message is any JSON-serialisable value
+ *   subscribe(channel, handler)   - handler(message) runs for every message on the channel,
+ *                                   including this process's own; returns an unsubscribe function
+ *   close()                       - async, stops delivery and releases resources
+ *
+ * NOTIFICATION_PUBSUB selects the adapter: 'mongo' (shared through a capped collection)
+ * or 'memory' (single process, the default)
+ */
+
+const MemoryPubSub = require('./memoryPubSub');
+const MongoPubSub = require('./mongoPubSub');
+
+const createPubSub = (name = process.env.NOTIFICATION_PUBSUB || 'memory', options = {}) => {
+  switch (name) {
+    case 'memory':
+      return new MemoryPubSub(options);
+    case 'mongo':
+      return new MongoPubSub(options);
+    default:
+      throw new Error(`Unknown notification pub/sub: ${name}`);
+  }
+};
+
+module.exports = { createPubSub, MemoryPubSub, MongoPubSub };
@@ -0,0 +1,49 @@
+/**
+ * In-process notification pub/sub for tests and single-instance deployments
+ * Instances can share one bus to stand in for several backend processes
+ */
+
+const { EventEmitter } = require('events');
+
+class MemoryPubSub {
+  /**
+   * @param {object} [options] - { bus } EventEmitter shared between instances
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.bus = options.bus || new EventEmitter();
+    this.bus.setMaxListeners(0);
+    this.listeners = new Set();
+  }
+
+  async publish(channel, message) {
+    // Deliver asynchronously, as a networked adapter would
+    setImmediate(() => this.bus.emit(channel, message));
+  }
+
+  subscribe(channel, handler) {
+    const listener = (message) => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error('Notification subscriber error:', error);
+      }
+    };
+    const entry = { channel, listener };
+
+    this.bus.on(channel, listener);
+    this.listeners.add(entry);
+
+    return () => {
+      this.bus.off(channel, listener);
+      this.listeners.delete(entry);
+    };
+  }
+
+  async close() {
+    this.listeners.forEach(({ channel, listener }) => this.bus.off(channel, listener));
+    this.listeners.clear();
+  }
+}
+
+module.exports = MemoryPubSub;
@@ -0,0 +1,121 @@
+/**
+ * MongoDB notification pub/sub for multi-instance deployments
+ * Messages go into a capped collection that every process tails, so no extra
+ * infrastructure is needed beyond the database the app already uses
+ */
+
+const mongoose = require('mongoose');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+class MongoPubSub {
+  /**
+   * @param {object} [options] - { connection, collection, sizeBytes, retryMs }
+   */
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.connection = options.connection || mongoose.connection;
+    this.collectionName = options.collection || process.env.NOTIFICATION_PUBSUB_COLLECTION || 'notification_pubsub';
+    this.sizeBytes = options.sizeBytes || 1024 * 1024;
+    this.retryMs = options.retryMs || 1000;
+    this.handlers = new Map(); // channel -> Set of handlers
+    this.collection = null;
+    this.cursor = null;
+    this.tailing = false;
+    this.closed = false;
+  }
+
+  async publish(channel, message) {
+    const collection = await this.getCollection();
+    await collection.insertOne({ channel, message, publishedAt: new Date() });
+  }
+
+  subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+    }
+    this.handlers.get(channel).add(handler);
+    this.startTailing();
+
+    return () => {
+      const handlers = this.handlers.get(channel);
+      if (handlers) handlers.delete(handler);
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    this.handlers.clear();
+    if (this.cursor) {
+      await this.cursor.close().catch(() => {});
+    }
+  }
+
+  async getCollection() {
+    if (this.collection) return this.collection;
+
+    if (this.connection.readyState !== 1) {
+      await new Promise(resolve => this.connection.once('connected', resolve));
+    }
+    const db = this.connection.db;
+    const existing = await db.listCollections({ name: this.collectionName }).toArray();
+    if (existing.length === 0) {
+      try {
+        await db.createCollection(this.collectionName, { capped: true, size: this.sizeBytes });
+      } catch (error) {
+        // Another process created it first
+        if (error.codeName !== 'NamespaceExists') throw error;
+      }
+    }
+
+    this.collection = db.collection(this.collectionName);
+    return this.collection;
+  }
+
+  startTailing() {
+    if (this.tailing || this.closed) return;
+    this.tailing = true;
+    this.tail().catch(error => console.error('Notification pub/sub stopped:', error));
+  }
+
+  // Only deliver messages published after this process started listening
+  async tail() {
+    let lastId = mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000));
+
+    while (!this.closed) {
+      try {
+        const collection = await this.getCollection();
+        // A tailable cursor dies when nothing matches yet, so the loop re-opens it after retryMs
+        this.cursor = collection.find({ _id: { $gt: lastId } }, { tailable: true, awaitData: true });
+
+        for await (const doc of this.cursor) {
+          lastId = doc._id;
+          this.dispatch(doc.channel, doc.message);
+        }
+      } catch (error) {
+        if (!this.closed) {
+          console.error('Notification pub/sub cursor error:', error.message);
+        }
+      }
+
+      if (!this.closed) {
+        await sleep(this.retryMs);
+      }
+    }
+  }
+
+  dispatch(channel, message) {
+    const handlers = this.handlers.get(channel);
+    if (!handlers) return;
+
+    handlers.forEach(handler => {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error('Notification subscriber error:', error);
+      }
+    });
+  }
+}
+
+module.exports = MongoPubSub;
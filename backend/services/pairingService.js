@@ -0,0 +1,601 @@
+/**
+ * Pairing Service
+ * Scores wines, beers and cocktails against dishes from the catalog with
+ * classic pairing rules: match weight, bridge shared flavors, cut fat with
+ * acid or bubbles, keep tannin and strong drinks away from heat
+ */
+
+const mongoose = require('mongoose');
+const Dish = require('../models/Dish');
+const Wine = require('../models/Wine');
+const Beer = require('../models/Beer');
+const Cocktail = require('../models/Cocktail');
+
+// category key -> model, named like the beverage routes
+const PAIRING_MODELS = {
+  wines: Wine,
+  beers: Beer,
+  cocktails: Cocktail
+};
+
+// Reservation.menu.beverages.itemType for each category
+const ITEM_TYPES = {
+  wines: 'Wine',
+  beers: 'Beer',
+  cocktails: 'Cocktail'
+};
+
+const LEVEL = { low: 0, medium: 1, high: 2 };
+const SPICE = { none: 0, mild: 1, medium: 2, hot: 3 };
+const BODY = { Light: 0, Medium: 1, Full: 2 };
+
+// How heavy a protein makes a plate, 0-2
+const PROTEIN_WEIGHT = {
+  Beef: 2,
+  Lamb: 2,
+  Game: 2,
+  Pork: 1,
+  Poultry: 1,
+  Cheese: 1,
+  Fish: 0,
+  Shellfish: 0,
+  Vegetarian: 0,
+  None: 0
+};
+
+// Traits by varietal; tannin, acidity and sweetness are 0-2
+const VARIETALS = [
+  { match: /cabernet/, tannin: 2, acidity: 1, proteins: ['Beef', 'Lamb', 'Game'], flavors: ['rich', 'savory', 'smoky'] },
+  { match: /pinot noir/, tannin: 1, acidity: 2, proteins: ['Poultry', 'Pork', 'Fish', 'Game'], flavors: ['earthy', 'fruity', 'umami'] },
+  { match: /merlot/, tannin: 1, acidity: 1, proteins: ['Beef', 'Pork', 'Poultry'], flavors: ['fruity', 'savory'] },
+  { match: /syrah|shiraz/, tannin: 2, acidity: 1, proteins: ['Beef', 'Lamb', 'Game'], flavors: ['smoky', 'savory'] },
+  { match: /malbec/, tannin: 2, acidity: 1, proteins: ['Beef', 'Lamb'], flavors: ['smoky', 'rich'] },
+  { match: /zinfandel/, tannin: 1, acidity: 1, sweetness: 1, proteins: ['Pork', 'Beef'], flavors: ['smoky', 'fruity'] },
+  { match: /sangiovese|chianti/, tannin: 1, acidity: 2, proteins: ['Beef', 'Pork'], flavors: ['tangy', 'herbal', 'savory'] },
+  { match: /tempranillo|rioja/, tannin: 1, acidity: 1, proteins: ['Lamb', 'Pork'], flavors: ['smoky', 'savory'] },
+  { match: /chardonnay/, acidity: 1, proteins: ['Poultry', 'Fish', 'Shellfish'], flavors: ['creamy', 'nutty', 'rich'] },
+  { match: /sauvignon blanc/, acidity: 2, proteins: ['Fish', 'Shellfish', 'Vegetarian', 'Cheese'], flavors: ['herbal', 'citrus', 'fresh'] },
+  { match: /pinot grigio|pinot gris/, acidity: 2, proteins: ['Fish', 'Shellfish', 'Vegetarian'], flavors: ['fresh', 'citrus'] },
+  { match: /riesling|gewurztraminer/, acidity: 2, sweetness: 1, proteins: ['Pork', 'Poultry', 'Fish'], flavors: ['fruity', 'sweet'] },
+  { match: /moscato|muscat/, acidity: 1, sweetness: 2, proteins: [], flavors: ['fruity', 'sweet'] },
+  { match: /champagne|prosecco|cava|brut/, acidity: 2, sparkling: true, proteins: ['Shellfish', 'Fish', 'Cheese'], flavors: ['salty', 'fresh'] }
+];
+
+// Used when the varietal is blank or not in the table
+const WINE_TYPES = {
+  Red: { tannin: 1, acidity: 1, proteins: ['Beef', 'Pork', 'Lamb'], flavors: ['savory'] },
+  White: { acidity: 2, proteins: ['Fish', 'Poultry', 'Shellfish'], flavors: ['fresh'] },
+  Rose: { acidity: 2, proteins: ['Fish', 'Poultry', 'Pork', 'Vegetarian'], flavors: ['fruity', 'fresh'] },
+  Sparkling: { acidity: 2, sparkling: true, proteins: ['Shellfish', 'Fish', 'Cheese'], flavors: ['salty', 'fresh'] },
+  Dessert: { acidity: 1, sweetness: 2, proteins: [], flavors: ['sweet'] },
+  Fortified: { sweetness: 2, proteins: ['Cheese'], flavors: ['nutty', 'rich'] },
+  Other: { proteins: [], flavors: [] }
+};
+
+// Spirits and the plates they flatter
+const SPIRITS = [
+  { match: /whisk|bourbon|rye|scotch/, proteins: ['Beef', 'Pork', 'Game'], flavors: ['smoky', 'sweet', 'rich', 'nutty'] },
+  { match: /\bgin\b/, proteins: ['Fish', 'Shellfish', 'Poultry', 'Vegetarian'], flavors: ['herbal', 'citrus', 'fresh'] },
+  { match: /vodka/, proteins: ['Fish', 'Shellfish'], flavors: ['salty', 'fresh', 'citrus'] },
+  { match: /rum/, proteins: ['Pork', 'Poultry'], flavors: ['sweet', 'fruity'], heatFriendly: true },
+  { match: /tequila|mezcal/, proteins: ['Pork', 'Poultry', 'Fish'], flavors: ['citrus', 'smoky'], heatFriendly: true },
+  { match: /brandy|cognac|armagnac/, proteins: ['Cheese'], flavors: ['rich', 'nutty', 'sweet'], dessertFriendly: true }
+];
+
+// Tasting-note words mapped onto the dish flavor vocabulary
+const NOTE_FLAVORS = [
+  { match: /lemon|lime|orange|grapefruit|citrus|yuzu/, flavor: 'citrus' },
+  { match: /mint|basil|herb|botanical|juniper|sage|rosemary|thyme/, flavor: 'herbal' },
+  { match: /smok|peat|char|toast/, flavor: 'smoky' },
+  { match: /vanilla|caramel|honey|chocolate|toffee|sweet|maple|syrup/, flavor: 'sweet' },
+  { match: /bitter|amaro|hop/, flavor: 'bitter' },
+  { match: /tropical|berry|cherry|apple|pineapple|peach|plum|fruit|mango/, flavor: 'fruity' },
+  { match: /cream|butter/, flavor: 'creamy' },
+  { match: /salt|saline|brine/, flavor: 'salty' },
+  { match: /earth|mushroom|forest|leather/, flavor: 'earthy' },
+  { match: /nut|almond|hazelnut|walnut/, flavor: 'nutty' },
+  { match: /tart|sour|tang/, flavor: 'tangy' },
+  { match: /crisp|fresh|clean|bright/, flavor: 'fresh' },
+  { match: /rich|full|oak|velvet/, flavor: 'rich' },
+  { match: /spic|pepper|ginger|cinnamon|clove/, flavor: 'spicy' }
+];
+
+const DARK_BEER = /stout|porter|brown|dark|bock|schwarz/;
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class PairingService {
+  /**
+   * @param {object} [options] - { models, dishModel }
+   */
+  constructor(options = {}) {
+    this.models = options.models || PAIRING_MODELS;
+    this.dishModel = options.dishModel || Dish;
+  }
+
+  /**
+   * How heavy a dish eats, 0 (light) to 2 (heavy)
+   * @param {object} dish
+   * @returns {number}
+   */
+  getDishWeight(dish) {
+    const fat = LEVEL[dish.fat] !== undefined ? LEVEL[dish.fat] : 1;
+    return Math.round((fat + (PROTEIN_WEIGHT[dish.protein] || 0)) / 2);
+  }
+
+  /**
+   * Flavor words found in a beverage's tasting notes and descriptions
+   * @param {...string|string[]} sources
+   * @returns {Set<string>}
+   */
+  extractFlavors(...sources) {
+    const text = sources.flat().filter(Boolean).join(' ').toLowerCase();
+    const flavors = new Set();
+
+    NOTE_FLAVORS.forEach(({ match, flavor }) => {
+      if (match.test(text)) flavors.add(flavor);
+    });
+
+    return flavors;
+  }
+
+  /**
+   * @param {object} wine
+   * @returns {object} Traits from the varietal, or the wine type as a fallback
+   */
+  getWineTraits(wine) {
+    const varietal = (wine.varietal || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const known = VARIETALS.find(entry => entry.match.test(varietal));
+    const traits = known || WINE_TYPES[wine.type] || WINE_TYPES.Other;
+
+    return {
+      tannin: 0,
+      acidity: 0,
+      sweetness: 0,
+      sparkling: wine.type === 'Sparkling',
+      ...traits,
+      body: BODY[wine.body] !== undefined ? BODY[wine.body] : 1
+    };
+  }
+
+  /**
+   * Weight, flavor bridge and course rules shared by every category
+   * @returns {object} { score, reasons[], cautions[] } to build on
+   */
+  scoreCommon(dish, { weight, flavors, sweetness = 0 }) {
+    const result = { score: 50, reasons: [], cautions: [] };
+    const dishFlavors = dish.flavorProfile || [];
+
+    const dishWeight = this.getDishWeight(dish);
+    const gap = Math.abs(weight - dishWeight);
+    // Heat calls for something refreshing, so a light drink is not a mismatch there
+    const lightForHeat = weight < dishWeight && (SPICE[dish.spice] || 0) >= 2;
+
+    if (gap === 0) {
+      result.score += 15;
+      result.reasons.push('Matches the weight of the dish');
+    } else if (gap === 2 && !lightForHeat) {
+      result.score -= 15;
+      result.cautions.push(weight > dishWeight ? 'Will overpower the dish' : 'Too light for the dish');
+    }
+
+    const shared = dishFlavors.filter(flavor => flavors.has(flavor));
+    if (shared.length > 0) {
+      result.score += Math.min(shared.length, 3) * 5;
+      result.reasons.push(`Echoes the dish's ${shared.slice(0, 3).join(', ')} notes`);
+    }
+
+    if (dish.course === 'Dessert') {
+      if (sweetness >= 2) {
+        result.score += 20;
+        result.reasons.push('Sweet enough to stand up to dessert');
+      } else {
+        result.score -= 15;
+        result.cautions.push('Tastes thin next to something sweeter');
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {object} dish
+   * @param {object} wine
+   * @returns {object} { score, reasons[], cautions[] }
+   */
+  scoreWine(dish, wine) {
+    const traits = this.getWineTraits(wine);
+    const flavors = this.extractFlavors(wine.tastingNotes || [], wine.description);
+    traits.flavors.forEach(flavor => flavors.add(flavor));
+
+    const result = this.scoreCommon(dish, { weight: traits.body, flavors, sweetness: traits.sweetness });
+    const spice = SPICE[dish.spice] || 0;
+
+    if (traits.proteins.includes(dish.protein)) {
+      result.score += 15;
+      result.reasons.push(`A classic match for ${dish.protein.toLowerCase()}`);
+    }
+
+    if (dish.acidity === 'high') {
+      if (traits.acidity >= 2) {
+        result.score += 10;
+        result.reasons.push('Bright acidity keeps up with the dish');
+      } else {
+        result.score -= 10;
+        result.cautions.push('A sharp dish will flatten it');
+      }
+    }
+
+    if (dish.fat === 'high' && (traits.tannin >= 2 || traits.acidity >= 2 || traits.sparkling)) {
+      result.score += 10;
+      result.reasons.push(traits.sparkling ? 'Bubbles scrub the palate between bites' : 'Cuts through the richness');
+    }
+
+    if (spice >= 2) {
+      if (traits.tannin >= 2) {
+        result.score -= 15;
+        result.cautions.push('Tannin turns up the heat');
+      }
+      if (traits.sweetness >= 1) {
+        result.score += 15;
+        result.reasons.push('A touch of sweetness tames the heat');
+      }
+      if (wine.abv > 14) {
+        result.score -= 5;
+        result.cautions.push('High alcohol makes spice burn');
+      }
+    }
+
+    if ((dish.flavorProfile || []).includes('salty') && (traits.sparkling || traits.sweetness >= 1)) {
+      result.score += 5;
+      result.reasons.push('Plays off the salt');
+    }
+
+    // The winery's own pairing note, when it names this protein or dish
+    const suggested = (wine.foodPairing || '').toLowerCase();
+    if (suggested && (suggested.includes(dish.name.toLowerCase()) ||
+        (dish.protein !== 'None' && suggested.includes(dish.protein.toLowerCase())))) {
+      result.score += 10;
+      result.reasons.push('Recommended by the winery');
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {object} dish
+   * @param {object} beer
+   * @returns {object} { score, reasons[], cautions[] }
+   */
+  scoreBeer(dish, beer) {
+    const descriptor = [beer.name, beer.description, (beer.tastingNotes || []).join(' ')].join(' ').toLowerCase();
+    const dark = DARK_BEER.test(descriptor);
+    const ibu = beer.ibu || 0;
+    const crisp = !dark && (['Lager', 'Light', 'Non-Alcoholic'].includes(beer.type) || ibu < 25);
+    const hoppy = ibu >= 50;
+
+    let weight = 1;
+    if (dark) weight = 2;
+    else if (crisp) weight = 0;
+
+    const flavors = this.extractFlavors(beer.tastingNotes || [], beer.description);
+    if (dark) {
+      flavors.add('smoky');
+      flavors.add('rich');
+    }
+
+    const result = this.scoreCommon(dish, { weight, flavors, sweetness: dark ? 2 : 0 });
+    const spice = SPICE[dish.spice] || 0;
+
+    if (hoppy) {
+      if (dish.fat === 'high') {
+        result.score += 10;
+        result.reasons.push('Hops cut the fat');
+      }
+      if (spice >= 2) {
+        result.score -= 10;
+        result.cautions.push('Bitterness amplifies the heat');
+      }
+    }
+
+    if (crisp) {
+      if (spice >= 2) {
+        result.score += 15;
+        result.reasons.push('A crisp, cold beer cools the heat');
+      }
+      if (['Fish', 'Shellfish'].includes(dish.protein)) {
+        result.score += 10;
+        result.reasons.push('Light enough for seafood');
+      }
+    }
+
+    if (dark && ['Beef', 'Game'].includes(dish.protein)) {
+      result.score += 10;
+      result.reasons.push('Roasted malt stands up to red meat');
+    }
+
+    if (beer.type === 'Ale' && !dark && ['Pork', 'Poultry'].includes(dish.protein)) {
+      result.score += 5;
+      result.reasons.push('Malty ale suits the meat');
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {object} dish
+   * @param {object} cocktail
+   * @returns {object} { score, reasons[], cautions[] }
+   */
+  scoreCocktail(dish, cocktail) {
+    const spirit = SPIRITS.find(entry => entry.match.test((cocktail.primarySpirit || '').toLowerCase())) ||
+      { proteins: [], flavors: [] };
+    const notes = this.extractFlavors(cocktail.tastingNotes || [], cocktail.description);
+    const flavors = new Set([...notes, ...spirit.flavors]);
+    const strength = cocktail.alcoholContent || 0;
+
+    let weight = 1;
+    if (strength >= 30) weight = 2;
+    else if (strength > 0 && strength < 15) weight = 0;
+
+    const sweetness = notes.has('sweet') || notes.has('creamy') ? 2 : 0;
+    const result = this.scoreCommon(dish, {
+      weight,
+      flavors,
+      sweetness: spirit.dessertFriendly ? Math.max(sweetness, 2) : sweetness
+    });
+    const spice = SPICE[dish.spice] || 0;
+
+    if (spirit.proteins.includes(dish.protein)) {
+      result.score += 15;
+      result.reasons.push(`${cocktail.primarySpirit} flatters ${dish.protein.toLowerCase()}`);
+    }
+
+    if (spice >= 2) {
+      if (notes.has('sweet') || notes.has('fruity') || spirit.heatFriendly) {
+        result.score += 10;
+        result.reasons.push('Fruit and sweetness cool the heat');
+      }
+      if (strength >= 30) {
+        result.score -= 10;
+        result.cautions.push('A strong drink makes spice burn');
+      }
+    }
+
+    if (dish.fat === 'high' && (notes.has('citrus') || notes.has('bitter') || notes.has('tangy'))) {
+      result.score += 10;
+      result.reasons.push('Citrus and bitterness cut the richness');
+    }
+
+    return result;
+  }
+
+  /**
+   * Score one beverage against one dish
+   * @param {object} dish
+   * @param {object} beverage
+   * @param {string} category - wines, beers or cocktails
+   * @returns {object} { score 0-100, reasons[], cautions[] }
+   */
+  scoreBeverage(dish, beverage, category) {
+    let result;
+    if (category === 'wines') result = this.scoreWine(dish, beverage);
+    else if (category === 'beers') result = this.scoreBeer(dish, beverage);
+    else if (category === 'cocktails') result = this.scoreCocktail(dish, beverage);
+    else throw new Error(`Unknown pairing category: ${category}`);
+
+    return { ...result, score: clamp(result.score) };
+  }
+
+  /**
+   * @param {string|string[]} [categories] - Comma list or array; defaults to all
+   * @returns {string[]}
+   */
+  parseCategories(categories) {
+    if (!categories || categories.length === 0) return Object.keys(this.models);
+    const list = Array.isArray(categories) ? categories : String(categories).split(',');
+    return list.map(category => category.trim()).filter(category => this.models[category]);
+  }
+
+  /**
+   * Find a catalog dish by ID or by exact name, ignoring case
+   * @param {string} ref
+   * @returns {Promise<object|null>} Lean dish
+   */
+  async findDish(ref) {
+    if (!ref) return null;
+    if (mongoose.Types.ObjectId.isValid(ref) && String(ref).length === 24) {
+      return this.dishModel.findById(ref).lean();
+    }
+    return this.dishModel.findOne({ name: new RegExp(`^${escapeRegex(String(ref).trim())}$`, 'i') }).lean();
+  }
+
+  /**
+   * Find a pairable beverage by ID in any category
+   * @param {string} id
+   * @param {string} [category] - Limit the lookup to one category
+   * @returns {Promise<object|null>} { category, beverage }
+   */
+  async findBeverage(id, category) {
+    for (const name of this.parseCategories(category)) {
+      const beverage = await this.models[name].findById(id).select('-ratings -favorites').lean();
+      if (beverage) return { category: name, beverage };
+    }
+    return null;
+  }
+
+  /**
+   * @param {string[]} categories
+   * @param {boolean} includeUnavailable
+   * @returns {Promise<object>} category -> lean beverages
+   */
+  async loadBeverages(categories, includeUnavailable) {
+    const loaded = {};
+    const filter = includeUnavailable ? {} : { isAvailable: true };
+
+    for (const category of categories) {
+      loaded[category] = await this.models[category].find(filter).select('-ratings -favorites').lean();
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Rank loaded beverages for one dish
+   * @returns {object} category -> top pairings
+   */
+  rankForDish(dish, beveragesByCategory, limit) {
+    const pairings = {};
+
+    Object.entries(beveragesByCategory).forEach(([category, beverages]) => {
+      pairings[category] = beverages
+        .map(beverage => ({ category, beverage, ...this.scoreBeverage(dish, beverage, category) }))
+        .sort((a, b) => b.score - a.score || (b.beverage.averageRating || 0) - (a.beverage.averageRating || 0))
+        .slice(0, limit);
+    });
+
+    return pairings;
+  }
+
+  /**
+   * Best wines, beers and cocktails for a dish
+   * @param {string} dishRef - Dish ID or name
+   * @param {object} [options] - { categories, limit, includeUnavailable }
+   * @returns {Promise<object>} { success, dish, pairings } or { success: false, code }
+   */
+  async suggestForDish(dishRef, options = {}) {
+    const dish = await this.findDish(dishRef);
+    if (!dish) {
+      return { success: false, code: 'NOT_FOUND', message: 'Dish not found' };
+    }
+
+    const categories = this.parseCategories(options.categories);
+    const beverages = await this.loadBeverages(categories, options.includeUnavailable);
+
+    return {
+      success: true,
+      dish,
+      pairings: this.rankForDish(dish, beverages, options.limit || 5)
+    };
+  }
+
+  /**
+   * Dishes that suit a beverage
+   * @param {string} beverageId
+   * @param {object} [options] - { category, course, limit, includeUnavailable }
+   * @returns {Promise<object>} { success, category, beverage, dishes } or { success: false, code }
+   */
+  async suggestForBeverage(beverageId, options = {}) {
+    const found = await this.findBeverage(beverageId, options.category);
+    if (!found) {
+      return { success: false, code: 'NOT_FOUND', message: 'Beverage not found' };
+    }
+
+    const filter = options.includeUnavailable ? {} : { isAvailable: true };
+    if (options.course) filter.course = options.course;
+
+    const dishes = await this.dishModel.find(filter).lean();
+    const ranked = dishes
+      .map(dish => ({ dish, ...this.scoreBeverage(dish, found.beverage, found.category) }))
+      .sort((a, b) => b.score - a.score || a.dish.name.localeCompare(b.dish.name))
+      .slice(0, options.limit || 5);
+
+    return {
+      success: true,
+      category: found.category,
+      beverage: found.beverage,
+      dishes: ranked
+    };
+  }
+
+  /**
+   * Pairings for every food item on a menu in one pass
+   * Items are matched to the catalog by dish ID, then by name
+   * @param {object[]} food - [{ name, dish? }]
+   * @param {object} [options] - { categories, limit, includeUnavailable }
+   * @returns {Promise<object>} { success, items[{ food, dish, pairings }], unmatched[] }
+   */
+  async suggestForMenu(food, options = {}) {
+    const categories = this.parseCategories(options.categories);
+    const beverages = await this.loadBeverages(categories, options.includeUnavailable);
+    const items = [];
+    const unmatched = [];
+
+    for (const entry of food || []) {
+      const dish = (entry.dish && await this.findDish(String(entry.dish._id || entry.dish))) ||
+        await this.findDish(entry.name);
+
+      if (!dish) {
+        unmatched.push(entry.name);
+        items.push({ food: entry, dish: null, pairings: {} });
+        continue;
+      }
+
+      items.push({ food: entry, dish, pairings: this.rankForDish(dish, beverages, options.limit || 3) });
+    }
+
+    return { success: true, items, unmatched };
+  }
+
+  /**
+   * Link a reservation's food to the catalog and add the top pairings to its beverage menu
+   * Beverages already on the menu are left alone
+   * @param {object} reservation - Reservation document
+   * @param {object} [options] - { categories, perDish }
+   * @returns {Promise<object>} { success, added[], suggestions }
+   */
+  async applyToReservation(reservation, options = {}) {
+    const perDish = options.perDish || 1;
+    const food = (reservation.menu && reservation.menu.food) || [];
+
+    if (food.length === 0) {
+      return { success: false, message: 'Add food to the menu before pairing it' };
+    }
+
+    const suggestions = await this.suggestForMenu(food, { categories: options.categories, limit: perDish });
+
+    if (!reservation.menu.beverages) reservation.menu.beverages = [];
+    const onMenu = new Set(reservation.menu.beverages.map(entry => String(entry.item)));
+    const added = [];
+
+    suggestions.items.forEach((item, index) => {
+      if (!item.dish) return;
+      food[index].dish = item.dish._id;
+
+      const picks = Object.values(item.pairings)
+        .flat()
+        .sort((a, b) => b.score - a.score)
+        .slice(0, perDish);
+
+      picks.forEach(pick => {
+        const id = String(pick.beverage._id);
+        if (onMenu.has(id)) return;
+        onMenu.add(id);
+
+        const entry = {
+          item: pick.beverage._id,
+          itemType: ITEM_TYPES[pick.category],
+          quantity: item.food.quantity || reservation.guestCount,
+          specialInstructions: `Paired with ${item.dish.name}`
+        };
+        reservation.menu.beverages.push(entry);
+        added.push({ ...entry, name: pick.beverage.name, dish: item.dish.name, score: pick.score });
+      });
+    });
+
+    await reservation.save();
+
+    return {
+      success: true,
+      message: added.length > 0 ? `Added ${added.length} pairing(s) to the menu` : 'Menu already has its pairings',
+      added,
+      suggestions
+    };
+  }
+}
+
+module.exports = new PairingService();
+module.exports.PairingService = PairingService;
+module.exports.PAIRING_MODELS = PAIRING_MODELS;
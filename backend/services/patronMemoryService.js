@@ -0,0 +1,352 @@
+/**
+ * Patron Memory Service
+ * Long-term memory for Savannah. When a conversation ends it is cut into exchange-sized chunks,
+ * embedded with a pluggable embedding provider (see ./embeddingProviders) and stored as
+ * PatronMemory documents, together with what the session learned and any notes the patron adds.
+ * At chat time the memories closest to the patron's message are recalled into the prompt.
+ *
+ * Patrons control their memory: it can be turned off, kept for a chosen number of days
+ * (expired memories are removed by a TTL index) and forgotten one at a time or all at once
+ */
+
+const PatronMemory = require('../models/PatronMemory');
+const User = require('../models/User');
+const ConversationSession = require('../models/ConversationSession');
+const { createEmbeddingProvider, cosineSimilarity } = require('./embeddingProviders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A chunk holds a few exchanges; long assistant replies are trimmed because the patron's side
+// carries most of what is worth remembering
+const MAX_CHUNK_CHARS = 600;
+const MAX_REPLY_CHARS = 240;
+const MAX_NOTE_CHARS = 500;
+
+// Speaker labels are in every chunk, so they would only make unrelated chunks look alike
+const embeddingText = (text) => text.replace(/^(Patron|Savannah): /gm, '');
+
+class PatronMemoryService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.memoryModel] - PatronMemory model; injectable for tests
+   * @param {object} [options.userModel] - User model; injectable for tests
+   * @param {object} [options.sessionModel] - ConversationSession model; injectable for tests
+   * @param {object} [options.provider] - Embedding provider; created from EMBEDDING_PROVIDER when omitted
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   */
+  constructor({
+    memoryModel = PatronMemory,
+    userModel = User,
+    sessionModel = ConversationSession,
+    provider = null,
+    clock = () => new Date()
+  } = {}) {
+    this.PatronMemory = memoryModel;
+    this.User = userModel;
+    this.ConversationSession = sessionModel;
+    this.provider = provider;
+    this.clock = clock;
+    // 0 keeps memories until the patron forgets them
+    this.defaultRetentionDays = Number(process.env.PATRON_MEMORY_TTL_DAYS ?? 180);
+    this.topK = Number(process.env.PATRON_MEMORY_TOP_K || 4);
+    this.minScore = Number(process.env.PATRON_MEMORY_MIN_SCORE ?? 0.15);
+    // Recall scores every stored vector, so each patron's memory is capped
+    this.maxPerPatron = Number(process.env.PATRON_MEMORY_MAX_PER_PATRON || 500);
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createEmbeddingProvider();
+    }
+    return this.provider;
+  }
+
+  getEmbeddingModel() {
+    const provider = this.getProvider();
+    return `${provider.name}:${provider.model}`;
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<object>} { enabled, retentionDays, defaultRetentionDays, provider }
+   */
+  async getSettings(userId) {
+    const user = await this.User.findById(userId).select('preferences.memory').lean();
+    const memory = user?.preferences?.memory || {};
+
+    return {
+      enabled: memory.enabled !== false,
+      retentionDays: memory.retentionDays || null,
+      defaultRetentionDays: this.defaultRetentionDays || null,
+      provider: this.getEmbeddingModel()
+    };
+  }
+
+  /**
+   * Turn memory on or off and choose how long memories are kept. A new retention period
+   * applies to existing memories too, counted from when each was made
+   * @param {string} userId
+   * @param {object} changes - { enabled, retentionDays }; retentionDays null goes back to the default
+   * @returns {Promise<object>} { success, data: settings }
+   */
+  async updateSettings(userId, { enabled, retentionDays }) {
+    const update = {};
+    if (enabled !== undefined) update['preferences.memory.enabled'] = enabled;
+    if (retentionDays !== undefined) update['preferences.memory.retentionDays'] = retentionDays;
+
+    const user = await this.User.findByIdAndUpdate(userId, { $set: update }, { runValidators: true });
+    if (!user) {
+      return { success: false, code: 'NOT_FOUND', message: 'User not found' };
+    }
+
+    if (retentionDays !== undefined) {
+      const days = retentionDays || this.defaultRetentionDays;
+      await this.PatronMemory.updateMany(
+        { patron: userId },
+        days > 0
+          ? [{ $set: { expiresAt: { $add: ['$createdAt', days * DAY_MS] } } }]
+          : { $unset: { expiresAt: 1 } }
+      );
+    }
+
+    return { success: true, message: 'Memory settings updated', data: await this.getSettings(userId) };
+  }
+
+  expiryFor(settings) {
+    const days = settings.retentionDays || this.defaultRetentionDays;
+    return days > 0 ? new Date(this.clock().getTime() + days * DAY_MS) : undefined;
+  }
+
+  /**
+   * Cut a conversation into chunks of whole exchanges. Chunks without anything the patron said
+   * (e.g. only the welcome message) are dropped
+   * @param {Array<object>} messages - ConversationSession messages
+   * @returns {Array<string>}
+   */
+  chunkConversation(messages = []) {
+    const exchanges = [];
+    messages.forEach(message => {
+      const content = String(message.content || '').replace(/\s+/g, ' ').trim();
+      if (!content) return;
+
+      if (message.type === 'user') {
+        exchanges.push([`Patron: ${content}`]);
+      } else if (message.type === 'assistant' && exchanges.length > 0) {
+        const reply = content.length > MAX_REPLY_CHARS ? `${content.slice(0, MAX_REPLY_CHARS).trim()}...` : content;
+        exchanges[exchanges.length - 1].push(`Savannah: ${reply}`);
+      }
+    });
+
+    const chunks = [];
+    let current = '';
+    exchanges.forEach(exchange => {
+      const text = exchange.join('\n');
+      if (current && current.length + text.length + 1 > MAX_CHUNK_CHARS) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${text}` : text;
+    });
+    if (current) chunks.push(current);
+
+    // A single long exchange still has to fit the model field
+    return chunks.map(chunk => chunk.slice(0, 1000));
+  }
+
+  async store(userId, entries, settings) {
+    if (entries.length === 0) return [];
+
+    const vectors = await this.getProvider().embed(entries.map(entry => embeddingText(entry.text)));
+    const embeddingModel = this.getEmbeddingModel();
+    const expiresAt = this.expiryFor(settings);
+
+    const memories = await this.PatronMemory.insertMany(entries.map((entry, index) => ({
+      ...entry,
+      patron: userId,
+      embedding: vectors[index],
+      embeddingModel,
+      expiresAt
+    })));
+
+    await this.prune(userId);
+    return memories;
+  }
+
+  // Oldest memories go first once a patron is over the cap
+  async prune(userId) {
+    const overflow = await this.PatronMemory.find({ patron: userId })
+      .sort({ createdAt: -1 })
+      .skip(this.maxPerPatron)
+      .select('_id')
+      .lean();
+
+    if (overflow.length > 0) {
+      await this.PatronMemory.deleteMany({ _id: { $in: overflow.map(memory => memory._id) } });
+    }
+  }
+
+  /**
+   * Remember an ended conversation and what it learned. Safe to repeat: the session's earlier
+   * memories are replaced
+   * @param {object} session - ConversationSession
+   * @param {string} userId - Caller; only their own sessions are remembered
+   * @returns {Promise<object>} { success, stored, message, code }
+   */
+  async rememberSession(session, userId) {
+    if (!session.userId) return { success: true, stored: 0 };
+    if (String(session.userId) !== String(userId)) {
+      return { success: false, stored: 0, code: 'FORBIDDEN', message: 'Only your own conversations can be remembered' };
+    }
+
+    const settings = await this.getSettings(session.userId);
+    if (!settings.enabled) return { success: true, stored: 0 };
+
+    const entries = [
+      ...this.chunkConversation(session.messages).map(text => ({ source: 'conversation', text })),
+      ...(session.conversationSummary?.learnings || []).map(learning => ({ source: 'note', text: `Learned: ${learning}` }))
+    ].map(entry => ({ ...entry, sessionId: session.sessionId }));
+
+    await this.PatronMemory.deleteMany({ patron: session.userId, sessionId: session.sessionId });
+    const memories = await this.store(session.userId, entries, settings);
+
+    return { success: true, stored: memories.length };
+  }
+
+  /**
+   * A note the patron asks Savannah to remember, e.g. "I'm allergic to almonds"
+   * @param {string} userId
+   * @param {string} text
+   * @returns {Promise<object>} { success, message, code, data: memory }
+   */
+  async addNote(userId, text) {
+    const settings = await this.getSettings(userId);
+    if (!settings.enabled) {
+      return { success: false, code: 'MEMORY_DISABLED', message: 'Memory is turned off; turn it on to add notes' };
+    }
+
+    const [memory] = await this.store(userId, [{ source: 'note', text: String(text).trim().slice(0, MAX_NOTE_CHARS) }], settings);
+    return { success: true, message: 'Savannah will remember that', data: this.PatronMemory.toClient(memory) };
+  }
+
+  /**
+   * Everything currently remembered about a patron, newest first
+   * @param {string} userId
+   * @param {object} [options] - { limit, skip }
+   * @returns {Promise<object>} { memories, total }
+   */
+  async list(userId, { limit = 50, skip = 0 } = {}) {
+    const filter = { patron: userId, ...this.unexpired() };
+    const [memories, total] = await Promise.all([
+      this.PatronMemory.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      this.PatronMemory.countDocuments(filter)
+    ]);
+
+    return { memories: memories.map(memory => this.PatronMemory.toClient(memory)), total };
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} memoryId
+   * @returns {Promise<object>} { success, message, code }
+   */
+  async forget(userId, memoryId) {
+    const result = await this.PatronMemory.deleteOne({ _id: memoryId, patron: userId });
+    if (result.deletedCount === 0) {
+      return { success: false, code: 'NOT_FOUND', message: 'Memory not found' };
+    }
+    return { success: true, message: 'Memory forgotten' };
+  }
+
+  /**
+   * Forget everything. With includeConversations the patron's ended conversations go too,
+   * so their profile no longer carries over to new sessions
+   * @param {string} userId
+   * @param {object} [options] - { includeConversations }
+   * @returns {Promise<object>} { success, message, data: { memories, conversations } }
+   */
+  async forgetAll(userId, { includeConversations = false } = {}) {
+    const memories = await this.PatronMemory.deleteMany({ patron: userId });
+    const conversations = includeConversations
+      ? await this.ConversationSession.deleteMany({ userId, isActive: false })
+      : { deletedCount: 0 };
+
+    return {
+      success: true,
+      message: 'Savannah has forgotten everything she remembered about you',
+      data: { memories: memories.deletedCount, conversations: conversations.deletedCount }
+    };
+  }
+
+  // The TTL monitor only runs every minute or so; expired memories must not be recalled meanwhile
+  unexpired() {
+    return { $or: [{ expiresAt: null }, { expiresAt: { $gt: this.clock() } }] };
+  }
+
+  /**
+   * Memories most similar to the message. Never fails the chat: errors are logged and
+   * nothing is recalled
+   * @param {string} userId
+   * @param {string} message
+   * @param {object} [options] - { k, minScore }
+   * @returns {Promise<Array<object>>} [{ id, source, text, createdAt, score }]
+   */
+  async recall(userId, message, { k = this.topK, minScore = this.minScore } = {}) {
+    try {
+      const settings = await this.getSettings(userId);
+      if (!settings.enabled) return [];
+
+      const memories = await this.PatronMemory.find({ patron: userId, embeddingModel: this.getEmbeddingModel(), ...this.unexpired() })
+        .select('+embedding')
+        .sort({ createdAt: -1 })
+        .limit(this.maxPerPatron)
+        .lean();
+      if (memories.length === 0) return [];
+
+      const [query] = await this.getProvider().embed([message]);
+      const recalled = memories
+        .map(memory => ({ memory, score: cosineSimilarity(query, memory.embedding) }))
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+
+      if (recalled.length > 0) {
+        await this.PatronMemory.updateMany(
+          { _id: { $in: recalled.map(match => match.memory._id) } },
+          { $set: { lastRecalledAt: this.clock() }, $inc: { recallCount: 1 } }
+        );
+      }
+
+      return recalled.map(({ memory, score }) => ({
+        id: String(memory._id),
+        source: memory.source,
+        text: memory.text,
+        createdAt: memory.createdAt,
+        score: Math.round(score * 1000) / 1000
+      }));
+    } catch (error) {
+      console.error('Patron memory recall error:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Prompt section for recalled memories; empty when there are none
+   * @param {Array<object>} memories - From recall()
+   * @returns {string}
+   */
+  formatForPrompt(memories) {
+    if (!memories || memories.length === 0) return '';
+
+    const lines = memories.map(memory => {
+      const date = new Date(memory.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+      return `- (${date}${memory.source === 'note' ? ', note' : ''}) ${memory.text.replace(/\n/g, ' / ')}`;
+    });
+
+    return `WHAT YOU REMEMBER ABOUT THIS PATRON (from earlier visits, most relevant first):
+${lines.join('\n')}
+Bring these up only when they help; never recite them or mention how you remember.`;
+  }
+}
+
+module.exports = new PatronMemoryService();
+module.exports.PatronMemoryService = PatronMemoryService;
@@ -0,0 +1,24 @@
+/**
+ * Payment providers
+ *
+ * A provider processes card payments and exposes:
+ *   name              - stored on ledger entries
+ *   charge(request)   - async, request is { amount, currency, token, description, metadata };
+ *                       resolves to { success, reference, message }
+ *   refund(request)   - async, request is { amount, reference }; resolves to { success, reference, message }
+ *
+ * PAYMENT_PROVIDER selects the adapter; only the offline 'mock' provider ships today
+ */
+
+const MockPaymentProvider = require('./mockPaymentProvider');
+
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  switch (name) {
+    case 'mock':
+      return new MockPaymentProvider();
+    default:
+      throw new Error(`Unknown payment provider: ${name}`);
+  }
+};
+
+module.exports = { createPaymentProvider, MockPaymentProvider };
@@ -0,0 +1,46 @@
+/**
+ * Offline mock payment provider
+ * Approves every charge except the test token `tok_decline`; nothing leaves the machine
+ */
+
+const crypto = require('crypto');
+
+class MockPaymentProvider {
+  constructor() {
+    this.name = 'mock';
+    this.charges = new Map();
+  }
+
+  /**
+   * @param {object} request - { amount, currency, token, description, metadata }
+   * @returns {Promise<object>} { success, reference, message }
+   */
+  async charge({ amount, token }) {
+    if (token === 'tok_decline') {
+      return { success: false, message: 'Card declined' };
+    }
+
+    const reference = `mock_ch_${crypto.randomBytes(8).toString('hex')}`;
+    this.charges.set(reference, { amount, refunded: 0 });
+    return { success: true, reference };
+  }
+
+  /**
+   * @param {object} request - { amount, reference }
+   * @returns {Promise<object>} { success, reference, message }
+   */
+  async refund({ amount, reference }) {
+    const charge = this.charges.get(reference);
+    // Charges from before a restart are unknown to the mock; accept them
+    if (charge) {
+      if (charge.refunded + amount > charge.amount + 0.001) {
+        return { success: false, message: 'Refund exceeds the original charge' };
+      }
+      charge.refunded += amount;
+    }
+
+    return { success: true, reference: `mock_re_${crypto.randomBytes(8).toString('hex')}` };
+  }
+}
+
+module.exports = MockPaymentProvider;
@@ -0,0 +1,261 @@
+/**
+ * PDF Document
+ * Minimal text-only PDF writer using the standard Helvetica faces, so printed
+ * documents need no font files or native dependencies. Text flows down one or
+ * more columns and onto new pages as each fills.
+ */
+
+// Page sizes in points
+const PAGE_SIZES = {
+  letter: [612, 792],
+  a4: [595.28, 841.89]
+};
+
+const FONTS = {
+  regular: { resource: 'F1', base: 'Helvetica' },
+  bold: { resource: 'F2', base: 'Helvetica-Bold' },
+  italic: { resource: 'F3', base: 'Helvetica-Oblique' }
+};
+
+// Helvetica advance widths for printable ASCII (32-126), per 1000 units of font size
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const DEFAULT_WIDTH = 556;
+const BOLD_SPREAD = 1.06; // Helvetica-Bold runs a little wider than the regular face
+
+// Typographic characters outside Latin-1 that WinAnsiEncoding still has a slot for
+const WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+/**
+ * Text as WinAnsi bytes (one char per byte), with accents kept where Latin-1 has them
+ * @param {string} text
+ * @returns {string}
+ */
+function toWinAnsi(text) {
+  let out = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI[char]) {
+      out += String.fromCharCode(WIN_ANSI[char]);
+    } else if (code >= 32 && code <= 255 && !(code >= 127 && code < 160)) {
+      out += char;
+    } else {
+      // Drop the accent if the bare letter is printable, otherwise show a placeholder
+      const base = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+      out += base && base.charCodeAt(0) < 256 ? base : '?';
+    }
+  }
+  return out;
+}
+
+const escapeString = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+const fixed = (value) => Number(value.toFixed(2));
+
+class PdfDocument {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.size] - letter or a4
+   * @param {number} [options.margin] - Page margin in points
+   * @param {number} [options.columns] - Text columns per page
+   * @param {number} [options.gutter] - Space between columns in points
+   * @param {string} [options.title] - Document title metadata
+   */
+  constructor({ size = 'letter', margin = 54, columns = 1, gutter = 24, title } = {}) {
+    [this.pageWidth, this.pageHeight] = PAGE_SIZES[size] || PAGE_SIZES.letter;
+    this.margin = margin;
+    this.columns = columns;
+    this.gutter = gutter;
+    this.title = title;
+    this.columnWidth = (this.pageWidth - margin * 2 - gutter * (columns - 1)) / columns;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.pages.push([]);
+    this.column = 0;
+    this.y = this.pageHeight - this.margin;
+  }
+
+  /**
+   * Left edge of the current column
+   * @returns {number}
+   */
+  get x() {
+    return this.margin + this.column * (this.columnWidth + this.gutter);
+  }
+
+  /**
+   * Continue in the next column or on a new page when fewer than `height` points remain
+   * @param {number} height
+   */
+  ensureSpace(height) {
+    if (this.y - height >= this.margin) return;
+
+    if (this.column < this.columns - 1) {
+      this.column += 1;
+      this.y = this.pageHeight - this.margin;
+    } else {
+      this.addPage();
+    }
+  }
+
+  /**
+   * Width of a string in points
+   * @param {string} text
+   * @param {number} size - Font size
+   * @param {string} [font] - regular, bold or italic
+   * @returns {number}
+   */
+  textWidth(text, size, font = 'regular') {
+    let units = 0;
+    for (const char of toWinAnsi(text)) {
+      const code = char.charCodeAt(0);
+      units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_WIDTH;
+    }
+    return (units / 1000) * size * (font === 'bold' ? BOLD_SPREAD : 1);
+  }
+
+  /**
+   * Break text into lines no wider than `width`
+   * @param {string} text
+   * @param {number} width
+   * @param {number} size
+   * @param {string} [font]
+   * @returns {string[]}
+   */
+  wrap(text, width, size, font = 'regular') {
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && this.textWidth(candidate, size, font) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Draw one line of text at the current position without moving down
+   * @param {string} text
+   * @param {object} [options] - { size, font, align (left, right, center), indent, width }
+   */
+  text(text, { size = 10, font = 'regular', align = 'left', indent = 0, width = this.columnWidth - indent } = {}) {
+    let x = this.x + indent;
+    if (align === 'right') x += width - this.textWidth(text, size, font);
+    if (align === 'center') x += (width - this.textWidth(text, size, font)) / 2;
+
+    const baseline = this.y - size;
+    this.pages[this.pages.length - 1].push(
+      `BT /${FONTS[font].resource} ${size} Tf ${fixed(x)} ${fixed(baseline)} Td (${escapeString(toWinAnsi(text))}) Tj ET`
+    );
+  }
+
+  /**
+   * Wrapped paragraph, flowing into the next column or page as needed
+   * @param {string} text
+   * @param {object} [options] - { size, font, align, indent, width, leading }
+   */
+  paragraph(text, options = {}) {
+    const size = options.size || 10;
+    const leading = options.leading || size * 1.3;
+    const indent = options.indent || 0;
+    const width = options.width || this.columnWidth - indent;
+
+    for (const line of this.wrap(text, width, size, options.font)) {
+      this.ensureSpace(leading);
+      this.text(line, { ...options, size, indent, width });
+      this.y -= leading;
+    }
+  }
+
+  /**
+   * Horizontal rule across the current column
+   * @param {number} [gap] - Space above and below the rule
+   */
+  rule(gap = 6) {
+    this.ensureSpace(gap * 2);
+    this.y -= gap;
+    this.pages[this.pages.length - 1].push(
+      `0.6 G 0.5 w ${fixed(this.x)} ${fixed(this.y)} m ${fixed(this.x + this.columnWidth)} ${fixed(this.y)} l S 0 G`
+    );
+    this.y -= gap;
+  }
+
+  moveDown(points) {
+    this.y -= points;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const fontIds = {};
+    const pageIds = [];
+
+    // Object numbers: 1 catalog, 2 page tree, then fonts, then page/content pairs, then info
+    let next = 3;
+    for (const key of Object.keys(FONTS)) fontIds[key] = next++;
+    const firstPageId = next;
+    this.pages.forEach((_, index) => pageIds.push(firstPageId + index * 2));
+    const infoId = firstPageId + this.pages.length * 2;
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    for (const [key, font] of Object.entries(FONTS)) {
+      objects[fontIds[key]] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`;
+    }
+
+    const fontResources = Object.entries(FONTS).map(([key, font]) => `/${font.resource} ${fontIds[key]} 0 R`).join(' ');
+
+    this.pages.forEach((operations, index) => {
+      const pageId = pageIds[index];
+      const stream = operations.join('\n');
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.pageWidth} ${this.pageHeight}] ` +
+        `/Resources << /Font << ${fontResources} >> >> /Contents ${pageId + 1} 0 R >>`;
+      objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    objects[infoId] = `<< /Producer (Nauti Bouys)${this.title ? ` /Title (${escapeString(toWinAnsi(this.title))})` : ''} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(output, 'latin1');
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = PdfDocument;
+module.exports.PAGE_SIZES = PAGE_SIZES;
+module.exports.toWinAnsi = toWinAnsi;
@@ -0,0 +1,272 @@
+/**
+ * Purchase Order Service
+ * Builds par-level purchase orders per supplier and receives them into inventory
+ */
+
+const Inventory = require('../models/Inventory');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { roundQuantity } = require('./unitConversion');
+const { runInTransaction } = require('./transactionRunner');
+
+const UNASSIGNED_SUPPLIER = 'Unassigned Supplier';
+
+// Units that can only be ordered whole
+const WHOLE_UNITS = ['bottles', 'cans', 'kegs', 'pieces', 'servings'];
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatMoney = (value) => `$${(value || 0).toFixed(2)}`;
+
+class PurchaseOrderService {
+
+  /**
+   * Quantity needed to bring an item from its current level up to par
+   * Items above their reorder point (or minimum stock when no reorder point is set) need nothing
+   * @param {object} item - Inventory document
+   * @returns {number} Quantity to order in the item's unit
+   */
+  calculateOrderQuantity(item) {
+    const reorderLevel = item.reorderPoint !== undefined && item.reorderPoint !== null
+      ? item.reorderPoint
+      : item.minimumStock;
+
+    if (item.quantity > reorderLevel) return 0;
+
+    const parLevel = item.maximumStock || Math.max(reorderLevel * 2, item.minimumStock);
+    const needed = parLevel - item.quantity;
+    if (needed <= 0) return 0;
+
+    return WHOLE_UNITS.includes(item.unit) ? Math.ceil(needed) : roundQuantity(needed);
+  }
+
+  /**
+   * Generate the next PO number for today, e.g. PO-20250114-003
+   * @returns {Promise<string>} PO number
+   */
+  async generatePoNumber() {
+    const now = new Date();
+    const datePart = [
+      now.getFullYear(),
+      String(now.getMonth() + 1).padStart(2, '0'),
+      String(now.getDate()).padStart(2, '0')
+    ].join('');
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    const todayCount = await PurchaseOrder.countDocuments({ createdAt: { $gte: startOfDay } });
+    return `PO-${datePart}-${String(todayCount + 1).padStart(3, '0')}`;
+  }
+
+  /**
+   * Create draft purchase orders, one per supplier, for every item at or below its reorder point
+   * Items already on an open (Draft or Sent) order are skipped
+   * @param {object} options - Generation options
+   * @param {string} options.userId - User creating the drafts
+   * @param {string} [options.supplierName] - Limit generation to one supplier
+   * @returns {Promise<Array>} Created purchase orders
+   */
+  async generateDrafts({ userId, supplierName }) {
+    const [items, onOrder] = await Promise.all([
+      Inventory.find(supplierName ? { 'supplier.name': supplierName } : {}).lean(),
+      PurchaseOrder.distinct('lines.inventoryItem', { status: { $in: ['Draft', 'Sent'] } })
+    ]);
+
+    const onOrderIds = new Set(onOrder.map(id => id.toString()));
+    const groups = new Map();
+
+    items.forEach(item => {
+      if (onOrderIds.has(item._id.toString())) return;
+
+      const quantityOrdered = this.calculateOrderQuantity(item);
+      if (quantityOrdered <= 0) return;
+
+      const name = item.supplier?.name || UNASSIGNED_SUPPLIER;
+      if (!groups.has(name)) {
+        groups.set(name, { supplier: { ...item.supplier, name }, lines: [] });
+      }
+
+      groups.get(name).lines.push({
+        inventoryItem: item._id,
+        itemName: item.itemName,
+        unit: item.unit,
+        quantityOnHand: item.quantity,
+        reorderPoint: item.reorderPoint,
+        maximumStock: item.maximumStock,
+        quantityOrdered,
+        unitCost: item.cost?.unitCost || 0
+      });
+    });
+
+    const created = [];
+    for (const group of groups.values()) {
+      const purchaseOrder = new PurchaseOrder({
+        poNumber: await this.generatePoNumber(),
+        supplier: group.supplier,
+        lines: group.lines.sort((a, b) => a.itemName.localeCompare(b.itemName)),
+        createdBy: userId,
+        statusHistory: [{
+          status: 'Draft',
+          changedBy: userId,
+          reason: 'Generated from par levels'
+        }]
+      });
+      await purchaseOrder.save();
+      created.push(purchaseOrder);
+    }
+
+    return created;
+  }
+
+  /**
+   * Receive a sent purchase order into inventory
+   * Posts an IN movement per line (which also stamps lastRestocked) in one transaction
+   * @param {string} purchaseOrderId - Purchase order ID
+   * @param {Array} [receivedLines] - Optional [{ lineId, quantityReceived }] overrides; defaults to the full order
+   * @param {string} userId - User receiving the delivery
+   * @returns {Promise<object>} Result with the updated purchase order
+   */
+  async receive(purchaseOrderId, receivedLines = [], userId) {
+    return runInTransaction(async (session) => {
+      const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId).session(session);
+      if (!purchaseOrder) {
+        return { success: false, code: 'NOT_FOUND', message: 'Purchase order not found' };
+      }
+
+      if (purchaseOrder.status !== 'Sent') {
+        return { success: false, message: `Only sent purchase orders can be received (status: ${purchaseOrder.status})` };
+      }
+
+      const overrides = new Map(receivedLines.map(line => [String(line.lineId), line.quantityReceived]));
+      const reason = `Received ${purchaseOrder.poNumber}`;
+      const skipped = [];
+
+      for (const line of purchaseOrder.lines) {
+        const quantity = overrides.has(line._id.toString())
+          ? Number(overrides.get(line._id.toString()))
+          : line.quantityOrdered;
+
+        if (!(quantity > 0)) continue;
+
+        const item = await Inventory.findById(line.inventoryItem).session(session);
+        if (!item) {
+          skipped.push(line.itemName);
+          continue;
+        }
+
+        await item.addStockMovement('IN', quantity, reason, userId, `Supplier: ${purchaseOrder.supplier.name}`);
+        line.quantityReceived = roundQuantity((line.quantityReceived || 0) + quantity);
+      }
+
+      purchaseOrder.changeStatus('Received', userId, skipped.length ? `Missing items: ${skipped.join(', ')}` : '');
+      await purchaseOrder.save({ session });
+
+      return {
+        success: true,
+        message: `Purchase order ${purchaseOrder.poNumber} received`,
+        purchaseOrder,
+        skipped
+      };
+    }, 'purchase order receipt');
+  }
+
+  /**
+   * Render a purchase order as CSV
+   * @param {object} purchaseOrder - Purchase order document
+   * @returns {string} CSV text
+   */
+  toCsv(purchaseOrder) {
+    const rows = [
+      ['PO Number', 'Supplier', 'Status', 'Item', 'Unit', 'On Hand', 'Ordered', 'Received', 'Unit Cost', 'Line Total']
+    ];
+
+    purchaseOrder.lines.forEach(line => {
+      rows.push([
+        purchaseOrder.poNumber,
+        purchaseOrder.supplier.name,
+        purchaseOrder.status,
+        line.itemName,
+        line.unit,
+        line.quantityOnHand,
+        line.quantityOrdered,
+        line.quantityReceived,
+        (line.unitCost || 0).toFixed(2),
+        (line.lineTotal || 0).toFixed(2)
+      ]);
+    });
+
+    rows.push(['', '', '', '', '', '', '', '', 'Subtotal', (purchaseOrder.subtotal || 0).toFixed(2)]);
+
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Render a purchase order as a printable HTML page
+   * @param {object} purchaseOrder - Purchase order document
+   * @returns {string} HTML document
+   */
+  toHtml(purchaseOrder) {
+    const { supplier } = purchaseOrder;
+    const created = new Date(purchaseOrder.createdAt || Date.now()).toLocaleDateString('en-US');
+
+    const lineRows = purchaseOrder.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.itemName)}</td>
+          <td>${escapeHtml(line.unit)}</td>
+          <td class="num">${escapeHtml(line.quantityOrdered)}</td>
+          <td class="num">${formatMoney(line.unitCost)}</td>
+          <td class="num">${formatMoney(line.lineTotal)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Purchase Order ${escapeHtml(purchaseOrder.poNumber)}</title>
+  <style>
+    body { font-family: Georgia, serif; color: #1a2b3c; margin: 2rem; }
+    h1 { margin-bottom: 0; }
+    .meta { margin: 1rem 0 2rem; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #ccd; padding: 0.5rem; text-align: left; }
+    .num { text-align: right; }
+    tfoot td { font-weight: bold; border-bottom: none; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Nauti Bouys</h1>
+  <h2>Purchase Order ${escapeHtml(purchaseOrder.poNumber)}</h2>
+  <div class="meta">
+    <div><strong>Date:</strong> ${escapeHtml(created)}</div>
+    <div><strong>Status:</strong> ${escapeHtml(purchaseOrder.status)}</div>
+    <div><strong>Supplier:</strong> ${escapeHtml(supplier.name)}</div>
+    ${supplier.contact ? `<div><strong>Contact:</strong> ${escapeHtml(supplier.contact)}</div>` : ''}
+    ${supplier.email ? `<div><strong>Email:</strong> ${escapeHtml(supplier.email)}</div>` : ''}
+    ${supplier.phone ? `<div><strong>Phone:</strong> ${escapeHtml(supplier.phone)}</div>` : ''}
+  </div>
+  <table>
+    <thead>
+      <tr><th>Item</th><th>Unit</th><th class="num">Quantity</th><th class="num">Unit Cost</th><th class="num">Total</th></tr>
+    </thead>
+    <tbody>${lineRows}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="4" class="num">Subtotal</td><td class="num">${formatMoney(purchaseOrder.subtotal)}</td></tr>
+    </tfoot>
+  </table>
+  ${purchaseOrder.notes ? `<p><strong>Notes:</strong> ${escapeHtml(purchaseOrder.notes)}</p>` : ''}
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new PurchaseOrderService();
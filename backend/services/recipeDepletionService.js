@@ -0,0 +1,243 @@
+/**
+ * Recipe Depletion Service
+ * Links cocktail/mocktail recipes to inventory and records pours as OUT movements
+ */
+
+const Inventory = require('../models/Inventory');
+const Cocktail = require('../models/Cocktail');
+const Mocktail = require('../models/Mocktail');
+const { convertToInventoryUnit, roundQuantity } = require('./unitConversion');
+const { runInTransaction } = require('./transactionRunner');
+
+const RECIPE_MODELS = {
+  Cocktail,
+  Mocktail
+};
+
+// Inventory types that can never be a recipe ingredient
+const NON_INGREDIENT_TYPES = ['Cocktail', 'Mocktail', 'Equipment'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class InsufficientStockError extends Error {
+  constructor(breakdown) {
+    super('Insufficient stock for one or more ingredients');
+    this.breakdown = breakdown;
+  }
+}
+
+class RecipeDepletionService {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.inventoryModel] - Inventory model; injectable for tests
+   * @param {object} [options.recipeModels] - Recipe models by beverage type; injectable for tests
+   * @param {Function} [options.transactionRunner] - runInTransaction(work, label); injectable for tests
+   */
+  constructor({ inventoryModel = Inventory, recipeModels = RECIPE_MODELS, transactionRunner = runInTransaction } = {}) {
+    this.Inventory = inventoryModel;
+    this.recipeModels = recipeModels;
+    this.runInTransaction = transactionRunner;
+  }
+
+  /**
+   * Find the inventory item an ingredient draws from
+   * Explicit `inventoryItem` links win, then an exact name match, then the best-stocked partial match
+   * @param {object} ingredient - Recipe ingredient ({ name, amount, unit, inventoryItem })
+   * @param {ClientSession} [session] - Optional MongoDB session
+   * @returns {Promise<Document|null>} Inventory document with itemId populated
+   */
+  async resolveIngredient(ingredient, session = null) {
+    if (ingredient.inventoryItem) {
+      const linked = await this.Inventory.findById(ingredient.inventoryItem)
+        .populate('itemId')
+        .session(session);
+      if (linked) return linked;
+    }
+
+    const name = escapeRegex(ingredient.name.trim());
+    const typeFilter = { itemType: { $nin: NON_INGREDIENT_TYPES } };
+
+    const exact = await this.Inventory.findOne({
+      ...typeFilter,
+      itemName: { $regex: `^${name}$`, $options: 'i' }
+    })
+      .populate('itemId')
+      .session(session);
+    if (exact) return exact;
+
+    return this.Inventory.findOne({
+      ...typeFilter,
+      itemName: { $regex: name, $options: 'i' }
+    })
+      .sort({ quantity: -1 })
+      .populate('itemId')
+      .session(session);
+  }
+
+  /**
+   * Resolve and convert every ingredient of a recipe for a number of servings
+   * @param {object} recipe - Cocktail or Mocktail document
+   * @param {number} count - Servings
+   * @param {ClientSession} [session] - Optional MongoDB session
+   * @returns {Promise<Array>} Breakdown entries, each carrying its inventory document as `item`
+   */
+  async planRecipe(recipe, count = 1, session = null) {
+    const plan = [];
+    // Share one document per inventory item so repeated ingredients see each other's writes
+    const resolved = new Map();
+
+    for (const ingredient of recipe.ingredients || []) {
+      const entry = {
+        ingredient: ingredient.name,
+        amount: ingredient.amount,
+        unit: ingredient.unit,
+        servings: count
+      };
+
+      let item = await this.resolveIngredient(ingredient, session);
+      if (item) {
+        const key = item._id.toString();
+        if (resolved.has(key)) {
+          item = resolved.get(key);
+        } else {
+          resolved.set(key, item);
+        }
+      }
+      if (!item) {
+        plan.push({ ...entry, status: 'unmatched' });
+        continue;
+      }
+
+      const converted = convertToInventoryUnit(ingredient.amount, ingredient.unit, item);
+      entry.inventoryItemId = item._id;
+      entry.itemName = item.itemName;
+      entry.inventoryUnit = item.unit;
+
+      if (converted.quantity === null) {
+        plan.push({ ...entry, status: 'unconvertible', reason: converted.reason, item });
+        continue;
+      }
+
+      plan.push({
+        ...entry,
+        status: 'pending',
+        quantity: roundQuantity(converted.quantity * count),
+        volumeMl: converted.volumeMl === null ? null : roundQuantity(converted.volumeMl * count),
+        item
+      });
+    }
+
+    return plan;
+  }
+
+  /**
+   * Record a served cocktail or mocktail against inventory
+   * All OUT movements are written in one transaction; nothing is written if any ingredient is short
+   * @param {object} options - Pour details
+   * @param {string} options.beverageType - 'Cocktail' or 'Mocktail'
+   * @param {string} options.beverageId - Recipe ID
+   * @param {number} [options.count=1] - Number of drinks served
+   * @param {string} options.userId - Bartender recording the pour
+   * @param {string} [options.notes] - Optional movement notes
+   * @returns {Promise<object>} Pour result with per-ingredient breakdown
+   */
+  async pour({ beverageType, beverageId, count = 1, userId, notes = '' }) {
+    const Model = this.recipeModels[beverageType];
+    if (!Model) {
+      return { success: false, code: 'INVALID_TYPE', message: 'Beverage type must be Cocktail or Mocktail' };
+    }
+
+    const recipe = await Model.findById(beverageId).lean();
+    if (!recipe) {
+      return { success: false, code: 'NOT_FOUND', message: `${beverageType} not found` };
+    }
+
+    let breakdown;
+    try {
+      breakdown = await this.runInTransaction(
+        session => this.applyPour(recipe, count, userId, notes, session),
+        'pour'
+      );
+    } catch (error) {
+      if (error instanceof InsufficientStockError) {
+        return {
+          success: false,
+          code: 'INSUFFICIENT_STOCK',
+          message: error.message,
+          breakdown: error.breakdown
+        };
+      }
+      throw error;
+    }
+
+    return {
+      success: true,
+      message: `Recorded ${count} × ${recipe.name}`,
+      beverage: { id: recipe._id, name: recipe.name, type: beverageType },
+      count,
+      breakdown
+    };
+  }
+
+  /**
+   * Validate stock and post OUT movements for a planned pour
+   * @private
+   */
+  async applyPour(recipe, count, userId, notes, session) {
+    const plan = await this.planRecipe(recipe, count, session);
+
+    // Several ingredients can draw from the same bottle, so validate per item
+    const required = new Map();
+    plan.filter(entry => entry.status === 'pending').forEach(entry => {
+      const key = entry.item._id.toString();
+      const current = required.get(key) || { item: entry.item, quantity: 0 };
+      current.quantity += entry.quantity;
+      required.set(key, current);
+    });
+
+    let short = false;
+    plan.forEach(entry => {
+      if (entry.status !== 'pending') return;
+      const total = required.get(entry.item._id.toString());
+      if (total.quantity > entry.item.quantity) {
+        entry.status = 'insufficient';
+        entry.available = entry.item.quantity;
+        short = true;
+      }
+    });
+
+    if (short) {
+      throw new InsufficientStockError(plan.map(this.formatEntry));
+    }
+
+    const reason = `Poured ${count} × ${recipe.name}`.substring(0, 200);
+    for (const entry of plan) {
+      if (entry.status !== 'pending') continue;
+      await entry.item.addStockMovement('OUT', entry.quantity, reason, userId, notes);
+      entry.status = 'depleted';
+    }
+
+    for (const { item } of required.values()) {
+      await item.checkAndCreateAlerts();
+    }
+
+    return plan.map(this.formatEntry);
+  }
+
+  /**
+   * Strip the inventory document from a plan entry for API output
+   * @private
+   */
+  formatEntry(entry) {
+    const { item, ...rest } = entry;
+    if (item && entry.status === 'depleted') {
+      rest.remaining = item.quantity;
+      rest.isLowStock = item.isLowStock;
+      rest.isOutOfStock = item.isOutOfStock;
+    }
+    return rest;
+  }
+}
+
+module.exports = new RecipeDepletionService();
+module.exports.RecipeDepletionService = RecipeDepletionService;
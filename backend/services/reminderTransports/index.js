@@ -0,0 +1,28 @@
+/**
+ * Reminder transports
+ *
+ * A transport delivers one message and exposes:
+ *   name                 - identifier for logs
+ *   supports(channel)    - whether it can deliver 'Email', 'SMS' or 'Phone Call'
+ *   send(message)        - async, message is { channel, to, subject, text }; resolves to { messageId }
+ *
+ * REMINDER_TRANSPORT selects the adapter: 'smtp' or 'outbox' (default)
+ */
+
+const SmtpTransport = require('./smtpTransport');
+const OutboxTransport = require('./outboxTransport');
+
+const createTransport = (name = process.env.REMINDER_TRANSPORT || 'outbox', options = {}) => {
+  switch (name) {
+    case 'smtp':
+      return new SmtpTransport(options);
+    case 'outbox':
+    case 'file':
+    case 'console':
+      return new OutboxTransport(options);
+    default:
+      throw new Error(`Unknown reminder transport: ${name}`);
+  }
+};
+
+module.exports = { createTransport, SmtpTransport, OutboxTransport };
@@ -0,0 +1,41 @@
+/**
+ * Outbox reminder transport for local development
+ * Appends every reminder as a JSON line to a file, or logs it to the console when no file is set
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class OutboxTransport {
+  /**
+   * @param {object} [options] - { file }; defaults to REMINDER_OUTBOX_FILE
+   */
+  constructor(options = {}) {
+    this.name = 'outbox';
+    this.file = options.file || process.env.REMINDER_OUTBOX_FILE || null;
+  }
+
+  supports(channel) {
+    return channel === 'Email' || channel === 'SMS';
+  }
+
+  /**
+   * @param {object} message - { channel, to, subject, text }
+   * @returns {Promise<object>} { messageId }
+   */
+  async send({ channel, to, subject, text }) {
+    const messageId = `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const entry = { messageId, channel, to, subject, text, sentAt: new Date().toISOString() };
+
+    if (this.file) {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`📨 [${channel}] to ${to}: ${subject || ''}\n${text}`);
+    }
+
+    return { messageId };
+  }
+}
+
+module.exports = OutboxTransport;
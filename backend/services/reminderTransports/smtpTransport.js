@@ -0,0 +1,41 @@
+/**
+ * SMTP reminder transport
+ * Sends Email reminders through any SMTP server via nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  /**
+   * @param {object} [options] - { host, port, secure, user, pass, from }; defaults come from SMTP_* env vars
+   */
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.from = options.from || process.env.REMINDER_FROM_EMAIL || 'reservations@nautibouys.com';
+
+    const port = Number(options.port || process.env.SMTP_PORT || 587);
+    const user = options.user || process.env.SMTP_USER;
+
+    this.mailer = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST,
+      port,
+      secure: options.secure ?? (process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465),
+      auth: user ? { user, pass: options.pass || process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  supports(channel) {
+    return channel === 'Email';
+  }
+
+  /**
+   * @param {object} message - { channel, to, subject, text }
+   * @returns {Promise<object>} { messageId }
+   */
+  async send({ to, subject, text }) {
+    const info = await this.mailer.sendMail({ from: this.from, to, subject, text });
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
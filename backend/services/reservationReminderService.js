@@ -0,0 +1,248 @@
+/**
+ * Reservation Reminder Service
+ * Schedules default reminders when a reservation is approved and dispatches due reminders
+ * through a pluggable transport (see ./reminderTransports)
+ */
+
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const { createTransport } = require('./reminderTransports');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 5;
+const MAX_ATTEMPTS = 3;
+
+const parseOffsets = (value) => String(value)
+  .split(',')
+  .map(Number)
+  .filter(hours => Number.isFinite(hours) && hours > 0);
+
+class ReservationReminderService {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   * @param {object} [options.transport] - Reminder transport; created from REMINDER_TRANSPORT when omitted
+   */
+  constructor({ clock = () => new Date(), transport = null } = {}) {
+    this.clock = clock;
+    this.transport = transport;
+    this.offsetsHours = parseOffsets(process.env.RESERVATION_REMINDER_OFFSETS || '48,3');
+    this.timer = null;
+    this.isDispatching = false;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Channels a patron has opted into
+   * @param {object} [patron] - User with preferences
+   * @returns {Array<string>} Reminder types
+   */
+  getChannels(patron) {
+    const notifications = patron?.preferences?.notifications || {};
+    const channels = [];
+    if (notifications.email !== false) channels.push('Email');
+    if (notifications.sms === true) channels.push('SMS');
+    return channels;
+  }
+
+  /**
+   * Replace unsent automatic reminders with fresh ones relative to startTime
+   * Reminders whose time has already passed are not created
+   * @param {object} reservation - Reservation document
+   * @param {object} [patron] - Patron with preferences; loaded when omitted
+   * @returns {Promise<Array>} Reminders created
+   */
+  async scheduleDefaultReminders(reservation, patron) {
+    const now = this.clock();
+    const user = patron || await User.findById(reservation.patronId).select('preferences').lean();
+
+    reservation.reminders = reservation.reminders.filter(reminder => !reminder.automatic || reminder.sent);
+
+    const created = [];
+    this.getChannels(user).forEach(type => {
+      this.offsetsHours.forEach(hours => {
+        const scheduledFor = new Date(reservation.startTime.getTime() - hours * HOUR_MS);
+        if (scheduledFor <= now) return;
+
+        reservation.reminders.push({ type, scheduledFor, automatic: true });
+        created.push(reservation.reminders[reservation.reminders.length - 1]);
+      });
+    });
+
+    await reservation.save();
+    return created;
+  }
+
+  /**
+   * Drop automatic reminders that have not gone out yet (e.g. after a cancellation)
+   * @param {object} reservation - Reservation document
+   * @returns {Promise<number>} Number of reminders removed
+   */
+  async clearPendingReminders(reservation) {
+    const before = reservation.reminders.length;
+    reservation.reminders = reservation.reminders.filter(reminder => !reminder.automatic || reminder.sent);
+    const removed = before - reservation.reminders.length;
+    if (removed) await reservation.save();
+    return removed;
+  }
+
+  /**
+   * Reminder subject and text
+   * @param {object} reservation - Reservation
+   * @returns {object} { subject, text }
+   */
+  buildMessage(reservation) {
+    const when = reservation.startTime.toLocaleString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+    const name = reservation.patronId?.fullName ? `Hi ${reservation.patronId.fullName}, ` : '';
+    const seating = reservation.allocation?.areaName ? ` in the ${reservation.allocation.areaName}` : '';
+
+    return {
+      subject: `Reminder: ${reservation.eventTitle} on ${when}`,
+      text: `${name}this is a reminder of your reservation "${reservation.eventTitle}" at Nauti Bouys on ${when} ` +
+        `for ${reservation.guestCount} guest(s)${seating}. Reply or call us if your plans change.`
+    };
+  }
+
+  /**
+   * Send one reminder, respecting the patron's current opt-outs
+   * @param {object} reservation - Reservation document with patronId populated
+   * @param {object} reminder - Reminder subdocument
+   * @param {Date} now - Reference time
+   * @returns {Promise<string>} 'sent', 'skipped' or 'failed'
+   */
+  async deliver(reservation, reminder, now) {
+    const skip = (reason) => {
+      reminder.skippedAt = now;
+      reminder.skipReason = reason;
+      return 'skipped';
+    };
+
+    const patron = reservation.patronId;
+    if (['Email', 'SMS'].includes(reminder.type) && !this.getChannels(patron).includes(reminder.type)) {
+      return skip(`Patron opted out of ${reminder.type} notifications`);
+    }
+
+    const transport = this.getTransport();
+    if (!transport.supports(reminder.type)) {
+      return skip(`${transport.name} transport cannot deliver ${reminder.type} reminders`);
+    }
+
+    const to = reminder.type === 'Email'
+      ? reservation.contactInfo?.email || patron?.email
+      : reservation.contactInfo?.phone || patron?.mobileNumber;
+    if (!to) {
+      return skip(`No ${reminder.type === 'Email' ? 'email address' : 'phone number'} on file`);
+    }
+
+    const { subject, text } = this.buildMessage(reservation);
+    reminder.attempts = (reminder.attempts || 0) + 1;
+
+    try {
+      await transport.send({ channel: reminder.type, to, subject, text: reminder.message || text });
+      reminder.sent = true;
+      reminder.sentAt = now;
+      reminder.message = reminder.message || text;
+      reminder.lastError = undefined;
+      return 'sent';
+    } catch (error) {
+      reminder.lastError = error.message;
+      if (reminder.attempts >= MAX_ATTEMPTS) {
+        return skip(`Gave up after ${reminder.attempts} attempts`);
+      }
+      return 'failed';
+    }
+  }
+
+  /**
+   * Send every reminder that is due for an approved, upcoming reservation
+   * @returns {Promise<object|null>} Totals, or null if a dispatch was already running
+   */
+  async dispatchDue() {
+    if (this.isDispatching) return null;
+    this.isDispatching = true;
+
+    const now = this.clock();
+    const totals = { sent: 0, skipped: 0, failed: 0 };
+
+    try {
+      const reservations = await Reservation.find({
+        status: 'Approved',
+        startTime: { $gt: now },
+        reminders: { $elemMatch: { sent: false, skippedAt: null, scheduledFor: { $lte: now } } }
+      }).populate('patronId', 'fullName email mobileNumber preferences');
+
+      for (const reservation of reservations) {
+        const due = reservation.reminders.filter(reminder =>
+          !reminder.sent && !reminder.skippedAt && reminder.scheduledFor <= now
+        );
+
+        for (const reminder of due) {
+          const outcome = await this.deliver(reservation, reminder, now);
+          totals[outcome] += 1;
+        }
+
+        await reservation.save();
+      }
+
+      return totals;
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  /**
+   * Dispatch on an interval; RESERVATION_REMINDER_INTERVAL_MINUTES=0 disables it
+   * @param {object} [options] - { intervalMinutes, transport, clock }
+   * @returns {boolean} Whether the scheduler was started
+   */
+  start(options = {}) {
+    const configured = options.intervalMinutes ?? process.env.RESERVATION_REMINDER_INTERVAL_MINUTES;
+    const intervalMinutes = configured === undefined || configured === ''
+      ? DEFAULT_INTERVAL_MINUTES
+      : Number(configured);
+
+    if (options.transport) this.transport = options.transport;
+    if (options.clock) this.clock = options.clock;
+
+    this.stop();
+
+    if (!Number.isFinite(intervalMinutes) || intervalMinutes <= 0) {
+      console.log('⏸️  Reservation reminders disabled');
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.dispatchDue().catch(error => console.error('Reservation reminder dispatch error:', error));
+    }, intervalMinutes * 60 * 1000);
+
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`⏰ Reservation reminders checked every ${intervalMinutes} minute(s) via ${this.getTransport().name}`);
+    return true;
+  }
+
+  /**
+   * Stop the interval, if running
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new ReservationReminderService();
+module.exports.ReservationReminderService = ReservationReminderService;
@@ -0,0 +1,68 @@
+/**
+ * Sentence Chunker
+ * Collects streamed model text and hands back whole sentences as soon as they end, so the
+ * avatar can start speaking the first sentence while the rest of the reply is still arriving
+ */
+
+// Words whose trailing period does not end a sentence
+const ABBREVIATIONS = ['mr', 'mrs', 'ms', 'dr', 'st', 'jr', 'sr', 'vs', 'etc', 'approx', 'oz', 'no', 'e.g', 'i.e'];
+
+// Sentence punctuation (plus closing quotes or brackets) followed by whitespace
+const BOUNDARY = /[.!?]+["')\]]*(?=\s)|\n{2,}/g;
+
+class SentenceChunker {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.minLength] - Shorter fragments are held and joined to the next sentence
+   */
+  constructor({ minLength = 12 } = {}) {
+    this.minLength = minLength;
+    this.buffer = '';
+  }
+
+  isAbbreviation(text, end) {
+    const word = text.slice(0, end).match(/(\S+)\.$/);
+    if (!word) return false;
+    const token = word[1].toLowerCase().replace(/^["'(]/, '');
+    // Initials ("J. R.") and numbers ("3.") read the same way
+    return ABBREVIATIONS.includes(token) || /^[a-z]$/.test(token) || /^\d+$/.test(token);
+  }
+
+  /**
+   * Add streamed text
+   * @param {string} text
+   * @returns {Array<string>} Sentences completed by this text, trimmed
+   */
+  push(text) {
+    this.buffer += text || '';
+    const sentences = [];
+    let start = 0;
+
+    BOUNDARY.lastIndex = 0;
+    for (let match = BOUNDARY.exec(this.buffer); match; match = BOUNDARY.exec(this.buffer)) {
+      const end = match.index + match[0].length;
+      if (match[0].startsWith('.') && match[0].length === 1 && this.isAbbreviation(this.buffer, end)) continue;
+
+      const sentence = this.buffer.slice(start, end).trim();
+      if (sentence.length < this.minLength) continue;
+
+      sentences.push(sentence);
+      start = end;
+    }
+
+    this.buffer = this.buffer.slice(start);
+    return sentences;
+  }
+
+  /**
+   * End of stream: whatever is left is the last sentence
+   * @returns {Array<string>}
+   */
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    return rest ? [rest] : [];
+  }
+}
+
+module.exports = SentenceChunker;
@@ -0,0 +1,399 @@
+/**
+ * Responsible Service Ledger
+ * Records what each patron is served per visit, converts it to standard drinks and a
+ * Widmark blood-alcohol estimate, and flags patrons to staff as thresholds are crossed
+ */
+
+const mongoose = require('mongoose');
+const ServiceLedger = require('../models/ServiceLedger');
+const User = require('../models/User');
+const Spirit = require('../models/Spirit');
+const Wine = require('../models/Wine');
+const Beer = require('../models/Beer');
+const Cocktail = require('../models/Cocktail');
+const Mocktail = require('../models/Mocktail');
+const OtherNonAlcoholic = require('../models/OtherNonAlcoholic');
+const defaultNotificationManager = require('./notificationManager');
+const { ML_PER_OZ, toMilliliters, roundQuantity } = require('./unitConversion');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ETHANOL_DENSITY = 0.789; // g/ml
+const STANDARD_DRINK_GRAMS = 14; // US standard drink
+const ELIMINATION_PER_HOUR = 0.015; // BAC % points
+const DRINKS_ELIMINATED_PER_HOUR = 1;
+
+// Widmark body water ratio
+const WIDMARK_R = { male: 0.68, female: 0.55, unspecified: 0.615 };
+
+const BEVERAGE_MODELS = { Spirit, Wine, Beer, Cocktail, Mocktail, OtherNonAlcoholic };
+const NON_ALCOHOLIC_TYPES = ['Mocktail', 'OtherNonAlcoholic'];
+
+// Pour used when staff don't give a volume
+const DEFAULT_POUR_ML = {
+  Spirit: 1.5 * ML_PER_OZ,
+  Wine: 5 * ML_PER_OZ,
+  Beer: 12 * ML_PER_OZ,
+  Cocktail: 4 * ML_PER_OZ,
+  Mocktail: 8 * ML_PER_OZ,
+  OtherNonAlcoholic: 12 * ML_PER_OZ
+};
+const DRAFT_POUR_ML = 16 * ML_PER_OZ;
+
+const LEVEL_RANK = { ok: 0, caution: 1, cutoff: 2 };
+
+class ServiceLedgerService {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   * @param {object} [options.notificationManager] - Staff NotificationManager (addNotification)
+   */
+  constructor({ clock = () => new Date(), notificationManager = defaultNotificationManager } = {}) {
+    this.clock = clock;
+    this.notificationManager = notificationManager;
+    // A gap this long between servings starts a new visit
+    this.visitGapHours = Number(process.env.SERVICE_VISIT_GAP_HOURS || 4);
+  }
+
+  /**
+   * Thresholds, from SERVICE_* environment variables
+   * BAC thresholds apply when the patron's profile has a weight; drink thresholds otherwise
+   * @returns {object} { caution: { bac, drinks }, cutoff: { bac, drinks } }
+   */
+  getThresholds() {
+    return {
+      caution: {
+        bac: Number(process.env.SERVICE_CAUTION_BAC || 0.05),
+        drinks: Number(process.env.SERVICE_CAUTION_DRINKS || 3)
+      },
+      cutoff: {
+        bac: Number(process.env.SERVICE_CUTOFF_BAC || 0.08),
+        drinks: Number(process.env.SERVICE_CUTOFF_DRINKS || 5)
+      }
+    };
+  }
+
+  /**
+   * Standard drinks in a pour
+   * @param {number} volumeMl - Pour volume
+   * @param {number} abv - Alcohol by volume, percent
+   * @returns {number} Standard drinks
+   */
+  calculateStandardDrinks(volumeMl, abv) {
+    return roundQuantity((volumeMl * (abv / 100) * ETHANOL_DENSITY) / STANDARD_DRINK_GRAMS);
+  }
+
+  /**
+   * Work out name, ABV and pour volume for a menu item
+   * @param {string} itemType - ServiceLedger item type
+   * @param {string} itemId - Beverage ID
+   * @param {number} [volumeMl] - Pour volume, when staff give one
+   * @returns {Promise<object|null>} { itemType, itemId, name, abv, volumeMl }, or null when not found
+   */
+  async resolveServing(itemType, itemId, volumeMl) {
+    const Model = BEVERAGE_MODELS[itemType];
+    if (!Model || !mongoose.Types.ObjectId.isValid(itemId)) return null;
+
+    const item = await Model.findById(itemId).lean();
+    if (!item) return null;
+
+    let abv = 0;
+    let defaultVolume = DEFAULT_POUR_ML[itemType];
+    if (itemType === 'Cocktail') {
+      abv = item.alcoholContent || 0;
+      // Liquid ingredients make up the glass
+      const recipeMl = (item.ingredients || [])
+        .map(ingredient => toMilliliters(ingredient.amount, ingredient.unit))
+        .filter(ml => ml !== null)
+        .reduce((sum, ml) => sum + ml, 0);
+      if (recipeMl > 0) defaultVolume = recipeMl;
+    } else if (!NON_ALCOHOLIC_TYPES.includes(itemType)) {
+      abv = item.abv || 0;
+      if (itemType === 'Beer' && item.serveType === 'On Tap') defaultVolume = DRAFT_POUR_ML;
+    }
+
+    return {
+      itemType,
+      itemId: item._id,
+      name: itemType === 'Spirit' && item.brand ? `${item.brand} ${item.name}` : item.name,
+      abv,
+      volumeMl: roundQuantity(volumeMl || defaultVolume)
+    };
+  }
+
+  /**
+   * The patron's current visit; a visit with no serving within the gap is closed
+   * @param {string} patronId - Patron user ID
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<object|null>} Open ledger, or null
+   */
+  async getOpenVisit(patronId, now = this.clock()) {
+    const ledger = await ServiceLedger.findOne({ patron: patronId, status: 'open' }).sort({ openedAt: -1 });
+    if (!ledger) return null;
+
+    const lastActivity = ledger.lastServedAt || ledger.openedAt;
+    if (now.getTime() - lastActivity.getTime() > this.visitGapHours * HOUR_MS) {
+      ledger.status = 'closed';
+      ledger.closedAt = lastActivity;
+      await ledger.save();
+      return null;
+    }
+
+    return ledger;
+  }
+
+  /**
+   * Replay the visit's servings: each adds to the total, and the body eliminates
+   * alcohol at a steady rate between servings and up to now
+   * @param {Array} entries - Ledger entries
+   * @param {object} [profile] - { weightKg, sex } from the patron's profile
+   * @param {Date} [now] - Reference time
+   * @returns {object} { standardDrinks, effectiveDrinks, bac, basis }
+   */
+  estimate(entries, profile = {}, now = this.clock()) {
+    const served = entries
+      .filter(entry => !entry.voided)
+      .sort((a, b) => new Date(a.servedAt) - new Date(b.servedAt));
+
+    const weightKg = profile.weightKg > 0 ? profile.weightKg : null;
+    const r = WIDMARK_R[profile.sex] || WIDMARK_R.unspecified;
+
+    let standardDrinks = 0;
+    let effectiveDrinks = 0;
+    let bac = 0;
+    let last = null;
+
+    const eliminate = (until) => {
+      if (!last) return;
+      const hours = Math.max(0, (until - last) / HOUR_MS);
+      effectiveDrinks = Math.max(0, effectiveDrinks - DRINKS_ELIMINATED_PER_HOUR * hours);
+      bac = Math.max(0, bac - ELIMINATION_PER_HOUR * hours);
+    };
+
+    served.forEach(entry => {
+      const servedAt = new Date(entry.servedAt);
+      eliminate(servedAt);
+
+      standardDrinks += entry.standardDrinks;
+      effectiveDrinks += entry.standardDrinks;
+      if (weightKg) {
+        const grams = entry.standardDrinks * STANDARD_DRINK_GRAMS;
+        bac += (grams / (r * weightKg * 1000)) * 100;
+      }
+      last = servedAt;
+    });
+    eliminate(now);
+
+    return {
+      standardDrinks: roundQuantity(standardDrinks),
+      effectiveDrinks: roundQuantity(effectiveDrinks),
+      bac: weightKg ? Math.round(bac * 1000) / 1000 : null,
+      basis: weightKg ? 'bac' : 'drinks'
+    };
+  }
+
+  /**
+   * Level for an estimate: BAC when known, otherwise drinks still in the system
+   * @param {object} estimate - From estimate()
+   * @returns {string} 'ok', 'caution' or 'cutoff'
+   */
+  getLevel(estimate) {
+    const thresholds = this.getThresholds();
+    const value = estimate.basis === 'bac' ? estimate.bac : estimate.effectiveDrinks;
+    const key = estimate.basis === 'bac' ? 'bac' : 'drinks';
+
+    if (value >= thresholds.cutoff[key]) return 'cutoff';
+    if (value >= thresholds.caution[key]) return 'caution';
+    return 'ok';
+  }
+
+  /**
+   * Estimate, level and guidance for a visit
+   * A cutoff holds for the rest of the visit even as the estimate falls
+   */
+  summarize(ledger, profile, now = this.clock()) {
+    const estimate = this.estimate(ledger ? ledger.entries : [], profile, now);
+    const level = this.getLevel(estimate);
+    const flaggedLevel = ledger?.flag?.level || 'ok';
+    const steerToNonAlcoholic = level !== 'ok' || flaggedLevel === 'cutoff';
+
+    return {
+      ...estimate,
+      level,
+      flaggedLevel,
+      steerToNonAlcoholic,
+      thresholds: this.getThresholds()
+    };
+  }
+
+  /**
+   * Record items served to a patron
+   * @param {string} patronId - Patron user ID
+   * @param {object} serving - { itemType, itemId, volumeMl, quantity }
+   * @param {object} staff - { id } of the server
+   * @returns {Promise<object>} { success, message, code?, ledger, status }
+   */
+  async recordServing(patronId, { itemType, itemId, volumeMl, quantity = 1 }, staff) {
+    const patron = await User.findById(patronId).select('fullName role serviceProfile').lean();
+    if (!patron) {
+      return { success: false, code: 'NOT_FOUND', message: 'Patron not found' };
+    }
+
+    const serving = await this.resolveServing(itemType, itemId, volumeMl);
+    if (!serving) {
+      return { success: false, code: 'NOT_FOUND', message: `${itemType} not found` };
+    }
+
+    const now = this.clock();
+    let ledger = await this.getOpenVisit(patronId, now);
+    if (!ledger) {
+      ledger = new ServiceLedger({ patron: patronId, patronName: patron.fullName, openedAt: now });
+    }
+
+    const standardDrinks = this.calculateStandardDrinks(serving.volumeMl, serving.abv);
+    for (let i = 0; i < quantity; i++) {
+      ledger.entries.push({ ...serving, standardDrinks, servedAt: now, servedBy: staff?.id });
+    }
+    ledger.lastServedAt = now;
+
+    const status = this.summarize(ledger, patron.serviceProfile, now);
+    const raised = LEVEL_RANK[status.level] > LEVEL_RANK[ledger.flag.level];
+    if (raised) {
+      ledger.flag.level = status.level;
+      ledger.flag.raisedAt = now;
+      status.flaggedLevel = status.level;
+    }
+
+    await ledger.save();
+
+    if (raised) {
+      this.notifyStaff(ledger, status);
+    }
+
+    return {
+      success: true,
+      message: `Recorded ${quantity} x ${serving.name}`,
+      ledger,
+      status
+    };
+  }
+
+  /**
+   * Void a mistaken entry; the flag is kept since staff have already been told
+   * @returns {Promise<object>} { success, message, code?, ledger, status }
+   */
+  async voidEntry(patronId, entryId, staff) {
+    const ledger = await this.getOpenVisit(patronId);
+    const entry = ledger?.entries.id(entryId);
+    if (!entry || entry.voided) {
+      return { success: false, code: 'NOT_FOUND', message: 'Served item not found in the current visit' };
+    }
+
+    entry.voided = true;
+    entry.voidedBy = staff?.id;
+    await ledger.save();
+
+    const patron = await User.findById(patronId).select('serviceProfile').lean();
+    return {
+      success: true,
+      message: `Voided ${entry.name}`,
+      ledger,
+      status: this.summarize(ledger, patron?.serviceProfile)
+    };
+  }
+
+  /**
+   * End the patron's visit, e.g. when they close their tab
+   * @returns {Promise<object>} { success, message, code?, ledger }
+   */
+  async closeVisit(patronId, staff) {
+    const ledger = await this.getOpenVisit(patronId);
+    if (!ledger) {
+      return { success: false, code: 'NOT_FOUND', message: 'No open visit for this patron' };
+    }
+
+    ledger.status = 'closed';
+    ledger.closedAt = this.clock();
+    ledger.closedBy = staff?.id;
+    await ledger.save();
+
+    return { success: true, message: 'Visit closed', ledger };
+  }
+
+  /**
+   * Current visit and estimate for a patron
+   * @param {string} patronId - Patron user ID
+   * @returns {Promise<object>} { visit, status }
+   */
+  async getStatus(patronId) {
+    const [ledger, patron] = await Promise.all([
+      this.getOpenVisit(patronId),
+      User.findById(patronId).select('serviceProfile').lean()
+    ]);
+
+    return {
+      visit: ledger,
+      status: this.summarize(ledger, patron?.serviceProfile)
+    };
+  }
+
+  /**
+   * What the IA should do for this patron; never throws so chat keeps working
+   * @param {string} patronId - Patron user ID
+   * @returns {Promise<object>} { level, steerToNonAlcoholic }
+   */
+  async getGuidance(patronId) {
+    try {
+      const { status } = await this.getStatus(patronId);
+      return {
+        level: status.flaggedLevel === 'cutoff' ? 'cutoff' : status.level,
+        steerToNonAlcoholic: status.steerToNonAlcoholic
+      };
+    } catch (error) {
+      console.error('Service guidance error:', error);
+      return { level: 'ok', steerToNonAlcoholic: false };
+    }
+  }
+
+  /**
+   * Open visits that have been flagged, highest level first, for the staff view
+   * @returns {Promise<Array>} [{ visit, status }]
+   */
+  async getFlaggedPatrons() {
+    const since = new Date(this.clock().getTime() - this.visitGapHours * HOUR_MS);
+    const ledgers = await ServiceLedger.find({
+      status: 'open',
+      'flag.level': { $in: ['caution', 'cutoff'] },
+      lastServedAt: { $gte: since }
+    }).populate('patron', 'fullName serviceProfile');
+
+    return ledgers
+      .map(ledger => ({ visit: ledger, status: this.summarize(ledger, ledger.patron?.serviceProfile) }))
+      .sort((a, b) => LEVEL_RANK[b.visit.flag.level] - LEVEL_RANK[a.visit.flag.level]);
+  }
+
+  notifyStaff(ledger, status) {
+    if (!this.notificationManager) return;
+
+    const reading = status.basis === 'bac'
+      ? `estimated BAC ${status.bac.toFixed(3)}%`
+      : `${status.effectiveDrinks.toFixed(1)} standard drinks in the last few hours`;
+
+    this.notificationManager.addNotification({
+      type: `service_${status.level}`,
+      title: status.level === 'cutoff' ? 'Responsible Service: Stop Serving' : 'Responsible Service: Slow Down',
+      message: `${ledger.patronName || 'A patron'} is at ${reading}`,
+      priority: status.level === 'cutoff' ? 'high' : 'medium',
+      audience: ['Owner', 'Bartender'],
+      data: {
+        ledgerId: ledger._id,
+        patronId: ledger.patron,
+        level: status.level,
+        bac: status.bac,
+        standardDrinks: status.standardDrinks
+      }
+    });
+  }
+}
+
+module.exports = new ServiceLedgerService();
+module.exports.ServiceLedgerService = ServiceLedgerService;
@@ -1,73 +1,58 @@
 const mongoose = require('mongoose');
+const Spirit = require('../models/Spirit');
+const SpiritAuthorization = require('../models/SpiritAuthorization');
+const User = require('../models/User');
 
-// In-memory storage for authorization sessions
-// In production, this should be stored in Redis or database
-const authorizationSessions = new Map();
-
-// Authorization schema for tracking ultra shelf approvals
-const authorizationSchema = new mongoose.Schema({
-  sessionId: {
-    type: String,
-    required: true,
-    index: true
-  },
-  spiritId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Spirit',
-    required: true
-  },
-  patronName: {
-    type: String,
-    required: true
-  },
-  authorizedBy: {
-    type: String,
-    default: 'owner'
-  },
-  status: {
-    type: String,
-    enum: ['pending', 'approved', 'denied'],
-    default: 'pending'
-  },
-  requestedAt: {
-    type: Date,
-    default: Date.now
-  },
-  authorizedAt: {
-    type: Date
-  },
-  expiresAt: {
-    type: Date,
-    default: function() {
-      // Default 2-hour expiration
-      return new Date(Date.now() + 2 * 60 * 60 * 1000);
-    }
-  },
-  notes: String
-}, {
-  timestamps: true
-});
-
-const SpiritAuthorization = mongoose.model('SpiritAuthorization', authorizationSchema);
+const APPROVAL_HOURS = 2;
 
 class SpiritsAuthService {
-  
+
+  /**
+   * When tonight's service ends, from VENUE_CLOSING_HOUR (hours past midnight roll into the next day)
+   * @param {Date} [now] - Reference time
+   * @returns {Date} Closing time of the current night
+   */
+  getEndOfNight(now = new Date()) {
+    const closingHour = Number(process.env.VENUE_CLOSING_HOUR || 24);
+    const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const closing = new Date(midnight.getTime() + closingHour * 60 * 60 * 1000);
+
+    // Still inside last night's late hours (e.g. 1am with a 2am close)
+    const previousClosing = new Date(closing.getTime() - 24 * 60 * 60 * 1000);
+    return previousClosing > now ? previousClosing : closing;
+  }
+
+  /**
+   * Find the approval (single-spirit or standing) that lets a patron order a spirit
+   * @param {string} patronId - Patron user ID
+   * @param {object|string} spiritOrId - Spirit document or ID
+   * @returns {Promise<object|null>} Active authorization, or null
+   */
+  async getActiveAuthorization(patronId, spiritOrId) {
+    const spirit = typeof spiritOrId === 'object' && spiritOrId.type
+      ? spiritOrId
+      : await Spirit.findById(spiritOrId).select('type subType shelf_tier').lean();
+    if (!spirit) return null;
+
+    const authorizations = await SpiritAuthorization.find({
+      patron: patronId,
+      status: 'approved',
+      expiresAt: { $gt: new Date() },
+      $or: [{ kind: 'standing' }, { spiritId: spirit._id }]
+    });
+
+    return authorizations.find(authorization => authorization.covers(spirit)) || null;
+  }
+
   /**
    * Check if a patron is authorized for a specific ultra shelf spirit
-   * @param {string} sessionId - Patron session ID
-   * @param {string} spiritId - Spirit ID to check authorization for
+   * @param {string} patronId - Patron user ID
+   * @param {object|string} spiritOrId - Spirit document or ID to check authorization for
    * @returns {Promise<boolean>} Authorization status
    */
-  async isAuthorizedForSpirit(sessionId, spiritId) {
+  async isAuthorizedForSpirit(patronId, spiritOrId) {
     try {
-      const authorization = await SpiritAuthorization.findOne({
-        sessionId,
-        spiritId,
-        status: 'approved',
-        expiresAt: { $gt: new Date() }
-      });
-      
-      return !!authorization;
+      return !!(await this.getActiveAuthorization(patronId, spiritOrId));
     } catch (error) {
       console.error('Error checking spirit authorization:', error);
       return false;
@@ -76,38 +61,48 @@ class SpiritsAuthService {
 
   /**
    * Request authorization for an ultra shelf spirit
-   * @param {string} sessionId - Patron session ID
+   * @param {object} patron - Authenticated user ({ id, fullName })
    * @param {string} spiritId - Spirit ID requesting authorization for
-   * @param {string} patronName - Name of the patron making the request
+   * @param {string} [message] - Optional note to the owner
    * @returns {Promise<object>} Request result
    */
-  async requestUltraShelfAuthorization(sessionId, spiritId, patronName) {
+  async requestUltraShelfAuthorization(patron, spiritId, message = '') {
     try {
-      // Check if there's already a pending or approved request
-      const existingAuth = await SpiritAuthorization.findOne({
-        sessionId,
+      const spirit = await Spirit.findById(spiritId).select('type subType shelf_tier').lean();
+      if (spirit) {
+        const existingApproval = await this.getActiveAuthorization(patron.id, spirit);
+        if (existingApproval) {
+          return {
+            success: false,
+            message: 'Already authorized for this spirit',
+            authorization: existingApproval
+          };
+        }
+      }
+
+      const pending = await SpiritAuthorization.findOne({
+        patron: patron.id,
         spiritId,
-        status: { $in: ['pending', 'approved'] },
+        status: 'pending',
         expiresAt: { $gt: new Date() }
       });
-
-      if (existingAuth) {
+      if (pending) {
         return {
           success: false,
-          message: existingAuth.status === 'approved' 
-            ? 'Already authorized for this spirit'
-            : 'Authorization request already pending',
-          authorization: existingAuth
+          message: 'Authorization request already pending',
+          authorization: pending
         };
       }
 
-      // Create new authorization request
       const authorization = new SpiritAuthorization({
-        sessionId,
+        patron: patron.id,
+        patronName: patron.fullName,
+        kind: 'request',
         spiritId,
-        patronName,
+        message,
         status: 'pending'
       });
+      authorization.record('requested', patron, message);
 
       await authorization.save();
 
@@ -131,15 +126,17 @@ class SpiritsAuthService {
    * @param {string} requestId - Authorization request ID
    * @param {boolean} approved - Whether to approve or deny
    * @param {string} notes - Optional notes from owner
+   * @param {object} owner - Owner making the decision ({ id, fullName })
    * @returns {Promise<object>} Authorization result
    */
-  async authorizeUltraShelfRequest(requestId, approved, notes = '') {
+  async authorizeUltraShelfRequest(requestId, approved, notes = '', owner = null) {
     try {
       const authorization = await SpiritAuthorization.findById(requestId);
-      
+
       if (!authorization) {
         return {
           success: false,
+          code: 'NOT_FOUND',
           message: 'Authorization request not found'
         };
       }
@@ -152,12 +149,14 @@ class SpiritsAuthService {
       }
 
       authorization.status = approved ? 'approved' : 'denied';
+      authorization.authorizedBy = owner ? owner.id : undefined;
       authorization.authorizedAt = new Date();
       authorization.notes = notes;
+      authorization.record(approved ? 'approved' : 'denied', owner, notes);
 
       // If approved, extend expiration time
       if (approved) {
-        authorization.expiresAt = new Date(Date.now() + 2 * 60 * 60 * 1000); // 2 hours
+        authorization.expiresAt = new Date(Date.now() + APPROVAL_HOURS * 60 * 60 * 1000);
       }
 
       await authorization.save();
@@ -177,21 +176,121 @@ class SpiritsAuthService {
   }
 
   /**
-   * Get all current authorizations for a session
-   * @param {string} sessionId - Session ID
+   * Grant a patron standing approval for a category of ultra shelf spirits
+   * ("approved for all ultra bourbons tonight"); pending requests it covers are approved with it
+   * @param {string} patronId - Patron user ID
+   * @param {object} options - { spiritType, subType, expiresAt, notes }
+   * @param {object} owner - Owner granting it ({ id, fullName })
+   * @returns {Promise<object>} Grant result
+   */
+  async grantStandingApproval(patronId, { spiritType, subType, expiresAt, notes = '' } = {}, owner = null) {
+    try {
+      const patron = await User.findById(patronId).select('fullName role').lean();
+      if (!patron) {
+        return {
+          success: false,
+          code: 'NOT_FOUND',
+          message: 'Patron not found'
+        };
+      }
+
+      const expiry = expiresAt ? new Date(expiresAt) : this.getEndOfNight();
+      if (expiry <= new Date()) {
+        return {
+          success: false,
+          message: 'Standing approval must expire in the future'
+        };
+      }
+
+      const authorization = new SpiritAuthorization({
+        patron: patron._id,
+        patronName: patron.fullName,
+        kind: 'standing',
+        scope: { spiritType, subType },
+        status: 'approved',
+        authorizedBy: owner ? owner.id : undefined,
+        authorizedAt: new Date(),
+        expiresAt: expiry,
+        notes
+      });
+      authorization.record('granted', owner, notes || this.describeScope(authorization.scope));
+      await authorization.save();
+
+      // Settle any pending requests this approval already covers
+      const pending = await SpiritAuthorization.find({ patron: patron._id, kind: 'request', status: 'pending' })
+        .populate('spiritId', 'type subType');
+      const settled = [];
+      for (const request of pending) {
+        if (!request.spiritId || !authorization.covers(request.spiritId)) continue;
+        request.status = 'approved';
+        request.authorizedBy = authorization.authorizedBy;
+        request.authorizedAt = new Date();
+        request.expiresAt = expiry;
+        request.record('approved', owner, 'Covered by standing approval');
+        await request.save();
+        settled.push(request._id);
+      }
+
+      return {
+        success: true,
+        message: `Standing approval granted for ${this.describeScope(authorization.scope)}`,
+        authorization,
+        settledRequests: settled
+      };
+    } catch (error) {
+      console.error('Error granting standing approval:', error);
+      return {
+        success: false,
+        message: 'Failed to grant standing approval'
+      };
+    }
+  }
+
+  /**
+   * Human-readable scope of a standing approval
+   * @param {object} scope - { spiritType, subType }
+   * @returns {string} e.g. "all ultra shelf Bourbon"
+   */
+  describeScope(scope = {}) {
+    const category = scope.subType || scope.spiritType;
+    return category ? `all ultra shelf ${category}` : 'the entire ultra shelf';
+  }
+
+  /**
+   * Get a patron's current authorizations, single-spirit and standing
+   * @param {string} patronId - Patron user ID
    * @returns {Promise<Array>} List of active authorizations
    */
-  async getSessionAuthorizations(sessionId) {
+  async getPatronAuthorizations(patronId) {
     try {
       const authorizations = await SpiritAuthorization.find({
-        sessionId,
+        patron: patronId,
         status: 'approved',
         expiresAt: { $gt: new Date() }
-      }).populate('spiritId', 'name brand shelf_tier');
+      }).populate('spiritId', 'name brand shelf_tier')
+        .sort({ authorizedAt: -1 });
 
       return authorizations;
     } catch (error) {
-      console.error('Error fetching session authorizations:', error);
+      console.error('Error fetching patron authorizations:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get every active authorization for owner review
+   * @returns {Promise<Array>} List of active authorizations
+   */
+  async getActiveAuthorizations() {
+    try {
+      return await SpiritAuthorization.find({
+        status: 'approved',
+        expiresAt: { $gt: new Date() }
+      }).populate('spiritId', 'name brand type subType shelf_tier')
+        .populate('authorizedBy', 'fullName')
+        .sort({ authorizedAt: -1 });
+    } catch (error) {
+      console.error('Error fetching active authorizations:', error);
       return [];
     }
   }
@@ -216,16 +315,21 @@ class SpiritsAuthService {
   }
 
   /**
-   * Clean up expired authorizations
-   * @returns {Promise<number>} Number of cleaned up records
+   * Mark lapsed requests and approvals as expired; records are kept for the audit trail
+   * @returns {Promise<number>} Number of records expired
    */
   async cleanupExpiredAuthorizations() {
     try {
-      const result = await SpiritAuthorization.deleteMany({
-        expiresAt: { $lt: new Date() }
+      const now = new Date();
+      const result = await SpiritAuthorization.updateMany({
+        status: { $in: ['pending', 'approved'] },
+        expiresAt: { $lt: now }
+      }, {
+        $set: { status: 'expired' },
+        $push: { history: { action: 'expired', actorName: 'System', timestamp: now } }
       });
 
-      return result.deletedCount;
+      return result.modifiedCount;
     } catch (error) {
       console.error('Error cleaning up expired authorizations:', error);
       return 0;
@@ -237,22 +341,22 @@ class SpiritsAuthService {
    * @returns {Promise<object>} Authorization statistics
    */
   async getAuthorizationStats() {
+    const empty = { pending: 0, approved: 0, denied: 0, revoked: 0, expired: 0, total: 0, activeStanding: 0 };
+
     try {
-      const stats = await SpiritAuthorization.aggregate([
-        {
-          $group: {
-            _id: '$status',
-            count: { $sum: 1 }
+      const [stats, activeStanding] = await Promise.all([
+        SpiritAuthorization.aggregate([
+          {
+            $group: {
+              _id: '$status',
+              count: { $sum: 1 }
+            }
           }
-        }
+        ]),
+        SpiritAuthorization.countDocuments({ kind: 'standing', status: 'approved', expiresAt: { $gt: new Date() } })
       ]);
 
-      const result = {
-        pending: 0,
-        approved: 0,
-        denied: 0,
-        total: 0
-      };
+      const result = { ...empty, activeStanding };
 
       stats.forEach(stat => {
         result[stat._id] = stat.count;
@@ -262,34 +366,75 @@ class SpiritsAuthService {
       return result;
     } catch (error) {
       console.error('Error fetching authorization stats:', error);
-      return { pending: 0, approved: 0, denied: 0, total: 0 };
+      return empty;
     }
   }
 
   /**
-   * Revoke authorization for a specific spirit
-   * @param {string} sessionId - Session ID
-   * @param {string} spiritId - Spirit ID to revoke
-   * @returns {Promise<boolean>} Success status
+   * Revoke an authorization, by ID or by patron and spirit
+   * @param {object} target - { authorizationId } or { patronId, spiritId }
+   * @param {object} owner - Owner revoking it ({ id, fullName })
+   * @param {string} [reason] - Why access was withdrawn
+   * @returns {Promise<number>} Number of authorizations revoked
    */
-  async revokeAuthorization(sessionId, spiritId) {
+  async revokeAuthorization({ authorizationId, patronId, spiritId }, owner = null, reason = '') {
     try {
-      const result = await SpiritAuthorization.updateMany({
-        sessionId,
-        spiritId,
-        status: 'approved'
-      }, {
-        status: 'denied',
-        authorizedAt: new Date(),
-        notes: 'Authorization revoked'
-      });
+      const query = { status: 'approved', expiresAt: { $gt: new Date() } };
+      if (authorizationId) {
+        query._id = authorizationId;
+      } else {
+        query.patron = patronId;
+        query.spiritId = spiritId;
+      }
 
-      return result.modifiedCount > 0;
+      const authorizations = await SpiritAuthorization.find(query);
+      for (const authorization of authorizations) {
+        authorization.status = 'revoked';
+        authorization.notes = reason || 'Authorization revoked';
+        authorization.record('revoked', owner, reason);
+        await authorization.save();
+      }
+
+      return authorizations.length;
     } catch (error) {
       console.error('Error revoking authorization:', error);
-      return false;
+      return 0;
     }
   }
+
+  /**
+   * Who approved, denied, granted or revoked what and when, newest first
+   * @param {object} [filters] - { patronId, limit }
+   * @returns {Promise<Array>} Audit entries
+   */
+  async getAuditTrail({ patronId, limit = 100 } = {}) {
+    const match = patronId ? { patron: new mongoose.Types.ObjectId(patronId) } : {};
+
+    const entries = await SpiritAuthorization.aggregate([
+      { $match: match },
+      { $unwind: '$history' },
+      { $sort: { 'history.timestamp': -1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          authorizationId: '$_id',
+          kind: 1,
+          patron: 1,
+          patronName: 1,
+          spiritId: 1,
+          scope: 1,
+          action: '$history.action',
+          actor: '$history.actor',
+          actorName: '$history.actorName',
+          note: '$history.note',
+          timestamp: '$history.timestamp'
+        }
+      }
+    ]);
+
+    return SpiritAuthorization.populate(entries, { path: 'spiritId', select: 'name brand', model: 'Spirit' });
+  }
 }
 
-module.exports = new SpiritsAuthService();
\ No newline at end of file
+module.exports = new SpiritsAuthService();
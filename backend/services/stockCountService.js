@@ -0,0 +1,238 @@
+/**
+ * Stock Count Service
+ * Cycle count sessions per location section with variance posting and reporting
+ */
+
+const Inventory = require('../models/Inventory');
+const StockCount = require('../models/StockCount');
+const { roundQuantity } = require('./unitConversion');
+const { runInTransaction } = require('./transactionRunner');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class StockCountService {
+
+  /**
+   * Open a count for a section, snapshotting every item currently stored there
+   * @param {string} section - Location section (Bar, Cooler, Wine Cellar...)
+   * @param {string} userId - User opening the count
+   * @param {string} [notes] - Optional notes
+   * @returns {Promise<object>} Result with the new count session
+   */
+  async openCount(section, userId, notes = '') {
+    const existing = await StockCount.findOne({ section, status: 'Open' });
+    if (existing) {
+      return {
+        success: false,
+        message: `A count is already open for ${section}`,
+        stockCount: existing
+      };
+    }
+
+    const items = await Inventory.find({ 'location.section': section })
+      .select('itemName unit quantity cost')
+      .sort({ itemName: 1 })
+      .lean();
+
+    if (items.length === 0) {
+      return { success: false, message: `No inventory items are stored in ${section}` };
+    }
+
+    const stockCount = new StockCount({
+      section,
+      openedBy: userId,
+      notes,
+      entries: items.map(item => ({
+        inventoryItem: item._id,
+        itemName: item.itemName,
+        unit: item.unit,
+        unitCost: item.cost?.unitCost || 0,
+        systemQuantity: item.quantity
+      }))
+    });
+
+    await stockCount.save();
+
+    return { success: true, message: `Count opened for ${section}`, stockCount };
+  }
+
+  /**
+   * Record counted quantities; partial bottles are allowed as decimals
+   * The system quantity is refreshed at count time so pours made before counting are not variance
+   * @param {string} countId - Count session ID
+   * @param {Array} counts - [{ inventoryItemId, countedQuantity, notes }]
+   * @param {string} userId - User counting
+   * @returns {Promise<object>} Result with the updated count session
+   */
+  async recordCounts(countId, counts, userId) {
+    const stockCount = await StockCount.findById(countId);
+    if (!stockCount) {
+      return { success: false, code: 'NOT_FOUND', message: 'Stock count not found' };
+    }
+
+    if (stockCount.status !== 'Open') {
+      return { success: false, message: 'Stock count is not open' };
+    }
+
+    const entriesByItem = new Map(stockCount.entries.map(entry => [entry.inventoryItem.toString(), entry]));
+    const unknown = counts.filter(count => !entriesByItem.has(String(count.inventoryItemId)));
+    if (unknown.length) {
+      return {
+        success: false,
+        message: `Items not part of this ${stockCount.section} count: ${unknown.map(c => c.inventoryItemId).join(', ')}`
+      };
+    }
+
+    const items = await Inventory.find({ _id: { $in: counts.map(count => count.inventoryItemId) } })
+      .select('quantity')
+      .lean();
+    const currentQuantities = new Map(items.map(item => [item._id.toString(), item.quantity]));
+
+    counts.forEach(count => {
+      const entry = entriesByItem.get(String(count.inventoryItemId));
+      const key = String(count.inventoryItemId);
+      if (currentQuantities.has(key)) {
+        entry.systemQuantity = currentQuantities.get(key);
+      }
+      entry.countedQuantity = roundQuantity(Number(count.countedQuantity));
+      entry.countedBy = userId;
+      entry.countedAt = new Date();
+      if (count.notes !== undefined) entry.notes = count.notes;
+    });
+
+    await stockCount.save();
+
+    return { success: true, message: `Recorded ${counts.length} count(s)`, stockCount };
+  }
+
+  /**
+   * Close a count: post an ADJUSTMENT for every counted item with a variance
+   * Adjustments apply the variance to the live quantity, so movements after counting are kept
+   * @param {string} countId - Count session ID
+   * @param {string} userId - User closing the count
+   * @returns {Promise<object>} Result with the closed count session and uncounted items
+   */
+  async closeCount(countId, userId) {
+    return runInTransaction(async (session) => {
+      const stockCount = await StockCount.findById(countId).session(session);
+      if (!stockCount) {
+        return { success: false, code: 'NOT_FOUND', message: 'Stock count not found' };
+      }
+
+      if (stockCount.status !== 'Open') {
+        return { success: false, message: 'Stock count is not open' };
+      }
+
+      stockCount.recalculateTotals();
+      const reason = `Cycle count ${stockCount.section} ${new Date().toISOString().slice(0, 10)}`;
+      const uncounted = [];
+
+      for (const entry of stockCount.entries) {
+        if (entry.countedQuantity === undefined || entry.countedQuantity === null) {
+          uncounted.push(entry.itemName);
+          continue;
+        }
+        if (!entry.variance) continue;
+
+        const item = await Inventory.findById(entry.inventoryItem).session(session);
+        if (!item) continue;
+
+        const adjustedQuantity = roundQuantity(Math.max(0, item.quantity + entry.variance));
+        const sign = entry.variance > 0 ? '+' : '';
+        await item.addStockMovement(
+          'ADJUSTMENT',
+          adjustedQuantity,
+          reason,
+          userId,
+          `Counted ${entry.countedQuantity}, expected ${entry.systemQuantity} (${sign}${entry.variance} ${entry.unit})`
+        );
+        entry.adjusted = true;
+      }
+
+      stockCount.status = 'Closed';
+      stockCount.closedBy = userId;
+      stockCount.closedAt = new Date();
+      await stockCount.save({ session });
+
+      return {
+        success: true,
+        message: `Count closed for ${stockCount.section}`,
+        stockCount,
+        uncounted
+      };
+    }, 'stock count close');
+  }
+
+  /**
+   * Variance report for a single count, largest losses first
+   * @param {object} stockCount - Count session document
+   * @returns {object} Report
+   */
+  buildReport(stockCount) {
+    const lines = stockCount.entries
+      .filter(entry => entry.countedQuantity !== undefined && entry.countedQuantity !== null)
+      .map(entry => ({
+        inventoryItem: entry.inventoryItem,
+        itemName: entry.itemName,
+        unit: entry.unit,
+        systemQuantity: entry.systemQuantity,
+        countedQuantity: entry.countedQuantity,
+        variance: entry.variance,
+        variancePercent: entry.systemQuantity
+          ? Math.round((entry.variance / entry.systemQuantity) * 1000) / 10
+          : null,
+        unitCost: entry.unitCost,
+        varianceValue: entry.varianceValue,
+        notes: entry.notes
+      }))
+      .sort((a, b) => a.varianceValue - b.varianceValue);
+
+    return {
+      id: stockCount._id,
+      section: stockCount.section,
+      status: stockCount.status,
+      openedAt: stockCount.openedAt,
+      closedAt: stockCount.closedAt,
+      totals: stockCount.totals,
+      lines
+    };
+  }
+
+  /**
+   * Week-over-week variance totals from closed counts
+   * @param {object} [options] - { section, weeks }
+   * @returns {Promise<Array>} One row per closed count, newest first, with change from the previous count
+   */
+  async getVarianceTrend({ section, weeks = 8 } = {}) {
+    const query = {
+      status: 'Closed',
+      closedAt: { $gte: new Date(Date.now() - weeks * 7 * DAY_MS) }
+    };
+    if (section) query.section = section;
+
+    const counts = await StockCount.find(query)
+      .select('section closedAt totals')
+      .sort({ closedAt: 1 })
+      .lean();
+
+    const previousBySection = new Map();
+    const trend = counts.map(count => {
+      const previous = previousBySection.get(count.section);
+      previousBySection.set(count.section, count);
+
+      return {
+        id: count._id,
+        section: count.section,
+        closedAt: count.closedAt,
+        totals: count.totals,
+        changeFromPrevious: previous
+          ? Math.round((count.totals.netVarianceValue - previous.totals.netVarianceValue) * 100) / 100
+          : null
+      };
+    });
+
+    return trend.reverse();
+  }
+}
+
+module.exports = new StockCountService();
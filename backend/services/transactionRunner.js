@@ -0,0 +1,36 @@
+/**
+ * Transaction Runner
+ * Runs multi-document writes in a MongoDB transaction when the deployment supports it
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run a unit of work in a transaction, falling back to a plain run on standalone servers
+ * @param {Function} work - async (session) => result; session is null on the fallback path
+ * @param {string} [label] - Description used in the fallback warning
+ * @returns {Promise<*>} Result of the work function
+ */
+async function runInTransaction(work, label = 'operation') {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    // Standalone MongoDB (no replica set) cannot run transactions
+    if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message || '')) {
+      console.warn(`Transactions unavailable, running ${label} without a transaction`);
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  runInTransaction
+};
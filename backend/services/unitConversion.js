@@ -0,0 +1,174 @@
+/**
+ * Unit Conversion Helpers
+ * Converts recipe measures (oz, dash, splash...) into inventory units (bottles, liters, ml...)
+ */
+
+const ML_PER_OZ = 29.5735;
+
+// Liquid recipe measures expressed in milliliters
+const RECIPE_UNIT_ML = {
+  oz: ML_PER_OZ,
+  ml: 1,
+  dash: ML_PER_OZ / 32,
+  splash: ML_PER_OZ / 4,
+  drop: 0.05,
+  cup: 236.588,
+  tbsp: 14.787,
+  tsp: 4.929
+};
+
+// Recipe measures that are counted rather than poured
+const COUNT_UNITS = ['piece', 'slice', 'wedge', 'sprig'];
+
+// Fixed-volume inventory units expressed in milliliters
+const INVENTORY_UNIT_ML = {
+  ml: 1,
+  oz: ML_PER_OZ,
+  liters: 1000,
+  gallons: 3785.41,
+  shots: 1.5 * ML_PER_OZ
+};
+
+// Fallback container volumes when neither the item nor its beverage states one
+const DEFAULT_CONTAINER_ML = {
+  bottles: 750,
+  cans: 355,
+  kegs: 58674 // US half barrel (15.5 gal)
+};
+
+/**
+ * Parse a recipe amount such as "2", "0.75", "1/2" or "1 1/2"
+ * @param {string|number} amount - Amount as stored on the recipe
+ * @returns {number|null} Numeric amount, or null when it cannot be parsed
+ */
+function parseAmount(amount) {
+  if (typeof amount === 'number') {
+    return Number.isFinite(amount) ? amount : null;
+  }
+  if (typeof amount !== 'string') return null;
+
+  const trimmed = amount.trim();
+  const mixed = trimmed.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) {
+    return parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10);
+  }
+
+  const fraction = trimmed.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    return parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+  }
+
+  const value = parseFloat(trimmed);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parse a bottle size label such as "750ml", "1L" or "1.75 L" into milliliters
+ * @param {string} label - Bottle size label
+ * @returns {number|null} Volume in ml, or null when unrecognised
+ */
+function parseVolumeLabel(label) {
+  if (typeof label !== 'string') return null;
+
+  const match = label.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ml|l|oz)$/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'l':
+      return value * 1000;
+    case 'oz':
+      return value * ML_PER_OZ;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Volume of one container for an inventory item, in ml
+ * @param {object} item - Inventory document (itemId may be populated)
+ * @returns {number|null} Container volume, or null for units that are not containers
+ */
+function getContainerVolume(item) {
+  if (!DEFAULT_CONTAINER_ML[item.unit]) return null;
+
+  if (item.unitVolumeMl) return item.unitVolumeMl;
+
+  const beverageSize = item.itemId && typeof item.itemId === 'object'
+    ? parseVolumeLabel(item.itemId.bottleSize)
+    : null;
+
+  return beverageSize || DEFAULT_CONTAINER_ML[item.unit];
+}
+
+/**
+ * Convert a recipe measure into the unit an inventory item is counted in
+ * @param {string|number} amount - Recipe amount
+ * @param {string} unit - Recipe unit
+ * @param {object} item - Inventory document
+ * @returns {{quantity: number|null, volumeMl: number|null, reason?: string}} Converted quantity
+ */
+function convertToInventoryUnit(amount, unit, item) {
+  const value = parseAmount(amount);
+  if (value === null) {
+    return { quantity: null, volumeMl: null, reason: `Unrecognised amount "${amount}"` };
+  }
+
+  if (COUNT_UNITS.includes(unit)) {
+    if (['pieces', 'servings'].includes(item.unit)) {
+      return { quantity: value, volumeMl: null };
+    }
+    return { quantity: null, volumeMl: null, reason: `Cannot convert ${unit} to ${item.unit}` };
+  }
+
+  const unitMl = RECIPE_UNIT_ML[unit];
+  if (!unitMl) {
+    return { quantity: null, volumeMl: null, reason: `Unknown recipe unit "${unit}"` };
+  }
+
+  const volumeMl = value * unitMl;
+
+  if (INVENTORY_UNIT_ML[item.unit]) {
+    return { quantity: volumeMl / INVENTORY_UNIT_ML[item.unit], volumeMl };
+  }
+
+  const containerMl = getContainerVolume(item);
+  if (containerMl) {
+    return { quantity: volumeMl / containerMl, volumeMl };
+  }
+
+  return { quantity: null, volumeMl, reason: `Cannot convert ${unit} to ${item.unit}` };
+}
+
+/**
+ * Liquid volume of a recipe measure
+ * @param {string|number} amount - Recipe amount
+ * @param {string} unit - Recipe unit
+ * @returns {number|null} Volume in ml, or null for counted or unparseable measures
+ */
+function toMilliliters(amount, unit) {
+  const value = parseAmount(amount);
+  if (value === null || !RECIPE_UNIT_ML[unit]) return null;
+  return value * RECIPE_UNIT_ML[unit];
+}
+
+/**
+ * Round a quantity for storage without accumulating float noise
+ * @param {number} value - Quantity to round
+ * @returns {number} Value rounded to 4 decimal places
+ */
+function roundQuantity(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  ML_PER_OZ,
+  RECIPE_UNIT_ML,
+  COUNT_UNITS,
+  parseAmount,
+  parseVolumeLabel,
+  getContainerVolume,
+  convertToInventoryUnit,
+  toMilliliters,
+  roundQuantity
+};
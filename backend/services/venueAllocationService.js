@@ -0,0 +1,262 @@
+/**
+ * Venue Allocation Service
+ * Seats reservations into venue areas and tables so several parties can book the same evening
+ */
+
+const Reservation = require('../models/Reservation');
+const VenueArea = require('../models/VenueArea');
+const WaitlistEntry = require('../models/WaitlistEntry');
+
+const HOUR_MS = 60 * 60 * 1000;
+const BLOCKING_STATUSES = ['Pending', 'Approved'];
+
+class VenueAllocationService {
+  constructor() {
+    this.defaults = {
+      openingHour: Number(process.env.VENUE_OPENING_HOUR || 11),
+      closingHour: Number(process.env.VENUE_CLOSING_HOUR || 24), // hours past midnight run into the next day
+      slotMinutes: 30,
+      durationHours: 2
+    };
+  }
+
+  /**
+   * Active venue areas in display order
+   * @returns {Promise<Array>} Venue areas
+   */
+  async getActiveAreas() {
+    return VenueArea.find({ isActive: true }).sort({ sortOrder: 1, name: 1 }).lean();
+  }
+
+  /**
+   * Reservations that hold space between two times, plus seats held for open waitlist offers
+   * @param {Date} startTime - Window start
+   * @param {Date} endTime - Window end
+   * @param {object} [exclude] - { reservationId, waitlistEntryId } to leave out (when re-allocating them)
+   * @returns {Promise<Array>} Overlapping reservations and holds
+   */
+  async findOverlapping(startTime, endTime, { reservationId, waitlistEntryId } = {}) {
+    const query = {
+      status: { $in: BLOCKING_STATUSES },
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime }
+    };
+    if (reservationId) query._id = { $ne: reservationId };
+
+    const holdQuery = {
+      status: 'Offered',
+      'offer.expiresAt': { $gt: new Date() },
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime }
+    };
+    if (waitlistEntryId) holdQuery._id = { $ne: waitlistEntryId };
+
+    const [reservations, holds] = await Promise.all([
+      Reservation.find(query)
+        .select('startTime endTime guestCount seatingPreference allocation')
+        .lean(),
+      WaitlistEntry.find(holdQuery)
+        .select('startTime endTime guestCount offer.allocation')
+        .lean()
+    ]);
+
+    return reservations.concat(holds.map(hold => ({
+      _id: hold._id,
+      startTime: hold.startTime,
+      endTime: hold.endTime,
+      guestCount: hold.guestCount,
+      allocation: hold.offer && hold.offer.allocation
+    })));
+  }
+
+  /**
+   * Try to seat a party in one area
+   * @param {object} area - Venue area
+   * @param {Array} booked - Overlapping reservations already allocated to this area
+   * @param {number} guestCount - Party size
+   * @returns {object|null} Allocation with `spareSeats`, or null if the party does not fit
+   */
+  allocateInArea(area, booked, guestCount) {
+    const activeTables = (area.tables || []).filter(table => table.isActive !== false);
+    const toAllocation = (tables, seats) => ({
+      area: area._id,
+      areaName: area.name,
+      areaType: area.areaType,
+      tables: tables.map(table => ({ tableId: table._id, name: table.name, capacity: table.capacity })),
+      seats,
+      spareSeats: seats - guestCount
+    });
+
+    if (area.isExclusive) {
+      if (booked.length > 0 || guestCount > area.capacity) return null;
+      return toAllocation(activeTables, area.capacity);
+    }
+
+    if (activeTables.length === 0) {
+      const seatsTaken = booked.reduce((sum, reservation) =>
+        sum + (reservation.allocation.seats || reservation.guestCount || 0), 0);
+      if (area.capacity - seatsTaken < guestCount) return null;
+      return toAllocation([], guestCount);
+    }
+
+    const taken = new Set();
+    booked.forEach(reservation => {
+      (reservation.allocation.tables || []).forEach(table => taken.add(String(table.tableId)));
+    });
+    const free = activeTables
+      .filter(table => !taken.has(String(table._id)))
+      .sort((a, b) => a.capacity - b.capacity);
+
+    // Smallest single table that fits
+    const single = free.find(table => table.capacity >= guestCount);
+    if (single) return toAllocation([single], single.capacity);
+
+    if (!area.tablesCombinable) return null;
+
+    // Push together the largest free tables until the party fits
+    const combined = [];
+    let seats = 0;
+    for (const table of [...free].reverse()) {
+      combined.push(table);
+      seats += table.capacity;
+      if (seats >= guestCount) return toAllocation(combined, seats);
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the best-fitting area for a party
+   * Exclusive areas (private rooms) are only used when that seating is asked for.
+   * Reservations without an allocation (made before areas were set up) still take up space:
+   * one that asked for an exclusive room's seating holds that room, the rest come out of the
+   * seats shared by the non-exclusive areas
+   * @param {object} params - { areas, reservations, startTime, endTime, guestCount, seatingPreference }
+   * @returns {object|null} Allocation, or null if nothing fits
+   */
+  allocate({ areas, reservations, startTime, endTime, guestCount, seatingPreference = 'No Preference' }) {
+    const concurrent = reservations.filter(reservation =>
+      reservation.startTime < endTime &&
+      reservation.endTime > startTime
+    );
+    const overlapping = concurrent.filter(reservation => reservation.allocation && reservation.allocation.area);
+    const unallocated = concurrent.filter(reservation => !(reservation.allocation && reservation.allocation.area));
+
+    const activeAreas = areas.filter(area => area.isActive !== false);
+    const exclusiveTypes = new Set(activeAreas.filter(area => area.isExclusive).map(area => area.areaType));
+    const heldRooms = unallocated.filter(reservation => exclusiveTypes.has(reservation.seatingPreference));
+    const sharedGuests = unallocated
+      .filter(reservation => !exclusiveTypes.has(reservation.seatingPreference))
+      .reduce((sum, reservation) => sum + (reservation.guestCount || 0), 0);
+
+    // Seats left across the shared areas once the unallocated parties are counted; only
+    // limits anything while such parties overlap
+    let sharedSeatsFree = Infinity;
+    if (sharedGuests > 0) {
+      const sharedAreas = activeAreas.filter(area => !area.isExclusive);
+      const sharedIds = new Set(sharedAreas.map(area => String(area._id)));
+      const capacity = sharedAreas.reduce((sum, area) => sum + (area.capacity || 0), 0);
+      const seated = overlapping
+        .filter(reservation => sharedIds.has(String(reservation.allocation.area)))
+        .reduce((sum, reservation) => sum + (reservation.allocation.seats || reservation.guestCount || 0), 0);
+      sharedSeatsFree = capacity - seated - sharedGuests;
+    }
+
+    const candidates = areas.filter(area => {
+      if (area.isActive === false) return false;
+      if (seatingPreference && seatingPreference !== 'No Preference') {
+        return area.areaType === seatingPreference;
+      }
+      return !area.isExclusive;
+    });
+
+    let best = null;
+    candidates.forEach(area => {
+      const booked = overlapping.filter(reservation => String(reservation.allocation.area) === String(area._id));
+      if (area.isExclusive) {
+        booked.push(...heldRooms.filter(reservation => reservation.seatingPreference === area.areaType));
+      }
+      const option = this.allocateInArea(area, booked, guestCount);
+      if (option && !area.isExclusive && option.seats > sharedSeatsFree) return;
+      if (option && (!best || option.spareSeats < best.spareSeats)) {
+        best = option;
+      }
+    });
+
+    if (!best) return null;
+
+    const { spareSeats, ...allocation } = best;
+    return allocation;
+  }
+
+  /**
+   * Check whether a party can be seated and return the allocation to store
+   * Without any configured venue areas, falls back to one reservation at a time
+   * @param {object} params - { startTime, endTime, guestCount, seatingPreference, excludeId, excludeWaitlistId }
+   * @returns {Promise<object>} { available, allocation, message }
+   */
+  async checkAvailability({ startTime, endTime, guestCount, seatingPreference, excludeId, excludeWaitlistId }) {
+    const [areas, reservations] = await Promise.all([
+      this.getActiveAreas(),
+      this.findOverlapping(startTime, endTime, { reservationId: excludeId, waitlistEntryId: excludeWaitlistId })
+    ]);
+
+    if (areas.length === 0) {
+      return reservations.length === 0
+        ? { available: true, allocation: null }
+        : { available: false, message: 'Time slot conflicts with existing reservation' };
+    }
+
+    const allocation = this.allocate({ areas, reservations, startTime, endTime, guestCount, seatingPreference });
+    if (!allocation) {
+      const seating = seatingPreference && seatingPreference !== 'No Preference' ? ` in ${seatingPreference}` : '';
+      return {
+        available: false,
+        message: `No space available for ${guestCount} guest(s)${seating} at that time`
+      };
+    }
+
+    return { available: true, allocation: { ...allocation, allocatedAt: new Date() } };
+  }
+
+  /**
+   * Open start times on a date for a party
+   * @param {object} params - { date: 'YYYY-MM-DD', guestCount, seatingPreference, durationHours, now }
+   * @returns {Promise<Array>} Open slots with the allocation each would receive
+   */
+  async getOpenSlots({ date, guestCount, seatingPreference = 'No Preference', durationHours, now = new Date() }) {
+    const { openingHour, closingHour, slotMinutes } = this.defaults;
+    const duration = (durationHours || this.defaults.durationHours) * HOUR_MS;
+    const [year, month, day] = date.split('-').map(Number);
+
+    const dayOpen = new Date(year, month - 1, day, openingHour);
+    const dayClose = new Date(year, month - 1, day, closingHour);
+
+    const [areas, reservations] = await Promise.all([
+      this.getActiveAreas(),
+      this.findOverlapping(dayOpen, dayClose)
+    ]);
+
+    const slots = [];
+    for (let start = dayOpen.getTime(); start + duration <= dayClose.getTime(); start += slotMinutes * 60 * 1000) {
+      const startTime = new Date(start);
+      const endTime = new Date(start + duration);
+      if (startTime < now) continue;
+
+      if (areas.length === 0) {
+        const conflict = reservations.some(r => r.startTime < endTime && r.endTime > startTime);
+        if (!conflict) slots.push({ startTime, endTime, allocation: null });
+        continue;
+      }
+
+      const allocation = this.allocate({ areas, reservations, startTime, endTime, guestCount, seatingPreference });
+      if (allocation) {
+        slots.push({ startTime, endTime, allocation });
+      }
+    }
+
+    return slots;
+  }
+}
+
+module.exports = new VenueAllocationService();
@@ -0,0 +1,368 @@
+/**
+ * Waitlist Service
+ * Queues patrons for fully booked time windows and offers freed slots first come, first served.
+ * Offers hold the seats for WAITLIST_HOLD_MINUTES before passing to the next patron in line.
+ */
+
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const venueAllocationService = require('./venueAllocationService');
+const reservationReminderService = require('./reservationReminderService');
+
+const DEFAULT_HOLD_MINUTES = 120;
+const DEFAULT_INTERVAL_MINUTES = 1;
+const OPEN_STATUSES = ['Waiting', 'Offered'];
+
+class WaitlistService {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.clock] - Returns the current Date; injectable for tests
+   * @param {object} [options.notificationManager] - Owner NotificationManager (addNotification)
+   */
+  constructor({ clock = () => new Date(), notificationManager = null } = {}) {
+    this.clock = clock;
+    this.notificationManager = notificationManager;
+    this.holdMinutes = Number(process.env.WAITLIST_HOLD_MINUTES || DEFAULT_HOLD_MINUTES);
+    this.timer = null;
+  }
+
+  /**
+   * Add a patron to the waitlist for a time window
+   * @param {string} patronId - Patron joining
+   * @param {object} request - Reservation request fields (times, guestCount, seating, contact, title, type)
+   * @returns {Promise<object>} Result with the entry and its queue position
+   */
+  async join(patronId, request) {
+    const duplicate = await WaitlistEntry.findOne({
+      patronId,
+      status: { $in: OPEN_STATUSES },
+      startTime: request.startTime,
+      endTime: request.endTime
+    });
+    if (duplicate) {
+      return { success: false, message: 'You are already on the waitlist for this time' };
+    }
+
+    const entry = new WaitlistEntry({
+      patronId,
+      startTime: request.startTime,
+      endTime: request.endTime,
+      guestCount: request.guestCount,
+      seatingPreference: request.seatingPreference,
+      eventTitle: request.eventTitle,
+      eventType: request.eventType,
+      eventDescription: request.eventDescription,
+      specialRequests: request.specialRequests,
+      contactInfo: request.contactInfo
+    });
+    entry.changeStatus('Waiting', 'Joined waitlist');
+    await entry.save();
+
+    const position = await this.getPosition(entry);
+
+    this.notifyOwner({
+      type: 'waitlist_joined',
+      title: 'Waitlist: New Request',
+      message: `${entry.eventTitle} (${entry.guestCount} guests) joined the waitlist for ${entry.startTime.toLocaleString()}`,
+      priority: 'low',
+      data: { waitlistEntryId: entry._id, position }
+    });
+
+    return { success: true, message: `Added to the waitlist at position ${position}`, entry, position };
+  }
+
+  /**
+   * Position among entries waiting on an overlapping window (1 = next in line)
+   * @param {object} entry - Waitlist entry
+   * @returns {Promise<number>} Position
+   */
+  async getPosition(entry) {
+    const ahead = await WaitlistEntry.countDocuments({
+      status: 'Waiting',
+      startTime: { $lt: entry.endTime },
+      endTime: { $gt: entry.startTime },
+      createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+  }
+
+  /**
+   * Offer a freed window to the next eligible entries, oldest first
+   * Entries that still would not fit (bigger party, other seating) keep their place
+   * @param {object} released - { _id, startTime, endTime } of the reservation that was freed
+   * @returns {Promise<Array>} Entries that received an offer
+   */
+  async offerReleasedSlot(released) {
+    const now = this.clock();
+    const waiting = await WaitlistEntry.find({
+      status: 'Waiting',
+      startTime: { $lt: released.endTime, $gt: now },
+      endTime: { $gt: released.startTime }
+    }).sort({ createdAt: 1 });
+
+    const offered = [];
+    for (const entry of waiting) {
+      const availability = await venueAllocationService.checkAvailability({
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        guestCount: entry.guestCount,
+        seatingPreference: entry.seatingPreference,
+        excludeWaitlistId: entry._id
+      });
+      if (!availability.available) continue;
+
+      entry.offer = {
+        offeredAt: now,
+        expiresAt: new Date(now.getTime() + this.holdMinutes * 60 * 1000),
+        releasedBy: released._id,
+        allocation: availability.allocation || undefined
+      };
+      entry.changeStatus('Offered', `Slot freed by reservation ${released._id}`);
+      await entry.save();
+
+      offered.push(entry);
+      await this.notifyOffer(entry);
+    }
+
+    return offered;
+  }
+
+  /**
+   * Turn an open offer into a pending reservation
+   * @param {string} entryId - Waitlist entry ID
+   * @param {string} patronId - Patron accepting (must own the entry)
+   * @returns {Promise<object>} Result with the reservation
+   */
+  async accept(entryId, patronId) {
+    const entry = await WaitlistEntry.findOne({ _id: entryId, patronId });
+    if (!entry) {
+      return { success: false, code: 'NOT_FOUND', message: 'Waitlist entry not found' };
+    }
+
+    const now = this.clock();
+    if (entry.status !== 'Offered') {
+      return { success: false, message: 'There is no open offer for this waitlist entry' };
+    }
+    if (entry.offer.expiresAt <= now) {
+      await this.expire(entry);
+      return { success: false, message: 'This offer has expired' };
+    }
+
+    const availability = await venueAllocationService.checkAvailability({
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      guestCount: entry.guestCount,
+      seatingPreference: entry.seatingPreference,
+      excludeWaitlistId: entry._id
+    });
+    if (!availability.available) {
+      return { success: false, message: availability.message };
+    }
+
+    const reservation = new Reservation({
+      patronId,
+      eventTitle: entry.eventTitle,
+      eventType: entry.eventType,
+      eventDescription: entry.eventDescription,
+      specialRequests: entry.specialRequests,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      guestCount: entry.guestCount,
+      seatingPreference: entry.seatingPreference,
+      contactInfo: entry.contactInfo,
+      allocation: availability.allocation || undefined
+    });
+    await reservation.save();
+    await reservation.changeStatus('Pending', patronId, 'Created from waitlist offer');
+
+    entry.reservation = reservation._id;
+    entry.changeStatus('Accepted', 'Offer accepted');
+    await entry.save();
+
+    this.notifyOwner({
+      type: 'waitlist_accepted',
+      title: 'Waitlist: Offer Accepted',
+      message: `${entry.eventTitle} (${entry.guestCount} guests) accepted a waitlist offer and is pending approval`,
+      priority: 'medium',
+      data: { waitlistEntryId: entry._id, reservationId: reservation._id }
+    });
+
+    return { success: true, message: 'Reservation created from waitlist offer', reservation };
+  }
+
+  /**
+   * Decline an offer and pass the slot on
+   * @param {string} entryId - Waitlist entry ID
+   * @param {string} patronId - Patron declining (must own the entry)
+   * @returns {Promise<object>} Result
+   */
+  async decline(entryId, patronId) {
+    const entry = await WaitlistEntry.findOne({ _id: entryId, patronId, status: 'Offered' });
+    if (!entry) {
+      return { success: false, code: 'NOT_FOUND', message: 'No open offer found' };
+    }
+
+    entry.changeStatus('Declined', 'Offer declined by patron');
+    await entry.save();
+    await this.offerReleasedSlot({ _id: entry.offer.releasedBy, startTime: entry.startTime, endTime: entry.endTime });
+
+    return { success: true, message: 'Offer declined' };
+  }
+
+  /**
+   * Leave the waitlist; an open offer is passed on
+   * @param {string} entryId - Waitlist entry ID
+   * @param {string} patronId - Patron leaving (must own the entry)
+   * @returns {Promise<object>} Result
+   */
+  async leave(entryId, patronId) {
+    const entry = await WaitlistEntry.findOne({ _id: entryId, patronId, status: { $in: OPEN_STATUSES } });
+    if (!entry) {
+      return { success: false, code: 'NOT_FOUND', message: 'Waitlist entry not found' };
+    }
+
+    const hadOffer = entry.status === 'Offered';
+    entry.changeStatus('Cancelled', 'Left the waitlist');
+    await entry.save();
+
+    if (hadOffer) {
+      await this.offerReleasedSlot({ _id: entry.offer.releasedBy, startTime: entry.startTime, endTime: entry.endTime });
+    }
+
+    return { success: true, message: 'Removed from the waitlist' };
+  }
+
+  /**
+   * Expire one offer and pass the slot on
+   * @param {object} entry - Offered waitlist entry
+   * @returns {Promise<Array>} Entries offered the slot next
+   */
+  async expire(entry) {
+    entry.changeStatus('Expired', `Offer not accepted within ${this.holdMinutes} minutes`);
+    await entry.save();
+    return this.offerReleasedSlot({ _id: entry.offer.releasedBy, startTime: entry.startTime, endTime: entry.endTime });
+  }
+
+  /**
+   * Expire every lapsed offer; also drops waiting entries whose time has passed
+   * @returns {Promise<object>} { expired, reoffered, lapsed }
+   */
+  async expireOffers() {
+    const now = this.clock();
+    const lapsedOffers = await WaitlistEntry.find({ status: 'Offered', 'offer.expiresAt': { $lte: now } });
+
+    let reoffered = 0;
+    for (const entry of lapsedOffers) {
+      reoffered += (await this.expire(entry)).length;
+    }
+
+    const stale = await WaitlistEntry.updateMany(
+      { status: 'Waiting', startTime: { $lte: now } },
+      { $set: { status: 'Expired' }, $push: { history: { status: 'Expired', note: 'Requested time has passed', timestamp: now } } }
+    );
+
+    return { expired: lapsedOffers.length, reoffered, lapsed: stale.modifiedCount || 0 };
+  }
+
+  /**
+   * Open queue for the owner dashboard, in offer order
+   * @returns {Promise<Array>} Waiting and offered entries with queue positions
+   */
+  async getQueue() {
+    const entries = await WaitlistEntry.find({ status: { $in: OPEN_STATUSES }, startTime: { $gt: this.clock() } })
+      .populate('patronId', 'fullName email mobileNumber')
+      .sort({ startTime: 1, createdAt: 1 })
+      .lean();
+
+    // Position counts entries that joined earlier for an overlapping window
+    return entries.map(entry => ({
+      ...entry,
+      position: entries.filter(other =>
+        other.status === 'Waiting' &&
+        other.createdAt < entry.createdAt &&
+        other.startTime < entry.endTime &&
+        other.endTime > entry.startTime
+      ).length + 1
+    }));
+  }
+
+  /**
+   * Tell the patron (email/SMS per their preferences) and the owner about an offer
+   * Delivery problems are logged; the offer stands either way
+   * @param {object} entry - Offered waitlist entry
+   */
+  async notifyOffer(entry) {
+    const expires = entry.offer.expiresAt.toLocaleString();
+
+    this.notifyOwner({
+      type: 'waitlist_offer',
+      title: 'Waitlist: Slot Offered',
+      message: `${entry.eventTitle} (${entry.guestCount} guests) was offered ${entry.startTime.toLocaleString()}, held until ${expires}`,
+      priority: 'medium',
+      data: { waitlistEntryId: entry._id, expiresAt: entry.offer.expiresAt }
+    });
+
+    try {
+      const patron = await User.findById(entry.patronId).select('fullName email mobileNumber preferences').lean();
+      const transport = reservationReminderService.getTransport();
+      const text = `Good news${patron?.fullName ? `, ${patron.fullName}` : ''}! A spot opened up for "${entry.eventTitle}" ` +
+        `on ${entry.startTime.toLocaleString()}. It's held for you until ${expires} - accept it from your reservations page.`;
+
+      for (const channel of reservationReminderService.getChannels(patron)) {
+        if (!transport.supports(channel)) continue;
+        const to = channel === 'Email' ? entry.contactInfo.email : entry.contactInfo.phone;
+        await transport.send({ channel, to, subject: `A spot opened up: ${entry.eventTitle}`, text });
+      }
+    } catch (error) {
+      console.error('Waitlist offer notification error:', error);
+    }
+  }
+
+  notifyOwner(notification) {
+    if (this.notificationManager) {
+      this.notificationManager.addNotification(notification);
+    }
+  }
+
+  /**
+   * Expire lapsed offers on an interval; WAITLIST_CHECK_INTERVAL_MINUTES=0 disables it
+   * @param {object} [options] - { intervalMinutes, notificationManager, clock }
+   * @returns {boolean} Whether the interval was started
+   */
+  start(options = {}) {
+    const configured = options.intervalMinutes ?? process.env.WAITLIST_CHECK_INTERVAL_MINUTES;
+    const intervalMinutes = configured === undefined || configured === ''
+      ? DEFAULT_INTERVAL_MINUTES
+      : Number(configured);
+
+    if (options.notificationManager) this.notificationManager = options.notificationManager;
+    if (options.clock) this.clock = options.clock;
+
+    this.stop();
+
+    if (!Number.isFinite(intervalMinutes) || intervalMinutes <= 0) {
+      console.log('⏸️  Waitlist offer expiry disabled');
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.expireOffers().catch(error => console.error('Waitlist expiry error:', error));
+    }, intervalMinutes * 60 * 1000);
+
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`📋 Waitlist offers held for ${this.holdMinutes} minute(s)`);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new WaitlistService();
+module.exports.WaitlistService = WaitlistService;
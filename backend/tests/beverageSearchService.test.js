@@ -0,0 +1,131 @@
+const { BeverageSearchService, editDistance } = require('../services/beverageSearchService');
+
+const fixtures = {
+  cocktails: [
+    { _id: 'c1', name: 'Negroni', primarySpirit: 'Gin', category: 'Classic', price: 14, averageRating: 4.6, tastingNotes: ['bitter', 'herbal'], ingredients: [{ name: 'Gin' }, { name: 'Campari' }, { name: 'Sweet vermouth' }] },
+    { _id: 'c2', name: 'Old Fashioned', primarySpirit: 'Whiskey', category: 'Classic', price: 16, averageRating: 4.8, tastingNotes: ['rich', 'orange'], ingredients: [{ name: 'Bourbon' }, { name: 'Bitters' }] },
+    { _id: 'c3', name: 'Seasonal Smash', primarySpirit: 'Whiskey', price: 15, isAvailable: false, ingredients: [{ name: 'Bourbon' }] }
+  ],
+  spirits: [
+    { _id: 's1', name: 'Small Batch', brand: 'Four Roses', type: 'Whiskey', subType: 'Bourbon', shelf_tier: 'top', tastingNotes: ['caramel', 'vanilla'], averageRating: 4.2 },
+    { _id: 's2', name: 'Pappy Van Winkle 23', brand: 'Old Rip Van Winkle', type: 'Whiskey', subType: 'Bourbon', shelf_tier: 'ultra', averageRating: 4.9 },
+    { _id: 's3', name: 'Tanqueray', brand: 'Tanqueray', type: 'Gin', subType: 'London Dry', shelf_tier: 'lower', tastingNotes: ['juniper'] }
+  ],
+  wines: [
+    { _id: 'w1', name: 'Reserve Cabernet', winery: 'Bourbon Barrel Cellars', type: 'Red', price: 60, isOrganic: true }
+  ],
+  beers: [],
+  mocktails: [
+    { _id: 'm1', name: 'Virgin Mojito', price: 8, isVegan: true, isGlutenFree: true, tastingNotes: ['mint', 'lime'] }
+  ],
+  'non-alcoholic': [
+    { _id: 'n1', name: 'Ginger Beer', brand: 'Fever-Tree', price: 5, isVegan: true, isSugarFree: false }
+  ]
+};
+
+// Model.find().select().lean() stand-ins
+const buildModels = () => Object.fromEntries(Object.entries(fixtures).map(([category, items]) => [
+  category,
+  { find: jest.fn(() => ({ select: () => ({ lean: () => Promise.resolve(items) }) })) }
+]));
+
+const buildService = (options = {}) => {
+  const models = buildModels();
+  const service = new BeverageSearchService({ models, ...options });
+  return { service, models };
+};
+
+const ids = (search) => search.results.map(result => result.id);
+
+describe('Beverage Search Service', () => {
+  test('should count adjacent swaps as a single edit', () => {
+    expect(editDistance('burbon', 'bourbon', 1)).toBe(1);
+    expect(editDistance('negorni', 'negroni', 1)).toBe(1);
+    expect(editDistance('vodka', 'bourbon', 2)).toBe(3);
+  });
+
+  test('should tolerate typos and partial words', async () => {
+    const { service } = buildService();
+
+    const typo = await service.search('burbon');
+    expect(typo.relaxed).toBe(false);
+    expect(ids(typo)).toEqual(expect.arrayContaining(['s1', 's2', 'c2']));
+
+    const partial = await service.search('negr');
+    expect(ids(partial)[0]).toBe('c1');
+  });
+
+  test('should rank brand hits above type and ingredient hits', async () => {
+    const { service } = buildService();
+
+    const search = await service.search('bourbon');
+
+    // Wine named after its Bourbon winery, spirits with a Bourbon sub type, cocktail with a bourbon ingredient
+    expect(ids(search)).toEqual(['w1', 's2', 's1', 'c2']);
+    expect(search.results[0].matchedFields).toEqual(['brand']);
+  });
+
+  test('should require every term before relaxing to any term', async () => {
+    const { service } = buildService();
+
+    const strict = await service.search('van winkle');
+    expect(ids(strict)).toEqual(['s2']);
+
+    const relaxed = await service.search('vanilla unicorn');
+    expect(relaxed.relaxed).toBe(true);
+    expect(ids(relaxed)).toEqual(['s1']);
+  });
+
+  test('should hide unavailable beverages unless asked', async () => {
+    const { service } = buildService();
+
+    expect(ids(await service.search('smash'))).toEqual([]);
+    expect(ids(await service.search('smash', { includeUnavailable: true }))).toEqual(['c3']);
+  });
+
+  test('should filter by facets while counting the other values of each facet', async () => {
+    const { service } = buildService();
+
+    const search = await service.search('', { category: 'spirits', shelfTier: 'ultra,top' });
+
+    expect(ids(search)).toEqual(['s2', 's1']);
+    // Category counts ignore the category filter but keep the shelf tier filter
+    expect(search.facets.category).toEqual([{ value: 'spirits', count: 2 }]);
+    expect(search.facets.shelfTier).toEqual([
+      { value: 'lower', count: 1 },
+      { value: 'top', count: 1 },
+      { value: 'ultra', count: 1 }
+    ]);
+  });
+
+  test('should bucket prices and apply dietary flags together', async () => {
+    const { service } = buildService();
+
+    const browse = await service.search('');
+    expect(browse.facets.priceBand.map(band => band.value)).toEqual(['under-10', '10-15', '15-25', '50-plus']);
+    expect(browse.facets.dietary).toEqual(expect.arrayContaining([{ value: 'non-alcoholic', count: 2 }, { value: 'vegan', count: 2 }]));
+
+    const vegan = await service.search('', { dietary: 'vegan,gluten-free' });
+    expect(ids(vegan)).toEqual(['m1']);
+  });
+
+  test('should reuse the index until it expires or is invalidated', async () => {
+    let now = new Date('2025-07-04T21:00:00');
+    const { service, models } = buildService({ clock: () => now, ttlMs: 60000 });
+
+    await Promise.all([service.search('gin'), service.search('gin')]);
+    expect(models.spirits.find).toHaveBeenCalledTimes(1);
+
+    now = new Date(now.getTime() + 30000);
+    await service.search('gin');
+    expect(models.spirits.find).toHaveBeenCalledTimes(1);
+
+    service.invalidate();
+    await service.search('gin');
+    expect(models.spirits.find).toHaveBeenCalledTimes(2);
+
+    now = new Date(now.getTime() + 61000);
+    await service.search('gin');
+    expect(models.spirits.find).toHaveBeenCalledTimes(3);
+  });
+});
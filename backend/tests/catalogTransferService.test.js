@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Spirit = require('../models/Spirit');
+const Wine = require('../models/Wine');
+const Cocktail = require('../models/Cocktail');
+const { CatalogTransferService } = require('../services/catalogTransferService');
+const { parseCsv, toCsv } = require('../services/csv');
+
+const buffaloTrace = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Buffalo Trace',
+  brand: 'Buffalo Trace',
+  type: 'Whiskey',
+  subType: 'Bourbon',
+  abv: 45,
+  shelf_tier: 'top',
+  mixing_appropriate: true,
+  description: 'Kentucky straight bourbon',
+  origin: 'Kentucky, USA',
+  bottleSize: '750ml',
+  distillery: 'Buffalo Trace Distillery',
+  tastingNotes: ['vanilla', 'toffee'],
+  averageRating: 4.6
+};
+
+const hendricks = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Hendrick's",
+  brand: "Hendrick's",
+  type: 'Gin',
+  subType: 'Contemporary',
+  abv: 41.4,
+  shelf_tier: 'top',
+  mixing_appropriate: true,
+  description: 'Cucumber and rose, "unusual" by design',
+  origin: 'Scotland',
+  bottleSize: '750ml',
+  distillery: 'Girvan'
+};
+
+const margarita = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Margarita',
+  description: 'Tequila, lime, orange liqueur',
+  primarySpirit: 'Tequila',
+  prepMethod: 'Shaken',
+  glassType: 'Coupe',
+  category: 'Classic',
+  price: 11,
+  ingredients: [
+    { _id: new mongoose.Types.ObjectId(), name: 'Tequila', amount: '2', unit: 'oz' },
+    { _id: new mongoose.Types.ObjectId(), name: 'Lime Juice', amount: '1', unit: 'oz' }
+  ]
+};
+
+// Stands in for the catalog collections: find() returns hydrated documents, saves are recorded
+const stubCollection = (Model, records) => {
+  const load = () => Promise.resolve(records.map(record => Model.hydrate(JSON.parse(JSON.stringify(record)))));
+  jest.spyOn(Model, 'find').mockImplementation(() => ({ session: load, sort: load }));
+};
+
+const buildService = () => {
+  const saves = [];
+  jest.spyOn(mongoose.Model.prototype, 'save').mockImplementation(function save() {
+    saves.push(this);
+    return Promise.resolve(this);
+  });
+
+  const transaction = jest.fn((work) => work(null));
+  const service = new CatalogTransferService({
+    models: { spirits: Spirit, wines: Wine, cocktails: Cocktail },
+    transaction
+  });
+
+  return { service, saves, transaction };
+};
+
+describe('Catalog Transfer Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should read and write quoted CSV fields', () => {
+    const rows = [['name', 'notes'], ['Hendrick\'s', 'Cucumber, rose\nand "unusual"']];
+
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+    expect(parseCsv('\uFEFFa,b\r\n1,2\r\n\r\n')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(() => parseCsv('a\n"open')).toThrow('Unterminated quoted field');
+  });
+
+  test('should export CSV that imports back with nothing to change', async () => {
+    stubCollection(Spirit, [buffaloTrace, hendricks]);
+    const { service } = buildService();
+
+    const file = await service.export('spirits', 'csv');
+    const [header] = parseCsv(file.body);
+
+    expect(file.contentType).toBe('text/csv');
+    expect(header[0]).toBe('_id');
+    expect(header).toEqual(expect.arrayContaining(['subType', 'shelf_tier', 'tastingNotes']));
+    expect(header).not.toContain('averageRating');
+    expect(file.body).toContain('vanilla|toffee');
+
+    const result = await service.import('spirits', { format: 'csv', data: file.body });
+
+    expect(result.success).toBe(true);
+    expect(result.report.summary).toEqual({ total: 2, create: 0, update: 0, unchanged: 2, errors: 0 });
+  });
+
+  test('should round-trip recipes through a JSON export', async () => {
+    stubCollection(Cocktail, [margarita]);
+    const { service } = buildService();
+
+    const file = await service.export('cocktails', 'json');
+    const exported = JSON.parse(file.body);
+
+    expect(exported.items[0].ingredients).toEqual([
+      { name: 'Tequila', amount: '2', unit: 'oz' },
+      { name: 'Lime Juice', amount: '1', unit: 'oz' }
+    ]);
+
+    const result = await service.import('cocktails', { format: 'json', data: file.body });
+    expect(result.report.summary.unchanged).toBe(1);
+  });
+
+  test('should diff creates and updates matched by name', async () => {
+    stubCollection(Spirit, [buffaloTrace]);
+    const { service, saves } = buildService();
+
+    const csv = [
+      'name,brand,type,subType,abv,shelf_tier,mixing_appropriate,description,origin,bottleSize,distillery',
+      'Buffalo Trace,Buffalo Trace,Whiskey,Bourbon,45,ultra,true,Kentucky straight bourbon,"Kentucky, USA",750ml,Buffalo Trace Distillery',
+      'Monkey 47,Monkey 47,Gin,London Dry,47,top,false,Black Forest dry gin,Germany,500ml,Black Forest Distillers'
+    ].join('\n');
+
+    const result = await service.import('spirits', { format: 'csv', data: csv });
+
+    expect(result.report.dryRun).toBe(true);
+    expect(result.report.rows[0]).toEqual(expect.objectContaining({
+      action: 'update',
+      id: buffaloTrace._id,
+      changes: [{ field: 'shelf_tier', from: 'top', to: 'ultra' }]
+    }));
+    expect(result.report.rows[1]).toEqual(expect.objectContaining({ action: 'create', name: 'Monkey 47' }));
+    expect(saves).toHaveLength(0);
+  });
+
+  test('should report schema errors such as a sub type that does not fit the spirit', async () => {
+    stubCollection(Spirit, []);
+    stubCollection(Wine, []);
+    const { service } = buildService();
+
+    const spirits = await service.import('spirits', {
+      format: 'json',
+      data: [{ name: 'Odd Gin', brand: 'Odd', type: 'Gin', subType: 'Bourbon', abv: 40, description: 'Not a bourbon', origin: 'USA', bottleSize: '750ml', distillery: 'Odd' }]
+    });
+    const wines = await service.import('wines', {
+      format: 'json',
+      data: [{ name: 'Blue Wine', winery: 'Nowhere', vintage: 2020, type: 'Blue', domORintl: 'Domestic', price: 30, description: 'Blue', colour: 'blue' }]
+    });
+
+    expect(spirits.report.rows[0].action).toBe('error');
+    expect(spirits.report.rows[0].errors).toEqual([{ field: 'subType', message: 'Invalid subType for the selected spirit type' }]);
+    expect(wines.report.rows[0].errors).toEqual(expect.arrayContaining([
+      { field: 'colour', message: 'Unknown field for wines' },
+      expect.objectContaining({ field: 'type' })
+    ]));
+  });
+
+  test('should apply every change in one transaction and refuse invalid imports', async () => {
+    stubCollection(Spirit, [buffaloTrace]);
+    const { service, saves, transaction } = buildService();
+
+    const applied = await service.import('spirits', {
+      format: 'json',
+      dryRun: false,
+      data: [
+        { _id: String(buffaloTrace._id), abv: 50 },
+        { name: 'Monkey 47', brand: 'Monkey 47', type: 'Gin', subType: 'London Dry', abv: 47, description: 'Black Forest dry gin', origin: 'Germany', bottleSize: '500ml', distillery: 'Black Forest Distillers' }
+      ]
+    });
+
+    expect(applied.success).toBe(true);
+    expect(transaction).toHaveBeenCalledTimes(1);
+    expect(saves.map(doc => doc.name)).toEqual(['Buffalo Trace', 'Monkey 47']);
+    expect(saves[0].abv).toBe(50);
+
+    const refused = await service.import('spirits', {
+      format: 'json',
+      dryRun: false,
+      data: [{ name: 'Monkey 47', brand: 'Monkey 47', type: 'Gin', abv: 47, description: 'Gin' }, { name: 'monkey 47', type: 'Gin' }]
+    });
+
+    expect(refused).toEqual(expect.objectContaining({ success: false, code: 'INVALID_ROWS' }));
+    expect(refused.report.rows[1].errors).toEqual(expect.arrayContaining([
+      { field: 'name', message: 'Appears more than once in this import' }
+    ]));
+    expect(transaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject columns the schema does not have', async () => {
+    stubCollection(Spirit, []);
+    const { service } = buildService();
+
+    const result = await service.import('spirits', { format: 'csv', data: 'name,proof\nX,80' });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'UNKNOWN_COLUMNS' }));
+  });
+});
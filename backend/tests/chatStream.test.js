@@ -0,0 +1,153 @@
+const { EventEmitter } = require('events');
+const SentenceChunker = require('../services/sentenceChunker');
+const { wantsStream, streamChatReply } = require('../services/chatStream');
+const { LlmGateway } = require('../services/llmGateway');
+const { LocalProvider } = require('../services/llmProviders');
+const baseConfig = require('../config/llm');
+
+// Enough of an Express response to capture what was written
+const fakeResponse = () => {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writableEnded = false;
+  res.writeHead = jest.fn();
+  res.write = (chunk) => res.chunks.push(chunk);
+  res.end = () => {
+    res.writableEnded = true;
+    res.emit('close');
+  };
+  res.events = () => res.chunks.join('').split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+  });
+  return res;
+};
+
+const fakeRequest = ({ body = {}, accept = '' } = {}) => ({ body, get: () => accept });
+
+const localGateway = (reply) => new LlmGateway({
+  config: { ...baseConfig, primary: 'local', fallback: null },
+  providers: { local: new LocalProvider({ reply }) }
+});
+
+describe('Chat streaming', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('SentenceChunker', () => {
+    test('should release each sentence once the next one starts', () => {
+      const chunker = new SentenceChunker();
+
+      expect(chunker.push('Welcome aboard, sailor')).toEqual([]);
+      expect(chunker.push('! Try our Dark ')).toEqual(['Welcome aboard, sailor!']);
+      expect(chunker.push('and Stormy tonight. It is ')).toEqual(['Try our Dark and Stormy tonight.']);
+      expect(chunker.push('a house favorite')).toEqual([]);
+      expect(chunker.flush()).toEqual(['It is a house favorite']);
+      expect(chunker.flush()).toEqual([]);
+    });
+
+    test('should not split on abbreviations, numbers or short fragments', () => {
+      const chunker = new SentenceChunker();
+
+      const sentences = chunker.push('Ahoy! Dr. Smith pours 2 oz. of rum, e.g. Mount Gay. Then add lime juice. ');
+
+      expect(sentences).toEqual([
+        'Ahoy! Dr. Smith pours 2 oz. of rum, e.g. Mount Gay.',
+        'Then add lime juice.'
+      ]);
+    });
+  });
+
+  test('should opt in from the body flag or the Accept header', () => {
+    expect(wantsStream(fakeRequest({ body: { stream: true } }))).toBe(true);
+    expect(wantsStream(fakeRequest({ accept: 'text/event-stream' }))).toBe(true);
+    expect(wantsStream(fakeRequest({ body: { stream: 'yes' }, accept: 'application/json' }))).toBe(false);
+  });
+
+  test('should stream deltas and sentences, then a done event with the route fields', async () => {
+    const res = fakeResponse();
+    const finish = jest.fn(() => ({ conversationId: 'conv_1', recommendedActions: ['learn:interested_in_recommendations'] }));
+
+    const reply = await streamChatReply({
+      req: fakeRequest(),
+      res,
+      route: 'chat',
+      prompt: 'USER MESSAGE: Something with rum?',
+      finish,
+      gateway: localGateway('I recommend a Mai Tai tonight. It is bright and fruity.')
+    });
+
+    const events = res.events();
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(events.filter(e => e.event === 'delta').map(e => e.data.text).join('')).toBe('I recommend a Mai Tai tonight. It is bright and fruity.');
+    expect(events.filter(e => e.event === 'sentence').map(e => e.data)).toEqual([
+      { index: 0, text: 'I recommend a Mai Tai tonight.' },
+      { index: 1, text: 'It is bright and fruity.' }
+    ]);
+
+    // The first sentence goes out before the reply is finished
+    const firstSentence = events.findIndex(e => e.event === 'sentence');
+    const lastDelta = events.map(e => e.event).lastIndexOf('delta');
+    expect(firstSentence).toBeLessThan(lastDelta);
+
+    expect(events[events.length - 1]).toEqual({
+      event: 'done',
+      data: {
+        response: 'I recommend a Mai Tai tonight. It is bright and fruity.',
+        usage: { inputTokens: 5, outputTokens: 11, totalTokens: 16 },
+        provider: 'local',
+        model: 'local-stub',
+        conversationId: 'conv_1',
+        recommendedActions: ['learn:interested_in_recommendations']
+      }
+    });
+    expect(finish).toHaveBeenCalledWith(expect.objectContaining({ text: reply.text, provider: 'local' }));
+    expect(res.writableEnded).toBe(true);
+  });
+
+  test('should send an error event when no provider can answer', async () => {
+    const res = fakeResponse();
+    const finish = jest.fn();
+    const gateway = new LlmGateway({ config: { ...baseConfig, primary: 'local', fallback: null }, providers: {
+      local: { name: 'local', isConfigured: () => true, async *stream() { throw new Error('Model overloaded'); } }
+    } });
+
+    const reply = await streamChatReply({ req: fakeRequest(), res, route: 'chat', prompt: 'Hi', finish, gateway });
+
+    expect(reply).toBeNull();
+    expect(finish).not.toHaveBeenCalled();
+    expect(res.events()).toEqual([
+      { event: 'error', data: { message: 'AI service temporarily unavailable. Please try again later.' } }
+    ]);
+  });
+
+  test('should stop streaming once the client disconnects', async () => {
+    const res = fakeResponse();
+    const finish = jest.fn();
+    const original = res.write;
+    res.write = (chunk) => {
+      original(chunk);
+      // Patron closes the tab after the first delta
+      if (res.chunks.length === 1) res.emit('close');
+    };
+
+    const reply = await streamChatReply({
+      req: fakeRequest(),
+      res,
+      route: 'chat',
+      prompt: 'Hi',
+      finish,
+      gateway: localGateway('One two three four five six. Seven eight nine ten.')
+    });
+
+    expect(reply).toBeNull();
+    expect(finish).not.toHaveBeenCalled();
+    expect(res.events().map(e => e.event)).toEqual(['delta']);
+  });
+});
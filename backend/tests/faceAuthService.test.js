@@ -0,0 +1,209 @@
+const User = require('../models/User');
+const { FaceAuthService } = require('../services/faceAuthService');
+const { LocalFaceProvider, RekognitionFaceProvider } = require('../services/faceProviders');
+const { DESCRIPTOR_POINTS } = require('../services/faceGeometry');
+
+// Deterministic 478-point mesh; `shape` nudges the stable points so each face has its own geometry
+const buildFace = (shape) => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  const mesh = Array.from({ length: 478 }, () => [200 + random() * 240, 150 + random() * 300, random() * 40 - 20]);
+  mesh[33] = [240, 250, 0];
+  mesh[133] = [290, 252, 5];
+  mesh[362] = [350, 252, 5];
+  mesh[263] = [400, 250, 0];
+  DESCRIPTOR_POINTS.forEach((index, position) => {
+    if ([33, 133, 362, 263].includes(index)) return;
+    mesh[index] = mesh[index].map((value, axis) => value + shape * Math.sin(position + axis) * 12);
+  });
+  return mesh;
+};
+
+// Moves the face around the frame; `blink` also moves points that are not part of the descriptor
+const frameOf = (mesh, { shift = 0, angle = 0, scale = 1, blink = 0 } = {}) => mesh.map(([x, y, z], index) => {
+  const expressive = !DESCRIPTOR_POINTS.includes(index) && index % 3 === 0;
+  const localY = y + (expressive ? blink * 12 : 0);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: (x * cos - localY * sin) * scale + shift, y: (x * sin + localY * cos) * scale + shift, z: z * scale };
+});
+
+const liveCapture = (mesh) => ({
+  frames: [0, 1, 2, 3, 4, 5].map(step => frameOf(mesh, { shift: step * 3, angle: step * 0.01, blink: step % 2 }))
+});
+
+const photoCapture = (mesh) => ({
+  frames: [0, 1, 2, 3, 4, 5].map(step => frameOf(mesh, { shift: step * 5, angle: step * 0.03, scale: 1 + step * 0.02 }))
+});
+
+const buildUser = (overrides = {}) => new User({
+  fullName: 'Test Patron',
+  email: `patron${Math.random().toString(36).slice(2, 8)}@example.com`,
+  password: 'secret123',
+  mobileNumber: '555-0100',
+  ...overrides
+});
+
+const buildService = (users, provider = new LocalFaceProvider({ threshold: 0.06 })) => {
+  jest.spyOn(User.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+
+  const userModel = {
+    findById: jest.fn((id) => ({ select: () => Promise.resolve(users.find(user => String(user._id) === String(id)) || null) })),
+    find: jest.fn((query) => ({
+      select: () => Promise.resolve(users.filter(user => (query.email ? user.email === query.email : true)))
+    }))
+  };
+
+  return new FaceAuthService({ userModel, provider, clock: () => new Date('2026-05-01T20:00:00Z') });
+};
+
+describe('Face Auth Service', () => {
+  const alice = buildFace(0);
+  const bruno = buildFace(1);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should reject captures that are too short or do not move like a live face', async () => {
+    const service = buildService([]);
+
+    const short = service.prepare({ frames: liveCapture(alice).frames.slice(0, 2) });
+    const photo = service.prepare(photoCapture(alice));
+    const garbage = service.prepare({ frames: [[{ x: 1, y: 2 }]] });
+
+    expect(short).toEqual(expect.objectContaining({ success: false, code: 'LIVENESS_FAILED' }));
+    expect(photo).toEqual(expect.objectContaining({ success: false, code: 'LIVENESS_FAILED' }));
+    expect(photo.motion).toBeLessThan(0.001);
+    expect(garbage).toEqual(expect.objectContaining({ success: false, code: 'INVALID_SAMPLE' }));
+    expect(service.prepare(liveCapture(alice)).success).toBe(true);
+  });
+
+  test('should enroll a descriptor and keep it out of JSON', async () => {
+    const user = buildUser();
+    const service = buildService([user]);
+
+    const result = await service.enroll(user._id, liveCapture(alice));
+
+    expect(result.success).toBe(true);
+    expect(result.status).toEqual(expect.objectContaining({ enrolled: true, samples: 1, provider: 'local', requiresImage: false }));
+    expect(user.faceAuth.samples[0].descriptor).toHaveLength(91);
+    expect(user.toJSON().faceAuth).toEqual(expect.objectContaining({ provider: 'local' }));
+    expect(user.toJSON().faceAuth.samples).toBeUndefined();
+  });
+
+  test('should log in the enrolled face and nobody else', async () => {
+    const aliceUser = buildUser({ fullName: 'Alice' });
+    const brunoUser = buildUser({ fullName: 'Bruno' });
+    const service = buildService([aliceUser, brunoUser]);
+
+    await service.enroll(aliceUser._id, liveCapture(alice));
+    await service.enroll(brunoUser._id, liveCapture(bruno));
+
+    const asAlice = await service.authenticate({ faceData: liveCapture(alice), email: aliceUser.email });
+    const stranger = await service.authenticate({ faceData: liveCapture(buildFace(-1)), email: aliceUser.email });
+
+    expect(asAlice.success).toBe(true);
+    expect(asAlice.user.fullName).toBe('Alice');
+    expect(stranger).toEqual({ success: false, message: 'Face not recognised', code: 'NO_MATCH' });
+  });
+
+  test('should need an email to log in without a trained face model', async () => {
+    const user = buildUser({ fullName: 'Alice' });
+    const service = buildService([user]);
+    jest.spyOn(service.User, 'find');
+
+    await service.enroll(user._id, liveCapture(alice));
+    const result = await service.authenticate({ faceData: liveCapture(alice) });
+
+    expect(result).toEqual({ success: false, message: 'Enter your email to sign in with your face', code: 'EMAIL_REQUIRED' });
+    expect(service.User.find).not.toHaveBeenCalled();
+    expect(service.getCaptureRequirements().requiresEmail).toBe(true);
+  });
+
+  test('should keep staff accounts on passwords without a trained face model', async () => {
+    const staff = buildUser({ fullName: 'Bea', role: 'Bartender' });
+    const promoted = buildUser({ fullName: 'Alice' });
+    const service = buildService([staff, promoted]);
+
+    const staffEnrolled = await service.enroll(staff._id, liveCapture(alice));
+    // Enrolled as a patron and made staff afterwards
+    await service.enroll(promoted._id, liveCapture(alice));
+    promoted.role = 'Owner';
+    const login = await service.authenticate({ faceData: liveCapture(alice), email: promoted.email });
+
+    expect(staffEnrolled).toEqual({ success: false, message: 'Staff accounts must sign in with their password', code: 'FACE_LOGIN_NOT_ALLOWED' });
+    expect(staff.faceAuth?.samples || []).toHaveLength(0);
+    expect(login.code).toBe('FACE_LOGIN_NOT_ALLOWED');
+  });
+
+  test('should only consider the account named by email', async () => {
+    const aliceUser = buildUser({ fullName: 'Alice' });
+    const brunoUser = buildUser({ fullName: 'Bruno' });
+    const service = buildService([aliceUser, brunoUser]);
+
+    await service.enroll(aliceUser._id, liveCapture(alice));
+
+    const wrongAccount = await service.authenticate({ faceData: liveCapture(alice), email: brunoUser.email });
+    const rightAccount = await service.authenticate({ faceData: liveCapture(alice), email: aliceUser.email });
+
+    expect(wrongAccount.code).toBe('NO_MATCH');
+    expect(rightAccount.user.fullName).toBe('Alice');
+  });
+
+  test('should keep the newest samples and forget them all on removal', async () => {
+    const user = buildUser({ awsRekognitionId: 'stale' });
+    const provider = new LocalFaceProvider();
+    jest.spyOn(provider, 'remove');
+    const service = buildService([user], provider);
+    service.maxSamples = 2;
+
+    await service.enroll(user._id, liveCapture(alice));
+    await service.enroll(user._id, liveCapture(alice));
+    const third = await service.enroll(user._id, liveCapture(alice));
+
+    expect(third.status.samples).toBe(2);
+    expect(provider.remove).toHaveBeenCalledTimes(1);
+
+    const removed = await service.remove(user._id);
+
+    expect(removed.status).toEqual(expect.objectContaining({ enrolled: false, samples: 0 }));
+    expect(user.awsRekognitionId).toBeNull();
+    expect(provider.remove).toHaveBeenCalledTimes(2);
+  });
+
+  test('should enroll and match through Rekognition when configured', async () => {
+    const request = (result) => jest.fn(() => ({ promise: () => Promise.resolve(result) }));
+    const client = {
+      createCollection: request({}),
+      indexFaces: request({ FaceRecords: [{ Face: { FaceId: 'face-123' } }] }),
+      searchFacesByImage: request({ FaceMatches: [{ Similarity: 97, Face: { FaceId: 'face-123' } }] }),
+      deleteFaces: request({})
+    };
+    const user = buildUser({ fullName: 'Alice' });
+    const service = buildService([user], new RekognitionFaceProvider({ client, collectionId: 'test-faces' }));
+    const image = Buffer.from('jpeg bytes').toString('base64');
+
+    const missingImage = await service.enroll(user._id, liveCapture(alice));
+    const enrolled = await service.enroll(user._id, { ...liveCapture(alice), image: `data:image/jpeg;base64,${image}` });
+    const login = await service.authenticate({ faceData: { ...liveCapture(alice), image } });
+
+    expect(missingImage.code).toBe('INVALID_SAMPLE');
+    expect(enrolled.status.requiresImage).toBe(true);
+    expect(user.awsRekognitionId).toBe('face-123');
+    expect(client.indexFaces).toHaveBeenCalledWith(expect.objectContaining({
+      CollectionId: 'test-faces',
+      ExternalImageId: String(user._id)
+    }));
+    expect(login.user.fullName).toBe('Alice');
+
+    await service.remove(user._id);
+    expect(client.deleteFaces).toHaveBeenCalledWith({ CollectionId: 'test-faces', FaceIds: ['face-123'] });
+  });
+});
@@ -0,0 +1,77 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ConversationSession = require('../models/ConversationSession');
+const patronMemoryService = require('../services/patronMemoryService');
+const iaRoutes = require('../routes/ia');
+
+const app = express();
+app.use(express.json());
+app.use('/api/ia', iaRoutes);
+
+const accountFor = (role) => ({
+  id: new mongoose.Types.ObjectId().toString(),
+  role,
+  email: `${role.toLowerCase()}@example.com`,
+  fullName: `Test ${role}`,
+  isActive: true
+});
+
+const tokenFor = (account) => jwt.sign(
+  { user: { id: account.id, role: account.role } },
+  process.env.JWT_SECRET || 'fallback_secret'
+);
+
+describe('IA routes', () => {
+  let caller;
+
+  const post = (path, body) => request(app).post(`/api/ia${path}`).set('Authorization', `Bearer ${tokenFor(caller)}`).send(body);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockImplementation(async () => caller);
+    // The named session belongs to someone else, so no session matches the caller's filter
+    jest.spyOn(ConversationSession, 'findOne').mockResolvedValue(null);
+    jest.spyOn(patronMemoryService, 'rememberSession');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only find sessions the caller owns', async () => {
+    caller = accountFor('Patron');
+
+    const ended = await post('/session/end', { sessionId: 'session_other' });
+    const stored = await post('/conversation/store', { sessionId: 'session_other', message: 'Remember I hate gin', type: 'user' });
+    const chatted = await post('/chat/contextual', { sessionId: 'session_other', message: 'Hello' });
+
+    expect([ended.status, stored.status, chatted.status]).toEqual([404, 404, 404]);
+    expect(ConversationSession.findOne.mock.calls.map(([filter]) => filter)).toEqual([
+      { sessionId: 'session_other', userId: caller.id, isActive: true },
+      { sessionId: 'session_other', userId: caller.id, isActive: true },
+      { sessionId: 'session_other', userId: caller.id, isActive: true }
+    ]);
+    expect(patronMemoryService.rememberSession).not.toHaveBeenCalled();
+  });
+
+  test('should start sessions for someone else only for staff', async () => {
+    const patronId = new mongoose.Types.ObjectId().toString();
+    const started = [];
+    jest.spyOn(ConversationSession, 'findOne').mockReturnValue({ sort: () => Promise.resolve(null) });
+    jest.spyOn(ConversationSession.prototype, 'save').mockImplementation(function save() {
+      started.push(String(this.userId));
+      return Promise.resolve(this);
+    });
+
+    caller = accountFor('Patron');
+    await post('/session/start', { userId: patronId });
+    const patron = caller;
+    caller = accountFor('Bartender');
+    await post('/session/start', { userId: patronId });
+
+    expect([...new Set(started)]).toEqual([patron.id, patronId]);
+  });
+});
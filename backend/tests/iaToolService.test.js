@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const { IaToolService } = require('../services/iaToolService');
+const { LlmGateway } = require('../services/llmGateway');
+const { LocalProvider } = require('../services/llmProviders');
+const baseConfig = require('../config/llm');
+const Spirit = require('../models/Spirit');
+const spiritsAuthService = require('../services/spiritsAuthService');
+const defaultTools = require('../services/iaTools');
+
+const patron = { id: new mongoose.Types.ObjectId().toString(), role: 'Patron', fullName: 'Pat Patron', email: 'pat@example.com' };
+const bartender = { ...patron, role: 'Bartender', fullName: 'Bea Bartender' };
+
+const pappy = { _id: new mongoose.Types.ObjectId(), name: '23 Year', brand: 'Pappy Van Winkle', type: 'Whiskey', shelf_tier: 'ultra', price: 150 };
+const buffalo = { _id: new mongoose.Types.ObjectId(), name: 'Buffalo Trace', brand: 'Buffalo Trace', type: 'Whiskey', shelf_tier: 'lower', price: 9 };
+
+const toolCall = (name, args) => `<tool_call>${JSON.stringify({ name, arguments: args })}</tool_call>`;
+
+// Responsible-service stand-in; steerToNonAlcoholic as the ledger would report it
+const fakeLedger = (steerToNonAlcoholic = false) => ({
+  getGuidance: jest.fn(async () => ({ level: steerToNonAlcoholic ? 'cutoff' : 'ok', steerToNonAlcoholic }))
+});
+
+// Session stand-in recording what was logged
+const fakeSession = (userId = patron.id) => ({
+  userId,
+  toolCalls: [],
+  logToolCall(call) {
+    this.toolCalls.push(call);
+  },
+  save: jest.fn(() => Promise.resolve())
+});
+
+const echoTool = {
+  name: 'echo',
+  description: 'Repeat a word',
+  roles: ['Patron'],
+  parameters: {
+    word: { type: 'string', maxLength: 10, required: true },
+    times: { type: 'integer', minimum: 1, maximum: 3 }
+  },
+  execute: jest.fn(async (args) => ({ success: true, message: 'Echoed', data: { said: args.word.repeat(args.times || 1) } }))
+};
+
+// Local provider whose reply depends on whether tool results are in the prompt yet
+const scriptedGateway = (firstReply) => new LlmGateway({
+  config: { ...baseConfig, primary: 'local', fallback: null },
+  providers: {
+    local: new LocalProvider({
+      reply: ({ prompt }) => (prompt.includes('TOOL RESULT echo') ? 'Done! I said it for you.' : firstReply)
+    })
+  }
+});
+
+describe('IA Tool Service', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    echoTool.execute.mockClear();
+  });
+
+  test('should only describe the tools a role may use', () => {
+    const service = new IaToolService({ tools: defaultTools });
+
+    const patronTools = service.listTools('Patron').map(tool => tool.name);
+    const bartenderPrompt = service.describeTools('Bartender', { hasSession: false });
+
+    expect(patronTools).toEqual(['lookup_beverage', 'add_favorite', 'request_ultra_shelf', 'check_reservation_availability', 'create_reservation']);
+    expect(bartenderPrompt).toContain('- lookup_beverage:');
+    expect(bartenderPrompt).not.toContain('request_ultra_shelf');
+    expect(bartenderPrompt).not.toContain('add_favorite');
+    expect(service.describeTools('Guest')).toBe('');
+  });
+
+  test('should validate arguments against the declaration', () => {
+    const service = new IaToolService({ tools: defaultTools });
+    const createReservation = service.tools.get('create_reservation');
+
+    const errors = service.validateArguments(createReservation, {
+      eventTitle: 'Birthday',
+      eventType: 'Rave',
+      startTime: 'tomorrow',
+      endTime: '2026-11-01T22:00:00Z',
+      guestCount: 4.5,
+      dj: true
+    });
+
+    expect(errors).toEqual([
+      { param: 'dj', msg: 'Unknown argument' },
+      { param: 'eventType', msg: expect.stringContaining('Must be one of Birthday Party') },
+      { param: 'startTime', msg: 'Must be a valid datetime' },
+      { param: 'guestCount', msg: 'Must be an integer' }
+    ]);
+    expect(service.validateArguments(createReservation, {
+      eventTitle: 'Birthday',
+      eventType: 'Birthday Party',
+      startTime: '2026-11-01T23:00:00Z',
+      endTime: '2026-11-01T22:00:00Z',
+      guestCount: 4
+    })).toEqual([{ param: null, msg: 'End time must be after start time' }]);
+  });
+
+  test('should refuse tools outside the role and log every outcome on the session', async () => {
+    const service = new IaToolService({ tools: [...defaultTools, echoTool] });
+    const session = fakeSession();
+
+    const forbidden = await service.execute({ name: 'request_ultra_shelf', arguments: { name: 'Pappy Van Winkle 23 Year' } }, { user: bartender, session });
+    const invalid = await service.execute({ name: 'echo', arguments: { word: 'ahoy ahoy ahoy' } }, { user: patron, session });
+    const unknown = await service.execute({ name: 'pour_drink', arguments: {} }, { user: patron, session });
+    const completed = await service.execute({ name: 'echo', arguments: { word: 'ahoy', times: 2 } }, { user: patron, session });
+
+    expect(forbidden).toEqual(expect.objectContaining({ status: 'forbidden', message: 'request_ultra_shelf is not available to Bartender accounts' }));
+    expect(invalid).toEqual(expect.objectContaining({ status: 'invalid', message: 'Invalid arguments: word must be at most 10 characters' }));
+    expect(unknown).toEqual(expect.objectContaining({ status: 'invalid', message: 'Unknown tool: pour_drink' }));
+    expect(completed).toEqual({ name: 'echo', arguments: { word: 'ahoy', times: 2 }, status: 'completed', message: 'Echoed', result: { said: 'ahoyahoy' } });
+    expect(echoTool.execute).toHaveBeenCalledTimes(1);
+    expect(session.toolCalls.map(call => call.status)).toEqual(['forbidden', 'invalid', 'invalid', 'completed']);
+    expect(session.toolCalls[0].userId).toBe(bartender.id);
+    expect(session.save).toHaveBeenCalledTimes(4);
+  });
+
+  test('should not run session tools on or log to another user\'s session', async () => {
+    const favorite = { name: 'remember', description: 'Save to the session', roles: ['Patron'], requiresSession: true, parameters: {}, execute: jest.fn() };
+    const service = new IaToolService({ tools: [echoTool, favorite] });
+    const othersSession = fakeSession(new mongoose.Types.ObjectId().toString());
+
+    const needsSession = await service.execute({ name: 'remember', arguments: {} }, { user: patron, session: othersSession });
+    const echo = await service.execute({ name: 'echo', arguments: { word: 'ahoy' } }, { user: patron, session: othersSession });
+
+    expect(needsSession).toEqual(expect.objectContaining({ status: 'forbidden', message: 'remember needs a conversation session' }));
+    expect(favorite.execute).not.toHaveBeenCalled();
+    expect(echoTool.execute).toHaveBeenCalledWith({ word: 'ahoy' }, { user: patron, session: null });
+    expect(echo.status).toBe('completed');
+    expect(othersSession.toolCalls).toEqual([]);
+    expect(othersSession.save).not.toHaveBeenCalled();
+  });
+
+  test('should run requested tools and answer with their results', async () => {
+    const service = new IaToolService({ tools: [echoTool], gateway: scriptedGateway(toolCall('echo', { word: 'ahoy' })) });
+    const session = fakeSession();
+
+    const result = await service.generate({ route: 'chat.contextual', prompt: 'Say ahoy', user: patron, session });
+
+    expect(result.text).toBe('Done! I said it for you.');
+    expect(result.toolCalls).toEqual([expect.objectContaining({ name: 'echo', status: 'completed' })]);
+    expect(result.usage.totalTokens).toBeGreaterThan(0);
+    expect(session.toolCalls).toHaveLength(1);
+  });
+
+  test('should stop calling tools after the last round', async () => {
+    const service = new IaToolService({ tools: [echoTool], gateway: scriptedGateway(toolCall('nothing', {})), maxRounds: 2 });
+
+    const result = await service.generate({ route: 'chat.contextual', prompt: 'Loop forever', user: patron });
+
+    expect(result.toolCalls).toHaveLength(2);
+    expect(result.text).toMatch(/wasn't able to finish/);
+  });
+
+  test('should hold back tool calls when streaming and only stream the answer', async () => {
+    const service = new IaToolService({ tools: [echoTool], gateway: scriptedGateway(toolCall('echo', { word: 'ahoy' })) });
+
+    const events = [];
+    for await (const event of service.stream({ route: 'chat.contextual', prompt: 'Say ahoy', user: patron })) {
+      events.push(event);
+    }
+
+    expect(events.filter(event => event.type === 'text').map(event => event.text).join('')).toBe('Done! I said it for you.');
+    expect(events.find(event => event.type === 'tool').call).toEqual(expect.objectContaining({ name: 'echo', status: 'completed' }));
+    expect(events[events.length - 1]).toEqual(expect.objectContaining({
+      type: 'done',
+      provider: 'local',
+      toolCalls: [expect.objectContaining({ name: 'echo' })]
+    }));
+  });
+
+  test('should request ultra shelf access only for ultra shelf spirits', async () => {
+    const service = new IaToolService({ serviceLedger: fakeLedger() });
+    jest.spyOn(Spirit, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([buffalo, pappy]) }) });
+    const request = jest.spyOn(spiritsAuthService, 'requestUltraShelfAuthorization').mockResolvedValue({
+      success: true,
+      message: 'Authorization request submitted to owner',
+      requestId: 'req-1',
+      authorization: { status: 'pending' }
+    });
+
+    const lower = await service.execute({ name: 'request_ultra_shelf', arguments: { name: 'buffalo trace' } }, { user: patron });
+    const ultra = await service.execute({ name: 'request_ultra_shelf', arguments: { name: 'Pappy Van Winkle 23 Year', message: 'Anniversary' } }, { user: patron });
+
+    expect(lower).toEqual(expect.objectContaining({ status: 'failed', code: 'NOT_ULTRA_SHELF', message: 'Buffalo Trace is not on the ultra shelf, so no authorization is needed' }));
+    expect(ultra).toEqual(expect.objectContaining({
+      status: 'completed',
+      result: { spirit: 'Pappy Van Winkle 23 Year', requestId: 'req-1', status: 'pending' }
+    }));
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(request).toHaveBeenCalledWith(patron, pappy._id, 'Anniversary');
+  });
+
+  test('should refuse tools that lead to alcohol while the patron is steered to non-alcoholic drinks', async () => {
+    const ledger = fakeLedger(true);
+    const service = new IaToolService({ tools: [...defaultTools, echoTool], serviceLedger: ledger });
+    const session = fakeSession();
+    const find = jest.spyOn(Spirit, 'find');
+    const request = jest.spyOn(spiritsAuthService, 'requestUltraShelfAuthorization');
+
+    const ultra = await service.execute({ name: 'request_ultra_shelf', arguments: { name: 'Pappy Van Winkle 23 Year' } }, { user: patron, session });
+    const echo = await service.execute({ name: 'echo', arguments: { word: 'ahoy' } }, { user: patron, session });
+
+    expect(ultra).toEqual(expect.objectContaining({ status: 'failed', code: 'RESPONSIBLE_SERVICE', result: null }));
+    expect(find).not.toHaveBeenCalled();
+    expect(request).not.toHaveBeenCalled();
+    expect(ledger.getGuidance).toHaveBeenCalledTimes(1);
+    expect(ledger.getGuidance).toHaveBeenCalledWith(patron.id);
+    expect(echo.status).toBe('completed');
+    expect(session.toolCalls[0]).toEqual(expect.objectContaining({ code: 'RESPONSIBLE_SERVICE', userId: patron.id }));
+  });
+});
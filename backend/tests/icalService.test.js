@@ -0,0 +1,71 @@
+const icalService = require('../services/icalService');
+
+const reservation = {
+  _id: '665f1c2e8a1b2c3d4e5f6a7b',
+  eventTitle: 'Corporate Mixer, Q3',
+  eventType: 'Corporate Event',
+  guestCount: 12,
+  status: 'Approved',
+  startTime: new Date('2025-07-04T22:00:00Z'),
+  endTime: new Date('2025-07-05T01:00:00Z'),
+  updatedAt: new Date('2025-06-20T15:30:00Z'),
+  seatingPreference: 'Booth',
+  allocation: { areaName: 'Booths', tables: [{ name: 'B1' }, { name: 'B2' }] },
+  assignedStaff: [{ user: { fullName: 'Jordan Lee' }, role: 'Bartender' }],
+  statusHistory: []
+};
+
+const NOW = new Date('2025-06-21T00:00:00Z');
+
+describe('iCal Service', () => {
+  test('should render a confirmed VEVENT with guests, seating and staff', () => {
+    const calendar = icalService.buildCalendar([reservation], { now: NOW });
+    const unfolded = calendar.replace(/\r\n /g, '');
+
+    expect(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(unfolded).toContain('UID:665f1c2e8a1b2c3d4e5f6a7b@reservations.nautibouys.com');
+    expect(unfolded).toContain('DTSTART:20250704T220000Z');
+    expect(unfolded).toContain('DTEND:20250705T010000Z');
+    expect(unfolded).toContain('SUMMARY:Corporate Mixer\\, Q3 (12)');
+    expect(unfolded).toContain('Seating: Booths (tables B1\\, B2)');
+    expect(unfolded).toContain('Staff: Jordan Lee (Bartender)');
+    expect(unfolded).toContain('STATUS:CONFIRMED');
+  });
+
+  test('should publish cancellations with a higher sequence', () => {
+    const cancelled = { ...reservation, status: 'Cancelled', updatedAt: new Date('2025-06-22T09:00:00Z') };
+    const sequence = (text) => Number(text.match(/SEQUENCE:(\d+)/)[1]);
+
+    const before = icalService.buildCalendar([reservation], { now: NOW });
+    const after = icalService.buildCalendar([cancelled], { now: NOW });
+
+    expect(after).toContain('STATUS:CANCELLED');
+    expect(sequence(after)).toBeGreaterThan(sequence(before));
+  });
+
+  test('should fold long lines to 75 octets', () => {
+    const calendar = icalService.buildCalendar([{ ...reservation, specialRequests: 'é'.repeat(120) }], { now: NOW });
+
+    calendar.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+  });
+
+  test('should keep only approved events and cancellations of approved events in staff feeds', () => {
+    const pending = { ...reservation, _id: 'p', status: 'Pending' };
+    const deniedOutright = { ...reservation, _id: 'd', status: 'Denied', statusHistory: [{ status: 'Pending' }] };
+    const cancelledAfterApproval = { ...reservation, _id: 'c', status: 'Cancelled', statusHistory: [{ status: 'Pending' }, { status: 'Approved' }] };
+
+    const feed = icalService.filterForFeed([reservation, pending, deniedOutright, cancelledAfterApproval]);
+
+    expect(feed.map(r => r._id)).toEqual([reservation._id, 'c']);
+    expect(icalService.filterForFeed([pending], true)).toHaveLength(1);
+  });
+
+  test('should hash feed tokens deterministically', () => {
+    const { token, hash } = icalService.generateFeedToken();
+
+    expect(token).toHaveLength(48);
+    expect(icalService.hashFeedToken(token)).toBe(hash);
+  });
+});
@@ -0,0 +1,129 @@
+const Inventory = require('../models/Inventory');
+const { InventoryAlertSweeper } = require('../services/inventoryAlertSweeper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-03-10T12:00:00');
+
+const buildItem = (overrides = {}) => {
+  const item = new Inventory({
+    itemName: 'Fresh Lime Juice',
+    itemType: 'Ingredient',
+    quantity: 5,
+    unit: 'bottles',
+    minimumStock: 2,
+    location: { section: 'Cooler' },
+    ...overrides
+  });
+  jest.spyOn(item, 'save').mockResolvedValue(item);
+  return item;
+};
+
+const buildSweeper = (now = NOW) => {
+  const notificationManager = { addNotification: jest.fn(notification => notification) };
+  const sweeper = new InventoryAlertSweeper({ clock: () => now, notificationManager });
+  return { sweeper, notificationManager };
+};
+
+describe('Inventory Alert Sweeper', () => {
+  test('should raise and notify an expiry alert using the injected clock', async () => {
+    const item = buildItem({ expirationDate: new Date(NOW.getTime() + 3 * DAY_MS) });
+    const { sweeper, notificationManager } = buildSweeper();
+
+    const result = await sweeper.sweepItem(item);
+
+    expect(result).toEqual({ created: 1, retired: 0, notified: 1 });
+    expect(item.alerts[0].type).toBe('EXPIRING_SOON');
+    expect(item.alerts[0].notifiedAt).toEqual(NOW);
+    expect(notificationManager.addNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'inventory_alert', data: expect.objectContaining({ alertType: 'EXPIRING_SOON' }) })
+    );
+    expect(item.save).toHaveBeenCalled();
+  });
+
+  test('should leave an alert pending when its notification fails', async () => {
+    const item = buildItem({ quantity: 0 });
+    const { sweeper, notificationManager } = buildSweeper();
+    notificationManager.addNotification.mockResolvedValueOnce(null);
+
+    const failed = await sweeper.sweepItem(item);
+    const retried = await sweeper.sweepItem(item);
+
+    expect(failed).toEqual({ created: 1, retired: 0, notified: 0 });
+    expect(retried).toEqual({ created: 0, retired: 0, notified: 1 });
+    expect(notificationManager.addNotification).toHaveBeenCalledTimes(2);
+    expect(item.alerts[0].notifiedAt).toEqual(NOW);
+  });
+
+  test('should move from expiring soon to expired as the clock advances', async () => {
+    const item = buildItem({ expirationDate: new Date(NOW.getTime() + 3 * DAY_MS) });
+    await buildSweeper().sweeper.sweepItem(item);
+
+    const later = new Date(NOW.getTime() + 4 * DAY_MS);
+    const result = await buildSweeper(later).sweeper.sweepItem(item);
+
+    expect(result).toEqual({ created: 1, retired: 1, notified: 1 });
+    expect(item.alerts.filter(alert => alert.isActive).map(alert => alert.type)).toEqual(['EXPIRED']);
+  });
+
+  test('should not notify or save twice when nothing changed', async () => {
+    const item = buildItem({ quantity: 1 });
+    const { sweeper, notificationManager } = buildSweeper();
+
+    await sweeper.sweepItem(item);
+    item.save.mockClear();
+    const result = await sweeper.sweepItem(item);
+
+    expect(result).toEqual({ created: 0, retired: 0, notified: 0 });
+    expect(notificationManager.addNotification).toHaveBeenCalledTimes(1);
+    expect(item.save).not.toHaveBeenCalled();
+  });
+
+  test('should retire stock alerts once stock recovers', async () => {
+    const item = buildItem({ quantity: 0 });
+    const { sweeper } = buildSweeper();
+    await sweeper.sweepItem(item);
+
+    item.quantity = 10;
+    const result = await sweeper.sweepItem(item);
+
+    expect(result.retired).toBe(1);
+    expect(item.alerts[0].isActive).toBe(false);
+    expect(item.alerts[0].resolvedAt).toEqual(NOW);
+  });
+
+  test('should retire an alert when the item is restocked after it was raised', async () => {
+    const item = buildItem({ expirationDate: new Date(NOW.getTime() - DAY_MS) });
+    await buildSweeper().sweeper.sweepItem(item);
+
+    const later = new Date(NOW.getTime() + DAY_MS);
+    item.lastRestocked = later;
+    item.expirationDate = new Date(later.getTime() + 60 * DAY_MS);
+    const result = await buildSweeper(later).sweeper.sweepItem(item);
+
+    expect(result).toEqual({ created: 0, retired: 1, notified: 0 });
+    expect(item.alerts.some(alert => alert.isActive)).toBe(false);
+  });
+
+  test('should not raise an acknowledged alert again while its condition persists', async () => {
+    const item = buildItem({ quantity: 1 });
+    const { sweeper } = buildSweeper();
+    await sweeper.sweepItem(item);
+
+    item.alerts[0].isActive = false;
+    item.alerts[0].acknowledgedAt = NOW;
+    const result = await sweeper.sweepItem(item);
+
+    expect(result.created).toBe(0);
+    expect(item.alerts).toHaveLength(1);
+  });
+
+  test('should stay disabled when the interval is zero', () => {
+    const { sweeper } = buildSweeper();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(sweeper.start({ intervalMinutes: 0 })).toBe(false);
+    expect(sweeper.getStatus().running).toBe(false);
+
+    console.log.mockRestore();
+  });
+});
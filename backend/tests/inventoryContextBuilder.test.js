@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { InventoryContextBuilder } = require('../services/inventoryContextBuilder');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buffalo = { _id: id(), name: 'Buffalo Trace', brand: 'Buffalo Trace', type: 'Whiskey', price: 9, shelf_tier: 'lower', averageRating: 4.4 };
+const pappy = { _id: id(), name: '23 Year', brand: 'Pappy Van Winkle', type: 'Whiskey', price: 150, shelf_tier: 'ultra', averageRating: 5 };
+const blantons = { _id: id(), name: 'Single Barrel', brand: "Blanton's", type: 'Whiskey', price: 18, shelf_tier: 'top', averageRating: 4.7 };
+const titos = { _id: id(), name: "Tito's", brand: "Tito's", type: 'Vodka', price: 8, shelf_tier: 'lower', averageRating: 4.1 };
+const oldFashioned = { _id: id(), name: 'Old Fashioned', price: 12, averageRating: 4.8 };
+const shirley = { _id: id(), name: 'Shirley Temple', price: 5, averageRating: 4.5 };
+const lemonade = { _id: id(), name: 'Lavender Lemonade', price: 4, averageRating: 4.2 };
+
+// Model.find().sort().lean() stand-in that honours isAvailable and the rating sort
+const buildModel = (items) => ({
+  find: jest.fn(() => ({
+    sort: () => ({
+      lean: () => Promise.resolve(items
+        .filter(item => item.isAvailable !== false)
+        .sort((a, b) => b.averageRating - a.averageRating))
+    })
+  }))
+});
+
+const buildBuilder = ({ inventory = [], authorized = [] } = {}) => {
+  const authService = { isAuthorizedForSpirit: jest.fn(async (patronId, spirit) => authorized.includes(spirit._id)) };
+  const builder = new InventoryContextBuilder({
+    models: {
+      cocktails: buildModel([oldFashioned]),
+      spirits: buildModel([buffalo, pappy, blantons, titos]),
+      wines: buildModel([]),
+      beers: buildModel([]),
+      mocktails: buildModel([shirley]),
+      nonAlcoholic: buildModel([lemonade])
+    },
+    inventoryModel: {
+      find: jest.fn(() => ({ select: () => ({ lean: () => Promise.resolve(inventory) }) }))
+    },
+    authService
+  });
+  return { builder, authService };
+};
+
+const row = (item, isOutOfStock, itemType = 'Spirit') => ({ itemType, itemId: item._id, isOutOfStock });
+
+describe('Inventory Context Builder', () => {
+  test('should leave out beverages whose every inventory row is out of stock', async () => {
+    const { builder } = buildBuilder({
+      inventory: [row(blantons, true), row(buffalo, true), row(buffalo, false)]
+    });
+
+    const context = await builder.buildContextForAI('Any bourbon tonight?', { patronId: 'patron-1' });
+    const names = context.relevantInventory.primary.bourbon.map(item => item.name);
+
+    expect(names).toEqual(['23 Year', 'Buffalo Trace']);
+    expect(context.summary.outOfStock).toEqual(["Blanton's Single Barrel"]);
+    expect(context.formattedInventory).toContain("OUT OF STOCK (do not offer) ***\nBlanton's Single Barrel");
+  });
+
+  test('should flag ultra shelf spirits until the patron is authorized', async () => {
+    const { builder, authService } = buildBuilder();
+
+    const before = await builder.buildContextForAI('bourbon please', { patronId: 'patron-1' });
+    expect(authService.isAuthorizedForSpirit).toHaveBeenCalledWith('patron-1', expect.objectContaining({ _id: pappy._id }));
+    expect(authService.isAuthorizedForSpirit).toHaveBeenCalledTimes(1);
+    expect(before.formattedInventory).toContain('• Pappy Van Winkle 23 Year ($150) [ULTRA SHELF - AUTHORIZATION REQUIRED]');
+    expect(before.summary.items).toContainEqual({
+      id: pappy._id, category: 'spirits', name: 'Pappy Van Winkle 23 Year', shelfTier: 'ultra', requiresAuthorization: true
+    });
+
+    const { builder: approved } = buildBuilder({ authorized: [pappy._id] });
+    const after = await approved.buildContextForAI('bourbon please', { patronId: 'patron-1' });
+    expect(after.formattedInventory).toContain('[ULTRA SHELF - AUTHORIZED FOR THIS PATRON]');
+    expect(after.summary.items.find(item => item.name === 'Pappy Van Winkle 23 Year').requiresAuthorization).toBe(false);
+  });
+
+  test('should only offer non-alcoholic drinks when steering away from alcohol', async () => {
+    const { builder } = buildBuilder();
+
+    const context = await builder.buildContextForAI('Something with bourbon?', { skipAlcohol: true });
+
+    expect(context.items.map(item => item.name)).toEqual(['Shirley Temple', 'Lavender Lemonade']);
+    expect(context.summary.skipAlcohol).toBe(true);
+    expect(context.formattedInventory).not.toContain('Buffalo Trace');
+  });
+
+  test('should fall back to featured selections and report each item once', async () => {
+    const { builder } = buildBuilder();
+
+    const context = await builder.buildContextForAI('What do you suggest?', { topN: 2 });
+
+    expect(context.hasSpecificMatches).toBe(false);
+    expect(context.summary.items.map(item => `${item.category}:${item.name}`)).toEqual([
+      'cocktails:Old Fashioned',
+      'spirits:Pappy Van Winkle 23 Year',
+      "spirits:Blanton's Single Barrel",
+      'mocktails:Shirley Temple'
+    ]);
+    expect(context.formattedInventory).toContain('FEATURED SELECTIONS');
+    expect(context.formattedInventory).not.toContain('TOP WINES');
+  });
+});
@@ -0,0 +1,84 @@
+const Inventory = require('../models/Inventory');
+const inventoryForecastService = require('../services/inventoryForecastService');
+
+// Wednesday noon, local time
+const now = new Date(2025, 0, 15, 12, 0, 0);
+
+const daysAgo = (days, hour = 20) => {
+  const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+  date.setHours(hour);
+  return date;
+};
+
+// Four weeks of history: 1 bottle every weekday evening, 3 on Fridays and Saturdays
+const buildItem = (overrides = {}) => {
+  const stockMovements = [{ type: 'IN', quantity: 50, timestamp: daysAgo(28, 9) }];
+  for (let days = 1; days <= 28; days++) {
+    const timestamp = daysAgo(days);
+    const weekend = [5, 6].includes(timestamp.getDay());
+    stockMovements.push({ type: 'OUT', quantity: weekend ? 3 : 1, timestamp });
+  }
+  stockMovements.push({ type: 'ADJUSTMENT', quantity: 12, timestamp: daysAgo(2) });
+
+  return {
+    _id: 'item-1',
+    itemName: 'House Bourbon',
+    itemType: 'Spirit',
+    unit: 'bottles',
+    quantity: 12,
+    minimumStock: 4,
+    createdAt: daysAgo(28, 9),
+    stockMovements,
+    ...overrides
+  };
+};
+
+describe('Inventory Forecast Service', () => {
+  test('should compute average and weekday usage from OUT movements only', () => {
+    const forecast = inventoryForecastService.forecastItem(buildItem(), { now });
+
+    // 8 weekend days × 3 + 20 weekdays × 1 over 28 days
+    expect(forecast.averageDailyUsage).toBeCloseTo(44 / 28, 2);
+    expect(forecast.usageByWeekday.Friday).toBeCloseTo(3);
+    expect(forecast.usageByWeekday.Tuesday).toBeCloseTo(1);
+    expect(forecast.seasonality.Saturday).toBeGreaterThan(1);
+    expect(forecast.seasonality.Monday).toBeLessThan(1);
+  });
+
+  test('should account for the weekend rush when projecting minimum stock', () => {
+    const forecast = inventoryForecastService.forecastItem(buildItem(), { now });
+
+    // Wed half day (0.5), Thu (1), Fri (3), Sat (3) uses 7.5; the last 0.5 goes by Sunday noon
+    expect(forecast.daysUntilMinimum).toBeCloseTo(4, 1);
+    expect(forecast.minimumStockDate.getDay()).toBe(0);
+    expect(forecast.reorderRecommended).toBe(true);
+    expect(forecast.daysOfStockRemaining).toBeGreaterThan(forecast.daysUntilMinimum);
+  });
+
+  test('should return null projections for items with no consumption', () => {
+    const item = buildItem({ stockMovements: [{ type: 'IN', quantity: 12, timestamp: daysAgo(10) }] });
+    const forecast = inventoryForecastService.forecastItem(item, { now });
+
+    expect(forecast.averageDailyUsage).toBe(0);
+    expect(forecast.daysOfStockRemaining).toBeNull();
+    expect(forecast.minimumStockDate).toBeNull();
+    expect(forecast.reorderRecommended).toBe(false);
+  });
+
+  test('should report zero days when already at minimum stock', () => {
+    const forecast = inventoryForecastService.forecastItem(buildItem({ quantity: 3 }), { now });
+    expect(forecast.daysUntilMinimum).toBe(0);
+  });
+
+  test('should keep a lead time of zero instead of the default', async () => {
+    const atMinimum = buildItem({ quantity: 3 });
+    const fourDaysLeft = buildItem({ _id: 'item-2' });
+    jest.spyOn(Inventory, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([atMinimum, fourDaysLeft]) }) });
+
+    const summary = await inventoryForecastService.getForecastSummary({ now, leadTimeDays: 0 });
+
+    expect(summary.leadTimeDays).toBe(0);
+    expect(summary.reorderRecommended).toBe(1);
+    Inventory.find.mockRestore();
+  });
+});
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Reservation = require('../models/Reservation');
+const invoiceService = require('../services/invoiceService');
+const { MockPaymentProvider } = require('../services/paymentProviders');
+
+const buildInvoice = (overrides = {}) => new Invoice({
+  invoiceNumber: 'INV-2025-0001',
+  reservation: new mongoose.Types.ObjectId(),
+  patron: new mongoose.Types.ObjectId(),
+  createdBy: new mongoose.Types.ObjectId(),
+  lineItems: [
+    { kind: 'Booking', description: 'Private Party booking', quantity: 1, unitPrice: 200 },
+    { kind: 'Beverage', description: 'Old Fashioned (Cocktail)', quantity: 10, unitPrice: 14 },
+    { kind: 'Charge', description: 'Room setup', quantity: 1, unitPrice: 60, taxable: false }
+  ],
+  taxRate: 0.07,
+  gratuityRate: 0.18,
+  ...overrides
+});
+
+describe('Invoice Service', () => {
+  describe('Invoice totals', () => {
+    test('should apply tax to taxable lines and gratuity to the pre-tax subtotal', () => {
+      const invoice = buildInvoice();
+      invoice.recalculate();
+
+      expect(invoice.subtotal).toBe(400);
+      expect(invoice.taxableSubtotal).toBe(340);
+      expect(invoice.tax).toBe(23.8);
+      expect(invoice.gratuity).toBe(72);
+      expect(invoice.total).toBe(495.8);
+      expect(invoice.balanceDue).toBe(495.8);
+      expect(invoice.status).toBe('Draft');
+    });
+
+    test('should settle payments and refunds from the ledger into the status', () => {
+      const invoice = buildInvoice({ status: 'Issued', taxRate: 0, gratuityRate: 0 });
+      invoice.payments.push({ kind: 'Payment', amount: 150, method: 'Cash' });
+      invoice.payments.push({ kind: 'Payment', amount: 100, method: 'Credit Card', status: 'Failed' });
+      invoice.recalculate();
+
+      expect(invoice.amountPaid).toBe(150);
+      expect(invoice.balanceDue).toBe(250);
+      expect(invoice.status).toBe('Partially Paid');
+
+      invoice.payments.push({ kind: 'Payment', amount: 250, method: 'Check' });
+      invoice.recalculate();
+      expect(invoice.status).toBe('Paid');
+
+      invoice.payments.push({ kind: 'Refund', amount: 50, method: 'Check' });
+      invoice.recalculate();
+      expect(invoice.balanceDue).toBe(50);
+      expect(invoice.status).toBe('Partially Paid');
+    });
+  });
+
+  describe('rules', () => {
+    test('should add automatic gratuity only for large parties', () => {
+      expect(invoiceService.getGratuityRate(4)).toBe(0);
+      expect(invoiceService.getGratuityRate(8)).toBe(invoiceService.rules.gratuityRate);
+    });
+
+    test('should bucket open invoices by days overdue', () => {
+      const asOf = new Date('2025-06-30T12:00:00');
+
+      expect(invoiceService.agingBucket(new Date('2025-07-15'), asOf)).toBe('current');
+      expect(invoiceService.agingBucket(new Date('2025-06-10'), asOf)).toBe('1-30');
+      expect(invoiceService.agingBucket(new Date('2025-04-20'), asOf)).toBe('61-90');
+      expect(invoiceService.agingBucket(new Date('2025-01-01'), asOf)).toBe('90+');
+    });
+  });
+
+  describe('deposits', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should track the collected deposit from the ledger and leave the required amount alone', async () => {
+      const invoice = buildInvoice({ status: 'Issued' });
+      invoice.recalculate();
+      // Saving recalculates the totals, as the pre-save hook does
+      jest.spyOn(invoice, 'save').mockImplementation(async () => {
+        invoice.recalculate();
+        return invoice;
+      });
+      jest.spyOn(Invoice, 'findById').mockResolvedValue(invoice);
+      // A reservation that requires a deposit of 100
+      const reservation = { pricing: { deposit: { amount: 100, paid: false } } };
+      jest.spyOn(Reservation, 'findById').mockReturnValue({ select: () => Promise.resolve(reservation) });
+      const update = jest.spyOn(Reservation, 'findByIdAndUpdate').mockImplementation(async (id, { $set }) => {
+        Object.entries($set).forEach(([path, value]) => {
+          reservation.pricing.deposit[path.replace('pricing.deposit.', '')] = value;
+        });
+        return reservation;
+      });
+      const deposit = () => ({ amount: reservation.pricing.deposit.amount, paidAmount: reservation.pricing.deposit.paidAmount, paid: reservation.pricing.deposit.paid });
+      const userId = new mongoose.Types.ObjectId();
+
+      await invoiceService.recordPayment(invoice._id, { amount: 60, method: 'Cash', isDeposit: true }, userId);
+      expect(deposit()).toEqual({ amount: 100, paidAmount: 60, paid: false });
+
+      await invoiceService.recordPayment(invoice._id, { amount: 40, method: 'Check', isDeposit: true }, userId);
+      await invoiceService.recordPayment(invoice._id, { amount: 50, method: 'Cash' }, userId);
+      expect(deposit()).toEqual({ amount: 100, paidAmount: 100, paid: true });
+      expect(reservation.pricing.deposit.paymentMethod).toBe('Check');
+      expect(update).toHaveBeenCalledTimes(2);
+
+      const [cash, check] = invoice.payments;
+      await invoiceService.refund(invoice._id, { paymentId: cash._id, amount: 25 }, userId);
+      expect(deposit()).toEqual({ amount: 100, paidAmount: 75, paid: false });
+
+      await invoiceService.refund(invoice._id, { paymentId: cash._id }, userId);
+      await invoiceService.refund(invoice._id, { paymentId: check._id }, userId);
+      expect(deposit()).toEqual({ amount: 100, paidAmount: 0, paid: false });
+      expect(reservation.pricing.deposit.paidAt).toBeNull();
+    });
+  });
+
+  describe('mock payment provider', () => {
+    test('should approve charges, decline the test token and cap refunds', async () => {
+      const provider = new MockPaymentProvider();
+
+      const charge = await provider.charge({ amount: 100, token: 'tok_visa' });
+      expect(charge.success).toBe(true);
+      expect((await provider.charge({ amount: 100, token: 'tok_decline' })).success).toBe(false);
+
+      expect((await provider.refund({ amount: 60, reference: charge.reference })).success).toBe(true);
+      expect((await provider.refund({ amount: 60, reference: charge.reference })).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const { LlmGateway } = require('../services/llmGateway');
+const { LocalProvider } = require('../services/llmProviders');
+const baseConfig = require('../config/llm');
+
+const transient = (message = 'Service Unavailable') => Object.assign(new Error(message), { status: 503 });
+
+// Provider whose generate/stream replay a script of outcomes: a string answers, an Error throws
+const scriptedProvider = (name, script, { configured = true } = {}) => {
+  const outcomes = [...script];
+  const take = () => {
+    const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  };
+
+  return {
+    name,
+    calls: [],
+    isConfigured: () => configured,
+    async generate(request) {
+      this.calls.push(request);
+      if (take() === 'hang') return new Promise(() => {});
+      return { text: `${name} reply`, usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 } };
+    },
+    async *stream(request) {
+      this.calls.push(request);
+      const outcome = take();
+      yield { text: `${name} ` };
+      if (outcome === 'break') throw transient('Stream dropped');
+      yield { text: 'streamed' };
+      yield { usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 } };
+    },
+    async countTokens() {
+      return { tokens: 42, estimated: false };
+    }
+  };
+};
+
+const buildGateway = ({ primary = 'gemini', fallback = 'openai', providers, timeoutMs = 1000 } = {}) => {
+  const sleep = jest.fn(() => Promise.resolve());
+  const gateway = new LlmGateway({
+    config: { ...baseConfig, primary, fallback, timeoutMs, maxRetries: 2, retryDelayMs: 100 },
+    providers,
+    sleep
+  });
+  return { gateway, sleep };
+};
+
+const collect = async (iterable) => {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+};
+
+describe('LLM Gateway', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pick the model and generation settings from the route', async () => {
+    const gemini = scriptedProvider('gemini', ['ok']);
+    const { gateway } = buildGateway({ providers: { gemini, openai: scriptedProvider('openai', ['ok']) } });
+
+    const result = await gateway.generate({ route: 'chat.contextual', prompt: 'Hi' });
+
+    expect(result).toEqual(expect.objectContaining({
+      text: 'gemini reply',
+      provider: 'gemini',
+      model: 'gemini-2.5-pro',
+      tier: 'advanced',
+      fallback: false
+    }));
+    expect(gemini.calls[0].generation).toEqual(expect.objectContaining({ maxOutputTokens: 4096 }));
+    expect(gateway.resolve('openai', 'chat.simple').model).toBe('gpt-4o-mini');
+    expect(gateway.resolve('gemini', 'unknown-route').tier).toBe('balanced');
+  });
+
+  test('should retry transient failures with backoff before answering', async () => {
+    const gemini = scriptedProvider('gemini', [transient(), transient(), 'ok']);
+    const { gateway, sleep } = buildGateway({ providers: { gemini, openai: scriptedProvider('openai', ['ok']) } });
+
+    const result = await gateway.generate({ route: 'chat', prompt: 'Hi' });
+
+    expect(result.provider).toBe('gemini');
+    expect(gemini.calls).toHaveLength(3);
+    expect(sleep.mock.calls).toEqual([[100], [200]]);
+  });
+
+  test('should fall back without retrying errors that will not go away', async () => {
+    const badKey = Object.assign(new Error('API key not valid'), { status: 400 });
+    const gemini = scriptedProvider('gemini', [badKey]);
+    const openai = scriptedProvider('openai', ['ok']);
+    const { gateway } = buildGateway({ providers: { gemini, openai } });
+
+    const result = await gateway.generate({ route: 'recipe', prompt: 'Negroni' });
+
+    expect(gemini.calls).toHaveLength(1);
+    expect(result).toEqual(expect.objectContaining({ provider: 'openai', model: 'gpt-4o-mini', fallback: true }));
+  });
+
+  test('should time out a hung provider and report every failure', async () => {
+    const gemini = scriptedProvider('gemini', ['hang']);
+    const openai = scriptedProvider('openai', [Object.assign(new Error('Unauthorized'), { status: 401 })]);
+    const { gateway } = buildGateway({ providers: { gemini, openai }, timeoutMs: 20 });
+
+    const error = await gateway.generate({ route: 'chat', prompt: 'Hi' }).catch(caught => caught);
+
+    expect(error.code).toBe('LLM_UNAVAILABLE');
+    expect(error.failures).toEqual([
+      { provider: 'gemini', message: 'No response within 20ms' },
+      { provider: 'openai', message: 'Unauthorized' }
+    ]);
+    expect(gemini.calls).toHaveLength(3);
+  });
+
+  test('should skip providers that are not configured', async () => {
+    const gemini = scriptedProvider('gemini', ['ok'], { configured: false });
+    const { gateway } = buildGateway({ fallback: 'local', providers: { gemini, local: new LocalProvider() } });
+
+    const result = await gateway.generate({ route: 'chat', prompt: 'USER MESSAGE: What goes in a Negroni?' });
+
+    expect(result.provider).toBe('local');
+    expect(gateway.getStatus()).toEqual(expect.objectContaining({ active: 'local' }));
+  });
+
+  test('should stream deltas and finish with usage', async () => {
+    const { gateway } = buildGateway({ providers: { gemini: scriptedProvider('gemini', ['ok']), openai: scriptedProvider('openai', ['ok']) } });
+
+    const events = await collect(gateway.stream({ route: 'chat', prompt: 'Hi' }));
+
+    expect(events.filter(event => event.type === 'text').map(event => event.text).join('')).toBe('gemini streamed');
+    expect(events[events.length - 1]).toEqual(expect.objectContaining({
+      type: 'done',
+      provider: 'gemini',
+      usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 }
+    }));
+  });
+
+  test('should not switch providers once a stream has started', async () => {
+    const gemini = scriptedProvider('gemini', ['break']);
+    const openai = scriptedProvider('openai', ['ok']);
+    const { gateway } = buildGateway({ providers: { gemini, openai } });
+
+    const events = [];
+    const error = await (async () => {
+      for await (const event of gateway.stream({ route: 'chat', prompt: 'Hi' })) events.push(event);
+    })().catch(caught => caught);
+
+    expect(error.message).toBe('Stream dropped');
+    expect(events).toEqual([{ type: 'text', text: 'gemini ' }]);
+    expect(openai.calls).toHaveLength(0);
+  });
+
+  test('should answer deterministically from the local provider', async () => {
+    const { gateway } = buildGateway({ primary: 'local', fallback: null, providers: { local: new LocalProvider() } });
+    const request = { route: 'chat', prompt: 'CONTEXT\n\nUSER MESSAGE: Something with rum?' };
+
+    const first = await gateway.generate(request);
+    const second = await gateway.generate(request);
+    const streamed = await collect(gateway.stream(request));
+    const count = await gateway.countTokens(request);
+
+    expect(first.text).toBe(second.text);
+    expect(first.text).toContain('USER MESSAGE: Something with rum?');
+    expect(streamed.filter(event => event.type === 'text').map(event => event.text).join('')).toBe(first.text);
+    expect(first.usage).toEqual({ inputTokens: 6, outputTokens: expect.any(Number), totalTokens: 6 + first.usage.outputTokens });
+    expect(count).toEqual({ tokens: 6, estimated: true, provider: 'local', model: 'local-stub' });
+  });
+
+  test('should only default to providers that have an API key, never the local stub', () => {
+    const loadConfig = (env) => {
+      const saved = { ...process.env };
+      delete process.env.LLM_PROVIDER;
+      delete process.env.LLM_FALLBACK_PROVIDER;
+      delete process.env.GEMINI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+      Object.assign(process.env, { NODE_ENV: 'production' }, env);
+      try {
+        let config;
+        jest.isolateModules(() => {
+          config = require('../config/llm');
+        });
+        return { primary: config.primary, fallback: config.fallback };
+      } finally {
+        process.env = saved;
+      }
+    };
+
+    expect(loadConfig({})).toEqual({ primary: null, fallback: null });
+    expect(loadConfig({ OPENAI_API_KEY: 'sk-test' })).toEqual({ primary: 'openai', fallback: null });
+    expect(loadConfig({ GEMINI_API_KEY: 'g-test', OPENAI_API_KEY: 'sk-test' })).toEqual({ primary: 'gemini', fallback: 'openai' });
+    expect(loadConfig({ LLM_PROVIDER: 'local' })).toEqual({ primary: 'local', fallback: null });
+  });
+
+  test('should be unavailable when no provider is configured', async () => {
+    const { gateway } = buildGateway({ primary: null, fallback: null, providers: {} });
+
+    await expect(gateway.generate({ route: 'chat', prompt: 'Hi' })).rejects.toMatchObject({ code: 'LLM_UNAVAILABLE' });
+    expect(gateway.getStatus()).toEqual(expect.objectContaining({ primary: null, active: null }));
+  });
+});
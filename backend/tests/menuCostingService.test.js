@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const { MenuCostingService } = require('../services/menuCostingService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const bourbon = { _id: id(), itemName: 'Bourbon', unit: 'bottles', unitVolumeMl: 750, cost: { unitCost: 30 } };
+const bitters = { _id: id(), itemName: 'Angostura Bitters', unit: 'bottles', unitVolumeMl: 200, cost: { unitCost: 12 } };
+const limeJuice = { _id: id(), itemName: 'Lime Juice', unit: 'liters', cost: { unitCost: 8 } };
+const mint = { _id: id(), itemName: 'Mint', unit: 'pieces' };
+
+const inventory = [bourbon, bitters, limeJuice, mint];
+
+const oldFashioned = {
+  _id: id(),
+  name: 'Old Fashioned',
+  price: 12,
+  ingredients: [
+    { name: 'Bourbon', amount: '2', unit: 'oz', inventoryItem: bourbon._id },
+    { name: 'Angostura Bitters', amount: '2', unit: 'dash' }
+  ]
+};
+
+const pricyPour = {
+  _id: id(),
+  name: 'Bourbon Smash',
+  price: 8,
+  ingredients: [
+    { name: 'Bourbon', amount: '3', unit: 'oz' },
+    { name: 'Mint', amount: '6', unit: 'sprig' },
+    { name: 'Lime Juice', amount: '1', unit: 'oz' }
+  ]
+};
+
+const virginMojito = {
+  _id: id(),
+  name: 'Virgin Mojito',
+  price: 7,
+  ingredients: [
+    { name: 'Lime Juice', amount: '1', unit: 'oz' },
+    { name: 'Simple Syrup', amount: '0.75', unit: 'oz' }
+  ]
+};
+
+// Model.find().select().lean(), findById().select().lean() and updateOne() stand-ins
+const buildModel = (items) => ({
+  find: jest.fn(() => ({ select: () => ({ lean: () => Promise.resolve(items) }) })),
+  findById: jest.fn((ref) => ({
+    select: () => ({ lean: () => Promise.resolve(items.find(item => String(item._id) === String(ref)) || null) })
+  })),
+  updateOne: jest.fn().mockResolvedValue({ acknowledged: true })
+});
+
+const buildService = ({ cocktails = [oldFashioned, pricyPour], mocktails = [virginMojito] } = {}) => {
+  const models = { cocktails: buildModel(cocktails), mocktails: buildModel(mocktails) };
+  const notificationManager = { addNotification: jest.fn() };
+  const resolver = {
+    resolveIngredient: jest.fn(async (ingredient) => (
+      inventory.find(item => String(item._id) === String(ingredient.inventoryItem)) ||
+      inventory.find(item => item.itemName === ingredient.name) ||
+      null
+    ))
+  };
+
+  const service = new MenuCostingService({
+    models,
+    resolver,
+    notificationManager,
+    clock: () => new Date('2026-03-01T12:00:00Z')
+  });
+
+  return { service, models, notificationManager };
+};
+
+describe('Menu Costing Service', () => {
+  const originalTarget = process.env.MENU_TARGET_MARGIN;
+
+  afterEach(() => {
+    if (originalTarget === undefined) {
+      delete process.env.MENU_TARGET_MARGIN;
+    } else {
+      process.env.MENU_TARGET_MARGIN = originalTarget;
+    }
+  });
+
+  test('should cost each ingredient from its inventory unit cost', async () => {
+    const { service } = buildService();
+
+    const cost = await service.costRecipe(oldFashioned);
+
+    // 2 oz of a $30 750 ml bottle, plus two dashes from a $12 200 ml bottle
+    expect(cost.ingredients[0]).toEqual(expect.objectContaining({ status: 'costed', cost: 2.37 }));
+    expect(cost.ingredients[1]).toEqual(expect.objectContaining({ status: 'costed', cost: 0.11 }));
+    expect(cost.pourCost).toBe(2.48);
+    expect(cost.complete).toBe(true);
+    expect(cost.missing).toEqual([]);
+  });
+
+  test('should report which ingredients could not be costed', async () => {
+    const { service } = buildService();
+
+    const smash = await service.costRecipe(pricyPour);
+    const mojito = await service.costRecipe(virginMojito);
+
+    expect(smash.ingredients.map(line => line.status)).toEqual(['costed', 'uncosted', 'costed']);
+    expect(smash.missing).toEqual(['Mint']);
+    expect(smash.complete).toBe(false);
+    expect(mojito.ingredients[1].status).toBe('unmatched');
+    expect(mojito.missing).toEqual(['Simple Syrup']);
+  });
+
+  test('should work out pour cost percentage and gross margin', async () => {
+    const { service } = buildService();
+
+    const costing = service.analyze(oldFashioned, await service.costRecipe(oldFashioned));
+
+    expect(costing).toEqual(expect.objectContaining({
+      pourCost: 2.48,
+      pourCostPct: 20.7,
+      grossMargin: 9.52,
+      grossMarginPct: 79.3,
+      targetMargin: 75,
+      belowTarget: false,
+      complete: true
+    }));
+  });
+
+  test('should use the configured target margin', async () => {
+    process.env.MENU_TARGET_MARGIN = '85';
+    const { service } = buildService();
+
+    const costing = service.analyze(oldFashioned, await service.costRecipe(oldFashioned));
+
+    expect(costing.targetMargin).toBe(85);
+    expect(costing.belowTarget).toBe(true);
+  });
+
+  test('should leave margin empty for a drink without a price', async () => {
+    const { service } = buildService();
+    const unpriced = { ...oldFashioned, price: undefined };
+
+    const costing = service.analyze(unpriced, await service.costRecipe(unpriced));
+
+    expect(costing.pourCostPct).toBeNull();
+    expect(costing.grossMarginPct).toBeNull();
+    expect(costing.belowTarget).toBe(false);
+    expect(costing.complete).toBe(false);
+  });
+
+  test('should list drinks weakest margin first and flag those below target', async () => {
+    const { service, models } = buildService();
+
+    const report = await service.getReport();
+
+    expect(report.drinks.map(drink => drink.name)).toEqual(['Bourbon Smash', 'Old Fashioned', 'Virgin Mojito']);
+    expect(report.drinks[0].belowTarget).toBe(true);
+    expect(report.summary).toEqual(expect.objectContaining({ drinks: 3, belowTarget: 1, incomplete: 2 }));
+    // Drinks never costed before are stored as the report is built
+    expect(models.cocktails.updateOne).toHaveBeenCalledTimes(2);
+
+    const flagged = await service.getReport({ belowTargetOnly: true });
+    expect(flagged.drinks.map(drink => drink.name)).toEqual(['Bourbon Smash']);
+  });
+
+  test('should recost affected drinks when an item cost changes and alert on new shortfalls', async () => {
+    const costed = { ...oldFashioned, costing: { belowTarget: false, complete: true, calculatedAt: new Date() } };
+    const { service, models, notificationManager } = buildService({ cocktails: [costed], mocktails: [] });
+
+    bourbon.cost.unitCost = 120;
+    try {
+      const result = await service.recalculateForInventoryItem(bourbon);
+
+      expect(models.cocktails.find).toHaveBeenCalledWith({
+        $or: expect.arrayContaining([{ 'ingredients.inventoryItem': bourbon._id }])
+      });
+      expect(result.recalculated).toBe(1);
+      expect(result.newlyBelowTarget).toEqual([expect.objectContaining({ name: 'Old Fashioned' })]);
+      expect(models.cocktails.updateOne).toHaveBeenCalledWith(
+        { _id: costed._id },
+        { $set: { costing: expect.objectContaining({ belowTarget: true }) } }
+      );
+      expect(notificationManager.addNotification).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'inventory_margin',
+        audience: ['Owner', 'Bartender']
+      }));
+    } finally {
+      bourbon.cost.unitCost = 30;
+    }
+  });
+
+  test('should return a breakdown for one drink or NOT_FOUND', async () => {
+    const { service } = buildService();
+
+    const breakdown = await service.getBreakdown('cocktails', String(oldFashioned._id));
+    expect(breakdown.success).toBe(true);
+    expect(breakdown.ingredients).toHaveLength(2);
+    expect(breakdown.costing.grossMarginPct).toBe(79.3);
+
+    await expect(service.getBreakdown('cocktails', String(id()))).resolves.toEqual(expect.objectContaining({ code: 'NOT_FOUND' }));
+    await expect(service.getBreakdown('wines', String(id()))).resolves.toEqual(expect.objectContaining({ code: 'INVALID_CATEGORY' }));
+  });
+});
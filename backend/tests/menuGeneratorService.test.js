@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { MenuGeneratorService } = require('../services/menuGeneratorService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const oldFashioned = {
+  _id: id(), name: 'Old Fashioned', price: 12, isSignature: true, averageRating: 4.8,
+  description: 'Bourbon, sugar, bitters', ingredients: [{ name: 'Bourbon' }, { name: 'Bitters' }]
+};
+const mojito = { _id: id(), name: 'Mojito', price: 10, averageRating: 4.2, description: 'Rum, mint, lime' };
+const mule = { _id: id(), name: 'Moscow Mule', price: 11, averageRating: 4.0, description: 'Vodka, ginger, lime' };
+const shirley = { _id: id(), name: 'Shirley Temple', price: 5, isSignature: true, averageRating: 4.5, description: 'Grenadine & ginger ale' };
+
+const cabernet = { _id: id(), name: 'Napa Cabernet', type: 'Red', winery: 'Silver Oak', varietal: 'Cabernet Sauvignon', price: 60, pricePerGlass: 12 };
+const prosecco = { _id: id(), name: 'Prosecco', type: 'Sparkling', winery: 'La Marca', price: 40, pricePerGlass: 8 };
+
+const wellVodka = { _id: id(), name: 'House Vodka', type: 'Vodka', shelf_tier: 'lower' };
+const pappy = { _id: id(), name: "Pappy Van Winkle's 23", brand: 'Old Rip Van Winkle', type: 'Whiskey', shelf_tier: 'ultra' };
+
+// Model.find().select().lean() stand-in that honours isAvailable
+const buildModel = (items) => ({
+  find: jest.fn(() => ({
+    select: () => ({ lean: () => Promise.resolve(items.filter(item => item.isAvailable !== false)) })
+  }))
+});
+
+const buildService = ({ inventory = [] } = {}) => new MenuGeneratorService({
+  models: {
+    cocktails: buildModel([oldFashioned, mojito, mule, { _id: id(), name: 'Retired Sour', price: 9, isAvailable: false }]),
+    mocktails: buildModel([shirley]),
+    wines: buildModel([cabernet, prosecco]),
+    spirits: buildModel([wellVodka, pappy])
+  },
+  inventoryModel: {
+    find: jest.fn(() => ({ select: () => ({ lean: () => Promise.resolve(inventory) }) }))
+  },
+  clock: () => new Date('2026-03-01T18:00:00Z')
+});
+
+const layout = {
+  _id: id(),
+  name: 'House Menu',
+  slug: 'house',
+  title: 'Nauti Bouys',
+  subtitle: 'Drinks on the water',
+  footer: 'Please drink responsibly',
+  pageSize: 'letter',
+  columns: 2,
+  specials: { enabled: true, title: 'House Specials', categories: ['cocktails', 'mocktails'], limit: 6 },
+  sections: [
+    { title: 'Cocktails', categories: ['cocktails'], sortBy: 'price' },
+    { title: 'Wine', categories: ['wines'], sortBy: 'name', showPricePerGlass: true, showDescription: false },
+    { title: 'Top Shelf', categories: ['spirits'], tiers: ['top', 'ultra'] }
+  ]
+};
+
+const names = (section) => section.items.map(item => item.name);
+
+describe('Menu Generator Service', () => {
+  test('should fill sections from the catalog with specials pulled out', async () => {
+    const menu = await buildService().build(layout);
+
+    expect(names(menu.specials)).toEqual(['Old Fashioned', 'Shirley Temple']);
+    expect(menu.sections.map(section => section.title)).toEqual(['Cocktails', 'Wine', 'Top Shelf']);
+    // Signature drinks only appear in the specials box, and unavailable drinks not at all
+    expect(names(menu.sections[0])).toEqual(['Mojito', 'Moscow Mule']);
+    expect(names(menu.sections[2])).toEqual(["Pappy Van Winkle's 23"]);
+    expect(menu.specials.items[0]).toEqual(expect.objectContaining({ badges: ['Signature'], details: 'Bourbon, Bitters' }));
+  });
+
+  test('should drop items that are out of stock in every inventory row', async () => {
+    const service = buildService({
+      inventory: [
+        { itemType: 'Cocktail', itemId: mojito._id, isOutOfStock: true },
+        { itemType: 'Wine', itemId: cabernet._id, isOutOfStock: true },
+        { itemType: 'Wine', itemId: cabernet._id, isOutOfStock: false }
+      ]
+    });
+
+    const menu = await service.build(layout);
+
+    expect(names(menu.sections[0])).toEqual(['Moscow Mule']);
+    expect(names(menu.sections[1])).toEqual(['Napa Cabernet', 'Prosecco']);
+  });
+
+  test('should show glass prices only where the section asks for them', async () => {
+    const menu = await buildService().build(layout);
+
+    expect(menu.sections[1].items[0]).toEqual(expect.objectContaining({ price: 60, pricePerGlass: 12 }));
+    expect(menu.sections[1].items[0].description).toBeUndefined();
+    expect(menu.sections[0].items[0].pricePerGlass).toBeUndefined();
+  });
+
+  test('should keep specials in their section when asked and skip empty sections', async () => {
+    const menu = await buildService().build({
+      ...layout,
+      specials: { ...layout.specials, repeatInSections: true, limit: 1 },
+      sections: [
+        ...layout.sections,
+        { title: 'Rum', categories: ['spirits'], types: ['Rum'] }
+      ]
+    });
+
+    expect(names(menu.specials)).toEqual(['Old Fashioned']);
+    expect(names(menu.sections[0])).toEqual(['Mojito', 'Moscow Mule', 'Old Fashioned']);
+    expect(menu.sections.map(section => section.title)).not.toContain('Rum');
+  });
+
+  test('should render escaped print HTML with the layout page size and columns', async () => {
+    const service = buildService();
+    const menu = await service.build(layout);
+
+    const html = service.toHtml(menu);
+    expect(html).toContain('@page { size: letter');
+    expect(html).toContain('column-count: 2');
+    expect(html).toContain('Pappy Van Winkle&#39;s 23');
+    expect(html).toContain('$8 glass');
+
+    const widget = service.toHtml(menu, { embed: true });
+    expect(widget).not.toContain('@page');
+    expect(service.toHtmlFragment(menu)).toMatch(/^<div class="nb-menu" data-menu="house">/);
+  });
+
+  test('should render a well-formed PDF', async () => {
+    const service = buildService();
+    const menu = await service.build(layout);
+
+    const pdf = service.toPdf(menu).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('(NAUTI BOUYS) Tj');
+    expect(pdf).toContain("(Pappy Van Winkle's 23) Tj");
+    expect(pdf).toContain('(Old Fashioned \\(Signature\\)) Tj');
+
+    // Every xref entry points at the object it names
+    const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const entries = pdf.slice(startxref).split('\n').slice(3).filter(line => / n $/.test(line));
+    entries.forEach((entry, index) => {
+      expect(pdf.slice(Number(entry.slice(0, 10))).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { NotificationManager } = require('../services/notificationManager');
+const { MemoryPubSub } = require('../services/notificationPubSub');
+
+const owner = { id: new mongoose.Types.ObjectId().toString(), role: 'Owner' };
+const coOwner = { id: new mongoose.Types.ObjectId().toString(), role: 'Owner' };
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+const buildNotification = (overrides = {}) => new Notification({
+  type: 'inventory_alert',
+  category: 'inventory',
+  title: 'Low Stock',
+  message: 'Fresh Lime Juice is running low',
+  ...overrides
+});
+
+// Chainable stand-in for Notification.find(...).sort().limit().lean()
+const mockFind = (results) => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    lean: jest.fn().mockResolvedValue(results)
+  };
+  jest.spyOn(Notification, 'find').mockReturnValue(chain);
+  return chain;
+};
+
+describe('Notification Manager', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should derive categories from notification types', () => {
+    const manager = new NotificationManager({ pubsub: new MemoryPubSub() });
+
+    expect(manager.categoryFor('ultra_shelf_request')).toBe('ultra_shelf');
+    expect(manager.categoryFor('inventory_alert')).toBe('inventory');
+    expect(manager.categoryFor('waitlist_offer')).toBe('reservations');
+    expect(manager.categoryFor('something_else')).toBe('system');
+    expect(manager.parseCategories('inventory, bogus,reservations')).toEqual(['inventory', 'reservations']);
+  });
+
+  test('should persist a notification and fan it out to every instance on the bus', async () => {
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => {
+      const notification = new Notification(fields);
+      notification.createdAt = new Date();
+      return notification;
+    });
+    const bus = new EventEmitter();
+    const first = new NotificationManager({ pubsub: new MemoryPubSub({ bus }) });
+    const second = new NotificationManager({ pubsub: new MemoryPubSub({ bus }) });
+    const receivedByFirst = jest.fn();
+    const receivedBySecond = jest.fn();
+    first.subscribe(receivedByFirst);
+    second.subscribe(receivedBySecond);
+
+    const notification = await first.addNotification({ type: 'waitlist_offer', title: 'Waitlist: Slot Offered' });
+    await nextTick();
+
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ category: 'reservations' }));
+    expect(notification).toEqual(expect.objectContaining({ category: 'reservations', read: false }));
+    expect(receivedByFirst).toHaveBeenCalledWith(expect.objectContaining({ id: notification.id, audience: ['Owner'] }));
+    expect(receivedBySecond).toHaveBeenCalledWith(expect.objectContaining({ id: notification.id }));
+  });
+
+  test('should stop delivering after unsubscribe', async () => {
+    const pubsub = new MemoryPubSub();
+    const handler = jest.fn();
+    const unsubscribe = pubsub.subscribe('staff-notifications', handler);
+
+    unsubscribe();
+    await pubsub.publish('staff-notifications', { id: '1' });
+    await nextTick();
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should log rather than throw when a notification cannot be stored', async () => {
+    jest.spyOn(Notification, 'create').mockRejectedValue(new Error('offline'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const manager = new NotificationManager({ pubsub: new MemoryPubSub() });
+
+    await expect(manager.addNotification({ type: 'inventory_alert', title: 'Low Stock' })).resolves.toBeNull();
+  });
+
+  test('should resolve read and dismissed state per user', () => {
+    const notification = buildNotification({ readBy: [owner.id], dismissedBy: [owner.id] });
+
+    expect(Notification.toClient(notification, owner.id)).toEqual(expect.objectContaining({ read: true, dismissed: true }));
+    expect(Notification.toClient(notification, coOwner.id)).toEqual(expect.objectContaining({ read: false, dismissed: false }));
+  });
+
+  test('should filter unread, undismissed notifications for one user', () => {
+    const manager = new NotificationManager({ pubsub: new MemoryPubSub() });
+
+    const query = manager.buildQuery(owner, { categories: ['inventory'], unreadOnly: true });
+
+    expect(query.audience).toBe('Owner');
+    expect(query.category).toEqual({ $in: ['inventory'] });
+    expect(String(query.readBy.$ne)).toBe(owner.id);
+    expect(String(query.dismissedBy.$ne)).toBe(owner.id);
+  });
+
+  test('should replay notifications after the last event ID, oldest first', async () => {
+    const manager = new NotificationManager({ pubsub: new MemoryPubSub() });
+    const lastEventId = new mongoose.Types.ObjectId().toString();
+    const missed = buildNotification({ readBy: [owner.id] });
+    const chain = mockFind([missed.toObject()]);
+
+    const replay = await manager.getSince(lastEventId, owner, { categories: ['inventory'] });
+
+    expect(Notification.find).toHaveBeenCalledWith(expect.objectContaining({
+      _id: { $gt: lastEventId },
+      category: { $in: ['inventory'] }
+    }));
+    expect(chain.sort).toHaveBeenCalledWith({ _id: 1 });
+    expect(replay).toEqual([expect.objectContaining({ id: String(missed._id), read: true })]);
+  });
+
+  test('should ignore a malformed last event ID', async () => {
+    const manager = new NotificationManager({ pubsub: new MemoryPubSub() });
+    jest.spyOn(Notification, 'find');
+
+    await expect(manager.getSince('not-an-id', owner)).resolves.toEqual([]);
+    expect(Notification.find).not.toHaveBeenCalled();
+  });
+
+  test('should mark a notification read only for the acting user', async () => {
+    const manager = new NotificationManager({ pubsub: new MemoryPubSub() });
+    const id = new mongoose.Types.ObjectId().toString();
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+
+    await expect(manager.markAsRead(id, owner)).resolves.toBe(true);
+    expect(Notification.updateOne).toHaveBeenCalledWith(
+      { _id: id, audience: 'Owner' },
+      { $addToSet: { readBy: owner.id } }
+    );
+    await expect(manager.markAsRead('bogus', owner)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { PairingService } = require('../services/pairingService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const ribeye = { _id: id(), name: 'Grilled Ribeye', course: 'Main', protein: 'Beef', flavorProfile: ['savory', 'smoky', 'rich'], fat: 'high', acidity: 'low', spice: 'none' };
+const wings = { _id: id(), name: 'Buffalo Wings', course: 'Shared', protein: 'Poultry', flavorProfile: ['savory', 'tangy', 'salty'], fat: 'high', acidity: 'medium', spice: 'hot' };
+const oysters = { _id: id(), name: 'Oysters on the Half Shell', course: 'Starter', protein: 'Shellfish', flavorProfile: ['salty', 'fresh', 'tangy'], fat: 'low', acidity: 'high', spice: 'none' };
+const lavaCake = { _id: id(), name: 'Chocolate Lava Cake', course: 'Dessert', protein: 'None', flavorProfile: ['sweet', 'rich', 'bitter'], fat: 'high', acidity: 'low', spice: 'none' };
+
+const cabernet = { _id: id(), name: 'Napa Cabernet', type: 'Red', varietal: 'Cabernet Sauvignon', body: 'Full', abv: 14.5, foodPairing: 'Grilled beef and lamb' };
+const riesling = { _id: id(), name: 'Mosel Riesling', type: 'White', varietal: 'Riesling', body: 'Light', abv: 9 };
+const sauvBlanc = { _id: id(), name: 'Marlborough Sauvignon Blanc', type: 'White', varietal: 'Sauvignon Blanc', body: 'Light', abv: 13, tastingNotes: ['grapefruit', 'fresh cut grass'] };
+const port = { _id: id(), name: 'Tawny Port', type: 'Fortified', body: 'Full', abv: 20 };
+
+const lager = { _id: id(), name: 'Harbor Lager', type: 'Lager', ibu: 18, abv: 4.8 };
+const ipa = { _id: id(), name: 'Double IPA', type: 'Ale', ibu: 85, abv: 8.2 };
+const stout = { _id: id(), name: 'Oyster Stout', type: 'Ale', ibu: 35, abv: 6, tastingNotes: ['roasted', 'chocolate'] };
+
+const oldFashioned = { _id: id(), name: 'Old Fashioned', primarySpirit: 'Bourbon', alcoholContent: 32, tastingNotes: ['orange', 'caramel'] };
+const margarita = { _id: id(), name: 'Margarita', primarySpirit: 'Tequila', alcoholContent: 18, tastingNotes: ['lime', 'salt'] };
+
+// Model.find(filter).select().lean() and findById().select().lean() stand-ins
+const buildModel = (items) => ({
+  find: jest.fn(() => ({ select: () => ({ lean: () => Promise.resolve(items) }) })),
+  findById: jest.fn((ref) => ({
+    select: () => ({ lean: () => Promise.resolve(items.find(item => String(item._id) === String(ref)) || null) })
+  }))
+});
+
+const buildDishModel = (dishes) => ({
+  find: jest.fn(() => ({ lean: () => Promise.resolve(dishes) })),
+  findById: jest.fn((ref) => ({ lean: () => Promise.resolve(dishes.find(dish => String(dish._id) === String(ref)) || null) })),
+  findOne: jest.fn(({ name }) => ({ lean: () => Promise.resolve(dishes.find(dish => name.test(dish.name)) || null) }))
+});
+
+const buildService = () => new PairingService({
+  models: {
+    wines: buildModel([cabernet, riesling, sauvBlanc, port]),
+    beers: buildModel([lager, ipa, stout]),
+    cocktails: buildModel([oldFashioned, margarita])
+  },
+  dishModel: buildDishModel([ribeye, wings, oysters, lavaCake])
+});
+
+describe('Pairing Service', () => {
+  test('should pair a big red with steak and explain why', () => {
+    const service = buildService();
+
+    const cab = service.scoreBeverage(ribeye, cabernet, 'wines');
+    const light = service.scoreBeverage(ribeye, riesling, 'wines');
+
+    expect(cab.score).toBeGreaterThan(light.score);
+    expect(cab.reasons).toEqual(expect.arrayContaining([
+      'Matches the weight of the dish',
+      'A classic match for beef',
+      'Recommended by the winery'
+    ]));
+    expect(light.cautions).toContain('Too light for the dish');
+  });
+
+  test('should keep tannin away from heat and favor off-dry wine', () => {
+    const service = buildService();
+
+    const cab = service.scoreBeverage(wings, cabernet, 'wines');
+    const offDry = service.scoreBeverage(wings, riesling, 'wines');
+
+    expect(offDry.score).toBeGreaterThan(cab.score);
+    expect(cab.cautions).toContain('Tannin turns up the heat');
+    expect(offDry.reasons).toContain('A touch of sweetness tames the heat');
+  });
+
+  test('should want acidity with a sharp dish', () => {
+    const service = buildService();
+
+    const bright = service.scoreBeverage(oysters, sauvBlanc, 'wines');
+
+    expect(bright.reasons).toEqual(expect.arrayContaining([
+      'Bright acidity keeps up with the dish',
+      'A classic match for shellfish'
+    ]));
+    expect(bright.score).toBeGreaterThan(service.scoreBeverage(oysters, cabernet, 'wines').score);
+  });
+
+  test('should cool heat with a crisp lager rather than a hoppy IPA', () => {
+    const service = buildService();
+
+    const crisp = service.scoreBeverage(wings, lager, 'beers');
+    const hoppy = service.scoreBeverage(wings, ipa, 'beers');
+
+    expect(crisp.score).toBeGreaterThan(hoppy.score);
+    expect(hoppy.cautions).toContain('Bitterness amplifies the heat');
+  });
+
+  test('should only pour sweet drinks with dessert', () => {
+    const service = buildService();
+
+    expect(service.scoreBeverage(lavaCake, port, 'wines').reasons).toContain('Sweet enough to stand up to dessert');
+    expect(service.scoreBeverage(lavaCake, sauvBlanc, 'wines').cautions).toContain('Tastes thin next to something sweeter');
+    expect(service.scoreBeverage(lavaCake, stout, 'beers').score)
+      .toBeGreaterThan(service.scoreBeverage(lavaCake, lager, 'beers').score);
+  });
+
+  test('should rank each category for a dish found by name', async () => {
+    const service = buildService();
+
+    const result = await service.suggestForDish('grilled ribeye', { limit: 2 });
+
+    expect(result.success).toBe(true);
+    expect(result.dish.name).toBe('Grilled Ribeye');
+    expect(result.pairings.wines[0].beverage.name).toBe('Napa Cabernet');
+    expect(result.pairings.cocktails[0].beverage.name).toBe('Old Fashioned');
+    expect(result.pairings.beers).toHaveLength(2);
+  });
+
+  test('should rank dishes for a beverage', async () => {
+    const service = buildService();
+
+    const result = await service.suggestForBeverage(String(margarita._id));
+
+    expect(result.success).toBe(true);
+    expect(result.category).toBe('cocktails');
+    expect(result.dishes[0].dish.name).toBe('Buffalo Wings');
+
+    await expect(service.suggestForBeverage(String(id()))).resolves.toEqual(expect.objectContaining({ code: 'NOT_FOUND' }));
+  });
+
+  test('should link menu food to dishes and add the best pairing once', async () => {
+    const service = buildService();
+    const reservation = {
+      guestCount: 20,
+      menu: {
+        food: [{ name: 'Grilled Ribeye', quantity: 12 }, { name: 'Mystery Dish' }],
+        beverages: [{ item: cabernet._id, itemType: 'Wine', quantity: 6 }]
+      },
+      save: jest.fn().mockResolvedValue()
+    };
+
+    const result = await service.applyToReservation(reservation, { categories: 'wines,cocktails', perDish: 2 });
+
+    expect(result.success).toBe(true);
+    expect(reservation.menu.food[0].dish).toBe(ribeye._id);
+    expect(result.suggestions.unmatched).toEqual(['Mystery Dish']);
+    // The cabernet was already on the menu, so only the cocktail is added
+    expect(result.added).toHaveLength(1);
+    expect(reservation.menu.beverages).toHaveLength(2);
+    expect(reservation.menu.beverages[1]).toEqual(expect.objectContaining({
+      item: oldFashioned._id,
+      itemType: 'Cocktail',
+      quantity: 12,
+      specialInstructions: 'Paired with Grilled Ribeye'
+    }));
+    expect(reservation.save).toHaveBeenCalled();
+  });
+});
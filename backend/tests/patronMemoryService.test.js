@@ -0,0 +1,207 @@
+const { PatronMemoryService } = require('../services/patronMemoryService');
+const { LocalEmbeddingProvider, cosineSimilarity, createEmbeddingProvider } = require('../services/embeddingProviders');
+const PatronMemory = require('../models/PatronMemory');
+
+const now = new Date('2026-06-01T20:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const patronId = '64b000000000000000000001';
+
+// Memory model stand-in: find() resolves to the given documents, writes are recorded
+const fakeMemoryModel = (docs = []) => {
+  const model = {
+    filters: [],
+    find: jest.fn((filter) => {
+      model.filters.push(filter);
+      let skipped = 0;
+      const chain = {
+        select: () => chain,
+        sort: () => chain,
+        limit: () => chain,
+        skip: (count) => {
+          skipped = count;
+          return chain;
+        },
+        lean: () => Promise.resolve(docs.slice(skipped))
+      };
+      return chain;
+    }),
+    insertMany: jest.fn(async (entries) => entries.map((entry, index) => ({ _id: `memory-${index}`, createdAt: now, ...entry }))),
+    deleteMany: jest.fn(async () => ({ deletedCount: 2 })),
+    deleteOne: jest.fn(async () => ({ deletedCount: 0 })),
+    updateMany: jest.fn(async () => ({})),
+    countDocuments: jest.fn(async () => docs.length),
+    toClient: PatronMemory.toClient
+  };
+  return model;
+};
+
+const fakeUserModel = (memory = {}) => ({
+  findById: () => ({ select: () => ({ lean: async () => ({ preferences: { memory } }) }) })
+});
+
+const provider = new LocalEmbeddingProvider();
+
+const createService = ({ docs, memory, embed } = {}) => new PatronMemoryService({
+  memoryModel: fakeMemoryModel(docs),
+  userModel: fakeUserModel(memory),
+  provider: embed ? { name: 'local', model: 'hash-512', embed } : provider,
+  clock: () => now
+});
+
+const storedMemory = async (id, text, extra = {}) => ({
+  _id: id,
+  patron: patronId,
+  source: 'conversation',
+  text,
+  embedding: (await provider.embed([text.replace(/^(Patron|Savannah): /gm, '')]))[0],
+  embeddingModel: 'local:hash-512',
+  createdAt: new Date('2026-05-10T21:00:00Z'),
+  ...extra
+});
+
+describe('Patron Memory Service', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('local embeddings should place related text closer than unrelated text', async () => {
+    const [bourbon, bourbons, wine] = await provider.embed([
+      'Patron: I love a smoky bourbon old fashioned',
+      'Do you have any smoky bourbons for an old fashioned?',
+      'Which dry white wine goes with oysters'
+    ]);
+
+    expect(bourbon).toHaveLength(512);
+    expect(cosineSimilarity(bourbon, bourbon)).toBeCloseTo(1, 6);
+    expect(cosineSimilarity(bourbon, bourbons)).toBeGreaterThan(0.4);
+    expect(cosineSimilarity(bourbon, wine)).toBeLessThan(0.15);
+    expect((await provider.embed(['Patron: I love a smoky bourbon old fashioned']))[0]).toEqual(bourbon);
+    expect(createEmbeddingProvider('local').model).toBe('hash-512');
+    expect(() => createEmbeddingProvider('word2vec')).toThrow('Unknown embedding provider: word2vec');
+  });
+
+  test('should chunk conversations into whole exchanges and skip the welcome message', () => {
+    const service = createService();
+    const longReply = 'Aye, '.repeat(80);
+
+    const chunks = service.chunkConversation([
+      { type: 'assistant', content: 'Welcome to Nauti Bouys!' },
+      { type: 'user', content: 'It is our anniversary tonight' },
+      { type: 'assistant', content: 'Congratulations! Champagne?' },
+      { type: 'user', content: 'My wife   loves rosé' },
+      { type: 'assistant', content: longReply },
+      { type: 'system', content: 'ignored' },
+      { type: 'user', content: 'x'.repeat(500) }
+    ]);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0]).toMatch(/^Patron: It is our anniversary tonight\nSavannah: Congratulations! Champagne\?\nPatron: My wife loves rosé\nSavannah: Aye,/);
+    expect(chunks[0]).toMatch(/\.\.\.$/);
+    expect(chunks[0]).not.toContain('Welcome');
+    expect(chunks[1]).toBe(`Patron: ${'x'.repeat(500)}`);
+    expect(service.chunkConversation([{ type: 'assistant', content: 'Welcome aboard' }])).toEqual([]);
+  });
+
+  test('should remember an ended session with its learnings and retention period', async () => {
+    const service = createService({ memory: { retentionDays: 30 } });
+    const session = {
+      sessionId: 'session_1',
+      userId: patronId,
+      messages: [{ type: 'user', content: 'Peated scotch is my favorite' }, { type: 'assistant', content: 'Noted!' }],
+      conversationSummary: { learnings: ['interested_in_recommendations'] }
+    };
+
+    const result = await service.rememberSession(session, patronId);
+
+    expect(result).toEqual({ success: true, stored: 2 });
+    expect(service.PatronMemory.deleteMany).toHaveBeenCalledWith({ patron: patronId, sessionId: 'session_1' });
+    const [entries] = service.PatronMemory.insertMany.mock.calls[0];
+    expect(entries.map(entry => [entry.source, entry.text])).toEqual([
+      ['conversation', 'Patron: Peated scotch is my favorite\nSavannah: Noted!'],
+      ['note', 'Learned: interested_in_recommendations']
+    ]);
+    expect(entries[0]).toEqual(expect.objectContaining({
+      patron: patronId,
+      sessionId: 'session_1',
+      embeddingModel: 'local:hash-512',
+      expiresAt: new Date(now.getTime() + 30 * DAY_MS)
+    }));
+    expect(entries[0].embedding).toHaveLength(512);
+  });
+
+  test('should not remember another patron\'s session', async () => {
+    const service = createService();
+    const session = { sessionId: 'session_3', userId: patronId, messages: [{ type: 'user', content: 'Remember I love mezcal' }] };
+
+    const result = await service.rememberSession(session, '64b000000000000000000002');
+
+    expect(result).toEqual(expect.objectContaining({ success: false, stored: 0, code: 'FORBIDDEN' }));
+    expect(service.PatronMemory.deleteMany).not.toHaveBeenCalled();
+    expect(service.PatronMemory.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('should not remember anything when the patron turned memory off', async () => {
+    const service = createService({ memory: { enabled: false } });
+
+    const remembered = await service.rememberSession({ sessionId: 'session_2', userId: patronId, messages: [{ type: 'user', content: 'Hello' }] }, patronId);
+    const note = await service.addNote(patronId, 'I am allergic to almonds');
+    const recalled = await service.recall(patronId, 'almond orgeat');
+
+    expect(remembered).toEqual({ success: true, stored: 0 });
+    expect(note).toEqual(expect.objectContaining({ success: false, code: 'MEMORY_DISABLED' }));
+    expect(recalled).toEqual([]);
+    expect(service.PatronMemory.insertMany).not.toHaveBeenCalled();
+  });
+
+  test('should recall the most relevant unexpired memories for the message', async () => {
+    const docs = await Promise.all([
+      storedMemory('a', 'Patron: Peated scotch is my favorite, the smokier the better'),
+      storedMemory('b', 'Patron: We are celebrating our anniversary with champagne'),
+      storedMemory('c', 'Learned: allergic to almonds', { source: 'note' })
+    ]);
+    const service = createService({ docs });
+
+    const recalled = await service.recall(patronId, 'Something smoky like a peated scotch please', { k: 2 });
+
+    expect(recalled.map(memory => memory.id)).toEqual(['a']);
+    expect(recalled[0].score).toBeGreaterThan(0.15);
+    expect(service.PatronMemory.filters[0]).toEqual({
+      patron: patronId,
+      embeddingModel: 'local:hash-512',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+    expect(service.PatronMemory.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['a'] } },
+      { $set: { lastRecalledAt: now }, $inc: { recallCount: 1 } }
+    );
+
+    const prompt = service.formatForPrompt(await service.recall(patronId, 'almond allergy', { minScore: 0.1 }));
+    expect(prompt).toContain('WHAT YOU REMEMBER ABOUT THIS PATRON');
+    expect(prompt).toContain('- (May 10, 2026, note) Learned: allergic to almonds');
+    expect(service.formatForPrompt([])).toBe('');
+  });
+
+  test('should recall nothing rather than fail the chat when embedding fails', async () => {
+    const docs = [await storedMemory('a', 'Patron: Peated scotch')];
+    const service = createService({ docs, embed: async () => { throw new Error('Embedding service down'); } });
+
+    await expect(service.recall(patronId, 'scotch')).resolves.toEqual([]);
+    expect(console.error).toHaveBeenCalledWith('Patron memory recall error:', 'Embedding service down');
+  });
+
+  test('should only forget the patron\'s own memories', async () => {
+    const service = createService();
+
+    const missing = await service.forget(patronId, '64b0000000000000000000ff');
+    const all = await service.forgetAll(patronId, { includeConversations: false });
+
+    expect(missing).toEqual({ success: false, code: 'NOT_FOUND', message: 'Memory not found' });
+    expect(service.PatronMemory.deleteOne).toHaveBeenCalledWith({ _id: '64b0000000000000000000ff', patron: patronId });
+    expect(service.PatronMemory.deleteMany).toHaveBeenCalledWith({ patron: patronId });
+    expect(all.data).toEqual({ memories: 2, conversations: 0 });
+  });
+});
@@ -0,0 +1,58 @@
+const purchaseOrderService = require('../services/purchaseOrderService');
+
+const samplePurchaseOrder = {
+  poNumber: 'PO-20250101-001',
+  supplier: { name: 'Bay Spirits, Inc', email: 'orders@bayspirits.com' },
+  status: 'Draft',
+  lines: [{
+    itemName: 'Hendrick\'s "Gin"',
+    unit: 'bottles',
+    quantityOnHand: 1,
+    quantityOrdered: 5,
+    quantityReceived: 0,
+    unitCost: 32.5,
+    lineTotal: 162.5
+  }],
+  subtotal: 162.5
+};
+
+describe('Purchase Order Service', () => {
+  describe('calculateOrderQuantity', () => {
+    test('should order up to maximum stock when at or below the reorder point', () => {
+      const item = { quantity: 2, reorderPoint: 3, minimumStock: 2, maximumStock: 10, unit: 'bottles' };
+      expect(purchaseOrderService.calculateOrderQuantity(item)).toBe(8);
+    });
+
+    test('should not order items above the reorder point', () => {
+      const item = { quantity: 4, reorderPoint: 3, minimumStock: 2, maximumStock: 10, unit: 'bottles' };
+      expect(purchaseOrderService.calculateOrderQuantity(item)).toBe(0);
+    });
+
+    test('should round whole units up and fall back to minimum stock', () => {
+      const bottles = { quantity: 0.4, minimumStock: 2, unit: 'bottles' };
+      const liters = { quantity: 2.3, minimumStock: 2.5, unit: 'liters' };
+
+      expect(purchaseOrderService.calculateOrderQuantity(bottles)).toBe(4);
+      expect(purchaseOrderService.calculateOrderQuantity(liters)).toBeCloseTo(2.7);
+    });
+  });
+
+  describe('exports', () => {
+    test('should escape CSV fields and include a subtotal row', () => {
+      const csv = purchaseOrderService.toCsv(samplePurchaseOrder).trim().split('\n');
+
+      expect(csv).toHaveLength(3);
+      expect(csv[1]).toContain('"Bay Spirits, Inc"');
+      expect(csv[1]).toContain('"Hendrick\'s ""Gin"""');
+      expect(csv[2]).toBe(',,,,,,,,Subtotal,162.50');
+    });
+
+    test('should render printable HTML with escaped values', () => {
+      const html = purchaseOrderService.toHtml(samplePurchaseOrder);
+
+      expect(html).toContain('Purchase Order PO-20250101-001');
+      expect(html).toContain('Hendrick\'s &quot;Gin&quot;');
+      expect(html).toContain('$162.50');
+    });
+  });
+});
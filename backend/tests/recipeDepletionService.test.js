@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const { RecipeDepletionService } = require('../services/recipeDepletionService');
+const { ML_PER_OZ } = require('../services/unitConversion');
+
+const userId = new mongoose.Types.ObjectId();
+
+const buildItem = (overrides = {}) => {
+  const item = new Inventory({
+    itemType: 'Ingredient',
+    unit: 'liters',
+    quantity: 1,
+    minimumStock: 0,
+    location: { section: 'Back Bar' },
+    ...overrides
+  });
+  jest.spyOn(item, 'save').mockResolvedValue(item);
+  return item;
+};
+
+// Inventory model stand-in: queries resolve on .session(), like the service's query chains
+const fakeInventoryModel = (items) => {
+  const model = { sessions: [] };
+  const query = (candidates) => {
+    let results = candidates;
+    const chain = {
+      populate: () => chain,
+      sort: ({ quantity }) => {
+        results = [...results].sort((a, b) => (b.quantity - a.quantity) * -quantity);
+        return chain;
+      },
+      session: (session) => {
+        model.sessions.push(session);
+        return Promise.resolve(results[0] || null);
+      }
+    };
+    return chain;
+  };
+
+  model.findById = jest.fn((id) => query(items.filter(item => String(item._id) === String(id))));
+  model.findOne = jest.fn((filter) => {
+    const name = new RegExp(filter.itemName.$regex, filter.itemName.$options);
+    return query(items.filter(item => !filter.itemType.$nin.includes(item.itemType) && name.test(item.itemName)));
+  });
+  return model;
+};
+
+// Runs the work with a session and records whether it committed or aborted
+const fakeTransactionRunner = () => {
+  const runner = jest.fn(async (work) => {
+    try {
+      const result = await work('txn-session');
+      runner.outcome = 'committed';
+      return result;
+    } catch (error) {
+      runner.outcome = 'aborted';
+      throw error;
+    }
+  });
+  return runner;
+};
+
+const buildService = (items, recipe) => new RecipeDepletionService({
+  inventoryModel: fakeInventoryModel(items),
+  recipeModels: { Cocktail: { findById: jest.fn(() => ({ lean: () => Promise.resolve(recipe) })) } },
+  transactionRunner: fakeTransactionRunner()
+});
+
+describe('Recipe Depletion Service', () => {
+  let bourbon;
+  let reserve;
+  let lemon;
+  let syrup;
+  let smash;
+
+  beforeEach(() => {
+    bourbon = buildItem({ itemName: 'House Bourbon', itemType: 'Spirit', quantity: 2 });
+    reserve = buildItem({ itemName: 'Bourbon Reserve', itemType: 'Spirit', quantity: 5 });
+    lemon = buildItem({ itemName: 'Fresh Lemon Juice' });
+    syrup = buildItem({ itemName: 'Simple Syrup', quantity: 0.5 });
+    smash = buildItem({ itemName: 'Bourbon', itemType: 'Cocktail', unit: 'servings', quantity: 50 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const whiskeySour = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Whiskey Sour',
+    ingredients: [
+      { name: 'house bourbon', amount: '2', unit: 'oz' },
+      { name: 'Lemon', amount: '3/4', unit: 'oz', inventoryItem: lemon._id },
+      { name: 'Simple Syrup', amount: '1/2', unit: 'oz' },
+      { name: 'Angostura bitters', amount: '2', unit: 'dash' }
+    ]
+  });
+
+  test('should resolve ingredients by link, exact name, then best-stocked partial match', async () => {
+    const service = buildService([bourbon, reserve, lemon, syrup, smash]);
+
+    const linked = await service.resolveIngredient({ name: 'Lemon', inventoryItem: lemon._id }, 'txn');
+    const exact = await service.resolveIngredient({ name: ' HOUSE BOURBON ' });
+    const partial = await service.resolveIngredient({ name: 'bourbon' });
+    const missing = await service.resolveIngredient({ name: 'Orgeat (almond)' });
+
+    expect(linked).toBe(lemon);
+    expect(exact).toBe(bourbon);
+    // The "Bourbon" cocktail is never an ingredient, even with an exact name
+    expect(partial).toBe(reserve);
+    expect(missing).toBeNull();
+    expect(service.Inventory.sessions[0]).toBe('txn');
+  });
+
+  test('should deplete every matched ingredient in one transaction', async () => {
+    const service = buildService([bourbon, reserve, lemon, syrup, smash], whiskeySour());
+
+    const result = await service.pour({ beverageType: 'Cocktail', beverageId: 'sour', count: 2, userId, notes: 'Table 4' });
+
+    expect(result.success).toBe(true);
+    expect(result.message).toBe('Recorded 2 × Whiskey Sour');
+    expect(result.breakdown.map(entry => [entry.ingredient, entry.status])).toEqual([
+      ['house bourbon', 'depleted'],
+      ['Lemon', 'depleted'],
+      ['Simple Syrup', 'depleted'],
+      ['Angostura bitters', 'unmatched']
+    ]);
+    expect(bourbon.quantity).toBeCloseTo(2 - (4 * ML_PER_OZ) / 1000, 4);
+    expect(lemon.quantity).toBeCloseTo(1 - (1.5 * ML_PER_OZ) / 1000, 4);
+    expect(result.breakdown[0].remaining).toBe(bourbon.quantity);
+    expect(bourbon.stockMovements[0]).toEqual(expect.objectContaining({ type: 'OUT', reason: 'Poured 2 × Whiskey Sour', notes: 'Table 4' }));
+    expect(reserve.stockMovements).toHaveLength(0);
+    expect(service.runInTransaction).toHaveBeenCalledWith(expect.any(Function), 'pour');
+    expect(service.runInTransaction.outcome).toBe('committed');
+    expect(service.Inventory.sessions.every(session => session === 'txn-session')).toBe(true);
+  });
+
+  test('should write nothing when ingredients sharing a bottle need more than it holds', async () => {
+    bourbon.quantity = 0.1;
+    const recipe = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Double Bourbon Sour',
+      ingredients: [
+        { name: 'Simple Syrup', amount: '1/2', unit: 'oz' },
+        { name: 'House Bourbon', amount: '2', unit: 'oz' },
+        { name: 'house bourbon', amount: '2', unit: 'oz' }
+      ]
+    };
+    const service = buildService([bourbon, syrup], recipe);
+
+    const result = await service.pour({ beverageType: 'Cocktail', beverageId: 'double', userId });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'INSUFFICIENT_STOCK' }));
+    expect(result.breakdown.map(entry => entry.status)).toEqual(['pending', 'insufficient', 'insufficient']);
+    expect(result.breakdown[1].available).toBe(0.1);
+    expect(service.runInTransaction.outcome).toBe('aborted');
+    expect(bourbon.quantity).toBe(0.1);
+    expect(syrup.quantity).toBe(0.5);
+    expect(bourbon.save).not.toHaveBeenCalled();
+    expect(syrup.save).not.toHaveBeenCalled();
+  });
+
+  test('should abort the transaction when a write fails part way', async () => {
+    lemon.save.mockRejectedValue(new Error('Write conflict'));
+    const service = buildService([bourbon, lemon, syrup], whiskeySour());
+
+    await expect(service.pour({ beverageType: 'Cocktail', beverageId: 'sour', userId })).rejects.toThrow('Write conflict');
+
+    expect(service.runInTransaction.outcome).toBe('aborted');
+    expect(bourbon.save).toHaveBeenCalledTimes(1);
+    expect(syrup.save).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown beverage types and missing recipes', async () => {
+    const service = buildService([bourbon], null);
+
+    const wine = await service.pour({ beverageType: 'Wine', beverageId: 'merlot', userId });
+    const missing = await service.pour({ beverageType: 'Cocktail', beverageId: 'gone', userId });
+
+    expect(wine.code).toBe('INVALID_TYPE');
+    expect(missing).toEqual({ success: false, code: 'NOT_FOUND', message: 'Cocktail not found' });
+    expect(service.runInTransaction).not.toHaveBeenCalled();
+  });
+});
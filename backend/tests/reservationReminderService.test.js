@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const { ReservationReminderService } = require('../services/reservationReminderService');
+const { OutboxTransport } = require('../services/reminderTransports');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2025-06-01T12:00:00');
+
+const buildReservation = (overrides = {}) => {
+  const reservation = new Reservation({
+    patronId: new mongoose.Types.ObjectId(),
+    eventTitle: 'Sam\'s Birthday',
+    eventType: 'Birthday Party',
+    startTime: new Date(NOW.getTime() + 72 * HOUR_MS),
+    endTime: new Date(NOW.getTime() + 75 * HOUR_MS),
+    guestCount: 6,
+    status: 'Approved',
+    contactInfo: { phone: '555-123-4567', email: 'sam@example.com' },
+    ...overrides
+  });
+  jest.spyOn(reservation, 'save').mockResolvedValue(reservation);
+  return reservation;
+};
+
+const buildTransport = (channels = ['Email', 'SMS']) => ({
+  name: 'fake',
+  supports: (channel) => channels.includes(channel),
+  send: jest.fn().mockResolvedValue({ messageId: 'test-1' })
+});
+
+const optedIn = { preferences: { notifications: { email: true, sms: true } } };
+
+describe('Reservation Reminder Service', () => {
+  test('should schedule 48h and 3h reminders per opted-in channel', async () => {
+    const service = new ReservationReminderService({ clock: () => NOW, transport: buildTransport() });
+    const reservation = buildReservation();
+
+    const created = await service.scheduleDefaultReminders(reservation, optedIn);
+
+    expect(created.map(reminder => reminder.type)).toEqual(['Email', 'Email', 'SMS', 'SMS']);
+    expect(created[0].scheduledFor).toEqual(new Date(reservation.startTime.getTime() - 48 * HOUR_MS));
+    expect(created[1].scheduledFor).toEqual(new Date(reservation.startTime.getTime() - 3 * HOUR_MS));
+  });
+
+  test('should skip reminder times that have already passed and replace earlier automatic ones', async () => {
+    const service = new ReservationReminderService({ clock: () => NOW, transport: buildTransport() });
+    const reservation = buildReservation({ startTime: new Date(NOW.getTime() + 24 * HOUR_MS), endTime: new Date(NOW.getTime() + 26 * HOUR_MS) });
+
+    await service.scheduleDefaultReminders(reservation, { preferences: { notifications: { email: true } } });
+    await service.scheduleDefaultReminders(reservation, { preferences: { notifications: { email: true } } });
+
+    expect(reservation.reminders).toHaveLength(1);
+    expect(reservation.reminders[0].type).toBe('Email');
+  });
+
+  test('should send a due reminder and mark it sent', async () => {
+    const transport = buildTransport();
+    const service = new ReservationReminderService({ clock: () => NOW, transport });
+    const reservation = buildReservation();
+    reservation.patronId = { fullName: 'Sam', preferences: optedIn.preferences };
+    reservation.reminders.push({ type: 'Email', scheduledFor: NOW, automatic: true });
+
+    const outcome = await service.deliver(reservation, reservation.reminders[0], NOW);
+
+    expect(outcome).toBe('sent');
+    expect(reservation.reminders[0].sent).toBe(true);
+    expect(reservation.reminders[0].sentAt).toEqual(NOW);
+    expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ channel: 'Email', to: 'sam@example.com' }));
+  });
+
+  test('should respect opt-outs made after the reminder was scheduled', async () => {
+    const transport = buildTransport();
+    const service = new ReservationReminderService({ clock: () => NOW, transport });
+    const reservation = buildReservation();
+    reservation.patronId = { preferences: { notifications: { email: true, sms: false } } };
+    reservation.reminders.push({ type: 'SMS', scheduledFor: NOW, automatic: true });
+
+    const outcome = await service.deliver(reservation, reservation.reminders[0], NOW);
+
+    expect(outcome).toBe('skipped');
+    expect(reservation.reminders[0].sent).toBe(false);
+    expect(reservation.reminders[0].skipReason).toMatch(/opted out/);
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+
+  test('should give up after repeated transport failures', async () => {
+    const transport = buildTransport();
+    transport.send.mockRejectedValue(new Error('Connection refused'));
+    const service = new ReservationReminderService({ clock: () => NOW, transport });
+    const reservation = buildReservation();
+    reservation.patronId = optedIn;
+    reservation.reminders.push({ type: 'Email', scheduledFor: NOW, automatic: true });
+    const reminder = reservation.reminders[0];
+
+    expect(await service.deliver(reservation, reminder, NOW)).toBe('failed');
+    expect(await service.deliver(reservation, reminder, NOW)).toBe('failed');
+    expect(await service.deliver(reservation, reminder, NOW)).toBe('skipped');
+    expect(reminder.lastError).toBe('Connection refused');
+  });
+
+  test('outbox transport should append reminders to a file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-')), 'reminders.jsonl');
+    const transport = new OutboxTransport({ file });
+
+    await transport.send({ channel: 'SMS', to: '555-123-4567', text: 'See you soon' });
+
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8').trim());
+    expect(entry).toEqual(expect.objectContaining({ channel: 'SMS', to: '555-123-4567', text: 'See you soon' }));
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,113 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Reservation = require('../models/Reservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const waitlistService = require('../services/waitlistService');
+const reservationRoutes = require('../routes/reservations');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reservations', reservationRoutes);
+
+const accountFor = (role) => ({
+  id: new mongoose.Types.ObjectId().toString(),
+  role,
+  email: `${role.toLowerCase()}@example.com`,
+  fullName: `Test ${role}`,
+  isActive: true
+});
+
+const tokenFor = (account) => jwt.sign(
+  { user: { id: account.id, role: account.role } },
+  process.env.JWT_SECRET || 'fallback_secret'
+);
+
+describe('Reservation routes', () => {
+  const queue = [{ _id: 'entry-1', position: 1 }, { _id: 'entry-2', position: 2 }];
+  const ownEntries = [{ _id: 'entry-3' }];
+
+  beforeEach(() => {
+    jest.spyOn(waitlistService, 'getQueue').mockResolvedValue(queue);
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({
+      sort: () => ({ limit: () => ({ lean: () => Promise.resolve(ownEntries) }) })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getWaitlist = (account) => {
+    jest.spyOn(User, 'findById').mockResolvedValue(account);
+    return request(app).get('/api/reservations/waitlist').set('Authorization', `Bearer ${tokenFor(account)}`);
+  };
+
+  test('should show owners and bartenders the whole waitlist', async () => {
+    for (const role of ['Owner', 'Bartender']) {
+      const res = await getWaitlist(accountFor(role));
+
+      expect(res.status).toBe(200);
+      expect(res.body.waitlist).toEqual(queue);
+    }
+    expect(WaitlistEntry.find).not.toHaveBeenCalled();
+  });
+
+  test('should show patrons only their own entries', async () => {
+    const patron = accountFor('Patron');
+
+    const res = await getWaitlist(patron);
+
+    expect(res.status).toBe(200);
+    expect(res.body.waitlist).toEqual(ownEntries);
+    expect(WaitlistEntry.find).toHaveBeenCalledWith({ patronId: patron.id });
+    expect(waitlistService.getQueue).not.toHaveBeenCalled();
+  });
+
+  test('should ignore the staff-managed fields in a patron\'s update', async () => {
+    const patron = accountFor('Patron');
+    const reservation = {
+      status: 'Pending',
+      pricing: { deposit: { amount: 100, paid: false } },
+      save: jest.fn(async () => reservation)
+    };
+    jest.spyOn(User, 'findById').mockResolvedValue(patron);
+    jest.spyOn(Reservation, 'findOne').mockResolvedValue(reservation);
+
+    const res = await request(app)
+      .put(`/api/reservations/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${tokenFor(patron)}`)
+      .send({
+        eventTitle: 'Retirement party',
+        status: 'Approved',
+        pricing: { deposit: { amount: 100, paid: true } },
+        'pricing.deposit.paid': true,
+        reminders: [],
+        assignedStaff: [{ user: patron.id }],
+        allocation: { area: new mongoose.Types.ObjectId() }
+      });
+
+    expect(res.status).toBe(200);
+    expect(Reservation.findOne).toHaveBeenCalledWith(expect.objectContaining({ patronId: patron.id, status: 'Pending' }));
+    expect(reservation.eventTitle).toBe('Retirement party');
+    expect(reservation.status).toBe('Pending');
+    expect(reservation.pricing.deposit.paid).toBe(false);
+    expect(Object.keys(reservation)).toEqual(['status', 'pricing', 'save', 'eventTitle']);
+  });
+
+  test('should let owners list staff, owners included', async () => {
+    const owner = accountFor('Owner');
+    const staff = [{ fullName: 'Bea Bartender' }, { fullName: 'Olivia Owner' }];
+    jest.spyOn(User, 'findById').mockResolvedValue(owner);
+    const find = jest.spyOn(User, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ lean: () => Promise.resolve(staff) }) })
+    });
+
+    const res = await request(app).get('/api/reservations/staff').set('Authorization', `Bearer ${tokenFor(owner)}`);
+
+    expect(res.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ role: { $in: ['Bartender', 'Owner'] }, isActive: { $ne: false } });
+  });
+});
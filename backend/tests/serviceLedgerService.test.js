@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const ServiceLedger = require('../models/ServiceLedger');
+const User = require('../models/User');
+const Spirit = require('../models/Spirit');
+const Cocktail = require('../models/Cocktail');
+const { ServiceLedgerService } = require('../services/serviceLedgerService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2025-07-04T21:00:00');
+
+const patronId = new mongoose.Types.ObjectId().toString();
+const bartender = { id: new mongoose.Types.ObjectId().toString() };
+
+const bourbon = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Small Batch',
+  brand: 'Test Distillery',
+  abv: 45
+};
+
+// findById(...).select(...).lean() and findById(...).lean() stand-ins
+const mockPatron = (serviceProfile) => {
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve({ _id: patronId, fullName: 'Pat Patron', serviceProfile }) })
+  });
+};
+const mockItem = (Model, item) => {
+  jest.spyOn(Model, 'findById').mockReturnValue({ lean: () => Promise.resolve(item) });
+};
+
+const servedAt = (hoursAgo) => new Date(NOW.getTime() - hoursAgo * HOUR_MS);
+
+const buildService = (now = NOW) => {
+  const notificationManager = { addNotification: jest.fn() };
+  const service = new ServiceLedgerService({ clock: () => now, notificationManager });
+  return { service, notificationManager };
+};
+
+describe('Service Ledger Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should convert a pour into standard drinks', () => {
+    const { service } = buildService();
+
+    // 1.5 oz of 40% spirit is one US standard drink
+    expect(service.calculateStandardDrinks(44.36, 40)).toBeCloseTo(1, 2);
+    expect(service.calculateStandardDrinks(240, 0)).toBe(0);
+  });
+
+  test('should estimate BAC with the Widmark formula when weight is known', () => {
+    const { service } = buildService();
+    const entries = [{ standardDrinks: 3, servedAt: servedAt(1) }];
+
+    const estimate = service.estimate(entries, { weightKg: 80, sex: 'male' });
+
+    // 42 g / (0.68 * 80000 g) * 100 = 0.0772, less one hour at 0.015
+    expect(estimate.basis).toBe('bac');
+    expect(estimate.bac).toBeCloseTo(0.062, 3);
+    expect(estimate.standardDrinks).toBe(3);
+  });
+
+  test('should eliminate alcohol between servings and ignore voided ones', () => {
+    const { service } = buildService();
+    const entries = [
+      { standardDrinks: 2, servedAt: servedAt(5) },
+      { standardDrinks: 1, servedAt: servedAt(0.5) },
+      { standardDrinks: 4, servedAt: servedAt(0.25), voided: true }
+    ];
+
+    const estimate = service.estimate(entries);
+
+    // The first two drinks are gone after 4.5 hours, so only half of the last remains
+    expect(estimate.basis).toBe('drinks');
+    expect(estimate.bac).toBeNull();
+    expect(estimate.standardDrinks).toBe(3);
+    expect(estimate.effectiveDrinks).toBeCloseTo(0.5, 3);
+  });
+
+  test('should pick a level from BAC or, without a weight, from drinks', () => {
+    const { service } = buildService();
+
+    expect(service.getLevel({ basis: 'bac', bac: 0.03 })).toBe('ok');
+    expect(service.getLevel({ basis: 'bac', bac: 0.06 })).toBe('caution');
+    expect(service.getLevel({ basis: 'bac', bac: 0.09 })).toBe('cutoff');
+    expect(service.getLevel({ basis: 'drinks', effectiveDrinks: 3.2 })).toBe('caution');
+    expect(service.getLevel({ basis: 'drinks', effectiveDrinks: 5 })).toBe('cutoff');
+  });
+
+  test('should keep steering after a cutoff even as the estimate falls', () => {
+    const { service } = buildService();
+    const ledger = new ServiceLedger({ patron: patronId, flag: { level: 'cutoff' } });
+
+    const status = service.summarize(ledger, {});
+
+    expect(status.level).toBe('ok');
+    expect(status.steerToNonAlcoholic).toBe(true);
+  });
+
+  test('should size a cocktail pour from its recipe', async () => {
+    const { service } = buildService();
+    mockItem(Cocktail, {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Old Fashioned',
+      alcoholContent: 32,
+      ingredients: [
+        { name: 'Bourbon', amount: '2', unit: 'oz' },
+        { name: 'Simple syrup', amount: '1/4', unit: 'oz' },
+        { name: 'Bitters', amount: '2', unit: 'dash' },
+        { name: 'Orange peel', amount: '1', unit: 'piece' }
+      ]
+    });
+
+    const serving = await service.resolveServing('Cocktail', new mongoose.Types.ObjectId().toString());
+
+    expect(serving.abv).toBe(32);
+    expect(serving.volumeMl).toBeCloseTo(2.3125 * 29.5735, 2);
+  });
+
+  test('should flag the patron to staff once when a threshold is crossed', async () => {
+    const { service, notificationManager } = buildService();
+    mockPatron({ weightKg: 60, sex: 'female' });
+    mockItem(Spirit, bourbon);
+    jest.spyOn(ServiceLedger, 'findOne').mockReturnValue({ sort: () => Promise.resolve(null) });
+    jest.spyOn(ServiceLedger.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const first = await service.recordServing(patronId, { itemType: 'Spirit', itemId: String(bourbon._id) }, bartender);
+
+    expect(first.success).toBe(true);
+    expect(first.status.level).toBe('ok');
+    expect(notificationManager.addNotification).not.toHaveBeenCalled();
+
+    // The same visit continues
+    jest.spyOn(ServiceLedger, 'findOne').mockReturnValue({ sort: () => Promise.resolve(first.ledger) });
+    const second = await service.recordServing(
+      patronId,
+      { itemType: 'Spirit', itemId: String(bourbon._id), quantity: 2 },
+      bartender
+    );
+
+    expect(second.ledger).toBe(first.ledger);
+    expect(second.ledger.entries).toHaveLength(3);
+    expect(second.status.level).toBe('cutoff');
+    expect(second.status.steerToNonAlcoholic).toBe(true);
+    expect(second.ledger.flag.level).toBe('cutoff');
+    expect(notificationManager.addNotification).toHaveBeenCalledTimes(1);
+    expect(notificationManager.addNotification).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'service_cutoff',
+      audience: ['Owner', 'Bartender'],
+      priority: 'high'
+    }));
+  });
+
+  test('should report unknown items as not found', async () => {
+    const { service } = buildService();
+    mockPatron();
+    mockItem(Spirit, null);
+
+    const result = await service.recordServing(
+      patronId,
+      { itemType: 'Spirit', itemId: new mongoose.Types.ObjectId().toString() },
+      bartender
+    );
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'NOT_FOUND' }));
+  });
+
+  test('should fall back to no guidance when the ledger cannot be read', async () => {
+    const { service } = buildService();
+    mockPatron();
+    jest.spyOn(ServiceLedger, 'findOne').mockImplementation(() => {
+      throw new Error('offline');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(service.getGuidance(patronId)).resolves.toEqual({ level: 'ok', steerToNonAlcoholic: false });
+  });
+});
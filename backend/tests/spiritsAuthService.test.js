@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const SpiritAuthorization = require('../models/SpiritAuthorization');
+const spiritsAuthService = require('../services/spiritsAuthService');
+
+const patron = { id: new mongoose.Types.ObjectId().toString(), fullName: 'Pat Patron' };
+const owner = { id: new mongoose.Types.ObjectId().toString(), fullName: 'Olivia Owner' };
+
+const bourbon = { _id: new mongoose.Types.ObjectId(), type: 'Whiskey', subType: 'Bourbon' };
+const rye = { _id: new mongoose.Types.ObjectId(), type: 'Whiskey', subType: 'Rye Whiskey' };
+const cognac = { _id: new mongoose.Types.ObjectId(), type: 'Brandy', subType: 'Cognac' };
+
+const buildAuthorization = (overrides = {}) => new SpiritAuthorization({
+  patron: patron.id,
+  patronName: patron.fullName,
+  kind: 'request',
+  spiritId: bourbon._id,
+  ...overrides
+});
+
+describe('Spirits Auth Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.VENUE_CLOSING_HOUR;
+  });
+
+  describe('covers', () => {
+    test('a request covers only its own spirit', () => {
+      const authorization = buildAuthorization();
+
+      expect(authorization.covers(bourbon)).toBe(true);
+      expect(authorization.covers(rye)).toBe(false);
+    });
+
+    test('a standing approval covers its type and sub-type', () => {
+      const whiskey = buildAuthorization({ kind: 'standing', spiritId: undefined, scope: { spiritType: 'Whiskey' } });
+      const bourbonOnly = buildAuthorization({ kind: 'standing', spiritId: undefined, scope: { subType: 'Bourbon' } });
+      const everything = buildAuthorization({ kind: 'standing', spiritId: undefined });
+
+      expect(whiskey.covers(rye)).toBe(true);
+      expect(whiskey.covers(cognac)).toBe(false);
+      expect(bourbonOnly.covers(bourbon)).toBe(true);
+      expect(bourbonOnly.covers(rye)).toBe(false);
+      expect(everything.covers(cognac)).toBe(true);
+    });
+
+    test('a request needs a spirit but a standing approval does not', () => {
+      expect(buildAuthorization({ spiritId: undefined }).validateSync().errors.spiritId).toBeDefined();
+      expect(buildAuthorization({ kind: 'standing', spiritId: undefined }).validateSync()).toBeUndefined();
+    });
+  });
+
+  describe('audit history', () => {
+    test('records the acting user, or System when there is none', () => {
+      const authorization = buildAuthorization();
+
+      authorization.record('approved', owner, 'Regular');
+      authorization.record('expired');
+
+      expect(authorization.history[0].actor.toString()).toBe(owner.id);
+      expect(authorization.history[0].actorName).toBe('Olivia Owner');
+      expect(authorization.history[0].note).toBe('Regular');
+      expect(authorization.history[1].actor).toBeUndefined();
+      expect(authorization.history[1].actorName).toBe('System');
+    });
+
+    test('approving a request stamps the owner on the record and its history', async () => {
+      const authorization = buildAuthorization();
+      jest.spyOn(SpiritAuthorization, 'findById').mockResolvedValue(authorization);
+      jest.spyOn(authorization, 'save').mockResolvedValue(authorization);
+
+      const result = await spiritsAuthService.authorizeUltraShelfRequest(authorization._id, true, 'Welcome back', owner);
+
+      expect(result.success).toBe(true);
+      expect(authorization.status).toBe('approved');
+      expect(authorization.authorizedBy.toString()).toBe(owner.id);
+      expect(authorization.history.map(entry => entry.action)).toEqual(['approved']);
+    });
+
+    test('reports a missing request as not found', async () => {
+      jest.spyOn(SpiritAuthorization, 'findById').mockResolvedValue(null);
+
+      const result = await spiritsAuthService.authorizeUltraShelfRequest(new mongoose.Types.ObjectId(), true, '', owner);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, code: 'NOT_FOUND' }));
+    });
+  });
+
+  describe('getEndOfNight', () => {
+    test('defaults to midnight', () => {
+      const end = spiritsAuthService.getEndOfNight(new Date('2025-06-01T21:00:00'));
+
+      expect(end).toEqual(new Date('2025-06-02T00:00:00'));
+    });
+
+    test('honours a closing hour after midnight', () => {
+      process.env.VENUE_CLOSING_HOUR = '26';
+
+      expect(spiritsAuthService.getEndOfNight(new Date('2025-06-01T21:00:00')))
+        .toEqual(new Date('2025-06-02T02:00:00'));
+      expect(spiritsAuthService.getEndOfNight(new Date('2025-06-02T01:00:00')))
+        .toEqual(new Date('2025-06-02T02:00:00'));
+    });
+  });
+
+  test('describes standing approval scopes', () => {
+    expect(spiritsAuthService.describeScope({ spiritType: 'Whiskey', subType: 'Bourbon' })).toBe('all ultra shelf Bourbon');
+    expect(spiritsAuthService.describeScope({ spiritType: 'Whiskey' })).toBe('all ultra shelf Whiskey');
+    expect(spiritsAuthService.describeScope()).toBe('the entire ultra shelf');
+  });
+});
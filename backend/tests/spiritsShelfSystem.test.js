@@ -1,7 +1,10 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const app = require('../server');
 const Spirit = require('../models/Spirit');
+const User = require('../models/User');
+const SpiritAuthorization = require('../models/SpiritAuthorization');
 const spiritsAuthService = require('../services/spiritsAuthService');
 
 // Mock data for testing
@@ -20,13 +23,41 @@ const mockSpirit = {
 };
 
 const mockPatron = {
-  sessionId: 'test-session-123',
-  patronName: 'John Test'
+  fullName: 'John Test',
+  email: 'john.test@example.com',
+  password: 'password123',
+  mobileNumber: '555-123-4567',
+  role: 'Patron'
+};
+
+const mockOwner = {
+  fullName: 'Olivia Owner',
+  email: 'owner.test@example.com',
+  password: 'password123',
+  mobileNumber: '555-765-4321',
+  role: 'Owner'
+};
+
+const tokenFor = (user) => jwt.sign(
+  { user: { id: user.id, role: user.role } },
+  process.env.JWT_SECRET || 'fallback_secret'
+);
+
+const createUsers = async () => {
+  const patron = await new User(mockPatron).save();
+  const owner = await new User(mockOwner).save();
+  return { patron, owner, patronToken: tokenFor(patron), ownerToken: tokenFor(owner) };
+};
+
+const cleanUp = async () => {
+  await Spirit.deleteMany({});
+  await SpiritAuthorization.deleteMany({});
+  await User.deleteMany({ email: { $in: [mockPatron.email, mockOwner.email] } });
 };
 
 describe('Spirits Shelf System API', () => {
   let spiritId;
-  let authToken;
+  let users;
 
   beforeAll(async () => {
     // Connect to test database
@@ -35,20 +66,21 @@ describe('Spirits Shelf System API', () => {
 
   afterAll(async () => {
     // Clean up test data
-    await Spirit.deleteMany({});
+    await cleanUp();
     await mongoose.connection.close();
   });
 
   beforeEach(async () => {
-    // Create test spirit
+    // Create test spirit and users
     const spirit = new Spirit(mockSpirit);
     await spirit.save();
     spiritId = spirit._id.toString();
+    users = await createUsers();
   });
 
   afterEach(async () => {
     // Clean up after each test
-    await Spirit.deleteMany({});
+    await cleanUp();
   });
 
   describe('GET /api/spirits/by-shelf/:tier', () => {
@@ -82,19 +114,28 @@ describe('Spirits Shelf System API', () => {
   });
 
   describe('POST /api/spirits/request-ultra', () => {
-    test('should create ultra shelf authorization request', async () => {
+    test('should create ultra shelf authorization request linked to the patron', async () => {
       const response = await request(app)
         .post('/api/spirits/request-ultra')
-        .send({
-          spiritId,
-          patronName: mockPatron.patronName,
-          sessionId: mockPatron.sessionId
-        })
+        .set('Authorization', `Bearer ${users.patronToken}`)
+        .send({ spiritId })
         .expect(201);
 
       expect(response.body.message).toContain('Authorization request submitted');
       expect(response.body.requestId).toBeDefined();
       expect(response.body.spirit.name).toBe(mockSpirit.name);
+
+      const authorization = await SpiritAuthorization.findById(response.body.requestId);
+      expect(authorization.patron.toString()).toBe(users.patron.id);
+      expect(authorization.patronName).toBe(mockPatron.fullName);
+      expect(authorization.history[0].action).toBe('requested');
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/spirits/request-ultra')
+        .send({ spiritId })
+        .expect(401);
     });
 
     test('should reject request for non-ultra spirit', async () => {
@@ -108,11 +149,8 @@ describe('Spirits Shelf System API', () => {
 
       const response = await request(app)
         .post('/api/spirits/request-ultra')
-        .send({
-          spiritId: lowerSpirit._id.toString(),
-          patronName: mockPatron.patronName,
-          sessionId: mockPatron.sessionId
-        })
+        .set('Authorization', `Bearer ${users.patronToken}`)
+        .send({ spiritId: lowerSpirit._id.toString() })
         .expect(400);
 
       expect(response.body.message).toBe('Authorization only required for ultra shelf spirits');
@@ -121,10 +159,8 @@ describe('Spirits Shelf System API', () => {
     test('should return 400 for missing required fields', async () => {
       const response = await request(app)
         .post('/api/spirits/request-ultra')
-        .send({
-          spiritId
-          // Missing patronName and sessionId
-        })
+        .set('Authorization', `Bearer ${users.patronToken}`)
+        .send({})
         .expect(400);
 
       expect(response.body.message).toContain('required');
@@ -132,36 +168,70 @@ describe('Spirits Shelf System API', () => {
   });
 
   describe('GET /api/spirits/authorizations', () => {
-    test('should return empty authorizations for new session', async () => {
+    test('should return empty authorizations for a new patron', async () => {
       const response = await request(app)
-        .get(`/api/spirits/authorizations?sessionId=${mockPatron.sessionId}`)
+        .get('/api/spirits/authorizations')
+        .set('Authorization', `Bearer ${users.patronToken}`)
         .expect(200);
 
       expect(response.body.count).toBe(0);
       expect(response.body.authorizations).toHaveLength(0);
     });
 
-    test('should return 400 for missing session ID', async () => {
-      const response = await request(app)
+    test('should require authentication', async () => {
+      await request(app)
         .get('/api/spirits/authorizations')
-        .expect(400);
-
-      expect(response.body.message).toBe('Session ID is required');
+        .expect(401);
     });
   });
 
-  describe('GET /api/spirits/check-authorization/:sessionId/:spiritId', () => {
+  describe('GET /api/spirits/check-authorization/:spiritId', () => {
     test('should return false for unauthorized spirit', async () => {
       const response = await request(app)
-        .get(`/api/spirits/check-authorization/${mockPatron.sessionId}/${spiritId}`)
+        .get(`/api/spirits/check-authorization/${spiritId}`)
+        .set('Authorization', `Bearer ${users.patronToken}`)
         .expect(200);
 
       expect(response.body.authorized).toBe(false);
-      expect(response.body.sessionId).toBe(mockPatron.sessionId);
       expect(response.body.spiritId).toBe(spiritId);
     });
   });
 
+  describe('Owner-only endpoints', () => {
+    test('should reject patrons from approving requests', async () => {
+      const response = await request(app)
+        .post('/api/spirits/authorize-ultra')
+        .set('Authorization', `Bearer ${users.patronToken}`)
+        .send({ requestId: new mongoose.Types.ObjectId().toString(), approved: true })
+        .expect(403);
+
+      expect(response.body.message).toContain('Owner');
+    });
+
+    test('should reject patrons from stats and revocation', async () => {
+      await request(app)
+        .get('/api/spirits/stats/authorizations')
+        .set('Authorization', `Bearer ${users.patronToken}`)
+        .expect(403);
+
+      await request(app)
+        .delete('/api/spirits/revoke-authorization')
+        .set('Authorization', `Bearer ${users.patronToken}`)
+        .send({ patronId: users.patron.id, spiritId })
+        .expect(403);
+    });
+
+    test('should let the owner view stats', async () => {
+      const response = await request(app)
+        .get('/api/spirits/stats/authorizations')
+        .set('Authorization', `Bearer ${users.ownerToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('pending');
+      expect(response.body).toHaveProperty('activeStanding');
+    });
+  });
+
   describe('Spirit Model Validation', () => {
     test('should create spirit with shelf tier and mixing appropriateness', async () => {
       const spirit = new Spirit(mockSpirit);
@@ -204,7 +274,7 @@ describe('Spirits Shelf System API', () => {
   describe('Spirits Auth Service', () => {
     test('should check authorization for spirit', async () => {
       const isAuthorized = await spiritsAuthService.isAuthorizedForSpirit(
-        mockPatron.sessionId,
+        users.patron.id,
         spiritId
       );
 
@@ -213,9 +283,8 @@ describe('Spirits Shelf System API', () => {
 
     test('should request ultra shelf authorization', async () => {
       const result = await spiritsAuthService.requestUltraShelfAuthorization(
-        mockPatron.sessionId,
-        spiritId,
-        mockPatron.patronName
+        users.patron,
+        spiritId
       );
 
       expect(result.success).toBe(true);
@@ -223,9 +292,9 @@ describe('Spirits Shelf System API', () => {
       expect(result.requestId).toBeDefined();
     });
 
-    test('should get session authorizations', async () => {
-      const authorizations = await spiritsAuthService.getSessionAuthorizations(
-        mockPatron.sessionId
+    test('should get patron authorizations', async () => {
+      const authorizations = await spiritsAuthService.getPatronAuthorizations(
+        users.patron.id
       );
 
       expect(Array.isArray(authorizations)).toBe(true);
@@ -235,9 +304,8 @@ describe('Spirits Shelf System API', () => {
     test('should get pending requests', async () => {
       // First create a request
       await spiritsAuthService.requestUltraShelfAuthorization(
-        mockPatron.sessionId,
-        spiritId,
-        mockPatron.patronName
+        users.patron,
+        spiritId
       );
 
       const pendingRequests = await spiritsAuthService.getPendingRequests();
@@ -254,6 +322,33 @@ describe('Spirits Shelf System API', () => {
       expect(stats).toHaveProperty('total');
       expect(typeof stats.pending).toBe('number');
     });
+
+    test('should cover matching spirits with a standing approval', async () => {
+      const result = await spiritsAuthService.grantStandingApproval(
+        users.patron.id,
+        { spiritType: 'Whiskey', subType: 'Bourbon' },
+        users.owner
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.authorization.expiresAt > new Date()).toBe(true);
+      expect(await spiritsAuthService.isAuthorizedForSpirit(users.patron.id, spiritId)).toBe(true);
+
+      const rye = await new Spirit({ ...mockSpirit, name: 'Test Ultra Rye', subType: 'Rye Whiskey' }).save();
+      expect(await spiritsAuthService.isAuthorizedForSpirit(users.patron.id, rye._id)).toBe(false);
+    });
+
+    test('should record who approved and revoked in the audit trail', async () => {
+      const { requestId } = await spiritsAuthService.requestUltraShelfAuthorization(users.patron, spiritId);
+      await spiritsAuthService.authorizeUltraShelfRequest(requestId, true, 'Regular', users.owner);
+      await spiritsAuthService.revokeAuthorization({ authorizationId: requestId }, users.owner, 'Closing time');
+
+      const trail = await spiritsAuthService.getAuditTrail({ patronId: users.patron.id });
+
+      expect(trail.map(entry => entry.action)).toEqual(['revoked', 'approved', 'requested']);
+      expect(trail[0].actorName).toBe(mockOwner.fullName);
+      expect(trail[0].note).toBe('Closing time');
+    });
   });
 });
 
@@ -261,13 +356,14 @@ describe('Spirits Shelf System API', () => {
 describe('Complete Ultra Shelf Authorization Workflow', () => {
   let spiritId;
   let requestId;
+  let users;
 
   beforeAll(async () => {
     await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/nauti-bouys-test');
   });
 
   afterAll(async () => {
-    await Spirit.deleteMany({});
+    await cleanUp();
     await mongoose.connection.close();
   });
 
@@ -275,52 +371,50 @@ describe('Complete Ultra Shelf Authorization Workflow', () => {
     const spirit = new Spirit(mockSpirit);
     await spirit.save();
     spiritId = spirit._id.toString();
+    users = await createUsers();
   });
 
   afterEach(async () => {
-    await Spirit.deleteMany({});
+    await cleanUp();
   });
 
   test('complete authorization workflow', async () => {
     // 1. Request authorization
     const requestResponse = await request(app)
       .post('/api/spirits/request-ultra')
-      .send({
-        spiritId,
-        patronName: mockPatron.patronName,
-        sessionId: mockPatron.sessionId
-      })
+      .set('Authorization', `Bearer ${users.patronToken}`)
+      .send({ spiritId })
       .expect(201);
 
     requestId = requestResponse.body.requestId;
 
     // 2. Check that authorization is initially false
     const checkResponse1 = await request(app)
-      .get(`/api/spirits/check-authorization/${mockPatron.sessionId}/${spiritId}`)
+      .get(`/api/spirits/check-authorization/${spiritId}`)
+      .set('Authorization', `Bearer ${users.patronToken}`)
       .expect(200);
 
     expect(checkResponse1.body.authorized).toBe(false);
 
-    // 3. Owner approves request (mock auth required)
-    // Note: This would require proper auth token in real scenario
-    const approveResult = await spiritsAuthService.authorizeUltraShelfRequest(
-      requestId,
-      true,
-      'Approved for testing'
-    );
-
-    expect(approveResult.success).toBe(true);
+    // 3. Owner approves request
+    await request(app)
+      .post('/api/spirits/authorize-ultra')
+      .set('Authorization', `Bearer ${users.ownerToken}`)
+      .send({ requestId, approved: true, notes: 'Approved for testing' })
+      .expect(200);
 
     // 4. Check that authorization is now true
     const checkResponse2 = await request(app)
-      .get(`/api/spirits/check-authorization/${mockPatron.sessionId}/${spiritId}`)
+      .get(`/api/spirits/check-authorization/${spiritId}`)
+      .set('Authorization', `Bearer ${users.patronToken}`)
       .expect(200);
 
     expect(checkResponse2.body.authorized).toBe(true);
 
-    // 5. Get session authorizations
+    // 5. Get the patron's authorizations
     const authResponse = await request(app)
-      .get(`/api/spirits/authorizations?sessionId=${mockPatron.sessionId}`)
+      .get('/api/spirits/authorizations')
+      .set('Authorization', `Bearer ${users.patronToken}`)
       .expect(200);
 
     expect(authResponse.body.count).toBe(1);
@@ -330,5 +424,6 @@ describe('Complete Ultra Shelf Authorization Workflow', () => {
 
 module.exports = {
   mockSpirit,
-  mockPatron
+  mockPatron,
+  mockOwner
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const StockCount = require('../models/StockCount');
+const stockCountService = require('../services/stockCountService');
+
+const buildCount = () => new StockCount({
+  section: 'Bar',
+  openedBy: new mongoose.Types.ObjectId(),
+  entries: [
+    { inventoryItem: new mongoose.Types.ObjectId(), itemName: 'Tito\'s Vodka', unit: 'bottles', unitCost: 20, systemQuantity: 3, countedQuantity: 2.4 },
+    { inventoryItem: new mongoose.Types.ObjectId(), itemName: 'Lime Juice', unit: 'bottles', unitCost: 5, systemQuantity: 1, countedQuantity: 2 },
+    { inventoryItem: new mongoose.Types.ObjectId(), itemName: 'Angostura Bitters', unit: 'bottles', unitCost: 12, systemQuantity: 1 }
+  ]
+});
+
+describe('Stock Count', () => {
+  describe('recalculateTotals', () => {
+    test('should compute variance per counted entry and skip uncounted ones', () => {
+      const stockCount = buildCount();
+      stockCount.recalculateTotals();
+
+      expect(stockCount.entries[0].variance).toBeCloseTo(-0.6);
+      expect(stockCount.entries[0].varianceValue).toBe(-12);
+      expect(stockCount.entries[1].variance).toBe(1);
+      expect(stockCount.entries[2].variance).toBeUndefined();
+    });
+
+    test('should split shrinkage and overage in the totals', () => {
+      const stockCount = buildCount();
+      stockCount.recalculateTotals();
+
+      expect(stockCount.totals.itemsInSection).toBe(3);
+      expect(stockCount.totals.itemsCounted).toBe(2);
+      expect(stockCount.totals.itemsWithVariance).toBe(2);
+      expect(stockCount.totals.shrinkageValue).toBe(-12);
+      expect(stockCount.totals.overageValue).toBe(5);
+      expect(stockCount.totals.netVarianceValue).toBe(-7);
+    });
+  });
+
+  describe('buildReport', () => {
+    test('should list counted items largest loss first with variance percent', () => {
+      const stockCount = buildCount();
+      stockCount.recalculateTotals();
+
+      const report = stockCountService.buildReport(stockCount);
+
+      expect(report.lines.map(line => line.itemName)).toEqual(['Tito\'s Vodka', 'Lime Juice']);
+      expect(report.lines[0].variancePercent).toBe(-20);
+      expect(report.lines[1].variancePercent).toBe(100);
+    });
+  });
+});
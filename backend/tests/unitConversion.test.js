@@ -0,0 +1,69 @@
+const {
+  ML_PER_OZ,
+  parseAmount,
+  parseVolumeLabel,
+  convertToInventoryUnit
+} = require('../services/unitConversion');
+
+describe('Unit Conversion', () => {
+  describe('parseAmount', () => {
+    test('should parse whole, decimal, fraction and mixed amounts', () => {
+      expect(parseAmount('2')).toBe(2);
+      expect(parseAmount('0.75')).toBe(0.75);
+      expect(parseAmount('1/2')).toBe(0.5);
+      expect(parseAmount('1 1/2')).toBe(1.5);
+      expect(parseAmount(3)).toBe(3);
+    });
+
+    test('should return null for unparseable amounts', () => {
+      expect(parseAmount('to taste')).toBeNull();
+      expect(parseAmount(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseVolumeLabel', () => {
+    test('should parse ml, liter and oz labels', () => {
+      expect(parseVolumeLabel('750ml')).toBe(750);
+      expect(parseVolumeLabel('1.75L')).toBe(1750);
+      expect(parseVolumeLabel('12 oz')).toBeCloseTo(12 * ML_PER_OZ);
+      expect(parseVolumeLabel('magnum')).toBeNull();
+    });
+  });
+
+  describe('convertToInventoryUnit', () => {
+    test('should convert oz to bottles using the linked beverage bottle size', () => {
+      const item = { unit: 'bottles', itemId: { bottleSize: '1L' } };
+      const result = convertToInventoryUnit('2', 'oz', item);
+
+      expect(result.volumeMl).toBeCloseTo(2 * ML_PER_OZ);
+      expect(result.quantity).toBeCloseTo((2 * ML_PER_OZ) / 1000);
+    });
+
+    test('should prefer the item unit volume over defaults', () => {
+      const item = { unit: 'bottles', unitVolumeMl: 500 };
+      expect(convertToInventoryUnit('50', 'ml', item).quantity).toBeCloseTo(0.1);
+    });
+
+    test('should fall back to a 750ml bottle', () => {
+      const item = { unit: 'bottles' };
+      expect(convertToInventoryUnit('75', 'ml', item).quantity).toBeCloseTo(0.1);
+    });
+
+    test('should convert dashes and splashes to liters', () => {
+      const item = { unit: 'liters' };
+      expect(convertToInventoryUnit('2', 'dash', item).quantity).toBeCloseTo((2 * ML_PER_OZ / 32) / 1000);
+      expect(convertToInventoryUnit('1', 'splash', item).quantity).toBeCloseTo((ML_PER_OZ / 4) / 1000);
+    });
+
+    test('should count garnish pieces one to one', () => {
+      const item = { unit: 'pieces' };
+      expect(convertToInventoryUnit('1', 'wedge', item)).toEqual({ quantity: 1, volumeMl: null });
+    });
+
+    test('should report measures that cannot be converted', () => {
+      const result = convertToInventoryUnit('1', 'slice', { unit: 'liters' });
+      expect(result.quantity).toBeNull();
+      expect(result.reason).toContain('Cannot convert');
+    });
+  });
+});
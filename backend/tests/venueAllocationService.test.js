@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const venueAllocationService = require('../services/venueAllocationService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const bar = { _id: id(), name: 'Main Bar', areaType: 'Bar', capacity: 10, tables: [] };
+const diningTables = [
+  { _id: id(), name: 'T1', capacity: 2 },
+  { _id: id(), name: 'T2', capacity: 4 },
+  { _id: id(), name: 'T3', capacity: 4 }
+];
+const dining = { _id: id(), name: 'Dining Floor', areaType: 'Table', capacity: 10, tablesCombinable: true, tables: diningTables };
+const privateRoom = { _id: id(), name: 'Captain\'s Room', areaType: 'Private Room', capacity: 30, isExclusive: true, tables: [] };
+const areas = [bar, dining, privateRoom];
+
+const startTime = new Date('2025-06-06T19:00:00');
+const endTime = new Date('2025-06-06T21:00:00');
+
+const booking = (area, tables, guestCount, overrides = {}) => ({
+  startTime,
+  endTime,
+  guestCount,
+  allocation: {
+    area: area._id,
+    seats: guestCount,
+    tables: tables.map(table => ({ tableId: table._id, name: table.name, capacity: table.capacity }))
+  },
+  ...overrides
+});
+
+const allocate = (params) => venueAllocationService.allocate({ areas, reservations: [], startTime, endTime, ...params });
+
+describe('Venue Allocation Service', () => {
+  test('should seat a party at the smallest table that fits', () => {
+    const allocation = allocate({ guestCount: 3, seatingPreference: 'Table' });
+
+    expect(allocation.areaName).toBe('Dining Floor');
+    expect(allocation.tables.map(table => table.name)).toEqual(['T2']);
+  });
+
+  test('should let several parties book the same evening', () => {
+    const reservations = [booking(dining, [diningTables[1]], 4)];
+    const allocation = allocate({ guestCount: 4, seatingPreference: 'Table', reservations });
+
+    expect(allocation.tables.map(table => table.name)).toEqual(['T3']);
+  });
+
+  test('should combine free tables for larger parties', () => {
+    const allocation = allocate({ guestCount: 7, seatingPreference: 'Table' });
+
+    expect(allocation.tables.map(table => table.name)).toEqual(['T3', 'T2']);
+    expect(allocation.seats).toBe(8);
+  });
+
+  test('should fill open seating by guest count', () => {
+    const reservations = [booking(bar, [], 8)];
+
+    expect(allocate({ guestCount: 2, seatingPreference: 'Bar', reservations }).areaName).toBe('Main Bar');
+    expect(allocate({ guestCount: 3, seatingPreference: 'Bar', reservations })).toBeNull();
+  });
+
+  test('should ignore reservations that do not overlap', () => {
+    const reservations = [booking(bar, [], 10, {
+      startTime: new Date('2025-06-06T16:00:00'),
+      endTime: new Date('2025-06-06T19:00:00')
+    })];
+
+    expect(allocate({ guestCount: 10, seatingPreference: 'Bar', reservations })).not.toBeNull();
+  });
+
+  test('should only book exclusive rooms when asked for and one party at a time', () => {
+    expect(allocate({ guestCount: 20 })).toBeNull();
+    expect(allocate({ guestCount: 20, seatingPreference: 'Private Room' }).areaName).toBe('Captain\'s Room');
+
+    const reservations = [booking(privateRoom, [], 5)];
+    expect(allocate({ guestCount: 5, seatingPreference: 'Private Room', reservations })).toBeNull();
+  });
+
+  test('should pick the tightest fit across areas without a preference', () => {
+    const reservations = [booking(bar, [], 9)];
+    const allocation = allocate({ guestCount: 2, reservations });
+
+    expect(allocation.areaName).toBe('Dining Floor');
+    expect(allocation.tables.map(table => table.name)).toEqual(['T1']);
+  });
+
+  test('should count overlapping reservations without an allocation against capacity', () => {
+    // Booked before venue areas existed: no allocation, 14 of the 20 shared seats
+    const legacy = { startTime, endTime, guestCount: 14, seatingPreference: 'No Preference' };
+    const reservations = [legacy];
+
+    expect(allocate({ guestCount: 4, seatingPreference: 'Table', reservations }).tables.map(table => table.name)).toEqual(['T2']);
+    expect(allocate({ guestCount: 6, seatingPreference: 'Bar', reservations }).areaName).toBe('Main Bar');
+    expect(allocate({ guestCount: 7, seatingPreference: 'Bar', reservations })).toBeNull();
+    expect(allocate({ guestCount: 7, seatingPreference: 'Table', reservations })).toBeNull();
+    expect(allocate({ guestCount: 4, reservations: [...reservations, { ...legacy, guestCount: 4, allocation: { area: null } }] })).toBeNull();
+
+    // Allocated seats in the shared areas come off the same pool
+    expect(allocate({ guestCount: 2, reservations: [legacy, booking(bar, [], 4)] })).not.toBeNull();
+    expect(allocate({ guestCount: 3, reservations: [legacy, booking(bar, [], 4)] })).toBeNull();
+
+    // One that asked for a private room holds it instead
+    const privateParty = { startTime, endTime, guestCount: 25, seatingPreference: 'Private Room' };
+    expect(allocate({ guestCount: 10, seatingPreference: 'Private Room', reservations: [privateParty] })).toBeNull();
+    expect(allocate({ guestCount: 10, seatingPreference: 'Bar', reservations: [privateParty] }).areaName).toBe('Main Bar');
+  });
+});
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const venueAllocationService = require('../services/venueAllocationService');
+const reservationReminderService = require('../services/reservationReminderService');
+const { WaitlistService } = require('../services/waitlistService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2025-06-01T12:00:00');
+
+const buildEntry = (overrides = {}) => {
+  const entry = new WaitlistEntry({
+    patronId: new mongoose.Types.ObjectId(),
+    eventTitle: 'Team Dinner',
+    eventType: 'Corporate Event',
+    startTime: new Date(NOW.getTime() + 48 * HOUR_MS),
+    endTime: new Date(NOW.getTime() + 50 * HOUR_MS),
+    guestCount: 4,
+    contactInfo: { phone: '555-123-4567', email: 'team@example.com' },
+    ...overrides
+  });
+  jest.spyOn(entry, 'save').mockResolvedValue(entry);
+  return entry;
+};
+
+const released = {
+  _id: new mongoose.Types.ObjectId(),
+  startTime: new Date(NOW.getTime() + 48 * HOUR_MS),
+  endTime: new Date(NOW.getTime() + 50 * HOUR_MS)
+};
+
+describe('Waitlist Service', () => {
+  let transport;
+  let notificationManager;
+
+  beforeEach(() => {
+    transport = { name: 'fake', supports: () => true, send: jest.fn().mockResolvedValue({ messageId: 'w-1' }) };
+    notificationManager = { addNotification: jest.fn() };
+    jest.spyOn(reservationReminderService, 'getTransport').mockReturnValue(transport);
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ preferences: { notifications: { email: true } } }) })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should offer a freed slot to the oldest entry that fits and hold it', async () => {
+    const tooBig = buildEntry({ guestCount: 12 });
+    const fits = buildEntry();
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ sort: () => Promise.resolve([tooBig, fits]) });
+    jest.spyOn(venueAllocationService, 'checkAvailability').mockImplementation(async ({ guestCount }) =>
+      guestCount > 6 ? { available: false, message: 'No space' } : { available: true, allocation: { seats: 4 } });
+
+    const service = new WaitlistService({ clock: () => NOW, notificationManager });
+    service.holdMinutes = 90;
+    const offered = await service.offerReleasedSlot(released);
+
+    expect(offered).toEqual([fits]);
+    expect(tooBig.status).toBe('Waiting');
+    expect(fits.status).toBe('Offered');
+    expect(fits.offer.expiresAt).toEqual(new Date(NOW.getTime() + 90 * 60 * 1000));
+    expect(fits.offer.releasedBy).toEqual(released._id);
+    expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ channel: 'Email', to: 'team@example.com' }));
+    expect(notificationManager.addNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'waitlist_offer' }));
+  });
+
+  test('should keep the offer when patron delivery fails', async () => {
+    const entry = buildEntry();
+    transport.send.mockRejectedValue(new Error('SMTP down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(WaitlistEntry, 'find').mockReturnValue({ sort: () => Promise.resolve([entry]) });
+    jest.spyOn(venueAllocationService, 'checkAvailability').mockResolvedValue({ available: true, allocation: null });
+
+    const service = new WaitlistService({ clock: () => NOW });
+    const offered = await service.offerReleasedSlot(released);
+
+    expect(offered).toHaveLength(1);
+    expect(entry.status).toBe('Offered');
+  });
+
+  test('should refuse an expired offer and pass the slot on', async () => {
+    const entry = buildEntry({
+      status: 'Offered',
+      offer: { offeredAt: new Date(NOW.getTime() - 3 * HOUR_MS), expiresAt: new Date(NOW.getTime() - HOUR_MS), releasedBy: released._id }
+    });
+    jest.spyOn(WaitlistEntry, 'findOne').mockResolvedValue(entry);
+
+    const service = new WaitlistService({ clock: () => NOW });
+    const offerNext = jest.spyOn(service, 'offerReleasedSlot').mockResolvedValue([]);
+    const result = await service.accept(entry._id, entry.patronId);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('This offer has expired');
+    expect(entry.status).toBe('Expired');
+    expect(offerNext).toHaveBeenCalledWith(expect.objectContaining({ _id: released._id, startTime: entry.startTime }));
+  });
+
+  test('should expire lapsed offers on sweep and re-offer each slot', async () => {
+    const lapsed = buildEntry({
+      status: 'Offered',
+      offer: { expiresAt: new Date(NOW.getTime() - 60 * 1000), releasedBy: released._id }
+    });
+    jest.spyOn(WaitlistEntry, 'find').mockResolvedValue([lapsed]);
+    jest.spyOn(WaitlistEntry, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const service = new WaitlistService({ clock: () => NOW });
+    jest.spyOn(service, 'offerReleasedSlot').mockResolvedValue([buildEntry()]);
+    const summary = await service.expireOffers();
+
+    expect(summary).toEqual({ expired: 1, reoffered: 1, lapsed: 2 });
+    expect(lapsed.status).toBe('Expired');
+  });
+});
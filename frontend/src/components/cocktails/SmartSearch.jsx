@@ -1,7 +1,7 @@
 import { useState, useEffect, useRef } from 'react'
 import { Search, X, Clock, Star, Zap } from 'lucide-react'
 
-const SmartSearch = ({ onSearchChange, cocktails, recentSearches, onRecentSearchClick }) => {
+const SmartSearch = ({ onSearchChange, results, facets, recentSearches, onRecentSearchClick }) => {
   const [searchTerm, setSearchTerm] = useState('')
   const [suggestions, setSuggestions] = useState([])
   const [showSuggestions, setShowSuggestions] = useState(false)
@@ -9,7 +9,7 @@ const SmartSearch = ({ onSearchChange, cocktails, recentSearches, onRecentSearch
   const searchRef = useRef(null)
   const suggestionsRef = useRef(null)
 
-  // Generate suggestions based on search term
+  // Build suggestions from the server-side search results
   useEffect(() => {
     if (searchTerm.length < 2) {
       setSuggestions([])
@@ -17,84 +17,36 @@ const SmartSearch = ({ onSearchChange, cocktails, recentSearches, onRecentSearch
       return
     }
 
-    const searchLower = searchTerm.toLowerCase()
     const newSuggestions = []
 
-    // Search by cocktail name
-    const nameMatches = cocktails
-      .filter(cocktail => cocktail.name.toLowerCase().includes(searchLower))
-      .slice(0, 3)
-      .map(cocktail => ({
+    // Best matching cocktails, typos and partial words included
+    const nameMatches = results
+      .slice(0, 4)
+      .map(({ beverage }) => ({
         type: 'cocktail',
-        text: cocktail.name,
-        subtitle: `${cocktail.primarySpirit || 'Mixed'} • $${cocktail.price}`,
+        text: beverage.name,
+        subtitle: `${beverage.primarySpirit || 'Mixed'} • $${beverage.price}`,
         icon: Star,
-        data: cocktail
+        data: beverage
       }))
 
-    // Search by ingredients
-    const ingredientMatches = []
-    cocktails.forEach(cocktail => {
-      if (cocktail.ingredients) {
-        const matchingIngredients = cocktail.ingredients.filter(ing => 
-          ing.name.toLowerCase().includes(searchLower)
-        )
-        if (matchingIngredients.length > 0) {
-          ingredientMatches.push({
-            type: 'ingredient',
-            text: `Drinks with ${matchingIngredients[0].name}`,
-            subtitle: `${cocktail.name} and others`,
-            icon: Zap,
-            data: { ingredient: matchingIngredients[0].name }
-          })
-        }
-      }
-    })
-
-    // Search by spirit type
-    const spiritMatches = []
-    const spirits = ['vodka', 'gin', 'rum', 'whiskey', 'tequila', 'brandy', 'mezcal']
-    spirits.forEach(spirit => {
-      if (spirit.includes(searchLower)) {
-        const spiritCocktails = cocktails.filter(c => 
-          c.primarySpirit?.toLowerCase().includes(spirit)
-        )
-        if (spiritCocktails.length > 0) {
-          spiritMatches.push({
-            type: 'spirit',
-            text: `${spirit.charAt(0).toUpperCase() + spirit.slice(1)} cocktails`,
-            subtitle: `${spiritCocktails.length} available`,
-            icon: Search,
-            data: { spirit }
-          })
-        }
-      }
-    })
-
-    // Search by flavor profile
-    const flavorMatches = []
-    const flavors = ['sweet', 'sour', 'bitter', 'spicy', 'fruity', 'herbal', 'citrus', 'tropical']
-    flavors.forEach(flavor => {
-      if (flavor.includes(searchLower)) {
-        flavorMatches.push({
-          type: 'flavor',
-          text: `${flavor.charAt(0).toUpperCase() + flavor.slice(1)} cocktails`,
-          subtitle: 'Find by flavor profile',
-          icon: Search,
-          data: { flavor }
-        })
-      }
-    })
+    // Spirits the matches are built on
+    const spiritMatches = (facets.spiritType || [])
+      .slice(0, 2)
+      .map(({ value, count }) => ({
+        type: 'spirit',
+        text: `${value} cocktails`,
+        subtitle: `${count} matching`,
+        icon: Zap,
+        data: { spirit: value }
+      }))
 
-    // Combine and prioritize suggestions
     newSuggestions.push(...nameMatches)
-    newSuggestions.push(...ingredientMatches.slice(0, 2))
-    newSuggestions.push(...spiritMatches.slice(0, 2))
-    newSuggestions.push(...flavorMatches.slice(0, 1))
+    newSuggestions.push(...spiritMatches)
 
     setSuggestions(newSuggestions.slice(0, 6))
     setShowSuggestions(true)
-  }, [searchTerm, cocktails])
+  }, [searchTerm, results, facets])
 
   const handleSearchChange = (value) => {
     setSearchTerm(value)
@@ -106,15 +58,9 @@ const SmartSearch = ({ onSearchChange, cocktails, recentSearches, onRecentSearch
     if (suggestion.type === 'cocktail') {
       setSearchTerm(suggestion.text)
       onSearchChange(suggestion.text)
-    } else if (suggestion.type === 'ingredient') {
-      setSearchTerm(suggestion.data.ingredient)
-      onSearchChange(suggestion.data.ingredient)
     } else if (suggestion.type === 'spirit') {
       setSearchTerm(suggestion.data.spirit)
       onSearchChange(suggestion.data.spirit)
-    } else if (suggestion.type === 'flavor') {
-      setSearchTerm(suggestion.data.flavor)
-      onSearchChange(suggestion.data.flavor)
     }
     setShowSuggestions(false)
   }
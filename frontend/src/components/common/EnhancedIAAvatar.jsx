@@ -2,6 +2,7 @@ import { useState, useEffect, useRef } from 'react'
 import { MessageCircle, Mic, MicOff, Volume2, VolumeX, Video, VideoOff, Heart, Brain, Eye } from 'lucide-react'
 import didService from '../../services/api/didService'
 import conversationService from '../../services/api/conversationService'
+import { createSpeechQueue } from '../../utils/speechProcessing'
 
 const EnhancedIAAvatar = ({ size = 'large', onEmotionDetected, onConversationUpdate }) => {
   // State management
@@ -213,15 +214,29 @@ const EnhancedIAAvatar = ({ size = 'large', onEmotionDetected, onConversationUpd
 
     try {
       setAvatarState('thinking')
-      
+
+      // Speak each sentence as soon as it arrives instead of waiting for the whole reply
+      const speech = createSpeechQueue({
+        speak: speakSentence,
+        onStart: () => {
+          setIsSpeaking(true)
+          setAvatarState('speaking')
+        },
+        onEnd: () => {
+          setIsSpeaking(false)
+          setAvatarState('idle')
+        }
+      })
+
       // Generate contextual response
       const response = await conversationService.generateResponse(transcript, {
         inputMode: 'voice',
-        emotionalState: emotionalState
+        emotionalState: emotionalState,
+        onSentence: speech.enqueue
       })
 
       if (response.success) {
-        await speakResponse(response.response)
+        if (!response.streamed) speech.enqueue(response.response)
         
         if (onConversationUpdate) {
           onConversationUpdate({
@@ -232,19 +247,19 @@ const EnhancedIAAvatar = ({ size = 'large', onEmotionDetected, onConversationUpd
         }
       }
 
+      await speech.finish()
+
     } catch (error) {
       console.error('Voice input processing failed:', error)
+      setIsSpeaking(false)
       setAvatarState('idle')
     }
   }
 
-  const speakResponse = async (text) => {
+  const speakSentence = async (text) => {
     if (!sessionId || isMuted) return
 
     try {
-      setIsSpeaking(true)
-      setAvatarState('speaking')
-
       // Send message to D-ID for avatar speech
       const result = await didService.sendMessage(sessionId, text, {
         emotion: emotionalState?.primary || 'neutral'
@@ -256,13 +271,10 @@ const EnhancedIAAvatar = ({ size = 'large', onEmotionDetected, onConversationUpd
 
     } catch (error) {
       console.error('Speech synthesis failed:', error)
-    } finally {
-      // Reset speaking state after a delay
-      setTimeout(() => {
-        setIsSpeaking(false)
-        setAvatarState('idle')
-      }, text.length * 50) // Estimate speech duration
     }
+
+    // D-ID answers once the talk is queued; wait out its estimated duration before the next sentence
+    await new Promise(resolve => setTimeout(resolve, text.length * 50))
   }
 
   const toggleListening = () => {
@@ -0,0 +1,88 @@
+import { useEffect, useRef, useState } from 'react'
+import { Camera, AlertCircle } from 'lucide-react'
+import { startCamera, stopCamera, captureFace } from '../../utils/faceCapture'
+
+// Camera preview with a capture button; the camera runs only while this is mounted
+const FaceCamera = ({ actionLabel = 'Capture', includeImage = false, frames, onCapture, onCancel }) => {
+  const videoRef = useRef(null)
+  const [cameraReady, setCameraReady] = useState(false)
+  const [isCapturing, setIsCapturing] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let stream = null
+    let cancelled = false
+
+    startCamera(videoRef.current)
+      .then(started => {
+        if (cancelled) {
+          stopCamera(started)
+          return
+        }
+        stream = started
+        setCameraReady(true)
+      })
+      .catch(() => setError('Camera access is needed for face login'))
+
+    return () => {
+      cancelled = true
+      stopCamera(stream)
+    }
+  }, [])
+
+  const handleCapture = async () => {
+    setIsCapturing(true)
+    setError('')
+    try {
+      const faceData = await captureFace(videoRef.current, { includeImage, ...(frames ? { frames } : {}) })
+      await onCapture(faceData)
+    } catch (captureError) {
+      setError(captureError.message)
+    } finally {
+      setIsCapturing(false)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="relative bg-gray-900 rounded-lg overflow-hidden aspect-video">
+        <video ref={videoRef} className="w-full h-full object-cover -scale-x-100" muted playsInline />
+        {isCapturing && (
+          <div className="absolute inset-x-0 bottom-0 bg-black/60 text-white text-sm text-center py-2">
+            Blink or turn your head slightly...
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="flex items-center text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={handleCapture}
+          disabled={!cameraReady || isCapturing}
+          className="flex-1 flex items-center justify-center px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 disabled:opacity-50"
+        >
+          <Camera className="h-4 w-4 mr-2" />
+          {isCapturing ? 'Capturing...' : actionLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default FaceCamera
@@ -6,11 +6,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { toast } from 'react-hot-toast';
 import spiritsService from '../../services/spiritsService';
+import { reservationService } from '../../services/api/reservationService';
 import shelfLogic from '../../utils/shelfLogic';
 
 const OwnerDashboard = () => {
   const [pendingRequests, setPendingRequests] = useState([]);
   const [activeAuthorizations, setActiveAuthorizations] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [processingIds, setProcessingIds] = useState(new Set());
   const [stats, setStats] = useState({
@@ -24,13 +26,15 @@ const OwnerDashboard = () => {
   const loadDashboardData = useCallback(async () => {
     try {
       setIsLoading(true);
-      const [requests, authorizations] = await Promise.all([
+      const [requests, authorizations, waitlistResult] = await Promise.all([
         spiritsService.getPendingRequests(),
-        spiritsService.getActiveAuthorizations?.() || Promise.resolve([])
+        spiritsService.getActiveAuthorizations?.() || Promise.resolve([]),
+        reservationService.getWaitlist()
       ]);
       
       setPendingRequests(requests.pending || []);
       setActiveAuthorizations(authorizations || []);
+      setWaitlist(waitlistResult.success ? waitlistResult.data.waitlist || [] : []);
       
       // Calculate stats
       const today = new Date().toDateString();
@@ -242,6 +246,36 @@ const OwnerDashboard = () => {
             </div>
           </div>
         </div>
+
+        {/* Reservation Waitlist */}
+        <div className="bg-white rounded-lg shadow-md mt-8">
+          <div className="p-6 border-b border-gray-200">
+            <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+              <span className="mr-2">📋</span>
+              Reservation Waitlist
+              {waitlist.length > 0 && (
+                <span className="ml-2 bg-blue-100 text-blue-600 text-sm px-2 py-1 rounded-full">
+                  {waitlist.length}
+                </span>
+              )}
+            </h2>
+          </div>
+
+          <div className="p-6">
+            {waitlist.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                <span className="text-4xl mb-2 block">⛵</span>
+                <p>No one is waiting for a table</p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {waitlist.map((entry) => (
+                  <WaitlistCard key={entry._id} entry={entry} />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
       </div>
     </div>
   );
@@ -358,4 +392,43 @@ const AuthorizationCard = ({ authorization, onRevoke }) => {
   );
 };
 
+// Waitlist Card Component
+const WaitlistCard = ({ entry }) => {
+  const start = new Date(entry.startTime);
+  const end = new Date(entry.endTime);
+  const isOffered = entry.status === 'Offered';
+
+  return (
+    <div className={`border rounded-lg p-4 ${isOffered ? 'border-blue-200 bg-blue-50' : 'border-gray-200'}`}>
+      <div className="flex justify-between items-start">
+        <div className="flex-1">
+          <div className="flex items-center mb-2">
+            <span className="text-sm font-bold text-gray-500 mr-3">#{entry.position}</span>
+            <h3 className="font-semibold text-gray-900">
+              {entry.patronId?.fullName || entry.eventTitle}
+            </h3>
+            <span className={`ml-2 text-sm px-2 py-1 rounded ${isOffered ? 'text-blue-600 bg-blue-200' : 'text-gray-600 bg-gray-100'}`}>
+              {entry.status}
+            </span>
+          </div>
+          <p className="text-sm text-gray-600">
+            {entry.eventTitle} · {entry.guestCount} guests
+            {entry.seatingPreference && entry.seatingPreference !== 'No Preference' && ` · ${entry.seatingPreference}`}
+          </p>
+          <p className="text-sm text-gray-600">
+            {start.toLocaleDateString()} {start.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+            {' – '}
+            {end.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+          </p>
+        </div>
+        {isOffered && entry.offer?.expiresAt && (
+          <p className="text-sm text-blue-700">
+            Offer held until {new Date(entry.offer.expiresAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
 export default OwnerDashboard;
\ No newline at end of file
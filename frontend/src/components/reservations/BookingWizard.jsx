@@ -0,0 +1,491 @@
+import { useState, useEffect } from 'react'
+import { AlertCircle, CheckCircle, Clock, Users, X } from 'lucide-react'
+import { reservationService } from '../../services/api/reservationService'
+import {
+  DIETARY_OPTIONS,
+  EVENT_TYPES,
+  SEATING_OPTIONS,
+  combineDateTime,
+  formatTime,
+  toDateKey
+} from '../../utils/reservationCalendar'
+
+const STEPS = ['Event', 'Time', 'Guests & Seating', 'Dietary Needs', 'Contact & Review']
+
+const toTimeValue = (date) => {
+  const d = new Date(date)
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`
+}
+
+const BookingWizard = ({ user, initialDate, onBooked, onClose }) => {
+  const [step, setStep] = useState(0)
+  const [form, setForm] = useState({
+    eventTitle: '',
+    eventType: 'Happy Hour',
+    eventDescription: '',
+    date: initialDate || toDateKey(new Date()),
+    time: '',
+    duration: 2,
+    guestCount: 2,
+    seatingPreference: 'No Preference',
+    dietaryRestrictions: [],
+    otherDietary: '',
+    specialRequests: '',
+    phone: user?.mobileNumber || '',
+    email: user?.email || ''
+  })
+  const [slots, setSlots] = useState([])
+  const [isCheckingSlots, setIsCheckingSlots] = useState(false)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+  const [canJoinWaitlist, setCanJoinWaitlist] = useState(false)
+  const [confirmation, setConfirmation] = useState(null)
+
+  const update = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }))
+    setError(null)
+    setCanJoinWaitlist(false)
+  }
+
+  // Re-check open times whenever anything that affects seating changes
+  useEffect(() => {
+    if (!form.date || !form.guestCount) return
+
+    let cancelled = false
+    const checkSlots = async () => {
+      setIsCheckingSlots(true)
+      const result = await reservationService.getAvailableSlots(form.date, {
+        guestCount: form.guestCount,
+        seatingPreference: form.seatingPreference,
+        duration: form.duration
+      })
+      if (!cancelled) {
+        setSlots(result.success ? result.data.slots : [])
+        setIsCheckingSlots(false)
+      }
+    }
+
+    checkSlots()
+    return () => { cancelled = true }
+  }, [form.date, form.guestCount, form.seatingPreference, form.duration])
+
+  const startTime = form.date && form.time ? combineDateTime(form.date, form.time) : null
+  const endTime = startTime ? new Date(startTime.getTime() + form.duration * 60 * 60 * 1000) : null
+  const selectedSlot = slots.find(slot => form.time && toTimeValue(slot.startTime) === form.time)
+  const hasConflict = Boolean(form.time) && !isCheckingSlots && !selectedSlot
+
+  // Nearest open times to the one asked for
+  const alternatives = startTime
+    ? [...slots]
+      .sort((a, b) => Math.abs(new Date(a.startTime) - startTime) - Math.abs(new Date(b.startTime) - startTime))
+      .slice(0, 4)
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+    : []
+
+  const stepError = () => {
+    switch (step) {
+      case 0:
+        return form.eventTitle.trim() ? null : 'Please give your event a name'
+      case 1:
+        if (!form.time) return 'Please choose a start time'
+        if (startTime < new Date()) return 'Reservation cannot be in the past'
+        return null
+      case 2:
+        return form.guestCount >= 1 && form.guestCount <= 200 ? null : 'Guest count must be between 1 and 200'
+      case 4:
+        if (!/^\+?[\d\s\-()]+$/.test(form.phone)) return 'Valid phone number is required'
+        if (!/^\S+@\S+\.\S+$/.test(form.email)) return 'Valid email is required'
+        return null
+      default:
+        return null
+    }
+  }
+
+  const next = () => {
+    const message = stepError()
+    if (message) {
+      setError(message)
+      return
+    }
+    setError(null)
+    setStep(prev => Math.min(prev + 1, STEPS.length - 1))
+  }
+
+  const buildPayload = () => ({
+    eventTitle: form.eventTitle.trim(),
+    eventType: form.eventType,
+    eventDescription: form.eventDescription.trim() || undefined,
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    duration: form.duration,
+    guestCount: Number(form.guestCount),
+    seatingPreference: form.seatingPreference,
+    dietaryRestrictions: [
+      ...form.dietaryRestrictions,
+      ...(form.otherDietary.trim() ? [form.otherDietary.trim()] : [])
+    ],
+    specialRequests: form.specialRequests.trim() || undefined,
+    contactInfo: { phone: form.phone.trim(), email: form.email.trim() }
+  })
+
+  const submit = async () => {
+    const message = stepError()
+    if (message) {
+      setError(message)
+      return
+    }
+
+    setIsSubmitting(true)
+    const result = await reservationService.createReservation(buildPayload())
+    setIsSubmitting(false)
+
+    if (result.success) {
+      setConfirmation({ type: 'booked', message: 'Reservation requested! We\'ll confirm it shortly.' })
+      onBooked?.(result.data.reservation)
+    } else {
+      setError(result.errors?.[0]?.msg || result.error)
+      setCanJoinWaitlist(result.canJoinWaitlist)
+    }
+  }
+
+  const joinWaitlist = async () => {
+    setIsSubmitting(true)
+    const result = await reservationService.joinWaitlist(buildPayload())
+    setIsSubmitting(false)
+
+    if (result.success) {
+      setConfirmation({ type: 'waitlist', message: result.data.message })
+      onBooked?.(null)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const toggleDietary = (option) => {
+    update('dietaryRestrictions', form.dietaryRestrictions.includes(option)
+      ? form.dietaryRestrictions.filter(item => item !== option)
+      : [...form.dietaryRestrictions, option])
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-teal-500'
+
+  const renderAvailabilityFeedback = () => {
+    if (!form.time) return null
+    if (isCheckingSlots) {
+      return <p className="text-sm text-gray-500">Checking availability...</p>
+    }
+    if (selectedSlot) {
+      return (
+        <p className="flex items-center text-sm text-green-700">
+          <CheckCircle className="h-4 w-4 mr-1" />
+          Available for {form.guestCount} guests
+          {selectedSlot.allocation?.areaName && ` in the ${selectedSlot.allocation.areaName}`}
+        </p>
+      )
+    }
+    return (
+      <div className="rounded-md bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+        <p className="flex items-center font-medium">
+          <AlertCircle className="h-4 w-4 mr-1" />
+          {formatTime(startTime)} is booked for {form.guestCount} guests
+          {form.seatingPreference !== 'No Preference' && ` at the ${form.seatingPreference}`}
+        </p>
+        {alternatives.length > 0 ? (
+          <div className="mt-2 flex flex-wrap gap-2">
+            <span>Try:</span>
+            {alternatives.map(slot => (
+              <button
+                key={slot.startTime}
+                onClick={() => update('time', toTimeValue(slot.startTime))}
+                className="px-2 py-0.5 rounded border border-red-300 bg-white hover:bg-red-100"
+              >
+                {formatTime(slot.startTime)}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <p className="mt-1">No other times are open that day - you can still request it and join the waitlist.</p>
+        )}
+      </div>
+    )
+  }
+
+  if (confirmation) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-8 text-center">
+        <CheckCircle className="h-12 w-12 text-teal-600 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">
+          {confirmation.type === 'waitlist' ? 'You\'re on the waitlist' : 'Request sent'}
+        </h2>
+        <p className="text-gray-600 mb-6">{confirmation.message}</p>
+        <button onClick={onClose} className="bg-teal-600 hover:bg-teal-700 text-white px-6 py-2 rounded-md">
+          Back to calendar
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">Book a Reservation</h2>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-100" aria-label="Close">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      {/* Progress */}
+      <ol className="flex px-4 pt-4 gap-2 text-xs">
+        {STEPS.map((label, index) => (
+          <li key={label} className="flex-1">
+            <div className={`h-1 rounded ${index <= step ? 'bg-teal-600' : 'bg-gray-200'}`} />
+            <span className={`mt-1 block ${index === step ? 'text-teal-700 font-medium' : 'text-gray-500'}`}>{label}</span>
+          </li>
+        ))}
+      </ol>
+
+      <div className="p-6 space-y-4">
+        {step === 0 && (
+          <>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Event name</label>
+              <input
+                className={inputClass}
+                value={form.eventTitle}
+                maxLength={100}
+                onChange={(e) => update('eventTitle', e.target.value)}
+                placeholder="e.g. Sam's 30th"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Event type</label>
+              <select className={inputClass} value={form.eventType} onChange={(e) => update('eventType', e.target.value)}>
+                {EVENT_TYPES.map(type => <option key={type}>{type}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description (optional)</label>
+              <textarea
+                className={inputClass}
+                rows={3}
+                maxLength={500}
+                value={form.eventDescription}
+                onChange={(e) => update('eventDescription', e.target.value)}
+              />
+            </div>
+          </>
+        )}
+
+        {step === 1 && (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                <input
+                  type="date"
+                  className={inputClass}
+                  value={form.date}
+                  min={toDateKey(new Date())}
+                  onChange={(e) => update('date', e.target.value)}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Start time</label>
+                <input
+                  type="time"
+                  step={1800}
+                  className={inputClass}
+                  value={form.time}
+                  onChange={(e) => update('time', e.target.value)}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Length</label>
+                <select className={inputClass} value={form.duration} onChange={(e) => update('duration', Number(e.target.value))}>
+                  {[1, 1.5, 2, 3, 4, 5, 6].map(hours => <option key={hours} value={hours}>{hours} hours</option>)}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <p className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                <Clock className="h-4 w-4 mr-1" />
+                Open times for {form.guestCount} guests
+              </p>
+              {isCheckingSlots ? (
+                <p className="text-sm text-gray-500">Checking availability...</p>
+              ) : slots.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing open that day - you can still pick a time and join the waitlist.</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {slots.map(slot => {
+                    const value = toTimeValue(slot.startTime)
+                    return (
+                      <button
+                        key={slot.startTime}
+                        onClick={() => update('time', value)}
+                        className={`px-3 py-1 rounded-md border text-sm ${
+                          form.time === value
+                            ? 'bg-teal-600 border-teal-600 text-white'
+                            : 'border-gray-300 hover:border-teal-500'
+                        }`}
+                      >
+                        {formatTime(slot.startTime)}
+                      </button>
+                    )
+                  })}
+                </div>
+              )}
+            </div>
+
+            {renderAvailabilityFeedback()}
+          </>
+        )}
+
+        {step === 2 && (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="flex items-center text-sm font-medium text-gray-700 mb-1">
+                  <Users className="h-4 w-4 mr-1" />
+                  Guests
+                </label>
+                <input
+                  type="number"
+                  min={1}
+                  max={200}
+                  className={inputClass}
+                  value={form.guestCount}
+                  onChange={(e) => update('guestCount', Number(e.target.value))}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Seating</label>
+                <select
+                  className={inputClass}
+                  value={form.seatingPreference}
+                  onChange={(e) => update('seatingPreference', e.target.value)}
+                >
+                  {SEATING_OPTIONS.map(option => <option key={option}>{option}</option>)}
+                </select>
+              </div>
+            </div>
+
+            {renderAvailabilityFeedback()}
+          </>
+        )}
+
+        {step === 3 && (
+          <>
+            <div>
+              <p className="block text-sm font-medium text-gray-700 mb-2">Dietary restrictions in your party</p>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {DIETARY_OPTIONS.map(option => (
+                  <label key={option} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={form.dietaryRestrictions.includes(option)}
+                      onChange={() => toggleDietary(option)}
+                    />
+                    {option}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Other dietary needs</label>
+              <input
+                className={inputClass}
+                value={form.otherDietary}
+                onChange={(e) => update('otherDietary', e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Special requests</label>
+              <textarea
+                className={inputClass}
+                rows={3}
+                maxLength={500}
+                value={form.specialRequests}
+                onChange={(e) => update('specialRequests', e.target.value)}
+              />
+            </div>
+          </>
+        )}
+
+        {step === 4 && (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+                <input className={inputClass} value={form.phone} onChange={(e) => update('phone', e.target.value)} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input type="email" className={inputClass} value={form.email} onChange={(e) => update('email', e.target.value)} />
+              </div>
+            </div>
+
+            <div className="rounded-md bg-gray-50 p-4 text-sm text-gray-700 space-y-1">
+              <p><span className="font-medium">{form.eventTitle}</span> ({form.eventType})</p>
+              <p>
+                {startTime?.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })},{' '}
+                {startTime && formatTime(startTime)} - {endTime && formatTime(endTime)}
+              </p>
+              <p>{form.guestCount} guests · {form.seatingPreference}</p>
+              {(form.dietaryRestrictions.length > 0 || form.otherDietary) && (
+                <p>Dietary: {[...form.dietaryRestrictions, form.otherDietary].filter(Boolean).join(', ')}</p>
+              )}
+            </div>
+
+            {renderAvailabilityFeedback()}
+          </>
+        )}
+
+        {error && (
+          <div className="rounded-md bg-red-50 border border-red-200 p-3 text-sm text-red-700">
+            <p className="flex items-center">
+              <AlertCircle className="h-4 w-4 mr-1" />
+              {error}
+            </p>
+            {canJoinWaitlist && (
+              <button
+                onClick={joinWaitlist}
+                disabled={isSubmitting}
+                className="mt-2 bg-white border border-red-300 hover:bg-red-100 px-3 py-1 rounded-md font-medium"
+              >
+                Join the waitlist for this time
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-between p-4 border-t border-gray-200">
+        <button
+          onClick={() => { setError(null); setStep(prev => Math.max(prev - 1, 0)) }}
+          disabled={step === 0}
+          className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 disabled:opacity-50"
+        >
+          Back
+        </button>
+        {step < STEPS.length - 1 ? (
+          <button onClick={next} className="px-4 py-2 rounded-md bg-teal-600 hover:bg-teal-700 text-white">
+            Next
+          </button>
+        ) : (
+          <button
+            onClick={submit}
+            disabled={isSubmitting}
+            className="px-4 py-2 rounded-md bg-teal-600 hover:bg-teal-700 text-white disabled:bg-gray-400"
+          >
+            {isSubmitting ? 'Submitting...' : hasConflict ? 'Request anyway' : 'Request reservation'}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BookingWizard
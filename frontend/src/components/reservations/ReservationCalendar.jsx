@@ -0,0 +1,148 @@
+import { ChevronLeft, ChevronRight } from 'lucide-react'
+import {
+  STATUS_STYLES,
+  WEEKDAY_LABELS,
+  formatTime,
+  getVisibleDays,
+  groupByDate,
+  toDateKey
+} from '../../utils/reservationCalendar'
+
+const ReservationCalendar = ({
+  view,
+  cursorDate,
+  reservations,
+  isLoading,
+  onViewChange,
+  onNavigate,
+  onSelectDate,
+  onSelectReservation
+}) => {
+  const days = getVisibleDays(cursorDate, view)
+  const byDate = groupByDate(reservations)
+  const todayKey = toDateKey(new Date())
+  const maxPerDay = view === 'week' ? Infinity : 3
+
+  const title = view === 'week'
+    ? `Week of ${days[0].toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : cursorDate.toLocaleDateString([], { month: 'long', year: 'numeric' })
+
+  return (
+    <div className="bg-white rounded-lg shadow-md">
+      {/* Toolbar */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onNavigate(-1)}
+            className="p-2 rounded-md hover:bg-gray-100"
+            aria-label="Previous"
+          >
+            <ChevronLeft className="h-5 w-5" />
+          </button>
+          <button
+            onClick={() => onNavigate(0)}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => onNavigate(1)}
+            className="p-2 rounded-md hover:bg-gray-100"
+            aria-label="Next"
+          >
+            <ChevronRight className="h-5 w-5" />
+          </button>
+          <h2 className="ml-2 text-lg font-semibold text-gray-900">{title}</h2>
+          {isLoading && <span className="ml-2 text-sm text-gray-400">Loading...</span>}
+        </div>
+
+        <div className="flex rounded-md border border-gray-300 overflow-hidden">
+          {['month', 'week'].map(option => (
+            <button
+              key={option}
+              onClick={() => onViewChange(option)}
+              className={`px-3 py-1 text-sm capitalize ${
+                view === option ? 'bg-teal-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Grid */}
+      <div className="grid grid-cols-7 border-b border-gray-200 text-xs font-medium text-gray-500">
+        {WEEKDAY_LABELS.map(label => (
+          <div key={label} className="px-2 py-2 text-center">{label}</div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-7">
+        {days.map(day => {
+          const key = toDateKey(day)
+          const dayReservations = byDate[key] || []
+          const outsideMonth = view === 'month' && day.getMonth() !== cursorDate.getMonth()
+          const isPast = key < todayKey
+
+          return (
+            <div
+              key={key}
+              onClick={() => !isPast && onSelectDate(key)}
+              className={`border-b border-r border-gray-100 p-1 ${
+                view === 'week' ? 'min-h-[18rem]' : 'min-h-[6.5rem]'
+              } ${outsideMonth ? 'bg-gray-50' : ''} ${isPast ? 'cursor-default' : 'cursor-pointer hover:bg-teal-50'}`}
+            >
+              <div className={`text-xs font-medium mb-1 ${
+                key === todayKey
+                  ? 'inline-flex h-6 w-6 items-center justify-center rounded-full bg-teal-600 text-white'
+                  : outsideMonth ? 'text-gray-400' : 'text-gray-700'
+              }`}>
+                {day.getDate()}
+              </div>
+
+              <div className="space-y-1">
+                {dayReservations.slice(0, maxPerDay).map(reservation => (
+                  <button
+                    key={reservation._id}
+                    onClick={(event) => {
+                      event.stopPropagation()
+                      onSelectReservation(reservation._id)
+                    }}
+                    className={`block w-full truncate rounded border px-1 py-0.5 text-left text-xs ${
+                      STATUS_STYLES[reservation.status] || STATUS_STYLES.Pending
+                    }`}
+                    title={`${reservation.eventTitle} - ${reservation.guestCount} guests (${reservation.status})`}
+                  >
+                    <span className="font-medium">{formatTime(reservation.startTime)}</span>{' '}
+                    {reservation.eventTitle}
+                    {view === 'week' && (
+                      <span className="block text-[11px] opacity-75">
+                        {reservation.guestCount} guests
+                        {reservation.allocation?.areaName && ` · ${reservation.allocation.areaName}`}
+                        {reservation.patronId?.fullName && ` · ${reservation.patronId.fullName}`}
+                      </span>
+                    )}
+                  </button>
+                ))}
+                {dayReservations.length > maxPerDay && (
+                  <button
+                    onClick={(event) => {
+                      event.stopPropagation()
+                      onViewChange('week', day)
+                    }}
+                    className="px-1 text-xs text-teal-700 hover:underline"
+                  >
+                    +{dayReservations.length - maxPerDay} more
+                  </button>
+                )}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default ReservationCalendar
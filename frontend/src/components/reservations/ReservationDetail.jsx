@@ -0,0 +1,355 @@
+import { useState, useEffect, useCallback } from 'react'
+import { AlertCircle, Lock, MessageSquare, UserPlus, Utensils, X } from 'lucide-react'
+import { reservationService } from '../../services/api/reservationService'
+import { STAFF_ROLES, STATUS_STYLES, formatTime } from '../../utils/reservationCalendar'
+
+const ReservationDetail = ({ reservationId, isStaff, staff = [], onChanged, onClose }) => {
+  const [reservation, setReservation] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [reason, setReason] = useState('')
+  const [note, setNote] = useState({ content: '', isInternal: true })
+  const [assignment, setAssignment] = useState({ userId: '', role: 'Server' })
+  const [pairings, setPairings] = useState(null)
+
+  const loadReservation = useCallback(async () => {
+    setIsLoading(true)
+    const result = await reservationService.getReservationById(reservationId)
+    if (result.success) {
+      setReservation(result.data.reservation)
+      setError(null)
+    } else {
+      setError(result.error)
+    }
+    setIsLoading(false)
+  }, [reservationId])
+
+  useEffect(() => {
+    loadReservation()
+  }, [loadReservation])
+
+  // Run an update, then refresh this panel and the calendar behind it
+  const runAction = async (action) => {
+    setIsSaving(true)
+    const result = await action()
+    setIsSaving(false)
+
+    if (!result.success) {
+      setError(result.error)
+      return false
+    }
+
+    setError(null)
+    await loadReservation()
+    onChanged?.()
+    return true
+  }
+
+  const changeStatus = (status) =>
+    runAction(() => reservationService.updateReservationStatus(reservationId, status, reason.trim() || undefined))
+      .then(ok => ok && setReason(''))
+
+  const addNote = () => {
+    if (!note.content.trim()) return
+    runAction(() => reservationService.addNote(reservationId, note.content.trim(), isStaff && note.isInternal))
+      .then(ok => ok && setNote(prev => ({ ...prev, content: '' })))
+  }
+
+  const assignStaff = () => {
+    if (!assignment.userId) return
+    runAction(() => reservationService.assignStaff(reservationId, assignment.userId, assignment.role))
+      .then(ok => ok && setAssignment(prev => ({ ...prev, userId: '' })))
+  }
+
+  const loadPairings = async () => {
+    setIsSaving(true)
+    const result = await reservationService.getMenuPairings(reservationId)
+    setIsSaving(false)
+
+    if (result.success) {
+      setPairings(result.data)
+      setError(null)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const applyPairings = () => runAction(() => reservationService.applyMenuPairings(reservationId))
+    .then(ok => ok && loadPairings())
+
+  const cancel = () => runAction(() => reservationService.cancelReservation(reservationId))
+    .then(ok => ok && onClose())
+
+  const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500'
+
+  return (
+    <div className="bg-white rounded-lg shadow-md">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">Reservation Details</h2>
+        <button onClick={onClose} className="p-1 rounded hover:bg-gray-100" aria-label="Close">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+
+      {isLoading && !reservation ? (
+        <p className="p-6 text-sm text-gray-500">Loading...</p>
+      ) : !reservation ? (
+        <p className="p-6 text-sm text-red-600">{error || 'Reservation not found'}</p>
+      ) : (
+        <div className="p-4 space-y-5 text-sm">
+          {/* Summary */}
+          <div>
+            <div className="flex items-start justify-between">
+              <div>
+                <h3 className="text-base font-semibold text-gray-900">{reservation.eventTitle}</h3>
+                <p className="text-gray-600">{reservation.eventType}</p>
+              </div>
+              <span className={`px-2 py-1 rounded border text-xs ${STATUS_STYLES[reservation.status]}`}>
+                {reservation.status}
+              </span>
+            </div>
+            <p className="mt-2 text-gray-700">
+              {new Date(reservation.startTime).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })},{' '}
+              {formatTime(reservation.startTime)} - {formatTime(reservation.endTime)}
+            </p>
+            <p className="text-gray-700">
+              {reservation.guestCount} guests · {reservation.seatingPreference}
+              {reservation.allocation?.areaName && ` · ${reservation.allocation.areaName}`}
+              {reservation.allocation?.tables?.length > 0 &&
+                ` (${reservation.allocation.tables.map(table => table.name).join(', ')})`}
+            </p>
+            {isStaff && reservation.patronId && (
+              <p className="text-gray-700">
+                {reservation.patronId.fullName} · {reservation.contactInfo?.phone} · {reservation.contactInfo?.email}
+              </p>
+            )}
+            {reservation.dietaryRestrictions?.length > 0 && (
+              <p className="text-gray-700">Dietary: {reservation.dietaryRestrictions.join(', ')}</p>
+            )}
+            {reservation.specialRequests && (
+              <p className="mt-1 text-gray-600 italic">"{reservation.specialRequests}"</p>
+            )}
+          </div>
+
+          {error && (
+            <p className="flex items-center rounded-md bg-red-50 border border-red-200 p-2 text-red-700">
+              <AlertCircle className="h-4 w-4 mr-1" />
+              {error}
+            </p>
+          )}
+
+          {/* Staff decision */}
+          {isStaff && ['Pending', 'Approved'].includes(reservation.status) && (
+            <div className="space-y-2">
+              <input
+                className={inputClass}
+                placeholder="Reason (optional, shared in the status history)"
+                maxLength={300}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+              <div className="flex gap-2">
+                {reservation.status === 'Pending' && (
+                  <button
+                    onClick={() => changeStatus('Approved')}
+                    disabled={isSaving}
+                    className="flex-1 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white px-3 py-2 rounded-md font-medium"
+                  >
+                    Approve
+                  </button>
+                )}
+                {reservation.status === 'Pending' && (
+                  <button
+                    onClick={() => changeStatus('Denied')}
+                    disabled={isSaving}
+                    className="flex-1 bg-red-600 hover:bg-red-700 disabled:bg-gray-400 text-white px-3 py-2 rounded-md font-medium"
+                  >
+                    Deny
+                  </button>
+                )}
+                {reservation.status === 'Approved' && (
+                  <>
+                    <button
+                      onClick={() => changeStatus('Completed')}
+                      disabled={isSaving}
+                      className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-2 rounded-md font-medium"
+                    >
+                      Mark Completed
+                    </button>
+                    <button
+                      onClick={() => changeStatus('Cancelled')}
+                      disabled={isSaving}
+                      className="flex-1 border border-red-300 text-red-600 hover:bg-red-50 px-3 py-2 rounded-md font-medium"
+                    >
+                      Cancel
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+
+          {!isStaff && reservation.status === 'Pending' && (
+            <button
+              onClick={cancel}
+              disabled={isSaving}
+              className="w-full border border-red-300 text-red-600 hover:bg-red-50 px-3 py-2 rounded-md font-medium"
+            >
+              Cancel my reservation
+            </button>
+          )}
+
+          {/* Staff assignment */}
+          {isStaff && (
+            <div>
+              <h4 className="flex items-center font-medium text-gray-900 mb-2">
+                <UserPlus className="h-4 w-4 mr-1" />
+                Staff
+              </h4>
+              {reservation.assignedStaff?.length > 0 ? (
+                <ul className="mb-2 space-y-1">
+                  {reservation.assignedStaff.map(member => (
+                    <li key={member._id} className="text-gray-700">
+                      {member.user?.fullName || 'Staff member'} · {member.role}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="mb-2 text-gray-500">No one assigned yet</p>
+              )}
+              <div className="flex gap-2">
+                <select
+                  className={inputClass}
+                  value={assignment.userId}
+                  onChange={(e) => setAssignment(prev => ({ ...prev, userId: e.target.value }))}
+                >
+                  <option value="">Choose staff...</option>
+                  {staff.map(member => <option key={member._id} value={member._id}>{member.fullName}</option>)}
+                </select>
+                <select
+                  className={inputClass}
+                  value={assignment.role}
+                  onChange={(e) => setAssignment(prev => ({ ...prev, role: e.target.value }))}
+                >
+                  {STAFF_ROLES.map(role => <option key={role}>{role}</option>)}
+                </select>
+                <button
+                  onClick={assignStaff}
+                  disabled={isSaving || !assignment.userId}
+                  className="bg-teal-600 hover:bg-teal-700 disabled:bg-gray-400 text-white px-3 py-2 rounded-md"
+                >
+                  Assign
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Paired menu */}
+          {isStaff && reservation.menu?.food?.length > 0 && (
+            <div>
+              <h4 className="flex items-center font-medium text-gray-900 mb-2">
+                <Utensils className="h-4 w-4 mr-1" />
+                Paired Menu
+              </h4>
+              <p className="mb-2 text-gray-600">
+                {reservation.menu.food.length} food item(s) · {reservation.menu.beverages?.length || 0} beverage(s) on the menu
+              </p>
+              {pairings && (
+                <ul className="mb-2 space-y-2">
+                  {pairings.items.map((item, index) => (
+                    <li key={item.food._id || index} className="rounded-md bg-gray-50 p-2">
+                      <p className="font-medium text-gray-800">{item.food.name}</p>
+                      {item.dish ? (
+                        Object.values(item.pairings).flat()
+                          .sort((a, b) => b.score - a.score)
+                          .slice(0, 3)
+                          .map(pick => (
+                            <p key={pick.beverage._id} className="text-gray-700">
+                              {pick.beverage.name} <span className="text-gray-500">· {pick.score}</span>
+                              {pick.reasons[0] && <span className="block text-xs text-gray-500">{pick.reasons[0]}</span>}
+                            </p>
+                          ))
+                      ) : (
+                        <p className="text-xs text-gray-500">Not in the dish catalog, so it can't be paired</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex gap-2">
+                <button
+                  onClick={loadPairings}
+                  disabled={isSaving}
+                  className="flex-1 border border-teal-300 text-teal-700 hover:bg-teal-50 px-3 py-2 rounded-md"
+                >
+                  Suggest Pairings
+                </button>
+                <button
+                  onClick={applyPairings}
+                  disabled={isSaving}
+                  className="flex-1 bg-teal-600 hover:bg-teal-700 disabled:bg-gray-400 text-white px-3 py-2 rounded-md"
+                >
+                  Add Best Pairings
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Notes */}
+          <div>
+            <h4 className="flex items-center font-medium text-gray-900 mb-2">
+              <MessageSquare className="h-4 w-4 mr-1" />
+              Notes
+            </h4>
+            {reservation.notes?.length > 0 ? (
+              <ul className="mb-2 space-y-2">
+                {reservation.notes.map(item => (
+                  <li key={item._id} className={`rounded-md p-2 ${item.isInternal ? 'bg-yellow-50' : 'bg-gray-50'}`}>
+                    <p className="text-gray-800">{item.content}</p>
+                    <p className="flex items-center text-xs text-gray-500 mt-1">
+                      {item.isInternal && <Lock className="h-3 w-3 mr-1" />}
+                      {item.author?.fullName || 'Unknown'} · {new Date(item.createdAt).toLocaleString()}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="mb-2 text-gray-500">No notes yet</p>
+            )}
+            <textarea
+              className={inputClass}
+              rows={2}
+              maxLength={500}
+              placeholder="Add a note..."
+              value={note.content}
+              onChange={(e) => setNote(prev => ({ ...prev, content: e.target.value }))}
+            />
+            <div className="mt-2 flex items-center justify-between">
+              {isStaff ? (
+                <label className="flex items-center text-gray-600">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={note.isInternal}
+                    onChange={(e) => setNote(prev => ({ ...prev, isInternal: e.target.checked }))}
+                  />
+                  Staff only
+                </label>
+              ) : <span />}
+              <button
+                onClick={addNote}
+                disabled={isSaving || !note.content.trim()}
+                className="bg-teal-600 hover:bg-teal-700 disabled:bg-gray-400 text-white px-3 py-1 rounded-md"
+              >
+                Add Note
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReservationDetail
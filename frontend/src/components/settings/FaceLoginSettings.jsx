@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react'
+import { ScanFace, Trash2, Plus, CheckCircle, AlertCircle } from 'lucide-react'
+import { authService } from '../../services/api/authService'
+import FaceCamera from '../common/FaceCamera'
+
+export default function FaceLoginSettings() {
+  const [status, setStatus] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isEnrolling, setIsEnrolling] = useState(false)
+  const [isRemoving, setIsRemoving] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    if (!authService.isAuthenticated()) {
+      setIsLoading(false)
+      return
+    }
+
+    authService.getFaceStatus().then(result => {
+      if (result.success) {
+        setStatus(result.data)
+      } else {
+        setMessage({ type: 'error', text: result.error })
+      }
+      setIsLoading(false)
+    })
+  }, [])
+
+  const handleCapture = async (faceData) => {
+    const result = await authService.enrollFace(faceData)
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    setStatus(result.data)
+    setIsEnrolling(false)
+    setMessage({ type: 'success', text: 'Face saved. You can now sign in with your face.' })
+  }
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove your face data and turn off face login?')) return
+
+    setIsRemoving(true)
+    const result = await authService.removeFace()
+    if (result.success) {
+      setStatus(result.data)
+      setMessage({ type: 'success', text: 'Face login removed and your face data deleted.' })
+    } else {
+      setMessage({ type: 'error', text: result.error })
+    }
+    setIsRemoving(false)
+  }
+
+  if (isLoading) {
+    return <div className="text-gray-600">Loading face login settings...</div>
+  }
+
+  if (!authService.isAuthenticated()) {
+    return <div className="text-gray-600">Sign in to set up face login.</div>
+  }
+
+  return (
+    <div className="space-y-6 max-w-xl">
+      <div className="bg-gray-50 rounded-lg p-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="text-sm font-medium text-gray-600">Face login</p>
+            <p className="text-lg font-semibold">
+              {status?.enrolled ? `On (${status.samples} saved ${status.samples === 1 ? 'capture' : 'captures'})` : 'Off'}
+            </p>
+            {status?.enrolledAt && (
+              <p className="text-xs text-gray-500">Last updated {new Date(status.enrolledAt).toLocaleString()}</p>
+            )}
+          </div>
+          <ScanFace className={`h-8 w-8 ${status?.enrolled ? 'text-green-500' : 'text-gray-400'}`} />
+        </div>
+      </div>
+
+      {message && (
+        <div className={`flex items-center text-sm ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`}>
+          {message.type === 'error' ? <AlertCircle className="h-4 w-4 mr-2" /> : <CheckCircle className="h-4 w-4 mr-2" />}
+          {message.text}
+        </div>
+      )}
+
+      {isEnrolling ? (
+        <FaceCamera
+          actionLabel="Save my face"
+          includeImage={status?.requiresImage}
+          frames={Math.max(8, status?.minFrames || 0)}
+          onCapture={handleCapture}
+          onCancel={() => setIsEnrolling(false)}
+        />
+      ) : (
+        <div className="flex gap-3">
+          <button
+            onClick={() => {
+              setMessage(null)
+              setIsEnrolling(true)
+            }}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            {status?.enrolled ? 'Add another capture' : 'Set up face login'}
+          </button>
+          {status?.enrolled && (
+            <button
+              onClick={handleRemove}
+              disabled={isRemoving}
+              className="flex items-center px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              {isRemoving ? 'Removing...' : 'Remove face login'}
+            </button>
+          )}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Face login stores measurements of your face{status?.requiresImage ? ' and a camera frame with our face matching provider' : ' on our server'}.
+        Adding captures in different light makes it more reliable. Your password always works too.
+      </p>
+    </div>
+  )
+}
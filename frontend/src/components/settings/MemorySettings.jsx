@@ -0,0 +1,241 @@
+import { useEffect, useState } from 'react'
+import { Brain, Trash2, Plus, CheckCircle, AlertCircle, MessageSquare, StickyNote } from 'lucide-react'
+import { authService } from '../../services/api/authService'
+import { iaService } from '../../services/api/iaService'
+
+const RETENTION_OPTIONS = [
+  { value: '', label: 'Default' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: 1825, label: '5 years' }
+]
+
+const formatDate = (value) => new Date(value).toLocaleDateString()
+
+export default function MemorySettings() {
+  const [settings, setSettings] = useState(null)
+  const [memories, setMemories] = useState([])
+  const [total, setTotal] = useState(0)
+  const [note, setNote] = useState('')
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const loadMemories = async () => {
+    const result = await iaService.getMemories()
+    if (result.success) {
+      setSettings(result.data.settings)
+      setMemories(result.data.memories)
+      setTotal(result.data.total)
+    } else {
+      setMessage({ type: 'error', text: result.error })
+    }
+    setIsLoading(false)
+  }
+
+  useEffect(() => {
+    if (!authService.isAuthenticated()) {
+      setIsLoading(false)
+      return
+    }
+    loadMemories()
+  }, [])
+
+  const updateSettings = async (changes) => {
+    setIsSaving(true)
+    const result = await iaService.updateMemorySettings(changes)
+    if (result.success) {
+      setSettings(result.data)
+      setMessage({ type: 'success', text: 'Memory settings saved.' })
+      // A new retention period moves every memory's expiry date
+      if (changes.retentionDays !== undefined) await loadMemories()
+    } else {
+      setMessage({ type: 'error', text: result.error })
+    }
+    setIsSaving(false)
+  }
+
+  const handleAddNote = async (event) => {
+    event.preventDefault()
+    if (!note.trim()) return
+
+    setIsSaving(true)
+    const result = await iaService.addMemory(note.trim())
+    if (result.success) {
+      setMemories(prev => [result.data, ...prev])
+      setTotal(prev => prev + 1)
+      setNote('')
+      setMessage({ type: 'success', text: 'Savannah will remember that.' })
+    } else {
+      setMessage({ type: 'error', text: result.error })
+    }
+    setIsSaving(false)
+  }
+
+  const handleForget = async (memoryId) => {
+    const result = await iaService.forgetMemory(memoryId)
+    if (result.success) {
+      setMemories(prev => prev.filter(memory => memory.id !== memoryId))
+      setTotal(prev => prev - 1)
+    } else {
+      setMessage({ type: 'error', text: result.error })
+    }
+  }
+
+  const handleForgetAll = async () => {
+    if (!window.confirm('Make Savannah forget everything she remembers about you?')) return
+    const includeConversations = window.confirm('Also delete your past conversations with Savannah?')
+
+    setIsSaving(true)
+    const result = await iaService.forgetAllMemories(includeConversations)
+    if (result.success) {
+      setMemories([])
+      setTotal(0)
+      setMessage({
+        type: 'success',
+        text: `Forgot ${result.data.memories} ${result.data.memories === 1 ? 'memory' : 'memories'}${includeConversations ? ` and ${result.data.conversations} past conversations` : ''}.`
+      })
+    } else {
+      setMessage({ type: 'error', text: result.error })
+    }
+    setIsSaving(false)
+  }
+
+  if (isLoading) {
+    return <div className="text-gray-600">Loading memory settings...</div>
+  }
+
+  if (!authService.isAuthenticated()) {
+    return <div className="text-gray-600">Sign in to see what Savannah remembers.</div>
+  }
+
+  const defaultLabel = settings?.defaultRetentionDays ? `Default (${settings.defaultRetentionDays} days)` : 'Default (until you forget them)'
+
+  return (
+    <div className="space-y-6 max-w-2xl">
+      <div className="bg-gray-50 rounded-lg p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="text-sm font-medium text-gray-600">Remember me between visits</p>
+            <p className="text-lg font-semibold">{settings?.enabled ? 'On' : 'Off'}</p>
+          </div>
+          <Brain className={`h-8 w-8 ${settings?.enabled ? 'text-green-500' : 'text-gray-400'}`} />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center text-sm">
+            <input
+              type="checkbox"
+              checked={!!settings?.enabled}
+              disabled={isSaving}
+              onChange={(e) => updateSettings({ enabled: e.target.checked })}
+              className="mr-2"
+            />
+            Let Savannah remember our conversations
+          </label>
+
+          <label className="flex items-center text-sm">
+            Keep memories for
+            <select
+              value={settings?.retentionDays || ''}
+              disabled={isSaving}
+              onChange={(e) => updateSettings({ retentionDays: e.target.value ? Number(e.target.value) : null })}
+              className="ml-2 px-2 py-1 border border-gray-300 rounded-md"
+            >
+              {RETENTION_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.value ? option.label : defaultLabel}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {message && (
+        <div className={`flex items-center text-sm ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`}>
+          {message.type === 'error' ? <AlertCircle className="h-4 w-4 mr-2" /> : <CheckCircle className="h-4 w-4 mr-2" />}
+          {message.text}
+        </div>
+      )}
+
+      {settings?.enabled && (
+        <form onSubmit={handleAddNote} className="flex gap-3">
+          <input
+            type="text"
+            value={note}
+            maxLength={500}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Tell Savannah something to remember, e.g. I'm allergic to almonds"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+          />
+          <button
+            type="submit"
+            disabled={isSaving || !note.trim()}
+            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Remember
+          </button>
+        </form>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="text-md font-medium">
+            What Savannah remembers ({total})
+          </h4>
+          {total > 0 && (
+            <button
+              onClick={handleForgetAll}
+              disabled={isSaving}
+              className="flex items-center px-3 py-1 text-sm border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Forget everything
+            </button>
+          )}
+        </div>
+
+        {memories.length === 0 ? (
+          <p className="text-sm text-gray-500">Nothing yet. Savannah remembers conversations after they end.</p>
+        ) : (
+          <ul className="space-y-2">
+            {memories.map(memory => (
+              <li key={memory.id} className="flex items-start justify-between bg-white border border-gray-200 rounded-md p-3">
+                <div className="flex items-start">
+                  {memory.source === 'note'
+                    ? <StickyNote className="h-4 w-4 mr-3 mt-1 text-amber-500 flex-shrink-0" />
+                    : <MessageSquare className="h-4 w-4 mr-3 mt-1 text-blue-500 flex-shrink-0" />}
+                  <div>
+                    <p className="text-sm whitespace-pre-line">{memory.text}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {formatDate(memory.createdAt)}
+                      {memory.expiresAt && ` · forgotten on ${formatDate(memory.expiresAt)}`}
+                      {memory.recallCount > 0 && ` · recalled ${memory.recallCount} ${memory.recallCount === 1 ? 'time' : 'times'}`}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleForget(memory.id)}
+                  className="ml-3 text-gray-400 hover:text-red-600"
+                  title="Forget this"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {total > memories.length && (
+          <p className="text-xs text-gray-500 mt-2">Showing the newest {memories.length} of {total}.</p>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Memories are stored on our server and used only to personalise your conversations with Savannah.
+      </p>
+    </div>
+  )
+}
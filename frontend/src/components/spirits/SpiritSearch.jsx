@@ -1,67 +1,46 @@
 import { useState, useRef, useEffect } from 'react'
 import { Search, Clock, TrendingUp, Zap } from 'lucide-react'
 
-const SpiritSearch = ({ onSearchChange, spirits, recentSearches, onRecentSearchClick }) => {
+const SpiritSearch = ({ onSearchChange, results, facets, recentSearches, onRecentSearchClick }) => {
   const [searchTerm, setSearchTerm] = useState('')
   const [showSuggestions, setShowSuggestions] = useState(false)
   const [suggestions, setSuggestions] = useState([])
   const searchRef = useRef(null)
 
-  // Generate search suggestions based on spirits data
+  // Build suggestions from the server-side search results
   useEffect(() => {
-    if (searchTerm.length > 1 && spirits.length > 0) {
-      const searchLower = searchTerm.toLowerCase()
+    if (searchTerm.length > 1 && results.length > 0) {
       const matches = []
 
-      // Search in spirit names
-      spirits.forEach(spirit => {
-        if (spirit.name.toLowerCase().includes(searchLower)) {
-          matches.push({
-            type: 'spirit',
-            text: spirit.name,
-            category: spirit.spiritType || 'Spirit',
-            icon: Zap
-          })
-        }
+      // Best matching spirits, typos and partial words included
+      results.slice(0, 5).forEach(({ beverage }) => {
+        matches.push({
+          type: 'spirit',
+          text: beverage.name,
+          category: beverage.subType || beverage.type || 'Spirit',
+          icon: Zap
+        })
       })
 
-      // Search in spirit types
-      const spiritTypes = [...new Set(spirits.map(s => s.spiritType).filter(Boolean))]
-      spiritTypes.forEach(type => {
-        if (type.toLowerCase().includes(searchLower)) {
-          matches.push({
-            type: 'category',
-            text: type,
-            category: 'Spirit Type',
-            icon: TrendingUp
-          })
-        }
+      // Spirit types among the matches
+      ;(facets.spiritType || []).forEach(({ value }) => {
+        matches.push({
+          type: 'category',
+          text: value,
+          category: 'Spirit Type',
+          icon: TrendingUp
+        })
       })
 
-      // Search in distilleries/brands
-      const distilleries = [...new Set(spirits.map(s => s.distillery || s.brand).filter(Boolean))]
-      distilleries.forEach(distillery => {
-        if (distillery.toLowerCase().includes(searchLower)) {
-          matches.push({
-            type: 'distillery',
-            text: distillery,
-            category: 'Distillery',
-            icon: TrendingUp
-          })
-        }
-      })
-
-      // Search in regions
-      const regions = [...new Set(spirits.map(s => s.region).filter(Boolean))]
-      regions.forEach(region => {
-        if (region.toLowerCase().includes(searchLower)) {
-          matches.push({
-            type: 'region',
-            text: region,
-            category: 'Region',
-            icon: TrendingUp
-          })
-        }
+      // Brands among the top matches
+      const brands = [...new Set(results.slice(0, 10).map(({ beverage }) => beverage.distillery || beverage.brand).filter(Boolean))]
+      brands.slice(0, 2).forEach(brand => {
+        matches.push({
+          type: 'distillery',
+          text: brand,
+          category: 'Distillery',
+          icon: TrendingUp
+        })
       })
 
       setSuggestions(matches.slice(0, 8))
@@ -70,7 +49,7 @@ const SpiritSearch = ({ onSearchChange, spirits, recentSearches, onRecentSearchC
       setSuggestions([])
       setShowSuggestions(false)
     }
-  }, [searchTerm, spirits])
+  }, [searchTerm, results, facets])
 
   const handleSearchChange = (value) => {
     setSearchTerm(value)
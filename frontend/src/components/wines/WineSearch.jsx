@@ -1,7 +1,7 @@
 import { useState, useEffect, useRef } from 'react'
 import { Search, X, Clock, Star, MapPin, Calendar, Wine } from 'lucide-react'
 
-const WineSearch = ({ onSearchChange, wines, recentSearches, onRecentSearchClick }) => {
+const WineSearch = ({ onSearchChange, results, recentSearches, onRecentSearchClick }) => {
   const [searchTerm, setSearchTerm] = useState('')
   const [suggestions, setSuggestions] = useState([])
   const [showSuggestions, setShowSuggestions] = useState(false)
@@ -9,7 +9,7 @@ const WineSearch = ({ onSearchChange, wines, recentSearches, onRecentSearchClick
   const searchRef = useRef(null)
   const suggestionsRef = useRef(null)
 
-  // Generate wine-specific suggestions based on search term
+  // Build wine-specific suggestions from the server-side search results
   useEffect(() => {
     if (searchTerm.length < 2) {
       setSuggestions([])
@@ -17,12 +17,20 @@ const WineSearch = ({ onSearchChange, wines, recentSearches, onRecentSearchClick
       return
     }
 
-    const searchLower = searchTerm.toLowerCase()
+    const wines = results.map(({ beverage }) => beverage)
     const newSuggestions = []
 
-    // Search by wine name
+    // Count matching wines by one field, most common first
+    const countBy = (field) => {
+      const counts = {}
+      wines.forEach(wine => {
+        if (wine[field]) counts[wine[field]] = (counts[wine[field]] || 0) + 1
+      })
+      return Object.entries(counts).sort((a, b) => b[1] - a[1])
+    }
+
+    // Best matching wines, typos and partial words included
     const nameMatches = wines
-      .filter(wine => wine.name.toLowerCase().includes(searchLower))
       .slice(0, 3)
       .map(wine => ({
         type: 'wine',
@@ -32,84 +40,43 @@ const WineSearch = ({ onSearchChange, wines, recentSearches, onRecentSearchClick
         data: wine
       }))
 
-    // Search by varietal
-    const varietalMatches = []
-    const varietals = ['cabernet sauvignon', 'merlot', 'pinot noir', 'chardonnay', 'sauvignon blanc', 'pinot grigio', 'riesling', 'syrah', 'malbec']
-    varietals.forEach(varietal => {
-      if (varietal.includes(searchLower)) {
-        const varietalWines = wines.filter(w => 
-          w.varietal?.toLowerCase().includes(varietal) ||
-          w.name.toLowerCase().includes(varietal)
-        )
-        if (varietalWines.length > 0) {
-          varietalMatches.push({
-            type: 'varietal',
-            text: `${varietal.charAt(0).toUpperCase() + varietal.slice(1)} wines`,
-            subtitle: `${varietalWines.length} available`,
-            icon: Wine,
-            data: { varietal }
-          })
-        }
-      }
-    })
-
-    // Search by region
-    const regionMatches = []
-    const regions = ['napa valley', 'sonoma', 'bordeaux', 'burgundy', 'tuscany', 'rioja', 'barossa valley', 'marlborough', 'champagne']
-    regions.forEach(region => {
-      if (region.includes(searchLower)) {
-        const regionWines = wines.filter(w => 
-          w.region?.toLowerCase().includes(region)
-        )
-        if (regionWines.length > 0) {
-          regionMatches.push({
-            type: 'region',
-            text: `${region.charAt(0).toUpperCase() + region.slice(1)} wines`,
-            subtitle: `${regionWines.length} available`,
-            icon: MapPin,
-            data: { region }
-          })
-        }
-      }
-    })
+    const varietalMatches = countBy('varietal').map(([varietal, count]) => ({
+      type: 'varietal',
+      text: `${varietal} wines`,
+      subtitle: `${count} matching`,
+      icon: Wine,
+      data: { varietal }
+    }))
+
+    const regionMatches = countBy('region').map(([region, count]) => ({
+      type: 'region',
+      text: `${region} wines`,
+      subtitle: `${count} matching`,
+      icon: MapPin,
+      data: { region }
+    }))
 
-    // Search by vintage
     const vintageMatches = []
     if (/^\d{4}$/.test(searchTerm)) {
-      const vintageWines = wines.filter(w => 
-        w.vintage?.toString() === searchTerm
-      )
+      const vintageWines = wines.filter(w => w.vintage?.toString() === searchTerm)
       if (vintageWines.length > 0) {
         vintageMatches.push({
           type: 'vintage',
           text: `${searchTerm} vintage wines`,
-          subtitle: `${vintageWines.length} available`,
+          subtitle: `${vintageWines.length} matching`,
           icon: Calendar,
           data: { vintage: searchTerm }
         })
       }
     }
 
-    // Search by wine type
-    const typeMatches = []
-    const types = ['red wine', 'white wine', 'rosé', 'sparkling', 'dessert wine']
-    types.forEach(type => {
-      if (type.includes(searchLower)) {
-        const typeWines = wines.filter(w => 
-          w.wineType?.toLowerCase().includes(type) ||
-          w.category?.toLowerCase().includes(type.replace(' wine', ''))
-        )
-        if (typeWines.length > 0) {
-          typeMatches.push({
-            type: 'wineType',
-            text: `${type.charAt(0).toUpperCase() + type.slice(1)}s`,
-            subtitle: `${typeWines.length} available`,
-            icon: Wine,
-            data: { wineType: type }
-          })
-        }
-      }
-    })
+    const typeMatches = countBy('type').map(([type, count]) => ({
+      type: 'wineType',
+      text: `${type} wines`,
+      subtitle: `${count} matching`,
+      icon: Wine,
+      data: { wineType: type }
+    }))
 
     // Combine and prioritize suggestions
     newSuggestions.push(...nameMatches)
@@ -120,7 +87,7 @@ const WineSearch = ({ onSearchChange, wines, recentSearches, onRecentSearchClick
 
     setSuggestions(newSuggestions.slice(0, 6))
     setShowSuggestions(true)
-  }, [searchTerm, wines])
+  }, [searchTerm, results])
 
   const handleSearchChange = (value) => {
     setSearchTerm(value)
@@ -173,4 +173,61 @@ export const useAvailableBeverages = () => {
     isLoading,
     error
   }
-}
\ No newline at end of file
+}
+// Server-side search across categories, debounced so typing doesn't flood the API
+export const useBeverageSearch = (query, options = {}, delay = 250) => {
+  const [results, setResults] = useState([])
+  const [facets, setFacets] = useState({})
+  const [total, setTotal] = useState(0)
+  const [relaxed, setRelaxed] = useState(false)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const optionsKey = JSON.stringify(options)
+
+  useEffect(() => {
+    const trimmed = (query || '').trim()
+    if (!trimmed) {
+      setResults([])
+      setFacets({})
+      setTotal(0)
+      setRelaxed(false)
+      setIsLoading(false)
+      return
+    }
+
+    let cancelled = false
+    setIsLoading(true)
+
+    const timer = setTimeout(async () => {
+      const result = await beverageService.searchBeverages(trimmed, JSON.parse(optionsKey))
+      if (cancelled) return
+
+      if (result.success) {
+        setResults(result.data.results || [])
+        setFacets(result.data.facets || {})
+        setTotal(result.data.total || 0)
+        setRelaxed(!!result.data.relaxed)
+        setError(null)
+      } else {
+        setError(result.error)
+      }
+
+      setIsLoading(false)
+    }, delay)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query, optionsKey, delay])
+
+  return {
+    results,
+    facets,
+    total,
+    relaxed,
+    isLoading,
+    error
+  }
+}
@@ -1,42 +1,216 @@
-import { useState } from 'react'
-import { Calendar, Clock, Users, MapPin } from 'lucide-react'
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { Calendar, Clock, Plus, Users } from 'lucide-react'
+import { authService } from '../services/api/authService'
+import { reservationService } from '../services/api/reservationService'
+import ReservationCalendar from '../components/reservations/ReservationCalendar'
+import BookingWizard from '../components/reservations/BookingWizard'
+import ReservationDetail from '../components/reservations/ReservationDetail'
+import {
+  addDays,
+  formatTime,
+  getMonthsForDays,
+  getVisibleDays
+} from '../utils/reservationCalendar'
 
 const CalendarPage = () => {
-  const [selectedDate, setSelectedDate] = useState(new Date())
+  const user = authService.getCurrentUser()
+  const isAuthenticated = authService.isAuthenticated()
+  const isStaff = ['Bartender', 'Owner'].includes(user?.role)
+
+  const [view, setView] = useState('month')
+  const [cursorDate, setCursorDate] = useState(new Date())
+  const [reservations, setReservations] = useState([])
+  const [pending, setPending] = useState([])
+  const [staff, setStaff] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [panel, setPanel] = useState(null) // { type: 'book', date } | { type: 'detail', id }
+
+  // A week view can straddle two months, so fetch every month it touches
+  const loadCalendar = useCallback(async () => {
+    if (!isAuthenticated) return
+
+    setIsLoading(true)
+    const months = getMonthsForDays(getVisibleDays(cursorDate, view))
+    const results = await Promise.all(months.map(({ month, year }) => reservationService.getCalendar(month, year)))
+
+    const failed = results.find(result => !result.success)
+    setError(failed ? failed.error : null)
+    setReservations(results
+      .filter(result => result.success)
+      .flatMap(result => Object.values(result.data.calendarData).flat()))
+    setIsLoading(false)
+  }, [cursorDate, view, isAuthenticated])
+
+  const loadPending = useCallback(async () => {
+    if (!isStaff) return
+
+    const result = await reservationService.getReservations({ status: 'Pending', sortBy: 'startTime', limit: 50 })
+    if (result.success) {
+      setPending(result.data.reservations)
+    }
+  }, [isStaff])
+
+  useEffect(() => {
+    loadCalendar()
+  }, [loadCalendar])
+
+  useEffect(() => {
+    loadPending()
+  }, [loadPending])
+
+  useEffect(() => {
+    if (!isStaff) return
+    reservationService.getStaff().then(result => {
+      if (result.success) setStaff(result.data.staff)
+    })
+  }, [isStaff])
+
+  const refresh = () => {
+    loadCalendar()
+    loadPending()
+  }
+
+  const navigate = (direction) => {
+    if (direction === 0) {
+      setCursorDate(new Date())
+    } else if (view === 'week') {
+      setCursorDate(prev => addDays(prev, direction * 7))
+    } else {
+      setCursorDate(prev => new Date(prev.getFullYear(), prev.getMonth() + direction, 1))
+    }
+  }
+
+  const changeView = (nextView, focusDate) => {
+    setView(nextView)
+    if (focusDate) setCursorDate(new Date(focusDate))
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <div className="min-h-screen bg-gray-50 py-8">
+        <div className="max-w-7xl mx-auto px-4 text-center py-16">
+          <div className="w-24 h-24 bg-teal-100 rounded-full flex items-center justify-center mx-auto mb-6">
+            <Calendar className="h-12 w-12 text-teal-600" />
+          </div>
+          <h1 className="text-4xl font-bold text-gray-900 mb-4">Reservations</h1>
+          <p className="text-lg text-gray-600 mb-6">Sign in to book a table or plan your next event with us.</p>
+          <Link to="/login" className="bg-teal-600 hover:bg-teal-700 text-white px-6 py-3 rounded-md font-medium">
+            Sign in to book
+          </Link>
+        </div>
+      </div>
+    )
+  }
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-7xl mx-auto px-4">
-        <div className="text-center mb-8">
-          <h1 className="text-4xl font-bold text-gray-900 mb-4">Reservations</h1>
-          <p className="text-lg text-gray-600">
-            Book your table and join our exclusive events
-          </p>
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between mb-8 gap-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 mb-2">Reservations</h1>
+            <p className="text-lg text-gray-600">
+              {isStaff ? 'Review requests, assign staff and keep the book in order' : 'Book your table and join our exclusive events'}
+            </p>
+          </div>
+          <button
+            onClick={() => setPanel({ type: 'book' })}
+            className="inline-flex items-center bg-teal-600 hover:bg-teal-700 text-white px-4 py-2 rounded-md font-medium"
+          >
+            <Plus className="h-5 w-5 mr-1" />
+            New Reservation
+          </button>
         </div>
 
-        <div className="text-center py-16">
-          <div className="w-24 h-24 bg-teal-100 rounded-full flex items-center justify-center mx-auto mb-6">
-            <Calendar className="h-12 w-12 text-teal-600" />
+        {error && (
+          <div className="mb-4 rounded-md bg-red-50 border border-red-200 p-3 text-sm text-red-700">{error}</div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2">
+            <ReservationCalendar
+              view={view}
+              cursorDate={cursorDate}
+              reservations={reservations}
+              isLoading={isLoading}
+              onViewChange={changeView}
+              onNavigate={navigate}
+              onSelectDate={(date) => setPanel({ type: 'book', date })}
+              onSelectReservation={(id) => setPanel({ type: 'detail', id })}
+            />
           </div>
-          <h2 className="text-2xl font-bold text-gray-900 mb-4">
-            Reservation System Coming Soon
-          </h2>
-          <p className="text-gray-600 max-w-md mx-auto mb-6">
-            We're building an advanced reservation system with calendar integration. Soon you'll be able to book tables and events seamlessly!
-          </p>
-          <div className="flex flex-col sm:flex-row gap-4 justify-center">
-            <div className="flex items-center text-gray-600">
-              <Clock className="h-5 w-5 mr-2 text-teal-600" />
-              Flexible time slots
-            </div>
-            <div className="flex items-center text-gray-600">
-              <Users className="h-5 w-5 mr-2 text-teal-600" />
-              Group bookings
-            </div>
-            <div className="flex items-center text-gray-600">
-              <MapPin className="h-5 w-5 mr-2 text-teal-600" />
-              Premium locations
-            </div>
+
+          <div className="space-y-6">
+            {panel?.type === 'book' && (
+              <BookingWizard
+                key={panel.date || 'new'}
+                user={user}
+                initialDate={panel.date}
+                onBooked={refresh}
+                onClose={() => setPanel(null)}
+              />
+            )}
+
+            {panel?.type === 'detail' && (
+              <ReservationDetail
+                key={panel.id}
+                reservationId={panel.id}
+                isStaff={isStaff}
+                staff={staff}
+                onChanged={refresh}
+                onClose={() => setPanel(null)}
+              />
+            )}
+
+            {/* Staff queue */}
+            {isStaff && (
+              <div className="bg-white rounded-lg shadow-md">
+                <div className="p-4 border-b border-gray-200">
+                  <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                    Awaiting Approval
+                    {pending.length > 0 && (
+                      <span className="ml-2 bg-yellow-100 text-yellow-800 text-sm px-2 py-0.5 rounded-full">
+                        {pending.length}
+                      </span>
+                    )}
+                  </h2>
+                </div>
+                {pending.length === 0 ? (
+                  <p className="p-4 text-sm text-gray-500">No requests waiting</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {pending.map(reservation => (
+                      <li key={reservation._id}>
+                        <button
+                          onClick={() => setPanel({ type: 'detail', id: reservation._id })}
+                          className="w-full text-left p-4 hover:bg-gray-50"
+                        >
+                          <p className="font-medium text-gray-900">{reservation.eventTitle}</p>
+                          <p className="flex items-center text-sm text-gray-600">
+                            <Clock className="h-4 w-4 mr-1" />
+                            {new Date(reservation.startTime).toLocaleDateString([], { month: 'short', day: 'numeric' })}{' '}
+                            {formatTime(reservation.startTime)}
+                            <Users className="h-4 w-4 ml-3 mr-1" />
+                            {reservation.guestCount}
+                          </p>
+                          {reservation.patronId?.fullName && (
+                            <p className="text-xs text-gray-500">{reservation.patronId.fullName}</p>
+                          )}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {!panel && !isStaff && (
+              <div className="bg-white rounded-lg shadow-md p-6 text-sm text-gray-600">
+                <p className="font-medium text-gray-900 mb-2">How booking works</p>
+                <p>Pick a day on the calendar or press New Reservation. We'll confirm your request by email, and if your time is full you can join the waitlist.</p>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -44,4 +218,4 @@ const CalendarPage = () => {
   )
 }
 
-export default CalendarPage
\ No newline at end of file
+export default CalendarPage
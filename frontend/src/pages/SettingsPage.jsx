@@ -15,10 +15,14 @@ import {
   Download,
   Upload,
   Wrench,
-  User
+  User,
+  ScanFace,
+  Brain
 } from 'lucide-react'
 import { inspectFbx } from '../utils/fbxInspector'
 import AvatarPersonalityEditor from '../components/settings/AvatarPersonalityEditor'
+import FaceLoginSettings from '../components/settings/FaceLoginSettings'
+import MemorySettings from '../components/settings/MemorySettings'
 
 // Lazy load the FbxViewer for performance
 const FbxViewer = lazy(() => import('./FbxViewer'))
@@ -126,6 +130,8 @@ export default function SettingsPage() {
   const tabs = [
     { id: 'avatar', label: '3D Avatar', icon: Monitor },
     { id: 'personality', label: 'Personality', icon: User },
+    { id: 'faceLogin', label: 'Face Login', icon: ScanFace },
+    { id: 'memory', label: 'Memory', icon: Brain },
     { id: 'testing', label: 'Testing Tools', icon: TestTube },
     { id: 'system', label: 'System Status', icon: Cpu },
     { id: 'performance', label: 'Performance', icon: Zap }
@@ -296,6 +302,34 @@ export default function SettingsPage() {
               </div>
             )}
 
+            {/* Face Login Tab */}
+            {activeTab === 'faceLogin' && (
+              <div className="space-y-6">
+                <h3 className="text-lg font-semibold flex items-center">
+                  <ScanFace className="h-5 w-5 mr-2" />
+                  Face Login
+                </h3>
+                <p className="text-gray-600 mb-6">
+                  Sign in by looking at the camera instead of typing your password.
+                </p>
+                <FaceLoginSettings />
+              </div>
+            )}
+
+            {/* Memory Tab */}
+            {activeTab === 'memory' && (
+              <div className="space-y-6">
+                <h3 className="text-lg font-semibold flex items-center">
+                  <Brain className="h-5 w-5 mr-2" />
+                  Savannah's Memory
+                </h3>
+                <p className="text-gray-600 mb-6">
+                  See and delete what Savannah remembers from your past visits, and choose how long she keeps it.
+                </p>
+                <MemorySettings />
+              </div>
+            )}
+
             {/* Testing Tools Tab */}
             {activeTab === 'testing' && (
               <div className="space-y-6">
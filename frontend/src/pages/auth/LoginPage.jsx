@@ -1,6 +1,8 @@
 import { useState } from 'react'
 import { Link, useNavigate } from 'react-router-dom'
-import { Eye, EyeOff, Mail, Lock, AlertCircle } from 'lucide-react'
+import { Eye, EyeOff, Mail, Lock, AlertCircle, ScanFace } from 'lucide-react'
+import { authService } from '../../services/api/authService'
+import FaceCamera from '../../components/common/FaceCamera'
 
 const LoginPage = () => {
   const navigate = useNavigate()
@@ -11,6 +13,7 @@ const LoginPage = () => {
   const [showPassword, setShowPassword] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
   const [error, setError] = useState('')
+  const [faceLogin, setFaceLogin] = useState(null)
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -46,6 +49,27 @@ const LoginPage = () => {
     }
   }
 
+  const startFaceLogin = async () => {
+    setError('')
+    const result = await authService.getFaceRequirements()
+    if (!result.success) {
+      setError(result.error)
+    } else if (result.data.requiresEmail && !formData.email) {
+      // Without a trained face model the face is only checked against the account named here
+      setError('Enter your email first to sign in with your face')
+    } else {
+      setFaceLogin(result.data)
+    }
+  }
+
+  const handleFaceCapture = async (faceData) => {
+    const result = await authService.facialLogin(faceData, formData.email)
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    navigate('/ia/did-agent')
+  }
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -87,84 +111,102 @@ const LoginPage = () => {
               </div>
             </div>
           )}
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email address
-              </label>
-              <div className="mt-1 relative">
-                <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  className="pl-10 input-field"
-                  placeholder="Enter your email"
-                  value={formData.email}
-                  onChange={handleChange}
-                />
-              </div>
-            </div>
-
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
-              </label>
-              <div className="mt-1 relative">
-                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  required
-                  className="pl-10 pr-10 input-field"
-                  placeholder="Enter your password"
-                  value={formData.password}
-                  onChange={handleChange}
-                />
-                <button
-                  type="button"
-                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
-                </button>
+          {faceLogin ? (
+            <FaceCamera
+              actionLabel="Sign in with my face"
+              includeImage={faceLogin.requiresImage}
+              frames={Math.max(8, faceLogin.minFrames)}
+              onCapture={handleFaceCapture}
+              onCancel={() => setFaceLogin(null)}
+            />
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
+                </label>
+                <div className="mt-1 relative">
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    className="pl-10 input-field"
+                    placeholder="Enter your email"
+                    value={formData.email}
+                    onChange={handleChange}
+                  />
+                </div>
               </div>
-            </div>
 
-            <div className="flex items-center justify-between">
-              <div className="flex items-center">
-                <input
-                  id="remember-me"
-                  name="remember-me"
-                  type="checkbox"
-                  className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
-                />
-                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
-                  Remember me
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
                 </label>
+                <div className="mt-1 relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    required
+                    className="pl-10 pr-10 input-field"
+                    placeholder="Enter your password"
+                    value={formData.password}
+                    onChange={handleChange}
+                  />
+                  <button
+                    type="button"
+                    className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                  </button>
+                </div>
               </div>
 
-              <div className="text-sm">
-                <a href="#" className="font-medium text-teal-600 hover:text-teal-500">
-                  Forgot your password?
-                </a>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <input
+                    id="remember-me"
+                    name="remember-me"
+                    type="checkbox"
+                    className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
+                    Remember me
+                  </label>
+                </div>
+
+                <div className="text-sm">
+                  <a href="#" className="font-medium text-teal-600 hover:text-teal-500">
+                    Forgot your password?
+                  </a>
+                </div>
               </div>
-            </div>
 
-            <div>
-              <button
-                type="submit"
-                disabled={isLoading}
-                className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {isLoading ? 'Signing in...' : 'Sign in'}
-              </button>
-            </div>
-          </form>
+              <div>
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isLoading ? 'Signing in...' : 'Sign in'}
+                </button>
+                <button
+                  type="button"
+                  onClick={startFaceLogin}
+                  className="mt-3 w-full flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                >
+                  <ScanFace className="h-5 w-5 mr-2" />
+                  Sign in with your face
+                </button>
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </div>
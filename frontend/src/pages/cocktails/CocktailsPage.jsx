@@ -1,6 +1,7 @@
 import { useState, useEffect, useMemo } from 'react'
 import { Grid, List, SortAsc, SortDesc, Star, Clock, DollarSign, Wine, Zap, Heart } from 'lucide-react'
 import { beverageService } from '../../services/api/beverageService'
+import { useBeverageSearch } from '../../hooks/useBeverages'
 import { getImageUrl } from '../../utils/imageUtils'
 import CocktailFilters from '../../components/cocktails/CocktailFilters'
 import SmartSearch from '../../components/cocktails/SmartSearch'
@@ -19,6 +20,12 @@ const CocktailsPage = () => {
   const [currentPage, setCurrentPage] = useState(1)
   const itemsPerPage = 12
 
+  // Matching is done server-side so typos and partial words still find cocktails
+  const { results: searchResults, facets: searchFacets } = useBeverageSearch(
+    searchTerm,
+    { category: 'cocktails', includeUnavailable: true, limit: 100 }
+  )
+
   // Load cocktails on component mount
   useEffect(() => {
     const fetchCocktails = async () => {
@@ -63,14 +70,8 @@ const CocktailsPage = () => {
 
     // Apply search filter
     if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase()
-      filtered = filtered.filter(cocktail => 
-        cocktail.name.toLowerCase().includes(searchLower) ||
-        cocktail.description?.toLowerCase().includes(searchLower) ||
-        cocktail.primarySpirit?.toLowerCase().includes(searchLower) ||
-        cocktail.ingredients?.some(ing => ing.name.toLowerCase().includes(searchLower)) ||
-        cocktail.tastingNotes?.some(note => note.toLowerCase().includes(searchLower))
-      )
+      const matchingIds = new Set(searchResults.map(result => result.id))
+      filtered = filtered.filter(cocktail => matchingIds.has(cocktail._id))
     }
 
     // Apply advanced filters
@@ -146,7 +147,7 @@ const CocktailsPage = () => {
     })
 
     return filtered
-  }, [cocktails, searchTerm, filters, sortBy, sortOrder])
+  }, [cocktails, searchTerm, searchResults, filters, sortBy, sortOrder])
 
   // Pagination
   const totalPages = Math.ceil(filteredAndSortedCocktails.length / itemsPerPage)
@@ -387,7 +388,8 @@ const CocktailsPage = () => {
         <div className="mb-6">
           <SmartSearch
             onSearchChange={handleSearchChange}
-            cocktails={cocktails}
+            results={searchResults}
+            facets={searchFacets}
             recentSearches={recentSearches}
             onRecentSearchClick={handleRecentSearchClick}
           />
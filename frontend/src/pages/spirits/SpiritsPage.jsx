@@ -1,6 +1,7 @@
 import { useState, useEffect, useMemo } from 'react'
 import { Grid, List, SortAsc, SortDesc, Star, Calendar, MapPin, Zap, Award, Heart, Flame } from 'lucide-react'
 import { beverageService } from '../../services/api/beverageService'
+import { useBeverageSearch } from '../../hooks/useBeverages'
 import { getImageUrl } from '../../utils/imageUtils'
 import SpiritFilters from '../../components/spirits/SpiritFilters'
 import SpiritSearch from '../../components/spirits/SpiritSearch'
@@ -19,6 +20,12 @@ const SpiritsPage = () => {
   const [currentPage, setCurrentPage] = useState(1)
   const itemsPerPage = 12
 
+  // Matching is done server-side so typos and partial words still find spirits
+  const { results: searchResults, facets: searchFacets } = useBeverageSearch(
+    searchTerm,
+    { category: 'spirits', includeUnavailable: true, limit: 100 }
+  )
+
   // Load spirits on component mount
   useEffect(() => {
     const fetchSpirits = async () => {
@@ -63,17 +70,8 @@ const SpiritsPage = () => {
 
     // Apply search filter
     if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase()
-      filtered = filtered.filter(spirit => 
-        spirit.name.toLowerCase().includes(searchLower) ||
-        spirit.description?.toLowerCase().includes(searchLower) ||
-        spirit.type?.toLowerCase().includes(searchLower) ||
-        spirit.subType?.toLowerCase().includes(searchLower) ||
-        spirit.distillery?.toLowerCase().includes(searchLower) ||
-        spirit.region?.toLowerCase().includes(searchLower) ||
-        spirit.age?.toString().includes(searchTerm) ||
-        spirit.proof?.toString().includes(searchTerm)
-      )
+      const matchingIds = new Set(searchResults.map(result => result.id))
+      filtered = filtered.filter(spirit => matchingIds.has(spirit._id))
     }
 
     // Apply advanced filters
@@ -197,7 +195,7 @@ const SpiritsPage = () => {
     })
 
     return filtered
-  }, [spirits, searchTerm, filters, sortBy, sortOrder])
+  }, [spirits, searchTerm, searchResults, filters, sortBy, sortOrder])
 
   // Pagination
   const totalPages = Math.ceil(filteredAndSortedSpirits.length / itemsPerPage)
@@ -479,7 +477,8 @@ const SpiritsPage = () => {
         <div className="mb-6">
           <SpiritSearch
             onSearchChange={handleSearchChange}
-            spirits={spirits}
+            results={searchResults}
+            facets={searchFacets}
             recentSearches={recentSearches}
             onRecentSearchClick={handleRecentSearchClick}
           />
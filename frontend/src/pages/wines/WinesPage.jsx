@@ -1,6 +1,7 @@
 import { useState, useEffect, useMemo } from 'react'
 import { Grid, List, SortAsc, SortDesc, Star, Calendar, MapPin, Wine, Award, Heart } from 'lucide-react'
 import { beverageService } from '../../services/api/beverageService'
+import { useBeverageSearch } from '../../hooks/useBeverages'
 import { getImageUrl } from '../../utils/imageUtils'
 import WineFilters from '../../components/wines/WineFilters'
 import WineSearch from '../../components/wines/WineSearch'
@@ -19,6 +20,12 @@ const WinesPage = () => {
   const [currentPage, setCurrentPage] = useState(1)
   const itemsPerPage = 12
 
+  // Matching is done server-side so typos and partial words still find wines
+  const { results: searchResults } = useBeverageSearch(
+    searchTerm,
+    { category: 'wines', includeUnavailable: true, limit: 100 }
+  )
+
   // Load wines on component mount
   useEffect(() => {
     const fetchWines = async () => {
@@ -63,15 +70,8 @@ const WinesPage = () => {
 
     // Apply search filter
     if (searchTerm) {
-      const searchLower = searchTerm.toLowerCase()
-      filtered = filtered.filter(wine => 
-        wine.name.toLowerCase().includes(searchLower) ||
-        wine.description?.toLowerCase().includes(searchLower) ||
-        wine.varietal?.toLowerCase().includes(searchLower) ||
-        wine.region?.toLowerCase().includes(searchLower) ||
-        wine.vintage?.toString().includes(searchTerm) ||
-        wine.wineType?.toLowerCase().includes(searchLower)
-      )
+      const matchingIds = new Set(searchResults.map(result => result.id))
+      filtered = filtered.filter(wine => matchingIds.has(wine._id))
     }
 
     // Apply advanced filters
@@ -156,7 +156,7 @@ const WinesPage = () => {
     })
 
     return filtered
-  }, [wines, searchTerm, filters, sortBy, sortOrder])
+  }, [wines, searchTerm, searchResults, filters, sortBy, sortOrder])
 
   // Pagination
   const totalPages = Math.ceil(filteredAndSortedWines.length / itemsPerPage)
@@ -425,7 +425,7 @@ const WinesPage = () => {
         <div className="mb-6">
           <WineSearch
             onSearchChange={handleSearchChange}
-            wines={wines}
+            results={searchResults}
             recentSearches={recentSearches}
             onRecentSearchClick={handleRecentSearchClick}
           />
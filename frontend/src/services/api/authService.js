@@ -19,6 +19,76 @@ export const authService = {
     }
   },
 
+  // Login with a face capture (see utils/faceCapture)
+  facialLogin: async (faceData, email) => {
+    try {
+      const response = await apiClient.post('/auth/facial-login', { faceData, ...(email ? { email } : {}) })
+      const { token, user } = response.data
+
+      localStorage.setItem('auth_token', token)
+      localStorage.setItem('user', JSON.stringify(user))
+
+      return { success: true, data: { token, user } }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Face login failed'
+      }
+    }
+  },
+
+  // What a face capture must include for the server's face provider
+  getFaceRequirements: async () => {
+    try {
+      const response = await apiClient.get('/auth/face/requirements')
+      return { success: true, data: response.data.requirements }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to load face login settings'
+      }
+    }
+  },
+
+  // Face login enrollment status for the current user
+  getFaceStatus: async () => {
+    try {
+      const response = await apiClient.get('/auth/face')
+      return { success: true, data: response.data.face }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to load face login status'
+      }
+    }
+  },
+
+  // Add a face sample for face login
+  enrollFace: async (faceData) => {
+    try {
+      const response = await apiClient.post('/auth/face/enroll', { faceData })
+      return { success: true, data: response.data.face }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Face enrollment failed'
+      }
+    }
+  },
+
+  // Remove every face sample and turn off face login
+  removeFace: async () => {
+    try {
+      const response = await apiClient.delete('/auth/face')
+      return { success: true, data: response.data.face }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to remove face login'
+      }
+    }
+  },
+
   // Register user
   register: async (userData) => {
     try {
@@ -61,10 +61,20 @@ export const beverageService = {
     }
   },
 
-  // Search beverages
-  searchBeverages: async (query) => {
+  // Search every category; options narrow by category, spiritType, shelfTier, priceBand or dietary
+  searchBeverages: async (query, options = {}) => {
     try {
-      const response = await apiClient.get(`/beverages/search?q=${encodeURIComponent(query)}`)
+      const params = new URLSearchParams()
+      params.append('q', query || '')
+
+      Object.keys(options).forEach(key => {
+        const value = Array.isArray(options[key]) ? options[key].join(',') : options[key]
+        if (value) {
+          params.append(key, value)
+        }
+      })
+
+      const response = await apiClient.get(`/beverages/search?${params.toString()}`)
       return { success: true, data: response.data }
     } catch (error) {
       return {
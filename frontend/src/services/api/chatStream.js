@@ -0,0 +1,79 @@
+import apiClient from './apiClient'
+
+// Server-sent events from the IA chat endpoints (see backend/services/chatStream.js).
+// EventSource can only GET, so the stream is read from a fetch POST instead
+
+const parseEvent = (block) => {
+  let event = 'message'
+  const data = []
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim()
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim())
+  })
+  return { event, data: data.length ? JSON.parse(data.join('\n')) : null }
+}
+
+// Errors carry `response.data` like axios errors so callers can read error.response?.data?.message
+const streamError = (message, status, data = {}) =>
+  Object.assign(new Error(message), { response: { status, data } })
+
+/**
+ * POST to a chat endpoint and read the reply as it streams
+ * @param {string} path - e.g. '/ia/chat'
+ * @param {Object} payload - Request body; `stream: true` is added
+ * @param {Object} handlers - { onDelta(text), onSentence(text, index), signal }
+ * @returns {Promise<Object>} The done event: { response, usage, recommendedActions, ... }
+ */
+export const streamChat = async (path, payload, { onDelta, onSentence, signal } = {}) => {
+  const token = localStorage.getItem('auth_token')
+  const response = await fetch(`${apiClient.defaults.baseURL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify({ ...payload, stream: true }),
+    signal
+  })
+
+  if (response.status === 401) {
+    localStorage.removeItem('auth_token')
+    localStorage.removeItem('user')
+    window.location.href = '/login'
+  }
+
+  // Validation and lookup failures are answered with JSON before any streaming starts
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => ({}))
+    throw streamError(data.message || `Request failed with status ${response.status}`, response.status, data)
+  }
+
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+  let finished = null
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += value
+    const blocks = buffer.split('\n\n')
+    buffer = blocks.pop()
+
+    for (const block of blocks) {
+      const { event, data } = parseEvent(block)
+      if (event === 'delta') onDelta?.(data.text)
+      else if (event === 'sentence') onSentence?.(data.text, data.index)
+      else if (event === 'done') finished = data
+      else if (event === 'error') throw streamError(data.message, response.status, data)
+    }
+  }
+
+  if (!finished) {
+    throw streamError('The reply stream ended early', response.status)
+  }
+  return finished
+}
+
+export default streamChat
@@ -1,4 +1,5 @@
 import apiClient from './apiClient'
+import { streamChat } from './chatStream'
 import { ConversationFlow, moodDetection, personalityModes } from '../../utils/conversationPatterns.js'
 import { maritimeStories, educationalTopics } from '../../data/maritimeStories.js'
 import BartenderGestureService from '../BartenderGestureService.js'
@@ -160,9 +161,13 @@ class ConversationService {
     }
   }
 
-  // Generate contextual response with storytelling and mood adaptation
+  // Generate contextual response with storytelling and mood adaptation.
+  // Pass context.onSentence(text, index) to receive the reply a sentence at a time as soon as each
+  // is ready, e.g. to start speaking; the result then has `streamed: true`
   async generateResponse(userMessage, context = {}) {
     try {
+      const { onSentence, ...requestContext } = context
+
       // Generate enhanced response using conversation patterns
       let enhancedResponse = null
       if (this.storytellingEnabled) {
@@ -173,7 +178,7 @@ class ConversationService {
       }
 
       const contextPayload = { 
-        ...context,
+        ...requestContext,
         storytelling: this.storytellingEnabled,
         personality: this.currentPersonality,
         enhancedResponse: enhancedResponse
@@ -185,20 +190,29 @@ class ConversationService {
         contextPayload.conversationSummary = this.summarizeConversation(10)
       }
 
-      const response = await apiClient.post('/ia/chat/contextual', {
+      const request = {
         message: userMessage,
         sessionId: this.sessionId,
         context: contextPayload
-      })
+      }
+
+      // A storytelling reply is complete locally and can be handed over before the API answers;
+      // otherwise the API reply is streamed sentence by sentence
+      const streamed = !!onSentence
+      if (streamed && enhancedResponse) onSentence(enhancedResponse, 0)
+
+      const data = streamed && !enhancedResponse
+        ? await streamChat('/ia/chat/contextual', request, { onSentence })
+        : (await apiClient.post('/ia/chat/contextual', request)).data
 
       // Use enhanced response if available, fallback to API response
-      const finalResponse = enhancedResponse || response.data.response
+      const finalResponse = enhancedResponse || data.response
 
       // Store both user message and AI response
       await this.storeMessage(userMessage, 'user')
       await this.storeMessage(finalResponse, 'assistant', {
-        confidence: response.data.confidence,
-        recommendedActions: response.data.recommendedActions,
+        confidence: data.confidence,
+        recommendedActions: data.recommendedActions,
         storytellingUsed: !!enhancedResponse,
         detectedMood: this.conversationFlow.currentMood
       })
@@ -207,17 +221,20 @@ class ConversationService {
       if (this.gesturesEnabled) {
         this.handleGestureForMessage(finalResponse, 'assistant', {
           conversationContext: this.determineConversationContext(userMessage, finalResponse),
-          confidence: response.data.confidence,
-          actions: response.data.recommendedActions
+          confidence: data.confidence,
+          actions: data.recommendedActions
         })
       }
 
       return {
         success: true,
         response: finalResponse,
-        actions: response.data.recommendedActions,
-        confidence: response.data.confidence,
+        actions: data.recommendedActions,
+        // Actions Savannah took on the patron's behalf (favorites, reservations, ...)
+        toolCalls: data.toolCalls || [],
+        confidence: data.confidence,
         storytelling: !!enhancedResponse,
+        streamed,
         mood: this.conversationFlow.currentMood
       }
     } catch (error) {
@@ -1,4 +1,5 @@
 import apiClient from './apiClient'
+import { streamChat } from './chatStream'
 
 export const iaService = {
   // Send message to IA assistant
@@ -17,6 +18,22 @@ export const iaService = {
     }
   },
 
+  // Send message and receive the reply as it is written; handlers are { onDelta, onSentence, signal }
+  streamMessage: async (message, conversationId = null, handlers = {}) => {
+    try {
+      const data = await streamChat('/ia/chat', {
+        message,
+        ...(conversationId ? { conversationId } : {})
+      }, handlers)
+      return { success: true, data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to send message'
+      }
+    }
+  },
+
   // Start new chat session
   startSession: async (userId = null) => {
     try {
@@ -120,5 +137,69 @@ export const iaService = {
         error: error.response?.data?.message || 'Failed to submit feedback'
       }
     }
+  },
+
+  // What Savannah remembers about the current user, with their memory settings
+  getMemories: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/ia/memories', { params })
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to load memories'
+      }
+    }
+  },
+
+  // Ask Savannah to remember a note, e.g. an allergy
+  addMemory: async (text) => {
+    try {
+      const response = await apiClient.post('/ia/memories', { text })
+      return { success: true, data: response.data.memory }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to add memory'
+      }
+    }
+  },
+
+  // settings is { enabled, retentionDays }; retentionDays null uses the default
+  updateMemorySettings: async (settings) => {
+    try {
+      const response = await apiClient.put('/ia/memories/settings', settings)
+      return { success: true, data: response.data.settings }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to update memory settings'
+      }
+    }
+  },
+
+  forgetMemory: async (memoryId) => {
+    try {
+      await apiClient.delete(`/ia/memories/${memoryId}`)
+      return { success: true }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to forget memory'
+      }
+    }
+  },
+
+  // Forget everything; includeConversations also deletes past conversations
+  forgetAllMemories: async (includeConversations = false) => {
+    try {
+      const response = await apiClient.delete('/ia/memories', { params: { includeConversations } })
+      return { success: true, data: response.data.forgotten }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to forget memories'
+      }
+    }
   }
 }
\ No newline at end of file
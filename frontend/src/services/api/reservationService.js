@@ -9,7 +9,9 @@ export const reservationService = {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data?.message || 'Failed to create reservation'
+        error: error.response?.data?.message || 'Failed to create reservation',
+        errors: error.response?.data?.errors,
+        canJoinWaitlist: error.response?.data?.canJoinWaitlist || false
       }
     }
   },
@@ -66,10 +68,12 @@ export const reservationService = {
     }
   },
 
-  // Get available time slots for a specific date
-  getAvailableSlots: async (date) => {
+  // Get open start times for a date, party size and seating preference
+  getAvailableSlots: async (date, { guestCount = 1, seatingPreference, duration } = {}) => {
     try {
-      const response = await apiClient.get(`/reservations/slots?date=${date}`)
+      const response = await apiClient.get('/reservations/availability', {
+        params: { date, guestCount, seatingPreference, duration }
+      })
       return { success: true, data: response.data }
     } catch (error) {
       return {
@@ -79,6 +83,175 @@ export const reservationService = {
     }
   },
 
+  // Get reservations with filters (status, startDate, endDate, page, limit)
+  getReservations: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/reservations', { params })
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch reservations'
+      }
+    }
+  },
+
+  // Get reservations grouped by day for a calendar month
+  getCalendar: async (month, year) => {
+    try {
+      const response = await apiClient.get('/reservations/calendar', { params: { month, year } })
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch calendar'
+      }
+    }
+  },
+
+  // Approve, deny, cancel or complete a reservation (staff)
+  updateReservationStatus: async (id, status, reason) => {
+    try {
+      const response = await apiClient.put(`/reservations/${id}/status`, { status, reason })
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to update reservation status'
+      }
+    }
+  },
+
+  // Add a note to a reservation (internal notes are staff only)
+  addNote: async (id, content, isInternal = false) => {
+    try {
+      const response = await apiClient.post(`/reservations/${id}/notes`, { content, isInternal })
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to add note'
+      }
+    }
+  },
+
+  // Get staff who can be assigned to reservations
+  getStaff: async () => {
+    try {
+      const response = await apiClient.get('/reservations/staff')
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch staff'
+      }
+    }
+  },
+
+  // Assign a staff member to a reservation
+  assignStaff: async (id, userId, role) => {
+    try {
+      const response = await apiClient.post(`/reservations/${id}/assign-staff`, { userId, role })
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to assign staff'
+      }
+    }
+  },
+
+  // Get beverage pairings for the food on a reservation's menu
+  getMenuPairings: async (id) => {
+    try {
+      const response = await apiClient.get(`/reservations/${id}/pairings`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch pairings'
+      }
+    }
+  },
+
+  // Add the best pairing for each dish to the reservation's beverage menu
+  applyMenuPairings: async (id, perDish = 1) => {
+    try {
+      const response = await apiClient.post(`/reservations/${id}/pairings/apply`, { perDish })
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to apply pairings'
+      }
+    }
+  },
+
+  // Get waitlist entries (the full queue for staff)
+  getWaitlist: async () => {
+    try {
+      const response = await apiClient.get('/reservations/waitlist')
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch waitlist'
+      }
+    }
+  },
+
+  // Join the waitlist for a fully booked time
+  joinWaitlist: async (reservationData) => {
+    try {
+      const response = await apiClient.post('/reservations/waitlist', reservationData)
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to join waitlist'
+      }
+    }
+  },
+
+  // Accept a waitlist offer (creates a pending reservation)
+  acceptWaitlistOffer: async (id) => {
+    try {
+      const response = await apiClient.post(`/reservations/waitlist/${id}/accept`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to accept offer'
+      }
+    }
+  },
+
+  // Decline a waitlist offer
+  declineWaitlistOffer: async (id) => {
+    try {
+      const response = await apiClient.post(`/reservations/waitlist/${id}/decline`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to decline offer'
+      }
+    }
+  },
+
+  // Leave the waitlist
+  leaveWaitlist: async (id) => {
+    try {
+      const response = await apiClient.delete(`/reservations/waitlist/${id}`)
+      return { success: true, data: response.data }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to leave waitlist'
+      }
+    }
+  },
+
   // Get upcoming events
   getUpcomingEvents: async () => {
     try {
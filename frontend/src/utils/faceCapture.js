@@ -0,0 +1,91 @@
+/**
+ * Face capture for face login
+ * Samples a short burst of Face Landmarker meshes from a live <video> so the server can check
+ * liveness from landmark motion, plus one JPEG frame when the server's provider needs an image
+ */
+
+import MediaPipeManager from './MediaPipeManager'
+
+let manager = null
+
+const getManager = async () => {
+  if (!manager) {
+    manager = new MediaPipeManager()
+  }
+  if (!manager.isInitialized) {
+    const ready = await manager.initialize()
+    if (!ready) {
+      throw new Error('Face tracking could not be started')
+    }
+  }
+  return manager
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Landmarks come back normalized to the frame; the server wants pixels so both axes share a unit
+const toPixels = (landmarks, width, height) => landmarks.map(point => [
+  Math.round(point.x * width * 10) / 10,
+  Math.round(point.y * height * 10) / 10,
+  Math.round(point.z * width * 10) / 10
+])
+
+const snapshot = (video) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = video.videoWidth
+  canvas.height = video.videoHeight
+  canvas.getContext('2d').drawImage(video, 0, 0)
+  return canvas.toDataURL('image/jpeg', 0.9)
+}
+
+/**
+ * Open the user-facing camera on a video element
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<MediaStream>} Stop its tracks when done
+ */
+export const startCamera = async (video) => {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: 'user', width: { ideal: 640 }, height: { ideal: 480 } },
+    audio: false
+  })
+  video.srcObject = stream
+  await video.play()
+  return stream
+}
+
+export const stopCamera = (stream) => {
+  stream?.getTracks().forEach(track => track.stop())
+}
+
+/**
+ * Capture a face sample from a playing video
+ * @param {HTMLVideoElement} video
+ * @param {object} [options] - { frames, intervalMs, includeImage }
+ * @returns {Promise<object>} faceData for the face login endpoints: { frames, image? }
+ */
+export const captureFace = async (video, { frames = 8, intervalMs = 150, includeImage = false } = {}) => {
+  const tracker = await getManager()
+  const width = video.videoWidth
+  const height = video.videoHeight
+  const captured = []
+  let image = null
+
+  for (let attempt = 0; captured.length < frames && attempt < frames * 3; attempt++) {
+    const result = tracker.faceLandmarker.detect(video)
+    const landmarks = result.faceLandmarks?.[0]
+
+    if (landmarks) {
+      captured.push(toPixels(landmarks, width, height))
+      if (includeImage && !image && captured.length === Math.ceil(frames / 2)) {
+        image = snapshot(video)
+      }
+    }
+    await wait(intervalMs)
+  }
+
+  if (captured.length < frames) {
+    throw new Error('No face found. Look at the camera in good light and try again')
+  }
+
+  return image ? { frames: captured, image } : { frames: captured }
+}
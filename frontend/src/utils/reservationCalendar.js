@@ -0,0 +1,105 @@
+/**
+ * Reservation Calendar Utility - date math and display constants shared by
+ * the calendar grid, booking wizard and staff panel
+ */
+
+export const EVENT_TYPES = [
+  'Birthday Party',
+  'Corporate Event',
+  'Private Party',
+  'Wedding Reception',
+  'Happy Hour',
+  'Live Music',
+  'Trivia Night',
+  'Other'
+]
+
+export const SEATING_OPTIONS = ['No Preference', 'Bar', 'Table', 'Booth', 'Private Room', 'Outdoor']
+
+export const DIETARY_OPTIONS = ['Vegetarian', 'Vegan', 'Gluten-Free', 'Dairy-Free', 'Nut Allergy', 'Shellfish Allergy', 'Halal', 'Kosher']
+
+export const STAFF_ROLES = ['Bartender', 'Server', 'Manager', 'Security', 'DJ', 'Coordinator']
+
+export const STATUS_STYLES = {
+  Pending: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  Approved: 'bg-green-100 text-green-800 border-green-200',
+  Denied: 'bg-red-100 text-red-800 border-red-200',
+  Cancelled: 'bg-gray-100 text-gray-500 border-gray-200 line-through',
+  Completed: 'bg-blue-100 text-blue-800 border-blue-200'
+}
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Local calendar date as YYYY-MM-DD (the format the availability API expects)
+ */
+export const toDateKey = (date) => {
+  const d = new Date(date)
+  const month = String(d.getMonth() + 1).padStart(2, '0')
+  const day = String(d.getDate()).padStart(2, '0')
+  return `${d.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * Combine a YYYY-MM-DD date and HH:MM time into a local Date
+ */
+export const combineDateTime = (dateKey, time) => {
+  const [year, month, day] = dateKey.split('-').map(Number)
+  const [hours, minutes] = time.split(':').map(Number)
+  return new Date(year, month - 1, day, hours, minutes)
+}
+
+export const formatTime = (date) =>
+  new Date(date).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+
+export const startOfWeek = (date) => {
+  const d = new Date(date)
+  d.setHours(0, 0, 0, 0)
+  d.setDate(d.getDate() - d.getDay())
+  return d
+}
+
+export const addDays = (date, days) => {
+  const d = new Date(date)
+  d.setDate(d.getDate() + days)
+  return d
+}
+
+/**
+ * Days shown by the grid: whole weeks covering the month, or the single week
+ */
+export const getVisibleDays = (cursorDate, view) => {
+  if (view === 'week') {
+    const start = startOfWeek(cursorDate)
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i))
+  }
+
+  const first = new Date(cursorDate.getFullYear(), cursorDate.getMonth(), 1)
+  const last = new Date(cursorDate.getFullYear(), cursorDate.getMonth() + 1, 0)
+  const start = startOfWeek(first)
+  const totalDays = Math.ceil((last.getDate() + first.getDay()) / 7) * 7
+  return Array.from({ length: totalDays }, (_, i) => addDays(start, i))
+}
+
+/**
+ * Calendar months ({ month, year }) touched by a set of days - a week can span two
+ */
+export const getMonthsForDays = (days) => {
+  const months = new Map()
+  days.forEach(day => {
+    months.set(`${day.getFullYear()}-${day.getMonth()}`, { month: day.getMonth() + 1, year: day.getFullYear() })
+  })
+  return [...months.values()]
+}
+
+/**
+ * Group reservations by local date; the API groups by UTC date, which splits late evenings
+ */
+export const groupByDate = (reservations) => {
+  return reservations.reduce((groups, reservation) => {
+    const key = toDateKey(reservation.startTime)
+    if (!groups[key]) groups[key] = []
+    groups[key].push(reservation)
+    return groups
+  }, {})
+}
@@ -246,6 +246,60 @@ export function synthesizeSpeech(text, options = {}, onVisemeUpdate = null) {
   });
 }
 
+/**
+ * Speak text as it arrives, one piece after another, so a streamed reply starts speaking
+ * (and animating visemes) on its first sentence
+ * @param {Object} options - Speech synthesis options, plus optional hooks:
+ *   speak(text) - replaces browser synthesis, e.g. to send each sentence to an avatar service
+ *   onStart() - called when the first piece starts
+ *   onEnd() - called once everything queued before finish() has been spoken, or on cancel()
+ * @param {Function} onVisemeUpdate - Callback for viseme updates
+ * @returns {Object} Queue controller: enqueue(text), finish() => Promise, cancel()
+ */
+export function createSpeechQueue(options = {}, onVisemeUpdate = null) {
+  const {
+    speak = (text) => synthesizeSpeech(text, options, onVisemeUpdate),
+    onStart = null,
+    onEnd = null
+  } = options;
+
+  let chain = Promise.resolve();
+  let started = false;
+  let ended = false;
+
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    if (onEnd) onEnd();
+  };
+
+  return {
+    enqueue: (text) => {
+      if (ended || !text?.trim()) return;
+      if (!started) {
+        started = true;
+        if (onStart) onStart();
+      }
+      // A failed piece is skipped rather than silencing the rest of the reply
+      chain = chain
+        .then(() => (ended ? null : speak(text)))
+        .catch(error => console.error('Queued speech failed:', error));
+    },
+
+    finish: () => {
+      chain = chain.then(end);
+      return chain;
+    },
+
+    cancel: () => {
+      end();
+      if ('speechSynthesis' in window) {
+        speechSynthesis.cancel();
+      }
+    }
+  };
+}
+
 /**
  * Start speech recognition
  * @param {Object} options - Recognition options
@@ -530,6 +584,7 @@ export default {
   phonemesToVisemes,
   textToVisemes,
   synthesizeSpeech,
+  createSpeechQueue,
   startSpeechRecognition,
   stopSpeechRecognition,
   getAvailableVoices,